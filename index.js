@@ -7,7 +7,31 @@ const { Telegraf, session, Scenes, Markup } = require('telegraf');
 const logger = require('./services/logger'); // Correct path
 const sqliteDB = require('./utils/sqliteDB'); // Correct path
 const { ethers } = require('ethers');
-const crypto = require('crypto'); // Import crypto module
+const { BigNumber } = ethers;
+const units = require('./utils/units');
+const { withUserLock } = require('./utils/userLock');
+const { createRateLimiter, createRecentIds } = require('./utils/rateLimit');
+const { escapeMarkdown } = require('./utils/markdown');
+const fairness = require('./services/fairness');
+const { machine: slotMachine } = require('./services/slots');
+const { getGameConfig } = require('./services/gameConfig');
+const { createJackpotSystem } = require('./services/jackpots');
+const risk = require('./services/risk');
+const { startWithdrawalWorker } = require('./services/withdrawalWorker');
+const { startFeeSweeper } = require('./services/feeSweeper');
+const { startReconciliation, reconcile, getThreshold } = require('./services/reconciliation');
+const { startDepositIndexer, getDepositsFromTransaction } = require('./services/depositIndexer');
+const fees = require('./services/fees');
+const admins = require('./services/admins');
+const { createAdminActions, ADMIN_ERROR_CODES } = require('./services/adminActions');
+const { isAdminApiEnabled, createAdminApi } = require('./services/adminApi');
+const responsibleGaming = require('./services/responsibleGaming');
+const { network, getTxUrl } = require('./utils/networks');
+const { getChain } = require('./services/blockchain');
+const tokens = require('./services/tokens');
+
+const { GAME_TOKEN } = tokens;
+const { ROLES } = admins;
 
 // --------------------- Bot Initialization ---------------------
 const bot = new Telegraf(process.env.BOT_TOKEN);
@@ -15,62 +39,462 @@ const bot = new Telegraf(process.env.BOT_TOKEN);
 // Enable session middleware
 bot.use(session());
 
-// --------------------- Initialize Provider and Wallet ---------------------
+// Each user may send at most RATE_LIMIT_ACTIONS updates (taps, messages, commands) per RATE_LIMIT_WINDOW_MS
+const actionLimiter = createRateLimiter({
+  limit: Number(process.env.RATE_LIMIT_ACTIONS || 8),
+  windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS || 5000),
+});
+
+// Telegram redelivers updates it thinks were not handled; each callback query is handled once
+const seenCallbackQueries = createRecentIds(10 * 60 * 1000);
+
+bot.use(async (ctx, next) => {
+  if (!ctx.from) {
+    return next();
+  }
+  if (ctx.callbackQuery && !seenCallbackQueries.add(ctx.callbackQuery.id)) {
+    logger.warn(`Ignored repeated callback query ${ctx.callbackQuery.id} from Telegram ID ${ctx.from.id}.`);
+    return;
+  }
+  const { allowed, firstRejection, retryAfterMs } = actionLimiter.hit(ctx.from.id);
+  if (allowed) {
+    return next();
+  }
+  const seconds = Math.ceil(retryAfterMs / 1000);
+  if (firstRejection) {
+    logger.warn(`Rate limited Telegram ID ${ctx.from.id} for ${seconds}s.`);
+  }
+  if (ctx.callbackQuery) {
+    await ctx.answerCbQuery(`🐢 Slow down! Try again in ${seconds}s.`).catch(() => {});
+  } else if (firstRejection) {
+    // Told once per burst, so a flood of messages does not get a flood of replies
+    await ctx.reply(`🐢 *Slow down!* You are sending too fast. Try again in ${seconds} seconds.`, {
+      parse_mode: 'Markdown',
+    });
+  }
+});
+
+// Frozen accounts (see /freeze) cannot use the bot; admins are never frozen
+bot.use(async (ctx, next) => {
+  if (!ctx.from || admins.getRole(ctx.from.id) || !(await sqliteDB.isUserFrozen(ctx.from.id))) {
+    return next();
+  }
+  logger.info(`Ignored an update from frozen user ${ctx.from.id}.`);
+  if (ctx.callbackQuery) {
+    await ctx.answerCbQuery('Your account is frozen.').catch(() => {});
+  }
+  await ctx.reply('🧊 *Your account is frozen.* Please contact support.', { parse_mode: 'Markdown' });
+});
+
+// --------------------- Initialize Chain ---------------------
 
 // Team Wallet
 const TEAM_WALLET_ADDRESS = process.env.TEAM_WALLET_ADDRESS;
 
-// Initialize Provider for Sepolia Testnet
-const provider = new ethers.providers.InfuraProvider(
-  'sepolia',
-  process.env.INFURA_PROJECT_ID
-);
-
-// Initialize Pool Wallet (Used for both Deposits and Withdrawals)
-const poolWallet = new ethers.Wallet(process.env.POOL_PRIVATE_KEY, provider);
+// Chat (group or channel ID) told about every jackpot hit; unset to keep hits private
+const JACKPOT_ANNOUNCE_CHAT_ID = process.env.JACKPOT_ANNOUNCE_CHAT_ID;
 
-// Initialize USDC Contract with Pool Wallet
-const usdcAbi = [
-  'function transfer(address to, uint256 value) public returns (bool)',
-  'function balanceOf(address account) public view returns (uint256)',
-];
-const usdcContract = new ethers.Contract(
-  process.env.USDC_CONTRACT_ADDRESS,
-  usdcAbi,
-  poolWallet
-);
+// Chain adapter for the configured network (NETWORK) and pool wallet (used for both Deposits and Withdrawals)
+const chain = getChain();
 
 // --------------------- Helper Functions ---------------------
 
+/**
+ * Formats a transaction hash as a Markdown link to the network's block explorer.
+ * @param {string} txHash - The transaction hash.
+ * @returns {string} - The link, or the bare hash if the network has no explorer.
+ */
+const formatTxLink = (txHash) => {
+  const url = getTxUrl(txHash);
+  return url ? `[${txHash}](${url})` : `\`${txHash}\``;
+};
+
 /**
  * Validates if the input string is a valid positive number.
  * @param {string} input - The input string to validate.
+ * @param {string} [currency] - When given, also rejects more decimals than the currency supports.
  * @returns {boolean} - Returns true if valid, else false.
  */
-const isValidAmount = (input) => {
+const isValidAmount = (input, currency) => {
   const amount = Number(input);
-  return !isNaN(amount) && amount > 0 && /^\d+(\.\d+)?$/.test(input);
+  if (isNaN(amount) || amount <= 0 || !/^\d+(\.\d+)?$/.test(input)) {
+    return false;
+  }
+  const fraction = input.split('.')[1] || '';
+  return !currency || fraction.length <= units.getDecimals(currency);
+};
+
+// Game math (config/games): slot XP, the Jackpot Bet's stake, XP and jackpot tiers, and the rewards
+const SLOT_XP = slotMachine.config.xp;
+const JACKPOT_GAME = getGameConfig('jackpot');
+const REWARDS = getGameConfig('rewards');
+
+// Stake of a Jackpot Bet, also the balance needed to be offered one (in GAME_TOKEN)
+const JACKPOT_BET = JACKPOT_GAME.stake;
+
+// Jackpot tiers of the active definition, held in the game token
+const jackpotSystem = createJackpotSystem(JACKPOT_GAME, GAME_TOKEN);
+
+// Admin actions, shared by the admin commands and the admin API
+const adminActions = createAdminActions({
+  currency: GAME_TOKEN,
+  jackpotSystem,
+  notifyUser: (telegramId, text) => bot.telegram.sendMessage(telegramId, text, { parse_mode: 'Markdown' }),
+  onDepositCredited: (deposit) => notifyDeposit('credited', deposit),
+  getTransactionDeposits: (txHash) => getDepositsFromTransaction(depositSettings, txHash),
+  reconcile: () => reconcile({ chain, alert: alertReconciliation }),
+});
+
+/**
+ * Identifies the admin behind a chat command.
+ * @param {Object} ctx - The Telegraf context of the admin command.
+ * @returns {{id: number, source: string}} - The acting admin, for admin actions.
+ */
+const getChatAdmin = (ctx) => ({ id: ctx.from.id, source: 'telegram' });
+
+/**
+ * Records an admin command in the audit trail (see adminActions.audit).
+ * @param {Object} ctx - The Telegraf context of the admin command.
+ * @param {string} action - What was done, e.g. 'lookup_user'.
+ * @param {string|number} [target] - Who or what it was done to.
+ * @param {Object} [details] - Anything else worth keeping.
+ * @returns {Promise<void>}
+ */
+const auditAdminAction = (ctx, action, target, details) => adminActions.audit(getChatAdmin(ctx), action, target, details);
+
+// Codes of admin action failures reported to the admin as warnings rather than errors
+const ADMIN_WARNING_CODES = [...Object.values(ADMIN_ERROR_CODES), sqliteDB.ERROR_CODES.INSUFFICIENT_BALANCE];
+
+/**
+ * Replies to an admin command that failed.
+ * @param {Object} ctx - The Telegraf context.
+ * @param {Error} error - The failure.
+ * @param {string} doing - What the command was doing, e.g. 'approving claim #3'.
+ * @returns {Promise<void>}
+ */
+const replyAdminError = async (ctx, error, doing) => {
+  if (ADMIN_WARNING_CODES.includes(error.code)) {
+    await ctx.reply(`⚠️ ${error.message}`);
+    return;
+  }
+  await ctx.reply(`❌ Error ${doing}: ${error.message}`);
+  logger.error(`Error ${doing}:`, error.message);
+};
+
+// Level-up bonus (in GAME_TOKEN)
+const LEVEL_BONUS = REWARDS.levelBonus;
+
+/**
+ * Returns the stake of a Jackpot Bet. Parsed on use, as the game token's decimals are read from chain on startup.
+ * @returns {ethers.BigNumber} - The stake, in base units.
+ */
+const getJackpotBetAmount = () => units.parseAmount(JACKPOT_BET, GAME_TOKEN);
+
+// Chance of a Jackpot Bet winning any tier
+const JACKPOT_WIN_CHANCE = jackpotSystem.tiers.reduce((total, tier) => total + tier.winChance, 0);
+
+/**
+ * Lists the jackpot tiers with their current amounts.
+ * @param {Object<string, {amount: string}>} jackpots - The tiers from sqliteDB.getJackpotTiers.
+ * @returns {string} - Markdown lines, one per tier.
+ */
+const formatJackpotTiers = (jackpots) =>
+  jackpotSystem.tiers.map((tier) => jackpotSystem.describeTier(tier, (jackpots[tier.id] || {}).amount || '0')).join('\n');
+
+/**
+ * Lists the commitments to the hidden drop points of the capped jackpot tiers.
+ * @param {Object<string, {dropHash: string|null}>} jackpots - The tiers from sqliteDB.getJackpotTiers.
+ * @returns {string} - Markdown lines, one per capped tier (empty if there are none).
+ */
+const formatDropCommitments = (jackpots) =>
+  jackpotSystem.tiers
+    .filter((tier) => jackpots[tier.id] && jackpots[tier.id].dropHash)
+    .map((tier) => `${tier.emoji} ${tier.name}: \`${jackpots[tier.id].dropHash}\``)
+    .join('\n');
+
+// Names of the jackpot tiers that must drop by a cap
+const CAPPED_TIER_NAMES = jackpotSystem.tiers.filter((tier) => tier.mustDropBy).map((tier) => tier.name);
+
+/**
+ * Tells a player about jackpots that dropped on their bet.
+ * @param {Telegraf.Context} ctx - The Telegraf context.
+ * @param {Array<{tier: string, amount: string, dropAt: string|null, dropSalt: string|null}>} hits - Jackpots paid
+ *   by the bet (settlement.jackpotHits).
+ * @returns {Promise<void>}
+ */
+const announceJackpotHits = async (ctx, hits) => {
+  for (const { tier, amount, dropAt, dropSalt } of hits) {
+    const { emoji, name } = jackpotSystem.getTier(tier);
+    const amountDisplay = units.formatAmount(amount, GAME_TOKEN, 2);
+    await ctx.reply(
+      `${emoji} *${name.toUpperCase()} JACKPOT DROPPED!*\n\nYour bet took the ${name} jackpot to its drop point. *${amountDisplay} ${GAME_TOKEN}* has been added to your in-game balance.${
+        dropSalt ? `\n\nDrop point: \`${dropAt}\` | Salt: \`${dropSalt}\`` : ''
+      }`,
+      { parse_mode: 'Markdown' }
+    );
+    logger.info(`User ${ctx.from.id} won the must-drop ${tier} jackpot: ${amountDisplay} ${GAME_TOKEN}.`);
+  }
+};
+
+// Jackpot hits recorded before tiers existed paid the single jackpot
+const LEGACY_JACKPOT_TIER = { emoji: '💰', name: 'Jackpot' };
+
+/**
+ * Looks up the emoji and name of the tier a jackpot hit paid.
+ * @param {string} tierId - The tier id (jackpot_hits.tier).
+ * @returns {{emoji: string, name: string}} - The tier, or a generic label for tiers no longer configured.
+ */
+const getHitTier = (tierId) => jackpotSystem.getTier(tierId) || LEGACY_JACKPOT_TIER;
+
+/**
+ * Announces a bet's jackpot hits in JACKPOT_ANNOUNCE_CHAT_ID, if set. Failures are
+ * logged and never affect the bet, which is already settled.
+ * @param {Object} settlement - The settlement returned by sqliteDB.settleBet.
+ * @param {string|null} username - The winner's username.
+ * @returns {Promise<void>}
+ */
+const broadcastJackpotHits = async (settlement, username) => {
+  if (!JACKPOT_ANNOUNCE_CHAT_ID) {
+    return;
+  }
+  const { seed } = settlement;
+  for (const hit of settlement.jackpotHits) {
+    const { emoji, name } = getHitTier(hit.tier);
+    try {
+      await bot.telegram.sendMessage(
+        JACKPOT_ANNOUNCE_CHAT_ID,
+        `${emoji} *${name.toUpperCase()} JACKPOT HIT!*\n\n${escapeMarkdown(username || 'Anonymous')} just won *${units.formatAmount(
+          hit.amount,
+          GAME_TOKEN,
+          2
+        )} ${GAME_TOKEN}*${hit.mustDrop ? ' as the jackpot reached its drop point' : ''}!\n\n*Server Seed Hash:* \`${
+          seed.serverSeedHash
+        }\`\n*Nonce:* ${seed.nonce}`,
+        { parse_mode: 'Markdown' }
+      );
+    } catch (error) {
+      logger.warn(`Could not announce jackpot hit #${hit.id} in chat ${JACKPOT_ANNOUNCE_CHAT_ID}: ${error.message}`);
+    }
+  }
+};
+
+// Bet amounts offered in the Play scene to users without saved presets (in GAME_TOKEN)
+const BET_AMOUNTS = ['5', '10', '100', '1000', '10000'];
+
+// Smallest and largest slot stake (in GAME_TOKEN), from config/games/slots.json
+const SLOT_LIMITS = slotMachine.config.limits;
+
+// Callback data of quick-bet buttons: bet_<stake in base units>
+const BET_CALLBACK_PATTERN = /^bet_(\d+)$/;
+const PRESET_ADD_PREFIX = 'preset_add_';
+const PRESET_REMOVE_PREFIX = 'preset_remove_';
+
+/**
+ * Checks a slot stake against the minimum and maximum bet.
+ * @param {ethers.BigNumberish} stake - The stake, in base units of the game token.
+ * @returns {string|null} - Why the stake is not allowed, or null if it is.
+ */
+const checkBetLimits = (stake) => {
+  const value = BigNumber.from(stake);
+  if (value.lt(units.parseAmount(SLOT_LIMITS.minBet, GAME_TOKEN))) {
+    return `The minimum bet is ${SLOT_LIMITS.minBet} ${GAME_TOKEN}.`;
+  }
+  if (value.gt(units.parseAmount(SLOT_LIMITS.maxBet, GAME_TOKEN))) {
+    return `The maximum bet is ${SLOT_LIMITS.maxBet} ${GAME_TOKEN}.`;
+  }
+  return null;
+};
+
+/**
+ * Formats a stake for a button label, e.g. "1,000 USDC".
+ * @param {ethers.BigNumberish} stake - The stake, in base units of the game token.
+ * @returns {string} - The label.
+ */
+const formatStakeLabel = (stake) =>
+  `${Number(units.formatAmount(stake, GAME_TOKEN)).toLocaleString('en-US', { maximumFractionDigits: 6 })} ${GAME_TOKEN}`;
+
+/**
+ * Returns the stakes offered on a user's play keyboard: their saved presets, or the default amounts.
+ * @param {number} telegramId - The user's Telegram ID.
+ * @returns {Promise<{stakes: string[], saved: boolean}>} - Stakes in base units, and whether they are the user's own.
+ */
+const getQuickBetStakes = async (telegramId) => {
+  const presets = await sqliteDB.getBetPresets(telegramId, GAME_TOKEN);
+  if (presets.length > 0) {
+    return { stakes: presets, saved: true };
+  }
+  return { stakes: BET_AMOUNTS.map((amount) => units.parseAmount(amount, GAME_TOKEN).toString()), saved: false };
+};
+
+/**
+ * Builds the buttons shown under a slot result: repeat, double and half the
+ * stake (where within the bet limits) and save it as a preset.
+ * @param {ethers.BigNumberish} stake - The stake of the bet, in base units.
+ * @param {string[]} presets - The user's saved presets.
+ * @returns {Object} - The inline keyboard markup.
+ */
+const buildBetResultKeyboard = (stake, presets) => {
+  const value = BigNumber.from(stake);
+  const rebets = [Markup.button.callback(`🔁 Repeat ${formatStakeLabel(value)}`, `bet_${value}`)];
+  const double = value.mul(2);
+  if (!checkBetLimits(double)) {
+    rebets.push(Markup.button.callback(`⏫ Double ${formatStakeLabel(double)}`, `bet_${double}`));
+  }
+  const half = value.div(2);
+  if (!checkBetLimits(half)) {
+    rebets.push(Markup.button.callback(`⏬ Half ${formatStakeLabel(half)}`, `bet_${half}`));
+  }
+  const rows = [rebets];
+  if (!presets.includes(value.toString())) {
+    rows.push([Markup.button.callback('⭐ Save as Preset', `${PRESET_ADD_PREFIX}${value}`)]);
+  }
+  return Markup.inlineKeyboard(rows);
+};
+
+// Messages whose bet buttons still work, by Telegram ID. A resolved spin retires all of
+// them, so each bet button places at most one bet; its result brings fresh ones.
+const liveBetKeyboards = new Map();
+
+// Telegram IDs with a spin being settled
+const spinsInFlight = new Set();
+
+/**
+ * Marks the bet buttons of a message as live.
+ * @param {number} telegramId - The user's Telegram ID.
+ * @param {Object} message - The message sent with the buttons.
+ */
+const trackBetKeyboard = (telegramId, message) => {
+  if (!liveBetKeyboards.has(telegramId)) {
+    liveBetKeyboards.set(telegramId, new Set());
+  }
+  liveBetKeyboards.get(telegramId).add(message.message_id);
+};
+
+/**
+ * Retires every bet button a user has been shown, once one of their spins resolves.
+ * @param {number} telegramId - The user's Telegram ID.
+ */
+const retireBetKeyboards = (telegramId) => {
+  liveBetKeyboards.set(telegramId, new Set());
+};
+
+/**
+ * Checks whether callback data places a bet: a quick bet or the Jackpot Bet.
+ * @param {string} data - The callback data.
+ * @returns {boolean}
+ */
+const isSpinCallback = (data) => BET_CALLBACK_PATTERN.test(data) || data === 'jackpot_yes';
+
+// One spin at a time per user, and only from live bet buttons. Checked before the
+// scenes answer the callback, so the refusal can go back through answerCbQuery.
+bot.use(async (ctx, next) => {
+  const data = ctx.callbackQuery && ctx.callbackQuery.data;
+  if (!data || !isSpinCallback(data)) {
+    return next();
+  }
+  const telegramId = ctx.from.id;
+  if (spinsInFlight.has(telegramId)) {
+    await ctx.answerCbQuery('⏳ Slow down! Your last spin is still resolving.').catch(() => {});
+    return;
+  }
+  // Users shown no bet buttons since the bot started may use any they still have
+  const live = liveBetKeyboards.get(telegramId);
+  const { message } = ctx.callbackQuery;
+  if (live && message && !live.has(message.message_id)) {
+    await ctx.answerCbQuery('⌛ These bet buttons have expired. Use the ones under your latest result.').catch(() => {});
+    return;
+  }
+  spinsInFlight.add(telegramId);
+  try {
+    await next();
+  } finally {
+    spinsInFlight.delete(telegramId);
+  }
+});
+
+/**
+ * Computes the provably fair roll of a bet from the seed reserved for it.
+ * @param {{serverSeed: string, serverSeedHash: string, clientSeed: string, nonce: number}} seed - The seed pair and nonce of the bet.
+ * @returns {{roll: number, serverSeedHash: string, clientSeed: string, nonce: number}} - The roll and its public proof.
+ */
+const rollFromSeed = ({ serverSeed, serverSeedHash, clientSeed, nonce }) => ({
+  roll: fairness.getRoll(serverSeed, clientSeed, nonce),
+  serverSeedHash,
+  clientSeed,
+  nonce,
+});
+
+/**
+ * Spins the slot reels with the provably fair floats of a bet.
+ * @param {{serverSeed: string, clientSeed: string, nonce: number}} seed - The seed pair and nonce of the bet.
+ * @returns {Object} - The spin result (see services/slots.js).
+ */
+const spinFromSeed = ({ serverSeed, clientSeed, nonce }) =>
+  slotMachine.spin(fairness.getRollFloats(serverSeed, clientSeed, nonce, slotMachine.reelCount));
+
+/**
+ * Computes the slot table limit from the house bankroll.
+ * @param {ethers.BigNumberish} bankroll - The bankroll, in base units of the game token.
+ * @returns {ethers.BigNumber|null} - The largest stake allowed, or null if unlimited.
+ */
+const getSlotTableLimit = (bankroll) => risk.getMaxStake(bankroll, slotMachine.getMaxMultiplier());
+
+/**
+ * Describes a table limit for display.
+ * @param {ethers.BigNumber|null} maxStake - The limit from getSlotTableLimit.
+ * @returns {string} - A Markdown line.
+ */
+const describeTableLimit = (maxStake) => {
+  if (maxStake === null) {
+    return '*Table limit:* none';
+  }
+  if (maxStake.isZero()) {
+    return '*Table limit:* betting is paused until the bankroll is refilled.';
+  }
+  return `*Table limit:* ${units.formatAmount(maxStake, GAME_TOKEN, 2)} ${GAME_TOKEN} per spin`;
+};
+
+/**
+ * Formats a slot spin for display: the reel grid followed by its wins.
+ * @param {Object} spin - The spin result.
+ * @returns {string} - Markdown lines showing the reels.
+ */
+const formatSpin = (spin) => {
+  const wins = slotMachine.describeWins(spin);
+  return `${slotMachine.renderGrid(spin.grid)}${wins ? `\n\n${wins}` : ''}`;
 };
 
 /**
- * Generates a secure random number between 0 and 1 using user-provided entropy.
- * @param {string} userEntropy - User-specific entropy (e.g., wallet address).
- * @returns {number} - A secure random number between 0 (inclusive) and 1 (exclusive).
+ * Formats the fairness proof of a bet for display.
+ * @param {Object} proof - The proof returned by rollFromSeed.
+ * @returns {string} - Markdown lines describing the proof.
  */
-const generateSecureRandom = (userEntropy) => {
-  const timestamp = Date.now().toString();
-  const randomBytes = crypto.randomBytes(16).toString('hex');
-  const seed = crypto
-    .createHash('sha256')
-    .update(userEntropy + timestamp + randomBytes)
-    .digest('hex');
+const formatFairnessProof = (proof) =>
+  `*Server Seed Hash:* \`${proof.serverSeedHash}\`\n*Client Seed:* \`${proof.clientSeed}\`\n*Nonce:* ${proof.nonce}\n*Roll:* \`${proof.roll}\`\n\nUse /fairness to rotate your seeds and /verify to check this bet.`;
 
-  // Convert the first 8 characters of the hash to a number
-  const hashSlice = seed.slice(0, 8);
-  const num = parseInt(hashSlice, 16);
+/**
+ * Formats a user's balance of every configured token for display.
+ * @param {Object} user - The user, as returned by getUserByTelegramId.
+ * @param {number} [displayDecimals=6] - Maximum fraction digits shown.
+ * @returns {string} - One Markdown line per token.
+ */
+const formatBalances = (user, displayDecimals = 6) =>
+  tokens
+    .getTokens()
+    .map(({ symbol }) => `- *${symbol}:* ${units.formatAmount(user.balances[symbol] || '0', symbol, displayDecimals)} ${symbol}`)
+    .join('\n');
 
-  // Normalize to [0,1)
-  return num / 0xFFFFFFFF;
+/**
+ * Builds the deposit instructions, listing every accepted token.
+ * @returns {string} - The Markdown message.
+ */
+const buildDepositMessage = () => {
+  const { poolAddress } = chain;
+  const tokenLines = tokens
+    .getTokens()
+    .map(({ symbol, minDeposit }) => `- *${symbol}*${minDeposit ? ` (minimum ${minDeposit} ${symbol})` : ''}`)
+    .join('\n');
+  return `📥 *Depositing Funds (${network.name})*\n\nPlease transfer your desired amount to the pool address below:\n\n\`${poolAddress}\`\n\nAccepted tokens:\n${tokenLines}\n\nYour balances will update automatically upon successful deposits.`;
 };
 
 /**
@@ -108,16 +532,6 @@ const getBadge = (level) => {
   return badges[level] || '✨ Novice';
 };
 
-/**
- * Checks if the jackpot pool has sufficient USDC for rewards.
- * @param {number} requiredAmount - The amount of USDC required.
- * @returns {Promise<boolean>} - True if sufficient, else false.
- */
-const isPoolFunded = async (requiredAmount) => {
-  const currentJackpot = await sqliteDB.getJackpot();
-  return currentJackpot >= requiredAmount;
-};
-
 /**
  * Applies rewards based on the user's new level.
  * @param {Object} telegram - The telegram object to send messages.
@@ -127,35 +541,24 @@ const isPoolFunded = async (requiredAmount) => {
 const applyLevelRewards = async (telegram, telegramId, newLevel) => {
   const reward = levels[newLevel]?.reward || '';
 
-  if (reward.includes('USDC')) {
-    const bonusUSDC = 10; // Fixed bonus
+  if (reward.includes(GAME_TOKEN)) {
+    const bonus = units.parseAmount(LEVEL_BONUS, GAME_TOKEN);
+    const display = `${units.formatAmount(bonus, GAME_TOKEN)} ${GAME_TOKEN}`;
 
-    const poolFunded = await isPoolFunded(bonusUSDC);
-    if (!poolFunded) {
+    // Move the bonus from the promo budget to the user's balance, or owe it until the budget is topped up
+    if (!(await sqliteDB.grantLevelReward(telegramId, newLevel, GAME_TOKEN, bonus))) {
       await telegram.sendMessage(
         telegramId,
-        '⚠️ *Insufficient funds in the pool to grant your reward. Please try again later.*',
+        `⚠️ *No bonus was paid yet:* the promo budget cannot cover it right now. Your bonus of *${display}* is recorded and will be added to your balance once the budget is topped up.`,
         { parse_mode: 'Markdown' }
       );
+      logger.warn(`Promo budget cannot cover the level ${newLevel} bonus of user ${telegramId}; it is owed.`);
       return;
     }
 
-    // Credit the user's USDC balance
-    const user = await sqliteDB.getUserByTelegramId(telegramId);
-    const updatedUsdcBalance = parseFloat((user.usdc_balance + bonusUSDC).toFixed(6));
-    await sqliteDB.updateUserUsdcBalance(telegramId, updatedUsdcBalance);
-
-    // Deduct from the pool
-    const newJackpot = parseFloat((await sqliteDB.getJackpot() - bonusUSDC).toFixed(6));
-    await sqliteDB.updateJackpot(newJackpot);
-
     // Notify the user
-    await telegram.sendMessage(
-      telegramId,
-      `💰 You've received a bonus of *${bonusUSDC} USDC*!`,
-      { parse_mode: 'Markdown' }
-    );
-    logger.info(`Granted bonus of ${bonusUSDC} USDC to user ${telegramId}.`);
+    await telegram.sendMessage(telegramId, `💰 You've received a bonus of *${display}*!`, { parse_mode: 'Markdown' });
+    logger.info(`Granted bonus of ${display} to user ${telegramId}.`);
   } else {
     await telegram.sendMessage(
       telegramId,
@@ -205,7 +608,7 @@ const sendMainMenu = async (ctx) => {
   const mainMenuMessage = `
 🏠 *Main Menu*
 
-Try your luck for the **JACKPOT** after every win (Bet 100 USDC)!
+Try your luck for the **JACKPOT** after every win (Bet ${JACKPOT_BET} ${GAME_TOKEN})!
 
 Choose an option below:
   `;
@@ -227,6 +630,10 @@ Choose an option below:
       Markup.button.callback('💎 Jackpot Pool', 'view_pool'), // Added 'Jackpot Pool'
       Markup.button.callback('📈 Check Level', 'level'), // Added 'Check Level'
     ],
+    [
+      Markup.button.callback('🏛 Hall of Fame', 'hall_of_fame'),
+      Markup.button.callback('🛡 Limits', 'limits'),
+    ],
   ]);
 
   logger.info(`Sending Main Menu to Telegram ID ${ctx.from.id}`);
@@ -238,31 +645,119 @@ Choose an option below:
 
 // --------------------- Level Configurations ---------------------
 
-// Define level configurations with only 10 USDC reward
+// Define level configurations with only the level-up bonus as reward
 const levels = {
-  1: { xp: 0, reward: 'Welcome Bonus: 10 USDC' },
-  2: { xp: 100, reward: 'Level Up Bonus: 10 USDC' },
-  3: { xp: 300, reward: 'Level Up Bonus: 10 USDC' },
-  4: { xp: 600, reward: 'Level Up Bonus: 10 USDC' },
-  5: { xp: 1000, reward: 'Level Up Bonus: 10 USDC' },
-  6: { xp: 1500, reward: 'Level Up Bonus: 10 USDC' },
-  7: { xp: 2100, reward: 'Level Up Bonus: 10 USDC' },
-  8: { xp: 2800, reward: 'Level Up Bonus: 10 USDC' },
-  9: { xp: 3600, reward: 'Level Up Bonus: 10 USDC' },
-  10: { xp: 4500, reward: 'Level Up Bonus: 10 USDC' },
+  1: { xp: 0, reward: `Welcome Bonus: ${LEVEL_BONUS} ${GAME_TOKEN}` },
+  2: { xp: 100, reward: `Level Up Bonus: ${LEVEL_BONUS} ${GAME_TOKEN}` },
+  3: { xp: 300, reward: `Level Up Bonus: ${LEVEL_BONUS} ${GAME_TOKEN}` },
+  4: { xp: 600, reward: `Level Up Bonus: ${LEVEL_BONUS} ${GAME_TOKEN}` },
+  5: { xp: 1000, reward: `Level Up Bonus: ${LEVEL_BONUS} ${GAME_TOKEN}` },
+  6: { xp: 1500, reward: `Level Up Bonus: ${LEVEL_BONUS} ${GAME_TOKEN}` },
+  7: { xp: 2100, reward: `Level Up Bonus: ${LEVEL_BONUS} ${GAME_TOKEN}` },
+  8: { xp: 2800, reward: `Level Up Bonus: ${LEVEL_BONUS} ${GAME_TOKEN}` },
+  9: { xp: 3600, reward: `Level Up Bonus: ${LEVEL_BONUS} ${GAME_TOKEN}` },
+  10: { xp: 4500, reward: `Level Up Bonus: ${LEVEL_BONUS} ${GAME_TOKEN}` },
   // Add more levels as needed
 };
 
+// --------------------- Responsible Gaming ---------------------
+
+const { LIMIT_KIND_LABELS, LIMIT_PERIOD_LABELS } = responsibleGaming;
+
+// Bet errors raised by the player's own cool-off, self-exclusion or limits
+const PLAY_BLOCK_CODES = [sqliteDB.ERROR_CODES.PLAY_RESTRICTED, sqliteDB.ERROR_CODES.LIMIT_REACHED];
+
+/**
+ * Formats a UTC time from the database for display.
+ * @param {string} time - 'YYYY-MM-DD HH:MM:SS'.
+ * @returns {string} - The time to the minute.
+ */
+const formatUtcTime = (time) => `${time.slice(0, 16)} UTC`;
+
+/**
+ * Formats an amount of the game token, with a sign when it is a gain.
+ * @param {ethers.BigNumberish} amount - The amount in base units.
+ * @returns {string} - e.g. '+12.5 USDC' or '-3 USDC'.
+ */
+const formatNetResult = (amount) =>
+  `${BigNumber.from(amount).gt(0) ? '+' : ''}${units.formatAmount(amount, GAME_TOKEN, 2)} ${GAME_TOKEN}`;
+
+/**
+ * Explains why a bet was refused by the player's cool-off, self-exclusion or limits.
+ * @param {Error} error - A PLAY_RESTRICTED or LIMIT_REACHED error from sqliteDB.settleBet.
+ * @returns {string} - A Markdown message.
+ */
+const describePlayBlock = (error) => {
+  if (error.code === sqliteDB.ERROR_CODES.PLAY_RESTRICTED) {
+    const { type, until } = error.restriction;
+    const status =
+      type === 'exclusion'
+        ? `⛔ *You are self-excluded until ${formatUtcTime(until)}.*`
+        : `⏸ *You are on a break until ${formatUtcTime(until)}.*`;
+    return `${status}\n\nBetting is closed until then. You can still check your balance and withdraw.`;
+  }
+  const { kind, period, limit, used } = error.limit;
+  const left = BigNumber.from(limit).sub(used);
+  return `🛡 *This bet would go over your ${LIMIT_PERIOD_LABELS[period].toLowerCase()} ${kind} limit* of ${units.formatAmount(
+    limit,
+    GAME_TOKEN
+  )} ${GAME_TOKEN}.\n\nYou can stake up to *${units.formatAmount(left.gt(0) ? left : 0, GAME_TOKEN)} ${GAME_TOKEN}* more in this window. Use /limits to review your limits.`;
+};
+
+/**
+ * Counts a settled bet towards the user's play session and sends a reality check when one is due.
+ * @param {Telegraf.Context} ctx - The Telegram context.
+ * @param {Object} user - The user, as read before the bet.
+ * @param {Object} settlement - The result of sqliteDB.settleBet.
+ */
+const sendRealityCheck = async (ctx, user, settlement) => {
+  const session = responsibleGaming.recordPlay(
+    user.telegram_id,
+    BigNumber.from(settlement.balanceAfter).sub(settlement.balanceBefore),
+    user.reality_check_minutes
+  );
+  if (!session) {
+    return;
+  }
+  await ctx.reply(
+    `⏰ *Reality Check*\n\nYou have been playing for *${session.minutes} minutes* (${session.bets} bets).\nNet result this session: *${formatNetResult(
+      session.net
+    )}*\n\nNeed a pause? Use /limits to take a break or set limits.`,
+    { parse_mode: 'Markdown' }
+  );
+};
+
 // --------------------- HandleBet Function ---------------------
 
+/**
+ * Announces XP earned from a settled bet, including any level-up and its reward.
+ * @param {Telegraf.Context} ctx - The Telegram context.
+ * @param {{newXP: number, newLevel: number, levelUp: boolean}} xpResult - Result of adding the XP.
+ * @param {number} xpEarned - The XP awarded.
+ */
+const announceXP = async (ctx, { newXP, newLevel, levelUp }, xpEarned) => {
+  if (levelUp) {
+    await ctx.replyWithMarkdown(
+      `🎉 *Level Up!* You've reached *Level ${newLevel}*. ${
+        levels[newLevel]?.reward || 'Congratulations!'
+      }`
+    );
+    await applyLevelRewards(ctx.telegram, ctx.from.id, newLevel);
+  } else {
+    await ctx.replyWithMarkdown(`📈 *XP Earned:* ${xpEarned} XP\n*Total XP:* ${newXP} XP`);
+  }
+};
+
 /**
  * Handles the betting logic for the Play Slots feature with secure RNG and XP integration.
+ * The whole settlement runs in one transaction while holding the user's lock.
  * @param {Telegraf.Context} ctx - The Telegram context.
- * @param {number} betAmount - The amount of USDC being bet.
+ * @param {string} betAmount - The amount being bet, in base units of the game token.
  */
 const handleBet = async (ctx, betAmount) => {
   const telegramId = ctx.from.id;
-  logger.info(`Handling bet: ${betAmount} USDC for Telegram ID ${telegramId}`);
+  const betDisplay = units.formatAmount(betAmount, GAME_TOKEN);
+  logger.info(`Handling bet: ${betDisplay} ${GAME_TOKEN} for Telegram ID ${telegramId}`);
   try {
     const user = await sqliteDB.getUserByTelegramId(telegramId);
     if (!user) {
@@ -272,42 +767,52 @@ const handleBet = async (ctx, betAmount) => {
       return;
     }
 
-    if (user.usdc_balance < betAmount) {
-      await ctx.reply('⚠️ *Insufficient USDC balance.* Please deposit USDC to play.', {
-        parse_mode: 'Markdown',
-      });
+    // Stakes also arrive from typed input and callback data, so the limits are checked here
+    const limitError = checkBetLimits(betAmount);
+    if (limitError) {
+      await ctx.reply(`⚠️ *${limitError}* Please choose a different amount.`, { parse_mode: 'Markdown' });
       return;
     }
 
-    // Deduct bet amount from user's USDC balance
-    const newUsdcBalance = parseFloat((user.usdc_balance - betAmount).toFixed(6));
-    await sqliteDB.updateUserUsdcBalance(telegramId, newUsdcBalance);
+    // Debit, roll, payout, stats and XP in a single transaction
+    const settlement = await withUserLock(telegramId, () =>
+      sqliteDB.settleBet({
+        telegramId,
+        game: 'slots',
+        currency: GAME_TOKEN,
+        stake: betAmount,
+        contributions: jackpotSystem.getContributions('slots', betAmount),
+        getReseed: jackpotSystem.getReseed,
+        getMaxStake: getSlotTableLimit,
+        resolveOutcome: ({ seed, jackpots }) => {
+          const proof = rollFromSeed(seed);
+          const spin = spinFromSeed(seed);
+          const isWin = spin.multiplier > 0;
+          return {
+            proof,
+            spin,
+            isWin,
+            roll: proof.roll,
+            payout: isWin ? units.multiplyAmount(betAmount, spin.multiplier) : '0',
+            // Tiers this bet's contributions took to their drop point
+            jackpotHits: jackpotSystem.getMustDrops(jackpots),
+            xp: isWin ? SLOT_XP.win : SLOT_XP.loss,
+          };
+        },
+      })
+    );
+    retireBetKeyboards(telegramId);
+    const { proof, spin, isWin, payout, xp } = settlement.outcome;
+    const newBalanceDisplay = units.formatAmount(settlement.balanceAfter, GAME_TOKEN);
+    await broadcastJackpotHits(settlement, user.username);
+    const resultKeyboard = buildBetResultKeyboard(betAmount, await sqliteDB.getBetPresets(telegramId, GAME_TOKEN));
     logger.info(
-      `User ${telegramId} placed a bet of ${betAmount} USDC. New USDC balance: ${newUsdcBalance} USDC`
+      `User ${telegramId} spin: stops ${spin.stops.join(',')} (nonce ${proof.nonce}, server seed hash ${proof.serverSeedHash}), Result: ${
+        isWin ? `win ${spin.multiplier}x` : 'lose'
+      }`
     );
 
-    // Add bet amount to the jackpot pool
-    const currentJackpot = await sqliteDB.getJackpot();
-    const newJackpot = parseFloat((currentJackpot + betAmount).toFixed(6));
-    await sqliteDB.updateJackpot(newJackpot);
-    logger.info(`Updated jackpot pool: ${newJackpot} USDC`);
-
-    // Generate secure random number using user's wallet address as entropy
-    const rng = generateSecureRandom(user.wallet_address);
-    logger.info(`Generated RNG for user ${telegramId}: ${rng}`);
-
-    // Determine result based on RNG
-    const result = rng < 0.25 ? 'win' : 'lose'; // 25% chance to win
-    logger.info(`User ${telegramId} RNG: ${rng}, Result: ${result}`);
-
-    // Log the seed (for verifiability purposes)
-    const seed = crypto
-      .createHash('sha256')
-      .update(user.wallet_address + Date.now().toString() + crypto.randomBytes(16))
-      .digest('hex');
-    logger.info(`Seed for user ${telegramId}: ${seed}`);
-
-    if (result === 'win') {
+    if (isWin) {
       // Random dancing GIF array
       const dancingGifs = [
         'https://media3.giphy.com/media/v1.Y2lkPTc5MGI3NjExOXBhdW9pMzloNG10czJtODhsbWJlMmliMGM4bWwycDRzZnRydXVwYiZlcD12MV9pbnRlcm5hbF9naWZfYnlfaWQmY3Q9Zw/LCdPNT81vlv3y/giphy.gif',
@@ -319,71 +824,33 @@ const handleBet = async (ctx, betAmount) => {
       ];
       const randomGif =
         dancingGifs[Math.floor(Math.random() * dancingGifs.length)];
-
-      // New payout logic (3.6x for 10% house edge)
-      const payout = betAmount * 3.6;
-      const updatedUsdcBalance = parseFloat(
-        (newUsdcBalance + payout).toFixed(6)
-      );
-      await sqliteDB.updateUserUsdcBalance(telegramId, updatedUsdcBalance);
-
-      // Deduct payout from jackpot pool
-      const updatedJackpotAfterPayout = parseFloat(
-        (newJackpot - payout).toFixed(6)
-      );
-      await sqliteDB.updateJackpot(updatedJackpotAfterPayout);
-      logger.info(
-        `Deducted ${payout} USDC from jackpot pool. New jackpot pool: ${updatedJackpotAfterPayout} USDC`
-      );
+      const payoutDisplay = units.formatAmount(payout, GAME_TOKEN);
 
       // Send dancing GIF
       await ctx.replyWithAnimation(randomGif); // Dancing GIF
 
       // Send win message
-      await ctx.reply(
-        `🎉 *You won!*\n\nPayout: *${payout} USDC* has been added to your in-game balance.\n\n*Your new USDC balance:* ${updatedUsdcBalance} USDC\n\n*RNG Seed:* \`${seed}\`\n*RNG Value:* \`${rng}\`\n\nTo withdraw your winnings, use the /withdraw command.`,
-        { parse_mode: 'Markdown' }
+      const resultMessage = await ctx.reply(
+        `${formatSpin(spin)}\n\n*${spin.tier.label}!* (${spin.multiplier}x)\n\nPayout: *${payoutDisplay} ${GAME_TOKEN}* has been added to your in-game balance.\n\n*Your new ${GAME_TOKEN} balance:* ${newBalanceDisplay} ${GAME_TOKEN}\n\n${formatFairnessProof(proof)}\n\nTo withdraw your winnings, use the /withdraw command.`,
+        { parse_mode: 'Markdown', ...resultKeyboard }
       );
+      trackBetKeyboard(telegramId, resultMessage);
       logger.info(
-        `User ${telegramId} won ${payout} USDC. New USDC balance: ${updatedUsdcBalance} USDC`
+        `User ${telegramId} won ${payoutDisplay} ${GAME_TOKEN}. New ${GAME_TOKEN} balance: ${newBalanceDisplay} ${GAME_TOKEN}`
       );
+      await announceJackpotHits(ctx, settlement.jackpotHits);
 
-      // *** JACKPOT Offer if user has >= 100 USDC ***
-      if (updatedUsdcBalance >= 100) {
+      // Award XP for winning
+      await announceXP(ctx, settlement.xp, xp);
+      await sendRealityCheck(ctx, user, settlement);
+
+      // *** JACKPOT Offer if user can afford the Jackpot Bet ***
+      if (BigNumber.from(settlement.balanceAfter).gte(getJackpotBetAmount())) {
         // Transition to 'jackpot_scene' to handle the offer
         await ctx.scene.enter('jackpot_scene');
         return; // Exit the function to wait for user action in jackpot_scene
       }
 
-      // Award XP for winning
-      await sqliteDB
-        .addUserXP(telegramId, 20)
-        .then(async ({ newXP, newLevel, levelUp }) => {
-          if (levelUp) {
-            await ctx.replyWithMarkdown(
-              `🎉 *Level Up!* You've reached *Level ${newLevel}*. ${
-                levels[newLevel]?.reward || 'Congratulations!'
-              }`
-            );
-            await applyLevelRewards(ctx.telegram, telegramId, newLevel);
-          } else {
-            await ctx.replyWithMarkdown(
-              `📈 *XP Earned:* 20 XP\n*Total XP:* ${newXP} XP`
-            );
-          }
-        });
-
-      // *** Single Update to User Statistics for a Win ***
-      await sqliteDB.updateUserStatsAfterBet(
-        telegramId,
-        betAmount,
-        true, // isWin
-        payout
-      );
-      logger.info(
-        `Updated user statistics for Telegram ID ${telegramId} with a win.`
-      );
-
       // If no jackpot offer, just leave scene & show main menu
       await ctx.scene.leave();
       await sendMainMenu(ctx);
@@ -391,41 +858,18 @@ const handleBet = async (ctx, betAmount) => {
       // Lost bet
 
       // Award XP for losing
-      await sqliteDB
-        .addUserXP(telegramId, 5)
-        .then(async ({ newXP, newLevel, levelUp }) => {
-          if (levelUp) {
-            await ctx.replyWithMarkdown(
-              `🎉 *Level Up!* You've reached *Level ${newLevel}*. ${
-                levels[newLevel]?.reward || 'Congratulations!'
-              }`
-            );
-            await applyLevelRewards(ctx.telegram, telegramId, newLevel);
-          } else {
-            await ctx.replyWithMarkdown(
-              `📈 *XP Earned:* 5 XP\n*Total XP:* ${newXP} XP`
-            );
-          }
-        });
-
-      await ctx.reply(
-        `😞 *You lost ${betAmount} USDC.*\n\n*Your new USDC balance:* ${newUsdcBalance} USDC\n\n*RNG Seed:* \`${seed}\`\n*RNG Value:* \`${rng}\``,
-        { parse_mode: 'Markdown' }
-      );
-      logger.info(
-        `User ${telegramId} lost ${betAmount} USDC. New USDC balance: ${newUsdcBalance} USDC`
-      );
+      await announceXP(ctx, settlement.xp, xp);
 
-      // *** Single Update to User Statistics for a Loss ***
-      await sqliteDB.updateUserStatsAfterBet(
-        telegramId,
-        betAmount,
-        false, // isWin
-        0 // payout
+      const resultMessage = await ctx.reply(
+        `${formatSpin(spin)}\n\n😞 *You lost ${betDisplay} ${GAME_TOKEN}.*\n\n*Your new ${GAME_TOKEN} balance:* ${newBalanceDisplay} ${GAME_TOKEN}\n\n${formatFairnessProof(proof)}`,
+        { parse_mode: 'Markdown', ...resultKeyboard }
       );
+      trackBetKeyboard(telegramId, resultMessage);
       logger.info(
-        `Updated user statistics for Telegram ID ${telegramId} with a loss.`
+        `User ${telegramId} lost ${betDisplay} ${GAME_TOKEN}. New ${GAME_TOKEN} balance: ${newBalanceDisplay} ${GAME_TOKEN}`
       );
+      await announceJackpotHits(ctx, settlement.jackpotHits);
+      await sendRealityCheck(ctx, user, settlement);
 
       // If no jackpot offer, just leave scene & show main menu
       if (!ctx.scene.current) {
@@ -434,22 +878,135 @@ const handleBet = async (ctx, betAmount) => {
       }
     }
   } catch (error) {
+    if (error.code === sqliteDB.ERROR_CODES.INSUFFICIENT_BALANCE) {
+      await ctx.reply(`⚠️ *Insufficient ${GAME_TOKEN} balance.* Please deposit ${GAME_TOKEN} to play.`, {
+        parse_mode: 'Markdown',
+      });
+      return;
+    }
+    if (PLAY_BLOCK_CODES.includes(error.code)) {
+      await ctx.reply(describePlayBlock(error), { parse_mode: 'Markdown' });
+      logger.info(`Refused ${betDisplay} ${GAME_TOKEN} bet of ${telegramId}: ${error.message}`);
+      return;
+    }
+    if (error.code === sqliteDB.ERROR_CODES.STAKE_LIMIT_EXCEEDED) {
+      await ctx.reply(
+        `⚠️ *Bet rejected: it is above the table limit.*\n\n${describeTableLimit(BigNumber.from(error.maxStake))}`,
+        { parse_mode: 'Markdown' }
+      );
+      logger.info(`Rejected ${betDisplay} ${GAME_TOKEN} bet of ${telegramId}: table limit ${error.maxStake}.`);
+      return;
+    }
     await ctx.reply('❌ Error processing your bet. Please try again later.');
-    logger.error(`Error processing USDC bet for Telegram ID ${telegramId}:`, error.message);
+    logger.error(`Error processing ${GAME_TOKEN} bet for Telegram ID ${telegramId}:`, error.message);
   }
 };
 
-// --------------------- Scenes ---------------------
-
-// Registration Scene
-const registrationScene = new Scenes.BaseScene('registration');
-registrationScene.enter((ctx) => {
-  logger.info(`Entering registration scene for Telegram ID ${ctx.from.id}`);
-
-  const welcomeMessage = `
+/**
+ * Shows the user's saved presets, each with a button to remove it.
+ * @param {Telegraf.Context} ctx - The Telegram context.
+ */
+const sendBetPresets = async (ctx) => {
+  const presets = await sqliteDB.getBetPresets(ctx.from.id, GAME_TOKEN);
+  const buttons = presets.map((preset) =>
+    Markup.button.callback(`❌ ${formatStakeLabel(preset)}`, `${PRESET_REMOVE_PREFIX}${preset}`)
+  );
+  buttons.push(Markup.button.callback('🎰 Back to Play', 'play'));
+  const message = presets.length
+    ? `⭐ *Your Bet Presets*\n\nTap a preset to remove it. You can save up to ${sqliteDB.MAX_BET_PRESETS}.`
+    : `⭐ *Your Bet Presets*\n\nYou have no saved presets, so the Play menu offers the default amounts.`;
+  await ctx.reply(
+    `${message}\n\nTo add one, place a bet and tap *⭐ Save as Preset* under the result.`,
+    { parse_mode: 'Markdown', ...Markup.inlineKeyboard(buttons, { columns: 2 }) }
+  );
+};
+
+/**
+ * Handles the quick-bet buttons of the Play menu and of bet results: bets,
+ * custom amounts and presets. They can be pressed from inside or outside the Play scene.
+ * @param {Telegraf.Context} ctx - The Telegram context.
+ * @param {string} data - The callback data.
+ * @returns {Promise<boolean>} - True if the callback was a quick-bet action.
+ */
+const handleQuickBetAction = async (ctx, data) => {
+  const telegramId = ctx.from.id;
+  const betMatch = BET_CALLBACK_PATTERN.exec(data);
+  if (betMatch) {
+    await handleBet(ctx, betMatch[1]);
+    return true;
+  }
+  if (data === 'bet_custom') {
+    ctx.session.state = 'awaiting_bet_amount';
+    await ctx.reply(
+      `✏️ *Custom Bet*\n\nEnter your stake in ${GAME_TOKEN} (${SLOT_LIMITS.minBet} to ${SLOT_LIMITS.maxBet}):`,
+      { parse_mode: 'Markdown' }
+    );
+    return true;
+  }
+  if (data === 'bet_presets') {
+    await sendBetPresets(ctx);
+    return true;
+  }
+  if (data.startsWith(PRESET_ADD_PREFIX) && /^\d+$/.test(data.slice(PRESET_ADD_PREFIX.length))) {
+    const stake = data.slice(PRESET_ADD_PREFIX.length);
+    const limitError = checkBetLimits(stake);
+    if (limitError) {
+      await ctx.reply(`⚠️ *${limitError}*`, { parse_mode: 'Markdown' });
+      return true;
+    }
+    const saved = await sqliteDB.addBetPreset(telegramId, GAME_TOKEN, stake);
+    await ctx.reply(
+      saved
+        ? `⭐ *${formatStakeLabel(stake)}* is now one of your bet presets.`
+        : `⚠️ *You already have ${sqliteDB.MAX_BET_PRESETS} presets.* Remove one first.`,
+      { parse_mode: 'Markdown' }
+    );
+    if (!saved) {
+      await sendBetPresets(ctx);
+    }
+    return true;
+  }
+  if (data.startsWith(PRESET_REMOVE_PREFIX) && /^\d+$/.test(data.slice(PRESET_REMOVE_PREFIX.length))) {
+    await sqliteDB.removeBetPreset(telegramId, GAME_TOKEN, data.slice(PRESET_REMOVE_PREFIX.length));
+    await sendBetPresets(ctx);
+    return true;
+  }
+  return false;
+};
+
+// --------------------- Scenes ---------------------
+
+// Wallet ownership challenges expire after 15 minutes
+const WALLET_CHALLENGE_TTL_MS = 15 * 60 * 1000;
+
+/**
+ * Builds the message a user signs (EIP-191 personal_sign) to prove they own a wallet.
+ * @param {number} telegramId - The user's Telegram ID.
+ * @param {{walletAddress: string, nonce: string}} challenge - The pending challenge.
+ * @returns {string} - The message to sign.
+ */
+const buildWalletChallengeMessage = (telegramId, { walletAddress, nonce }) =>
+  `FU MONEY DEGEN MADHOUSE wallet verification\nAddress: ${walletAddress}\nTelegram ID: ${telegramId}\nNonce: ${nonce}`;
+
+// Registration Scene
+const registrationScene = new Scenes.BaseScene('registration');
+registrationScene.enter(async (ctx) => {
+  logger.info(`Entering registration scene for Telegram ID ${ctx.from.id}`);
+
+  // Registered users come here to change their wallet
+  const user = await sqliteDB.getUserByTelegramId(ctx.from.id);
+  if (user) {
+    await ctx.reply(
+      `🔐 *Change Wallet*\n\nYour current wallet is \`${user.wallet_address}\`. Send the new wallet address below; you will be asked to sign a message with it to prove you own it.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+
+  const welcomeMessage = `
 👋 *Welcome to FU MONEY DEGEN MADHOUSE!*
 
-*TLDR; PROVIDE YOUR ETHEREUM ADDRESS TO START GAMBLING NOW.(BASE)*
+*TLDR; PROVIDE YOUR ETHEREUM ADDRESS TO START GAMBLING NOW. (${network.name.toUpperCase()})*
 
 🎰 *About the Game:*
 Use your FU MONEY tokens to place bets and win big. Every winning bet brings you closer to the *Jackpot Pool*, where massive rewards await the lucky few.
@@ -457,20 +1014,25 @@ Use your FU MONEY tokens to place bets and win big. Every winning bet brings you
 🔗 *Open Source Project by FU STUDIOS:* [github.com/sp0oby/fu-money-mania](https://github.com/sp0oby/fu-money-mania)
 
 💰 *How It Works:*
-1. **Register:** Provide your Ethereum wallet address to get started (Base)
+1. **Register:** Provide your Ethereum wallet address to get started (${network.name})
 2. **Deposit:** Add FU MONEY and ETH (to pay for withdraw gas fee) to your account securely.
 3. **Play:** Choose your bet amount and play.
-4. **Win:** Earn FU MONEY based on your bet. High-rollers can participate in *Jackpot Bets* for a chance to win the entire pool!
+4. **Win:** Earn FU MONEY based on your bet. High-rollers can participate in *Jackpot Bets* for a chance to win the Mini, Major or Grand jackpot!
 
 *Don't have any FU MONEY? Buy on Base: app.uniswap.org/swap?outputCurrency=0x8f4E4221ba88D4E9Bb76ECFB91d7C5ce08D7d5b9&chain=base*
 
 🔥 *Special Features:*
-- **Jackpot Pool:** Accumulate 10,000 FU MONEY or more to enter the Jackpot Bet with a chance to win the entire pool.
+- **Jackpot Pool:** Bet ${JACKPOT_BET} ${GAME_TOKEN} on the Jackpot Bet for a chance to win one of ${
+    jackpotSystem.tiers.length
+  } progressive jackpots.${
+    CAPPED_TIER_NAMES.length > 0 ? ` The ${CAPPED_TIER_NAMES.join(' and ')} jackpots must drop before they reach their cap.` : ''
+  }
 - **Leaderboards:** Compete with other players and climb the rankings based on your FU MONEY and ETH balances.
-- **Secure & Transparent:** All transactions are handled securely on the Sepolia Testnet.
+- **Secure & Transparent:** All transactions are handled securely on ${network.name}.
 
 🔐 *Secure Registration:*
 Please send your valid Ethereum wallet address below to ensure all your winnings are safely transferred to you. Double-check your address to avoid any loss of funds.
+You will then be asked to sign a short message with that wallet to prove it is yours. Signing is free and sends no transaction.
 Your private keys are never shared or stored. It is the safest and most secure way to play on-chain.
 
 💡 *Need Help?* Use the /help command at any time to see available commands and get assistance.
@@ -482,25 +1044,89 @@ Your private keys are never shared or stored. It is the safest and most secure w
 });
 registrationScene.on('text', async (ctx) => {
   const telegramId = ctx.from.id;
-  const walletAddress = ctx.message.text.trim();
+  const input = ctx.message.text.trim();
   const username = ctx.from.username || `${ctx.from.first_name || ''} ${ctx.from.last_name || ''}`.trim();
 
-  // Validate Ethereum address before updating the user
-  if (!ethers.utils.isAddress(walletAddress)) {
-    await ctx.reply('❌ *Invalid Ethereum address.* Please send a valid address.', {
-      parse_mode: 'Markdown',
-    });
+  // Step 1: an address starts a new ownership challenge
+  if (ethers.utils.isAddress(input)) {
+    try {
+      const walletAddress = ethers.utils.getAddress(input);
+      const owner = await sqliteDB.getUserByWalletAddress(walletAddress);
+      if (owner && owner.telegram_id !== telegramId) {
+        await ctx.reply('❌ *This wallet is already registered to another account.*', {
+          parse_mode: 'Markdown',
+        });
+        return;
+      }
+      const challenge = await sqliteDB.createWalletChallenge(
+        telegramId,
+        walletAddress,
+        WALLET_CHALLENGE_TTL_MS
+      );
+      await ctx.reply(
+        `✍️ *Verify your wallet*\n\nSign this exact message with \`${walletAddress}\` (personal\\_sign, e.g. with MetaMask or Etherscan's "Verify Signature" tool) and send the signature here. It expires in 15 minutes.\n\n\`\`\`\n${buildWalletChallengeMessage(
+          telegramId,
+          challenge
+        )}\n\`\`\``,
+        { parse_mode: 'Markdown' }
+      );
+      logger.info(`Issued wallet challenge for Telegram ID ${telegramId}, Wallet Address ${walletAddress}`);
+    } catch (error) {
+      await ctx.reply('❌ An error occurred during registration. Please try again.');
+      logger.error(`Error issuing wallet challenge for ${telegramId}:`, error.message);
+    }
+    return;
+  }
+
+  // Step 2: a signature answers the pending challenge
+  if (!/^0x[0-9a-fA-F]{130}$/.test(input)) {
+    await ctx.reply(
+      '❌ *Invalid input.* Please send a valid Ethereum address, or the signature of the verification message.',
+      { parse_mode: 'Markdown' }
+    );
     return;
   }
 
   try {
-    await sqliteDB.addOrUpdateUser(telegramId, username, walletAddress);
+    const challenge = await sqliteDB.consumeWalletChallenge(telegramId);
+    if (!challenge) {
+      await ctx.reply(
+        '⚠️ *No pending verification, or it has expired.* Please send your wallet address again.',
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    let signer = null;
+    try {
+      signer = ethers.utils.verifyMessage(buildWalletChallengeMessage(telegramId, challenge), input);
+    } catch (error) {
+      logger.warn(`Malformed wallet signature from Telegram ID ${telegramId}: ${error.message}`);
+    }
+    if (!signer || signer.toLowerCase() !== challenge.walletAddress.toLowerCase()) {
+      await ctx.reply(
+        '❌ *The signature does not match this wallet.* Please send your wallet address again to get a new message to sign.',
+        { parse_mode: 'Markdown' }
+      );
+      logger.warn(`Wallet verification failed for Telegram ID ${telegramId}, Wallet Address ${challenge.walletAddress}`);
+      return;
+    }
+
+    const owner = await sqliteDB.getUserByWalletAddress(challenge.walletAddress);
+    if (owner && owner.telegram_id !== telegramId) {
+      await ctx.reply('❌ *This wallet is already registered to another account.*', {
+        parse_mode: 'Markdown',
+      });
+      return;
+    }
+
+    await sqliteDB.addOrUpdateUser(telegramId, username, challenge.walletAddress);
     await ctx.reply(
-      '✅ *Registration successful!*\n\nYou can now use the bot commands. Use /help to see available commands.',
+      '✅ *Wallet verified. Registration successful!*\n\nYou can now use the bot commands. Use /help to see available commands.',
       { parse_mode: 'Markdown' }
     );
     logger.info(
-      `User registered: Telegram ID ${telegramId}, Username ${username}, Wallet Address ${walletAddress}`
+      `User registered: Telegram ID ${telegramId}, Username ${username}, Wallet Address ${challenge.walletAddress} (signature verified)`
     );
     ctx.scene.leave();
     await sendMainMenu(ctx);
@@ -511,51 +1137,41 @@ registrationScene.on('text', async (ctx) => {
   }
 });
 registrationScene.on('message', (ctx) => {
-  ctx.reply('❌ Please send a valid Ethereum wallet address to register.');
+  ctx.reply('❌ Please send a valid Ethereum wallet address, or the signature of the verification message.');
 });
 
 // Play Scene
 const playScene = new Scenes.BaseScene('play_scene');
-playScene.enter((ctx) => {
+playScene.enter(async (ctx) => {
   logger.info(`Entering play_scene for Telegram ID ${ctx.from.id}`);
-  ctx.reply('🎰 *Play Degen Madhouse*\n\nChoose your bet amount:', {
-    parse_mode: 'Markdown',
-    ...Markup.inlineKeyboard([
-      [
-        Markup.button.callback('💵 5 USDC', 'bet_usdc_5'),
-        Markup.button.callback('💵 10 USDC', 'bet_usdc_10'),
-      ],
-      [
-        Markup.button.callback('💵 100 USDC', 'bet_usdc_100'),
-        Markup.button.callback('💵 1,000 USDC', 'bet_usdc_1000'),
-      ],
-      [
-        Markup.button.callback('💵 10,000 USDC', 'bet_usdc_10000'),
-        Markup.button.callback('🏠 Go Back to Main Menu', 'main_menu'),
-      ],
-    ]),
+  const maxStake = getSlotTableLimit(await sqliteDB.getFundBalance(sqliteDB.LEDGER_ACCOUNTS.HOUSE, GAME_TOKEN));
+  const { stakes, saved } = await getQuickBetStakes(ctx.from.id);
+  const buttons = [
+    ...stakes.map((stake) => Markup.button.callback(`${saved ? '⭐' : '💵'} ${formatStakeLabel(stake)}`, `bet_${stake}`)),
+    Markup.button.callback('✏️ Custom Amount', 'bet_custom'),
+    Markup.button.callback('⚙️ Edit Presets', 'bet_presets'),
+    Markup.button.callback('🏠 Go Back to Main Menu', 'main_menu'),
+  ];
+  const message = await ctx.reply(
+    `🎰 *Play Degen Madhouse*\n\n${describeTableLimit(maxStake)}\n*Bets:* ${SLOT_LIMITS.minBet} to ${SLOT_LIMITS.maxBet} ${GAME_TOKEN}\n\nChoose your bet amount:`,
+    {
+      parse_mode: 'Markdown',
+    ...Markup.inlineKeyboard(buttons, { columns: 2 }),
   });
+  trackBetKeyboard(ctx.from.id, message);
 });
 
 // Refactored Callback Query Handler for Play Scene using Helper Function
 playScene.on(
   'callback_query',
   handleCallbackQuery(async (ctx, data) => {
+    if (await handleQuickBetAction(ctx, data)) {
+      return;
+    }
     switch (data) {
-      case 'bet_usdc_5':
-        await handleBet(ctx, 5);
-        break;
-      case 'bet_usdc_10':
-        await handleBet(ctx, 10);
-        break;
-      case 'bet_usdc_100':
-        await handleBet(ctx, 100);
-        break;
-      case 'bet_usdc_1000':
-        await handleBet(ctx, 1000);
-        break;
-      case 'bet_usdc_10000':
-        await handleBet(ctx, 10000);
+      case 'play':
+        // Back from the preset editor: show the keyboard with the updated presets
+        await ctx.scene.reenter();
         break;
       case 'main_menu':
         await ctx.scene.leave();
@@ -573,10 +1189,7 @@ playScene.on(
 const depositScene = new Scenes.BaseScene('deposit_scene');
 depositScene.enter(async (ctx) => {
   logger.info(`Entering deposit_scene for Telegram ID ${ctx.from.id}`);
-  const poolAddress = process.env.POOL_ADDRESS;
-  const depositMessage = `📥 *Depositing Funds (Base)*\n\nPlease transfer your desired amount to the pool address below:\n\n- *USDC:* ${poolAddress}\n- *ETH:* ${poolAddress}\n\nYour balances will update automatically upon successful deposits.`;
-
-  await ctx.reply(depositMessage, {
+  await ctx.reply(buildDepositMessage(), {
     parse_mode: 'Markdown',
     ...Markup.inlineKeyboard([
       [
@@ -592,12 +1205,9 @@ depositScene.on(
   'callback_query',
   handleCallbackQuery(async (ctx, data) => {
     switch (data) {
-      case 'deposit': {
-        const poolAddress = process.env.POOL_ADDRESS;
-        const updatedDepositMessage = `📥 *Depositing Funds (Base)*\n\nPlease transfer your desired amount to the pool address below:\n\n- *USDC:* ${poolAddress}\n- *ETH:* ${poolAddress}\n\nYour balances will update automatically upon successful deposits.`;
-        await ctx.reply(updatedDepositMessage, { parse_mode: 'Markdown' });
+      case 'deposit':
+        await ctx.reply(buildDepositMessage(), { parse_mode: 'Markdown' });
         break;
-      }
       case 'main_menu':
         await ctx.scene.leave();
         await sendMainMenu(ctx);
@@ -670,7 +1280,7 @@ leaderboardScene.on(
 const displayLeaderboard = async (ctx, criteria) => {
   const telegramId = ctx.from.id;
   try {
-    const topUsers = await sqliteDB.getTopUsers(criteria, 10);
+    const topUsers = await sqliteDB.getTopUsers(criteria, 10, GAME_TOKEN);
     let leaderboardMessage = '';
 
     switch (criteria) {
@@ -680,9 +1290,11 @@ const displayLeaderboard = async (ctx, criteria) => {
           leaderboardMessage += 'No users found.';
         } else {
           topUsers.forEach((user, index) => {
-            leaderboardMessage += `${index + 1}. ${user.username || 'Anonymous'} - ${user.usdc_balance.toFixed(
+            leaderboardMessage += `${index + 1}. ${user.username || 'Anonymous'} - ${units.formatAmount(
+              user.balance,
+              GAME_TOKEN,
               2
-            )} USDC | ${user.eth_balance.toFixed(2)} ETH | *Level ${user.level}* ${getBadge(
+            )} ${GAME_TOKEN} | ${units.formatAmount(user.eth_balance, 'ETH', 2)} ETH | *Level ${user.level}* ${getBadge(
               user.level
             )}\n`;
           });
@@ -694,9 +1306,11 @@ const displayLeaderboard = async (ctx, criteria) => {
           leaderboardMessage += 'No winners yet.';
         } else {
           topUsers.forEach((user, index) => {
-            leaderboardMessage += `${index + 1}. ${user.username || 'Anonymous'} - ${user.total_usdc_won.toFixed(
+            leaderboardMessage += `${index + 1}. ${user.username || 'Anonymous'} - ${units.formatAmount(
+              user.total_usdc_won,
+              GAME_TOKEN,
               2
-            )} USDC won | *Level ${user.level}* ${getBadge(user.level)}\n`;
+            )} ${GAME_TOKEN} won | *Level ${user.level}* ${getBadge(user.level)}\n`;
           });
         }
         break;
@@ -729,7 +1343,7 @@ const displayLeaderboard = async (ctx, criteria) => {
     }
 
     // Fetch the user's rank in this category
-    const userRank = await sqliteDB.getUserRank(criteria, telegramId);
+    const userRank = await sqliteDB.getUserRank(criteria, telegramId, GAME_TOKEN);
     const user = await sqliteDB.getUserByTelegramId(telegramId);
     if (user && userRank) {
       leaderboardMessage += `\n🔍 *Your Rank:* ${userRank}`;
@@ -766,13 +1380,7 @@ balanceScene.enter(async (ctx) => {
       );
       return;
     }
-    const usdcBalance = user.usdc_balance
-      ? user.usdc_balance.toFixed(6)
-      : '0.000000';
-    const ethBalance = user.eth_balance
-      ? user.eth_balance.toFixed(6)
-      : '0.000000';
-    const balanceMessage = `📊 *Your Balances:*\n\n- *ETH:* ${ethBalance} ETH\n- *USDC:* ${usdcBalance} USDC`;
+    const balanceMessage = `📊 *Your Balances:*\n\n${formatBalances(user)}`;
 
     await ctx.reply(balanceMessage, {
       parse_mode: 'Markdown',
@@ -791,8 +1399,9 @@ balanceScene.enter(async (ctx) => {
         ],
         [
           Markup.button.callback('📈 Check Level', 'level'),
-          Markup.button.callback('🏠 Go Back to Main Menu', 'main_menu'),
+          Markup.button.callback('📜 Recent Bets', 'history'),
         ],
+        [Markup.button.callback('🏠 Go Back to Main Menu', 'main_menu')],
       ]),
     });
   } catch (error) {
@@ -816,13 +1425,7 @@ balanceScene.on(
             );
             return;
           }
-          const usdcBalance = user.usdc_balance
-            ? user.usdc_balance.toFixed(6)
-            : '0.000000';
-          const ethBalance = user.eth_balance
-            ? user.eth_balance.toFixed(6)
-            : '0.000000';
-          const balanceMessage = `📊 *Your Balances:*\n\n- *ETH:* ${ethBalance} ETH\n- *USDC:* ${usdcBalance} USDC`;
+          const balanceMessage = `📊 *Your Balances:*\n\n${formatBalances(user)}`;
 
           await ctx.reply(balanceMessage, {
             parse_mode: 'Markdown',
@@ -841,8 +1444,9 @@ balanceScene.on(
               ],
               [
                 Markup.button.callback('📈 Check Level', 'level'),
-                Markup.button.callback('🏠 Go Back to Main Menu', 'main_menu'),
+                Markup.button.callback('📜 Recent Bets', 'history'),
               ],
+              [Markup.button.callback('🏠 Go Back to Main Menu', 'main_menu')],
             ]),
           });
         } catch (error) {
@@ -871,14 +1475,23 @@ balanceScene.on(
       case 'level':
         await ctx.scene.enter('level_scene');
         break;
+      case 'history':
+        await sendBetHistory(ctx, 0);
+        break;
       case 'main_menu':
         await ctx.scene.leave();
         await sendMainMenu(ctx);
         break;
-      default:
+      default: {
+        const historyPage = parseHistoryPage(data);
+        if (historyPage !== null) {
+          await sendBetHistory(ctx, historyPage, true);
+          break;
+        }
         await ctx.reply('⚠️ *Unknown action in Balance.* Please try again.', {
           parse_mode: 'Markdown',
         });
+      }
     }
   })
 );
@@ -890,7 +1503,14 @@ helpScene.enter(async (ctx) => {
   const helpMessage = `
 📖 *FU MONEY DEGEN MADHOUSE HELP:*
 
-- /start: Register your Ethereum wallet address on Base Mainnet.
+- /start: Register your Ethereum wallet address on ${network.name}.
+- /fairness: View your provably fair seeds.
+- /verify: Recompute the roll of a past bet from revealed seeds.
+- /history: Browse your recent bets.
+- /halloffame: See the biggest and latest jackpot winners.
+- /claim: Claim a deposit sent from an address other than your registered wallet.
+- /limits: Set deposit, loss and wager limits, take a break or exclude yourself.
+- /changewallet: Change your registered wallet (requires signing a message with the new wallet).
 
 *Don't have any FU MONEY? Buy on Base: app.uniswap.org/swap?outputCurrency=0x8f4E4221ba88D4E9Bb76ECFB91d7C5ce08D7d5b9&chain=base*
 
@@ -951,17 +1571,21 @@ helpScene.on(
 const withdrawScene = new Scenes.BaseScene('withdraw_scene');
 withdrawScene.enter(async (ctx) => {
   logger.info(`Entering withdraw_scene for Telegram ID ${ctx.from.id}`);
+  const user = await sqliteDB.getUserByTelegramId(ctx.from.id);
+  const level = user ? user.level : 1;
+  const feeLines = tokens
+    .getTokens()
+    .map(({ symbol }) => `- *${symbol}:* ${fees.describeWithdrawalFee(symbol, level)}`)
+    .join('\n');
+  const buttons = [
+    ...tokens.getTokens().map(({ symbol }) => Markup.button.callback(`💵 ${symbol}`, `withdraw_token_${symbol}`)),
+    Markup.button.callback('🏠 Go Back to Main Menu', 'main_menu'),
+  ];
   await ctx.reply(
-    '💰 *Withdraw Funds*\n\nPlease choose the currency you wish to withdraw. Note that a *1% fee* will be deducted from your USDC withdrawal:',
+    `💰 *Withdraw Funds*\n\nPlease choose the currency you wish to withdraw. Withdrawal fees:\n${feeLines}`,
     {
       parse_mode: 'Markdown',
-      ...Markup.inlineKeyboard([
-        [
-          Markup.button.callback('⚡ ETH', 'withdraw_eth'),
-          Markup.button.callback('💵 USDC', 'withdraw_usdc'),
-        ],
-        [Markup.button.callback('🏠 Go Back to Main Menu', 'main_menu')],
-      ]),
+      ...Markup.inlineKeyboard(buttons, { columns: 2 }),
     }
   );
 });
@@ -970,20 +1594,30 @@ withdrawScene.enter(async (ctx) => {
 withdrawScene.on(
   'callback_query',
   handleCallbackQuery(async (ctx, data) => {
+    if (data.startsWith('withdraw_token_')) {
+      const token = tokens.getToken(data.slice('withdraw_token_'.length));
+      if (!token) {
+        await ctx.reply('⚠️ *This token is no longer supported.*', { parse_mode: 'Markdown' });
+        return;
+      }
+      await ctx.reply(
+        `💰 *${token.symbol} Withdrawal*\n\nPlease enter the amount of ${token.symbol} you wish to withdraw. The fee will be deducted from this amount and shown before you confirm.`,
+        { parse_mode: 'Markdown' }
+      );
+      ctx.session.state = 'awaiting_withdrawal';
+      ctx.session.withdrawCurrency = token.symbol;
+      return;
+    }
     switch (data) {
-      case 'withdraw_eth':
-        await ctx.reply(
-          '💰 *ETH Withdrawal*\n\nPlease enter the amount of ETH you wish to withdraw (Ex: 0.1):',
-          { parse_mode: 'Markdown' }
-        );
-        ctx.session.state = 'awaiting_eth_withdrawal';
+      case 'withdraw_confirm':
+        await confirmPendingWithdrawal(ctx);
         break;
-      case 'withdraw_usdc':
-        await ctx.reply(
-          '💰 *USDC Withdrawal*\n\nPlease enter the amount of USDC you wish to withdraw. A *1% fee* will be deducted...',
-          { parse_mode: 'Markdown' }
-        );
-        ctx.session.state = 'awaiting_usdc_withdrawal';
+      case 'withdraw_cancel':
+        ctx.session.pendingWithdrawal = null;
+        ctx.session.state = null;
+        await ctx.reply('❌ Withdrawal canceled.');
+        await ctx.scene.leave();
+        await sendMainMenu(ctx);
         break;
       case 'main_menu':
         await ctx.scene.leave();
@@ -1001,16 +1635,19 @@ withdrawScene.on(
 const jackpotScene = new Scenes.BaseScene('jackpot_scene');
 jackpotScene.enter(async (ctx) => {
   logger.info(`Entering jackpot_scene for Telegram ID ${ctx.from.id}`);
-  await ctx.reply(
-    '🔥 *Jackpot Bet*\n\nBet *100 USDC* for a *chance* to win *the entire jackpot pool*. Proceed?',
+  const jackpots = await sqliteDB.getJackpotTiers(GAME_TOKEN);
+  const odds = jackpotSystem.tiers.map((tier) => `${tier.emoji} ${tier.name} ${Number((tier.winChance * 100).toFixed(4))}%`).join(', ');
+  const message = await ctx.reply(
+    `🔥 *Jackpot Bet*\n\nBet *${JACKPOT_BET} ${GAME_TOKEN}* for a *chance* to win one of the jackpots:\n\n${formatJackpotTiers(jackpots)}\n\nOdds: ${odds}. Proceed?`,
     {
       parse_mode: 'Markdown',
       ...Markup.inlineKeyboard([
-        [Markup.button.callback('YES - Bet 100 USDC', 'jackpot_yes')],
+        [Markup.button.callback(`YES - Bet ${JACKPOT_BET} ${GAME_TOKEN}`, 'jackpot_yes')],
         [Markup.button.callback('NO - Back to Main Menu', 'jackpot_no')],
       ]),
     }
   );
+  trackBetKeyboard(ctx.from.id, message);
 });
 
 // Refactored Callback Query Handler for Jackpot Scene using Helper Function
@@ -1028,72 +1665,70 @@ jackpotScene.on(
             await ctx.scene.leave();
             return;
           }
-          // Check 100 USDC
-          if (user.usdc_balance < 100) {
-            await ctx.reply('❌ You no longer have 100 USDC. Bet canceled.');
+          // Check the user can still afford the bet
+          if (BigNumber.from(user.balances[GAME_TOKEN] || '0').lt(getJackpotBetAmount())) {
+            await ctx.reply(`❌ You no longer have ${JACKPOT_BET} ${GAME_TOKEN}. Bet canceled.`);
             await ctx.scene.leave();
             return;
           }
 
-          // Deduct 100 from user's USDC balance
-          const newUsdcBalance = parseFloat(
-            (user.usdc_balance - 100).toFixed(6)
+          // Debit the stake, roll and pay the tier won (including this bet's contribution) in one transaction
+          const settlement = await withUserLock(telegramId, () =>
+            sqliteDB.settleBet({
+              telegramId,
+              game: 'jackpot',
+              currency: GAME_TOKEN,
+              stake: getJackpotBetAmount(),
+              contributions: jackpotSystem.getContributions('jackpot', getJackpotBetAmount()),
+              getReseed: jackpotSystem.getReseed,
+              resolveOutcome: ({ seed, jackpots }) => {
+                const proof = rollFromSeed(seed);
+                const tier = jackpotSystem.rollTier(proof.roll);
+                const isWin = tier !== null;
+                const poolEmpty = isWin && BigNumber.from((jackpots[tier.id] || {}).amount || '0').lte(0);
+                const mustDrops = jackpotSystem.getMustDrops(jackpots);
+                return {
+                  proof,
+                  tier,
+                  isWin,
+                  roll: proof.roll,
+                  poolEmpty,
+                  jackpotHits: isWin && !poolEmpty ? [tier.id, ...mustDrops] : mustDrops,
+                  xp: isWin ? (poolEmpty ? JACKPOT_GAME.xp.emptyPool : JACKPOT_GAME.xp.win) : JACKPOT_GAME.xp.loss,
+                };
+              },
+            })
           );
-          await sqliteDB.updateUserUsdcBalance(telegramId, newUsdcBalance);
+          retireBetKeyboards(telegramId);
+          const { proof, tier, isWin, poolEmpty, xp } = settlement.outcome;
+          const newBalanceDisplay = units.formatAmount(settlement.balanceAfter, GAME_TOKEN);
+          await broadcastJackpotHits(settlement, user.username);
+          // Must-drop tiers paid on top of (or instead of) the tier rolled
+          const tierHit = settlement.jackpotHits.find((hit) => isWin && hit.tier === tier.id);
+          const mustDropHits = settlement.jackpotHits.filter((hit) => hit !== tierHit);
           logger.info(
-            `User ${telegramId} placed a Jackpot Bet of 100 USDC. New USDC balance: ${newUsdcBalance} USDC`
+            `User ${telegramId} Jackpot roll: ${proof.roll} (nonce ${proof.nonce}, server seed hash ${proof.serverSeedHash}), Result: ${
+              isWin ? `win ${tier.id}` : 'lose'
+            }`
           );
+          await announceJackpotHits(ctx, mustDropHits);
 
-          // Add 100 USDC to the jackpot pool
-          const currentJackpot = await sqliteDB.getJackpot();
-          const newJackpot = parseFloat((currentJackpot + 100).toFixed(6));
-          await sqliteDB.updateJackpot(newJackpot);
-          logger.info(`Updated jackpot pool: ${newJackpot} USDC`);
-
-          // Generate secure random number using user's wallet address as entropy
-          const rng = generateSecureRandom(user.wallet_address);
-          logger.info(`Generated RNG for Jackpot Bet user ${telegramId}: ${rng}`);
-
-          // Determine result based on RNG
-          const result = rng < 0.03 ? 'win' : 'lose'; // 3% chance to win
-
-          // **Log RNG and Result for Debugging**
-          logger.info(`User ${telegramId} Jackpot RNG: ${rng}, Result: ${result}`);
-
-          // Log the seed (for verifiability purposes)
-          const seed = crypto
-            .createHash('sha256')
-            .update(user.wallet_address + Date.now().toString() + crypto.randomBytes(16))
-            .digest('hex');
-          logger.info(`Seed for Jackpot Bet user ${telegramId}: ${seed}`);
-
-          if (result === 'win') {
-            // JACKPOT WIN: transfer the entire jackpot to the user
-            const jackpotAmount = currentJackpot; // The entire pool before adding the bet
-            if (jackpotAmount <= 0) {
+          if (isWin) {
+            // JACKPOT WIN: the entire jackpot has been credited to the user
+            if (poolEmpty) {
               await ctx.reply(
-                '⚠️ *The jackpot pool is currently empty.* Please try again later.'
+                `⚠️ *The ${tier.name} jackpot is currently empty.* Please try again later.`,
+                { parse_mode: 'Markdown' }
               );
+              await sendRealityCheck(ctx, user, settlement);
               await ctx.scene.leave();
               await sendMainMenu(ctx);
               return;
             }
 
-            // Transfer jackpot from pool wallet to user (Commented out for testing)
-            // const usdcAmount = ethers.utils.parseUnits(jackpotAmount.toString(), 6);
-            // const txPayout = await usdcContract.transfer(user.wallet_address, usdcAmount);
-            // logger.info(`Transferred ${jackpotAmount} USDC to user ${telegramId}. TX Hash: ${txPayout.hash}`);
-            // await txPayout.wait();
-
-            // Reset jackpot pool
-            await sqliteDB.updateJackpot(0);
-            logger.info(`Jackpot pool reset to 0 USDC after payout.`);
-
-            // Update user's USDC balance
-            const updatedUsdcBalance = parseFloat(
-              (newUsdcBalance + jackpotAmount).toFixed(6)
-            );
-            await sqliteDB.updateUserUsdcBalance(telegramId, updatedUsdcBalance);
+            // The jackpot is credited to the in-game balance and leaves the pool through the
+            // withdrawal queue; reconciliation checks the pool wallet still covers it.
+            const jackpotDisplay = units.formatAmount(tierHit.amount, GAME_TOKEN, 2);
 
             // Dancing GIF
             const dancingGifs = [
@@ -1103,70 +1738,47 @@ jackpotScene.on(
               dancingGifs[Math.floor(Math.random() * dancingGifs.length)];
 
             await ctx.reply(
-              `🎉 *JACKPOT WIN!*\n\nYou won the *entire jackpot pool* of ${jackpotAmount.toFixed(
-                2
-              )} USDC! It has been added to your in-game balance.\n\n*RNG Seed:* \`${seed}\`\n*RNG Value:* \`${rng}\`\n\nFeel free to withdraw your earnings or keep playing!`,
+              `🎉 *JACKPOT WIN!*\n\nYou won the *${tier.emoji} ${tier.name} jackpot* of ${jackpotDisplay} ${GAME_TOKEN}! It has been added to your in-game balance.\n\n${formatFairnessProof(proof)}\n\nFeel free to withdraw your earnings or keep playing!`,
               { parse_mode: 'Markdown' }
             );
             await ctx.replyWithAnimation(randomGif);
 
             logger.info(
-              `User ${telegramId} WON JACKPOT => payout ${jackpotAmount} USDC, new local balance = ${updatedUsdcBalance} USDC`
+              `User ${telegramId} WON ${tier.id} JACKPOT => payout ${jackpotDisplay} ${GAME_TOKEN}, new local balance = ${newBalanceDisplay} ${GAME_TOKEN}`
             );
 
             // Award XP for winning the jackpot
-            await sqliteDB
-              .addUserXP(telegramId, 50)
-              .then(async ({ newXP, newLevel, levelUp }) => {
-                if (levelUp) {
-                  await ctx.replyWithMarkdown(
-                    `🎉 *Level Up!* You've reached *Level ${newLevel}*. ${
-                      levels[newLevel]?.reward || 'Congratulations!'
-                    }`
-                  );
-                  await applyLevelRewards(ctx.telegram, telegramId, newLevel);
-                } else {
-                  await ctx.replyWithMarkdown(
-                    `📈 *XP Earned:* 50 XP\n*Total XP:* ${newXP} XP`
-                  );
-                }
-              });
+            await announceXP(ctx, settlement.xp, xp);
           } else {
             await ctx.reply(
-              '😞 You lost the Jackpot Bet of 100 USDC. Better luck next time!',
+              `😞 You lost the Jackpot Bet of ${JACKPOT_BET} ${GAME_TOKEN}. Better luck next time!`,
               { parse_mode: 'Markdown' }
             );
             logger.info(
-              `User ${telegramId} lost JACKPOT bet => new USDC balance = ${newUsdcBalance}`
-            );
-            // Provide RNG seed and value for transparency
-            await ctx.reply(
-              `*RNG Seed:* \`${seed}\`\n*RNG Value:* \`${rng}\``,
-              { parse_mode: 'Markdown' }
+              `User ${telegramId} lost JACKPOT bet => new ${GAME_TOKEN} balance = ${newBalanceDisplay}`
             );
+            // Provide the fairness proof for transparency
+            await ctx.reply(formatFairnessProof(proof), { parse_mode: 'Markdown' });
 
             // Award XP for placing a jackpot bet
-            await sqliteDB
-              .addUserXP(telegramId, 10)
-              .then(async ({ newXP, newLevel, levelUp }) => {
-                if (levelUp) {
-                  await ctx.replyWithMarkdown(
-                    `🎉 *Level Up!* You've reached *Level ${newLevel}*. ${
-                      levels[newLevel]?.reward || 'Congratulations!'
-                    }`
-                  );
-                  await applyLevelRewards(ctx.telegram, telegramId, newLevel);
-                } else {
-                  await ctx.replyWithMarkdown(
-                    `📈 *XP Earned:* 10 XP\n*Total XP:* ${newXP} XP`
-                  );
-                }
-              });
+            await announceXP(ctx, settlement.xp, xp);
           }
+          await sendRealityCheck(ctx, user, settlement);
 
           await ctx.scene.leave();
           await sendMainMenu(ctx);
         } catch (err) {
+          if (err.code === sqliteDB.ERROR_CODES.INSUFFICIENT_BALANCE) {
+            await ctx.reply(`❌ You no longer have ${JACKPOT_BET} ${GAME_TOKEN}. Bet canceled.`);
+            await ctx.scene.leave();
+            return;
+          }
+          if (PLAY_BLOCK_CODES.includes(err.code)) {
+            await ctx.reply(describePlayBlock(err), { parse_mode: 'Markdown' });
+            await ctx.scene.leave();
+            await sendMainMenu(ctx);
+            return;
+          }
           logger.error('Error processing jackpot bet:', err.message);
           await ctx.reply(
             '❌ An error occurred with your jackpot bet. Please try again later.'
@@ -1181,6 +1793,12 @@ jackpotScene.on(
         await sendMainMenu(ctx);
         break;
       default:
+        // A quick-bet button under the slot result declines the offer
+        if (data.startsWith('bet_') || data.startsWith('preset_')) {
+          await ctx.scene.leave();
+          await handleQuickBetAction(ctx, data);
+          break;
+        }
         await ctx.reply('⚠️ *Unknown action in Jackpot.* Please try again.', {
           parse_mode: 'Markdown',
         });
@@ -1281,6 +1899,275 @@ ${progressBar}
   })
 );
 
+// Limits Scene
+const limitsScene = new Scenes.BaseScene('limits_scene');
+
+const LIMIT_KIND_PATTERN = /^limits_kind_(deposit|loss|wager)$/;
+const LIMIT_SET_PATTERN = /^limits_set_(deposit|loss|wager)_(day|week|month)$/;
+const LIMIT_REMOVE_PATTERN = /^limits_remove_(deposit|loss|wager)_(day|week|month)$/;
+const COOL_OFF_PATTERN = /^limits_cooloff_(\w+?)(_confirm)?$/;
+const EXCLUSION_PATTERN = /^limits_exclude_(\w+?)(_confirm)?$/;
+const REALITY_CHECK_PATTERN = /^limits_reality_(\d+)$/;
+
+/**
+ * Formats a limit and any raise waiting to apply.
+ * @param {Object|undefined} limit - The user_limits row, if the limit is set.
+ * @returns {string} - e.g. '100 USDC' or '100 USDC (200 USDC from 2024-01-02 10:00 UTC)'.
+ */
+const formatLimit = (limit) => {
+  if (!limit) {
+    return 'none';
+  }
+  const amount = `${units.formatAmount(limit.amount, GAME_TOKEN)} ${GAME_TOKEN}`;
+  if (!limit.pending_at) {
+    return amount;
+  }
+  const pending = limit.pending_amount ? `${units.formatAmount(limit.pending_amount, GAME_TOKEN)} ${GAME_TOKEN}` : 'none';
+  return `${amount} (${pending} from ${formatUtcTime(limit.pending_at)})`;
+};
+
+/**
+ * Finds one of a user's limits.
+ * @param {Array<Object>} limits - The user's limits, from sqliteDB.getUserLimits.
+ * @param {string} kind - The limit kind.
+ * @param {string} period - The limit window.
+ * @returns {Object|undefined} - The limit, if set.
+ */
+const findLimit = (limits, kind, period) => limits.find((limit) => limit.kind === kind && limit.period === period);
+
+/**
+ * Shows the user's limits, restrictions and session, with the buttons to change them.
+ * @param {Telegraf.Context} ctx - The Telegram context.
+ */
+const sendLimitsOverview = async (ctx) => {
+  const telegramId = ctx.from.id;
+  const user = await sqliteDB.getUserByTelegramId(telegramId);
+  if (!user) {
+    await ctx.reply('❌ You are not registered. Please use /start to register your wallet address.');
+    return;
+  }
+  const limits = await sqliteDB.getUserLimits(telegramId, GAME_TOKEN);
+  const usage = await sqliteDB.getLimitUsage(telegramId, GAME_TOKEN);
+  const lines = [];
+  for (const [kind, label] of Object.entries(LIMIT_KIND_LABELS)) {
+    const set = [];
+    for (const period of Object.keys(sqliteDB.LIMIT_PERIODS)) {
+      const limit = findLimit(limits, kind, period);
+      if (limit) {
+        const used = usage[period][kind];
+        set.push(
+          `${LIMIT_PERIOD_LABELS[period]} ${formatLimit(limit)}, ${units.formatAmount(
+            BigNumber.from(used).gt(0) ? used : 0,
+            GAME_TOKEN,
+            2
+          )} used`
+        );
+      }
+    }
+    lines.push(`*${label} limits:* ${set.length ? set.join('; ') : 'none'}`);
+  }
+
+  const restriction = await sqliteDB.getPlayRestriction(telegramId);
+  if (restriction) {
+    lines.push(
+      restriction.type === 'exclusion'
+        ? `⛔ *Self-excluded until* ${formatUtcTime(restriction.until)}`
+        : `⏸ *On a break until* ${formatUtcTime(restriction.until)}`
+    );
+  }
+  lines.push(
+    `⏰ *Reality check:* ${user.reality_check_minutes ? `every ${user.reality_check_minutes} minutes` : 'off'}`
+  );
+  const session = responsibleGaming.getSession(telegramId);
+  if (session) {
+    lines.push(
+      `🕒 *This session:* ${session.minutes} minutes, ${session.bets} bets, net ${formatNetResult(session.net)}`
+    );
+  }
+
+  const raiseDelayHours = responsibleGaming.getRaiseDelayMs() / (60 * 60 * 1000);
+  await ctx.reply(
+    `🛡 *Limits*\n\nLimits count over the last day, week or month. Lower limits apply at once; raising or removing one takes ${raiseDelayHours} hours.\n\n${lines.join(
+      '\n'
+    )}`,
+    {
+      parse_mode: 'Markdown',
+      ...Markup.inlineKeyboard([
+        Object.entries(LIMIT_KIND_LABELS).map(([kind, label]) => Markup.button.callback(label, `limits_kind_${kind}`)),
+        [
+          Markup.button.callback('⏸ Take a Break', 'limits_cooloff'),
+          Markup.button.callback('⛔ Self-Exclude', 'limits_exclude'),
+        ],
+        [Markup.button.callback('⏰ Reality Check', 'limits_reality')],
+        [Markup.button.callback('🏠 Go Back to Main Menu', 'main_menu')],
+      ]),
+    }
+  );
+};
+
+/**
+ * Applies a new limit (or its removal) typed or chosen in the Limits menu and tells the user when it applies.
+ * @param {Telegraf.Context} ctx - The Telegram context.
+ * @param {{kind: string, period: string}} target - The limit being changed.
+ * @param {string|null} amount - The new limit in base units, or null to remove it.
+ */
+const applyLimitChange = async (ctx, { kind, period }, amount) => {
+  const { pending, effectiveAt } = await sqliteDB.setUserLimit({
+    telegramId: ctx.from.id,
+    currency: GAME_TOKEN,
+    kind,
+    period,
+    amount,
+    raiseDelayMs: responsibleGaming.getRaiseDelayMs(),
+  });
+  const name = `${LIMIT_PERIOD_LABELS[period].toLowerCase()} ${kind} limit`;
+  const value = amount === null ? 'removed' : `${units.formatAmount(amount, GAME_TOKEN)} ${GAME_TOKEN}`;
+  await ctx.reply(
+    pending
+      ? `🕒 *Your ${name} will be ${value} on ${formatUtcTime(effectiveAt)}.* Until then your current limit stays in place.`
+      : `✅ *Your ${name} is now ${value}.*`,
+    { parse_mode: 'Markdown' }
+  );
+  logger.info(`User ${ctx.from.id} set their ${period} ${kind} limit to ${amount === null ? 'none' : amount}${pending ? ` from ${effectiveAt}` : ''}.`);
+  await sendLimitsOverview(ctx);
+};
+
+/**
+ * Offers the options of a cool-off or self-exclusion, or puts the user under the one they confirmed.
+ * @param {Telegraf.Context} ctx - The Telegram context.
+ * @param {string} type - 'cool_off' or 'exclusion'.
+ * @param {string} [optionId] - The option chosen.
+ * @param {boolean} [confirmed=false] - Whether the user confirmed it.
+ */
+const handleRestrictionChoice = async (ctx, type, optionId, confirmed = false) => {
+  const isExclusion = type === 'exclusion';
+  const options = isExclusion ? responsibleGaming.EXCLUSION_OPTIONS : responsibleGaming.COOL_OFF_OPTIONS;
+  const prefix = isExclusion ? 'limits_exclude' : 'limits_cooloff';
+  const option = optionId && options[optionId];
+
+  if (!option) {
+    await ctx.reply(
+      isExclusion
+        ? '⛔ *Self-Exclusion*\n\nClose betting on your account for a long period. It cannot be undone or shortened once it starts, but you can still withdraw your balance.\n\nHow long?'
+        : '⏸ *Take a Break*\n\nClose betting on your account for a short while. It cannot be shortened once it starts, but you can still withdraw your balance.\n\nHow long?',
+      {
+        parse_mode: 'Markdown',
+        ...Markup.inlineKeyboard(
+          [
+            ...Object.entries(options).map(([id, { label }]) => Markup.button.callback(label, `${prefix}_${id}`)),
+            Markup.button.callback('⬅️ Back', 'limits_overview'),
+          ],
+          { columns: 2 }
+        ),
+      }
+    );
+    return;
+  }
+
+  if (!confirmed) {
+    await ctx.reply(
+      `${isExclusion ? '⛔' : '⏸'} *Close betting for ${option.label}?*\n\nThis cannot be undone.`,
+      {
+        parse_mode: 'Markdown',
+        ...Markup.inlineKeyboard([
+          [Markup.button.callback(`Yes, close betting for ${option.label}`, `${prefix}_${optionId}_confirm`)],
+          [Markup.button.callback('No, go back', 'limits_overview')],
+        ]),
+      }
+    );
+    return;
+  }
+
+  const until = await sqliteDB.setPlayRestriction(ctx.from.id, type, option.durationMs);
+  logger.info(`User ${ctx.from.id} started a ${type} until ${until}.`);
+  await ctx.reply(
+    `${isExclusion ? '⛔ *You are self-excluded' : '⏸ *You are on a break'} until ${formatUtcTime(
+      until
+    )}.*\n\nBetting is closed until then. You can still check your balance and withdraw.`,
+    { parse_mode: 'Markdown' }
+  );
+  await ctx.scene.leave();
+  await sendMainMenu(ctx);
+};
+
+limitsScene.enter(async (ctx) => {
+  logger.info(`Entering limits_scene for Telegram ID ${ctx.from.id}`);
+  await sendLimitsOverview(ctx);
+});
+
+limitsScene.on(
+  'callback_query',
+  handleCallbackQuery(async (ctx, data) => {
+    const telegramId = ctx.from.id;
+    const kindMatch = LIMIT_KIND_PATTERN.exec(data);
+    const setMatch = LIMIT_SET_PATTERN.exec(data);
+    const removeMatch = LIMIT_REMOVE_PATTERN.exec(data);
+    const coolOffMatch = COOL_OFF_PATTERN.exec(data);
+    const exclusionMatch = EXCLUSION_PATTERN.exec(data);
+    const realityMatch = REALITY_CHECK_PATTERN.exec(data);
+
+    if (kindMatch) {
+      const kind = kindMatch[1];
+      const limits = await sqliteDB.getUserLimits(telegramId, GAME_TOKEN);
+      await ctx.reply(`*${LIMIT_KIND_LABELS[kind]} limits*\n\nChoose the window to change:`, {
+        parse_mode: 'Markdown',
+        ...Markup.inlineKeyboard([
+          ...Object.keys(sqliteDB.LIMIT_PERIODS).map((period) => [
+            Markup.button.callback(
+              `${LIMIT_PERIOD_LABELS[period]}: ${formatLimit(findLimit(limits, kind, period)).split(' (')[0]}`,
+              `limits_set_${kind}_${period}`
+            ),
+          ]),
+          [Markup.button.callback('⬅️ Back', 'limits_overview')],
+        ]),
+      });
+    } else if (setMatch) {
+      const [, kind, period] = setMatch;
+      const limit = findLimit(await sqliteDB.getUserLimits(telegramId, GAME_TOKEN), kind, period);
+      ctx.session.state = 'awaiting_limit';
+      ctx.session.limitTarget = { kind, period };
+      const buttons = [Markup.button.callback('⬅️ Back', 'limits_overview')];
+      if (limit) {
+        buttons.unshift(Markup.button.callback('🗑 Remove Limit', `limits_remove_${kind}_${period}`));
+      }
+      await ctx.reply(
+        `✏️ *${LIMIT_PERIOD_LABELS[period]} ${kind} limit*\n\nCurrent limit: ${formatLimit(limit)}\n\nEnter your new limit in ${GAME_TOKEN}:`,
+        { parse_mode: 'Markdown', ...Markup.inlineKeyboard([buttons]) }
+      );
+    } else if (removeMatch) {
+      const [, kind, period] = removeMatch;
+      ctx.session.state = null;
+      await applyLimitChange(ctx, { kind, period }, null);
+    } else if (data === 'limits_cooloff' || coolOffMatch) {
+      await handleRestrictionChoice(ctx, 'cool_off', coolOffMatch && coolOffMatch[1], Boolean(coolOffMatch && coolOffMatch[2]));
+    } else if (data === 'limits_exclude' || exclusionMatch) {
+      await handleRestrictionChoice(ctx, 'exclusion', exclusionMatch && exclusionMatch[1], Boolean(exclusionMatch && exclusionMatch[2]));
+    } else if (data === 'limits_reality') {
+      await ctx.reply('⏰ *Reality Check*\n\nHow often should we remind you how long you have been playing and your net result?', {
+        parse_mode: 'Markdown',
+        ...Markup.inlineKeyboard(
+          responsibleGaming.REALITY_CHECK_OPTIONS.map((minutes) =>
+            Markup.button.callback(minutes ? `Every ${minutes} minutes` : 'Off', `limits_reality_${minutes}`)
+          ),
+          { columns: 2 }
+        ),
+      });
+    } else if (realityMatch && responsibleGaming.REALITY_CHECK_OPTIONS.includes(Number(realityMatch[1]))) {
+      await sqliteDB.setRealityCheckInterval(telegramId, Number(realityMatch[1]));
+      await sendLimitsOverview(ctx);
+    } else if (data === 'limits_overview') {
+      ctx.session.state = null;
+      await sendLimitsOverview(ctx);
+    } else if (data === 'main_menu') {
+      ctx.session.state = null;
+      await ctx.scene.leave();
+      await sendMainMenu(ctx);
+    } else {
+      await ctx.reply('⚠️ *Unknown action in Limits.* Please try again.', { parse_mode: 'Markdown' });
+    }
+  })
+);
+
 // --------------------- /level Command ---------------------
 bot.command('level', async (ctx) => {
   const telegramId = ctx.from.id;
@@ -1322,25 +2209,915 @@ ${progressBar}
   }
 });
 
-// --------------------- Level-Up Rewards ---------------------
-// (Already defined above as 'levels' and 'applyLevelRewards')
+// --------------------- Bet History ---------------------
 
-// --------------------- Scene Registration ---------------------
-const stage = new Scenes.Stage([
-  registrationScene,
-  playScene,
-  depositScene,
-  leaderboardScene,
-  balanceScene,
-  helpScene,
-  withdrawScene,
-  jackpotScene, // Added Jackpot Scene
-  levelScene,
-]);
-bot.use(stage.middleware());
+const HISTORY_PAGE_SIZE = 5;
+const HISTORY_PAGE_PREFIX = 'history_page_';
+const GAME_LABELS = {
+  slots: '🎰 Degen Madhouse Spin',
+  jackpot: '🔥 Jackpot Bet',
+};
 
-// --------------------- /start Command ---------------------
-bot.start(async (ctx) => {
+/**
+ * Formats a single bet from the history for display.
+ * @param {Object} bet - The bet row.
+ * @returns {string} - Markdown lines describing the bet.
+ */
+const formatBet = (bet) => {
+  const { currency } = bet;
+  const result =
+    bet.outcome === 'win'
+      ? `✅ Won ${units.formatAmount(bet.payout, currency)} ${currency}`
+      : '❌ Lost';
+  return `*#${bet.id}* ${GAME_LABELS[bet.game] || bet.game} (${bet.created_at} UTC)\nStake: ${units.formatAmount(
+    bet.stake,
+    currency
+  )} ${currency} | ${result}\nBalance: ${units.formatAmount(bet.balance_before, currency)} → ${units.formatAmount(
+    bet.balance_after,
+    currency
+  )} ${currency}\nNonce: ${bet.nonce} | Roll: \`${bet.roll}\``;
+};
+
+/**
+ * Sends one page of the user's bet history with next/previous navigation.
+ * @param {Telegraf.Context} ctx - The Telegram context.
+ * @param {number} page - Zero-based page number.
+ * @param {boolean} [edit=false] - Edit the message that holds the navigation instead of replying.
+ */
+const sendBetHistory = async (ctx, page, edit = false) => {
+  const telegramId = ctx.from.id;
+  const { bets, total } = await sqliteDB.getBetHistory(telegramId, page, HISTORY_PAGE_SIZE);
+  const totalPages = Math.max(Math.ceil(total / HISTORY_PAGE_SIZE), 1);
+
+  const message =
+    total === 0
+      ? '📜 *Bet History*\n\nYou have not placed any bets yet.'
+      : `📜 *Bet History* (page ${page + 1} of ${totalPages})\n\n${bets
+          .map(formatBet)
+          .join('\n\n')}`;
+
+  const navigation = [];
+  if (page > 0) {
+    navigation.push(Markup.button.callback('⬅️ Newer', `${HISTORY_PAGE_PREFIX}${page - 1}`));
+  }
+  if (page + 1 < totalPages) {
+    navigation.push(Markup.button.callback('Older ➡️', `${HISTORY_PAGE_PREFIX}${page + 1}`));
+  }
+  const extra = {
+    parse_mode: 'Markdown',
+    ...Markup.inlineKeyboard(
+      [navigation, [Markup.button.callback('🔍 Check Balance', 'balance')]].filter(
+        (row) => row.length > 0
+      )
+    ),
+  };
+
+  if (edit) {
+    await ctx.editMessageText(message, extra);
+  } else {
+    await ctx.reply(message, extra);
+  }
+};
+
+/**
+ * Extracts the page number from a history navigation callback.
+ * @param {string} data - The callback data.
+ * @returns {number|null} - The page number, or null if the callback is not history navigation.
+ */
+const parseHistoryPage = (data) => {
+  if (!data.startsWith(HISTORY_PAGE_PREFIX)) {
+    return null;
+  }
+  const page = Number(data.slice(HISTORY_PAGE_PREFIX.length));
+  return Number.isInteger(page) && page >= 0 ? page : null;
+};
+
+bot.command('history', async (ctx) => {
+  const telegramId = ctx.from.id;
+  try {
+    const user = await sqliteDB.getUserByTelegramId(telegramId);
+    if (!user) {
+      await ctx.reply(
+        '❌ You are not registered. Please use /start to register your wallet address.'
+      );
+      return;
+    }
+    await sendBetHistory(ctx, 0);
+  } catch (error) {
+    await ctx.reply('❌ An error occurred while fetching your bet history. Please try again later.');
+    logger.error(`Error fetching bet history for Telegram ID ${telegramId}:`, error.message);
+  }
+});
+
+// --------------------- Jackpot Hall of Fame ---------------------
+
+// Hits shown in each Hall of Fame list
+const HALL_OF_FAME_SIZE = 5;
+
+/**
+ * Formats a jackpot hit for the Hall of Fame.
+ * @param {Object} hit - The hit row, with the winner's username.
+ * @param {number} [rank] - Its position in a ranking.
+ * @returns {string} - Markdown lines describing the hit and its proof.
+ */
+const formatJackpotHit = (hit, rank) => {
+  const { emoji, name } = getHitTier(hit.tier);
+  return `${rank ? `${rank}. ` : ''}${emoji} *${units.formatAmount(hit.amount, hit.currency, 2)} ${hit.currency}* ${name}${
+    hit.must_drop ? ' (must drop)' : ''
+  } - ${escapeMarkdown(hit.username || 'Anonymous')}, ${hit.created_at} UTC\nBet #${hit.bet_id} | Nonce: ${
+    hit.nonce
+  } | Seed hash: \`${hit.server_seed_hash.slice(0, 16)}…\`${
+    hit.drop_hash ? `\nDrop point: \`${hit.drop_at}\` | Salt: \`${hit.drop_salt}\`` : ''
+  }`;
+};
+
+/**
+ * Sends the jackpot Hall of Fame: the biggest and the latest hits.
+ * @param {Telegraf.Context} ctx - The Telegram context.
+ */
+const sendHallOfFame = async (ctx) => {
+  try {
+    const { latest, biggest, count, paid } = await sqliteDB.getJackpotHallOfFame(GAME_TOKEN, HALL_OF_FAME_SIZE);
+    const message =
+      count === 0
+        ? '🏛 *Jackpot Hall of Fame*\n\nNo jackpot has been won yet. Be the first!'
+        : `🏛 *Jackpot Hall of Fame*\n\n*${count}* jackpot(s) won, *${units.formatAmount(paid, GAME_TOKEN, 2)} ${GAME_TOKEN}* paid in total.\n\n🥇 *Biggest Hits*\n${biggest
+            .map((hit, index) => formatJackpotHit(hit, index + 1))
+            .join('\n')}\n\n🕒 *Latest Winners*\n${latest
+            .map((hit) => formatJackpotHit(hit))
+            .join('\n')}\n\nCheck any hit with /verify once its server seed is revealed (/fairness). A capped jackpot's drop point (in base units) and salt hash to the commitment shown in the Jackpot Pool before it dropped.`;
+    await ctx.reply(message, {
+      parse_mode: 'Markdown',
+      ...Markup.inlineKeyboard([
+        [
+          Markup.button.callback('💎 Jackpot Pool', 'view_pool'),
+          Markup.button.callback('🎰 Play Degen Madhouse', 'play'),
+        ],
+      ]),
+    });
+    logger.info(`Displayed the jackpot Hall of Fame to Telegram ID ${ctx.from.id}`);
+  } catch (error) {
+    await ctx.reply('❌ Failed to fetch the Hall of Fame. Please try again later.');
+    logger.error('Error fetching the jackpot Hall of Fame:', error.message);
+  }
+};
+
+bot.command('halloffame', sendHallOfFame);
+
+// --------------------- Provably Fair Commands ---------------------
+
+/**
+ * Formats a revealed seed pair for display.
+ * @param {Object} seedPair - The revealed seed pair row.
+ * @returns {string} - Markdown lines describing the seed pair.
+ */
+const formatRevealedSeedPair = (seedPair) =>
+  `*Server Seed:* \`${seedPair.server_seed}\`\n*Server Seed Hash:* \`${seedPair.server_seed_hash}\`\n*Client Seed:* \`${seedPair.client_seed}\`\n*Bets Played:* ${seedPair.nonce} (nonces 0–${Math.max(seedPair.nonce - 1, 0)})`;
+
+// Client seeds are shown inside Markdown code spans, so keep them simple.
+const CLIENT_SEED_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+bot.command('fairness', async (ctx) => {
+  const telegramId = ctx.from.id;
+  try {
+    const active = await sqliteDB.getActiveSeedPair(telegramId);
+    const [lastRevealed] = await sqliteDB.getRevealedSeedPairs(telegramId, 1);
+
+    let message = `🔐 *Provably Fair*\n\nEvery roll is HMAC-SHA256(server seed, \`client seed:nonce:round\`). The server seed stays secret until you rotate it, but its hash is committed now:\n\n*Server Seed Hash:* \`${active.server_seed_hash}\`\n*Client Seed:* \`${active.client_seed}\`\n*Next Nonce:* ${active.nonce}\n\n- /clientseed <seed>: Set your own client seed (rotates the server seed).\n- /rotateseed: Reveal the current server seed and commit a new one.\n- /verify <server seed> <client seed> <nonce>: Recompute any past roll.`;
+    if (lastRevealed) {
+      message += `\n\n*Last Revealed Seed Pair:*\n${formatRevealedSeedPair(lastRevealed)}`;
+    }
+
+    await ctx.reply(message, { parse_mode: 'Markdown' });
+  } catch (error) {
+    await ctx.reply('❌ An error occurred while fetching your seeds. Please try again later.');
+    logger.error(`Error fetching fairness seeds for Telegram ID ${telegramId}:`, error.message);
+  }
+});
+
+bot.command('clientseed', async (ctx) => {
+  const telegramId = ctx.from.id;
+  const clientSeed = ctx.message.text.split(/\s+/)[1];
+
+  if (!clientSeed || !CLIENT_SEED_PATTERN.test(clientSeed)) {
+    await ctx.reply(
+      '❌ *Invalid client seed.* Usage: /clientseed <seed> (1-64 letters, digits, _ or -).',
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+
+  try {
+    const { revealed, active } = await withUserLock(telegramId, () =>
+      sqliteDB.rotateSeedPair(telegramId, clientSeed)
+    );
+    await ctx.reply(
+      `✅ *Client seed updated.*\n\n*Previous Seed Pair (revealed):*\n${formatRevealedSeedPair(
+        revealed
+      )}\n\n*New Server Seed Hash:* \`${active.server_seed_hash}\`\n*New Client Seed:* \`${active.client_seed}\``,
+      { parse_mode: 'Markdown' }
+    );
+    logger.info(`User ${telegramId} set a new client seed.`);
+  } catch (error) {
+    await ctx.reply('❌ An error occurred while updating your client seed. Please try again later.');
+    logger.error(`Error setting client seed for Telegram ID ${telegramId}:`, error.message);
+  }
+});
+
+bot.command('rotateseed', async (ctx) => {
+  const telegramId = ctx.from.id;
+  try {
+    const { revealed, active } = await withUserLock(telegramId, () =>
+      sqliteDB.rotateSeedPair(telegramId)
+    );
+    await ctx.reply(
+      `🔄 *Seeds rotated.*\n\n*Revealed Seed Pair:*\n${formatRevealedSeedPair(
+        revealed
+      )}\n\n*New Server Seed Hash:* \`${active.server_seed_hash}\``,
+      { parse_mode: 'Markdown' }
+    );
+    logger.info(`User ${telegramId} rotated their seed pair.`);
+  } catch (error) {
+    await ctx.reply('❌ An error occurred while rotating your seeds. Please try again later.');
+    logger.error(`Error rotating seeds for Telegram ID ${telegramId}:`, error.message);
+  }
+});
+
+bot.command('verify', async (ctx) => {
+  const [, serverSeed, clientSeed, nonceInput] = ctx.message.text.trim().split(/\s+/);
+  const nonce = Number(nonceInput);
+
+  if (
+    !/^[0-9a-fA-F]{64}$/.test(serverSeed || '') ||
+    !CLIENT_SEED_PATTERN.test(clientSeed || '') ||
+    !Number.isInteger(nonce) ||
+    nonce < 0
+  ) {
+    await ctx.reply(
+      '❌ *Usage:* /verify <server seed> <client seed> <nonce>\n\nRevealed seeds are listed by /fairness.',
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+
+  const { serverSeedHash, roll } = fairness.verifyRoll({ serverSeed, clientSeed, nonce });
+  const spin = spinFromSeed({ serverSeed, clientSeed, nonce });
+  const slotResult = spin.multiplier > 0 ? `WIN ${spin.multiplier}x` : 'LOSS';
+  const jackpotTier = jackpotSystem.rollTier(roll);
+  const jackpotResult = jackpotTier ? `WIN ${jackpotTier.emoji} ${jackpotTier.name}` : 'LOSS';
+
+  await ctx.reply(
+    `🔍 *Verification*\n\n*Server Seed Hash:* \`${serverSeedHash}\`\n(compare with the hash shown before your bets)\n*Client Seed:* \`${clientSeed}\`\n*Nonce:* ${nonce}\n*Roll:* \`${roll}\`\n\n🎰 *Degen Madhouse Spin:* ${slotResult} (reel stops ${spin.stops.join(', ')})\n${formatSpin(spin)}\n\n🔥 *Jackpot Bet:* ${jackpotResult} (wins below ${JACKPOT_WIN_CHANCE})`,
+    { parse_mode: 'Markdown' }
+  );
+});
+
+// --------------------- Deposit Claims ---------------------
+
+/**
+ * Builds the message a sender signs to prove they own the address a deposit came from.
+ * @param {string} txHash - The deposit transaction hash.
+ * @param {number} telegramId - The claiming user's Telegram ID.
+ * @returns {string} - The message to sign.
+ */
+const buildClaimMessage = (txHash, telegramId) =>
+  `FU MONEY DEGEN MADHOUSE deposit claim\nTransaction: ${txHash.toLowerCase()}\nTelegram ID: ${telegramId}`;
+
+/**
+ * Formats an unmatched deposit for display.
+ * @param {Object} unmatched - The unmatched deposit row.
+ * @returns {string} - Markdown description.
+ */
+const formatUnmatchedDeposit = (unmatched) =>
+  `*Claim #${unmatched.id}:* ${units.formatAmount(unmatched.amount, unmatched.currency)} ${
+    unmatched.currency
+  } from \`${unmatched.from_address}\``;
+
+bot.command('claim', async (ctx) => {
+  const telegramId = ctx.from.id;
+  const [, txHash, proof] = ctx.message.text.trim().split(/\s+/);
+
+  if (!/^0x[0-9a-fA-F]{64}$/.test(txHash || '')) {
+    await ctx.reply(
+      '❌ *Usage:* /claim <transaction hash>\n\nUse this if you sent a deposit from an address that is not your registered wallet (for example from an exchange).',
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+
+  try {
+    const user = await sqliteDB.getUserByTelegramId(telegramId);
+    if (!user) {
+      await ctx.reply(
+        '❌ You are not registered. Please use /start to register your wallet address.'
+      );
+      return;
+    }
+
+    // Verify the transaction on chain and keep only deposits nobody has been credited for
+    const deposits = await getDepositsFromTransaction(depositSettings, txHash);
+    if (deposits.length === 0) {
+      await ctx.reply(
+        `⚠️ *No confirmed deposit to the pool was found in this transaction.* Deposits need ${depositSettings.confirmations} confirmations before they can be claimed.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+    const claimable = [];
+    let ownedByOthers = false;
+    for (const deposit of deposits) {
+      // The indexer credits deposits from registered wallets to their owners
+      const sender = await sqliteDB.getUserByWalletAddress(deposit.fromAddress);
+      if (sender && sender.telegram_id !== telegramId) {
+        ownedByOthers = true;
+        continue;
+      }
+      if (!(await sqliteDB.isDepositCredited(deposit.txHash, deposit.logIndex))) {
+        const unmatched = await sqliteDB.recordUnmatchedDeposit(deposit);
+        if (unmatched.status !== 'claimed') {
+          claimable.push(unmatched);
+        }
+      }
+    }
+    if (claimable.length === 0) {
+      await ctx.reply(
+        ownedByOthers
+          ? '⚠️ *This deposit was sent from a wallet registered to another player* and is credited to them.'
+          : '⚠️ *This deposit has already been credited.*',
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+    const claimList = claimable.map(formatUnmatchedDeposit).join('\n');
+
+    if (!proof) {
+      await ctx.reply(
+        `🔎 *Unclaimed deposit found*\n\n${claimList}\n\nTo claim it, either:\n\n1. Sign this message with the sending address and send /claim ${txHash} <signature>:\n\`\`\`\n${buildClaimMessage(
+          txHash,
+          telegramId
+        )}\n\`\`\`\n2. If you cannot sign with that address (e.g. an exchange), send /claim ${txHash} admin to ask an admin to review it.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    if (proof.toLowerCase() === 'admin') {
+      const requested = [];
+      for (const unmatched of claimable) {
+        if (await sqliteDB.requestDepositClaim(unmatched.id, telegramId)) {
+          requested.push(unmatched);
+        }
+      }
+      if (requested.length === 0) {
+        await ctx.reply('⚠️ *A claim for this deposit is already awaiting review.*', {
+          parse_mode: 'Markdown',
+        });
+        return;
+      }
+      for (const adminId of admins.getAdminIds(ROLES.OPERATOR)) {
+        await bot.telegram
+          .sendMessage(
+            adminId,
+            `🧾 *Deposit claim review*\n\nUser ${telegramId} (\`${user.username || 'no username'}\`, wallet \`${user.wallet_address}\`) claims:\n${requested
+              .map(formatUnmatchedDeposit)
+              .join('\n')}\n\nTransaction: \`${txHash}\`\n\nUse /approveclaim <id> or /rejectclaim <id>.`,
+            { parse_mode: 'Markdown' }
+          )
+          .catch((error) => {
+            logger.error(`Error notifying admin ${adminId} of a deposit claim:`, error.message);
+          });
+      }
+      await ctx.reply('🕒 *Your claim has been sent to an admin for review.* You will be notified once it is approved.', {
+        parse_mode: 'Markdown',
+      });
+      logger.info(`User ${telegramId} requested admin approval to claim deposit ${txHash}.`);
+      return;
+    }
+
+    let signer;
+    try {
+      signer = ethers.utils.verifyMessage(buildClaimMessage(txHash, telegramId), proof);
+    } catch (error) {
+      signer = null;
+    }
+    const owned = claimable.filter(
+      (unmatched) => signer && unmatched.from_address.toLowerCase() === signer.toLowerCase()
+    );
+    if (owned.length === 0) {
+      await ctx.reply(
+        '❌ *Invalid signature.* The message must be signed by the address the deposit was sent from.',
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    for (const unmatched of owned) {
+      const credited = await withUserLock(telegramId, () =>
+        sqliteDB.claimUnmatchedDeposit(unmatched.id, telegramId, 'signature')
+      );
+      if (credited) {
+        logger.info(`User ${telegramId} claimed unmatched deposit ${unmatched.id} with a signature.`);
+        await notifyDeposit('credited', credited);
+      }
+    }
+  } catch (error) {
+    await ctx.reply('❌ An error occurred while checking your claim. Please try again later.');
+    logger.error(`Error processing deposit claim for Telegram ID ${telegramId}:`, error.message);
+  }
+});
+
+bot.command('approveclaim', async (ctx) => {
+  if (!admins.hasRole(ctx.from.id, ROLES.OPERATOR)) {
+    return;
+  }
+  const id = Number(getCommandArgs(ctx)[0]);
+  try {
+    const credited = await adminActions.approveClaim(getChatAdmin(ctx), id);
+    await ctx.reply(`✅ Claim #${id} approved and credited to user ${credited.telegram_id}.`);
+  } catch (error) {
+    await replyAdminError(ctx, error, `approving claim #${id}`);
+  }
+});
+
+bot.command('rejectclaim', async (ctx) => {
+  if (!admins.hasRole(ctx.from.id, ROLES.OPERATOR)) {
+    return;
+  }
+  const id = Number(getCommandArgs(ctx)[0]);
+  try {
+    await adminActions.rejectClaim(getChatAdmin(ctx), id);
+    await ctx.reply(`🚫 Claim #${id} rejected.`);
+  } catch (error) {
+    await replyAdminError(ctx, error, `rejecting claim #${id}`);
+  }
+});
+
+// --------------------- House Fund Commands (admin) ---------------------
+
+const FUND_LABELS = {
+  [sqliteDB.LEDGER_ACCOUNTS.HOUSE]: '🏦 House bankroll',
+  [sqliteDB.LEDGER_ACCOUNTS.PROMO]: '🎁 Promo budget',
+};
+for (const tier of jackpotSystem.tiers) {
+  FUND_LABELS[sqliteDB.jackpotAccount(tier.id)] = `${tier.emoji} ${tier.name} jackpot`;
+}
+
+/**
+ * Formats a house fund report for display.
+ * @param {Array<Object>} report - The report from sqliteDB.getFundReport.
+ * @param {number} days - The period the flows cover.
+ * @returns {string} - Markdown lines, one section per fund.
+ */
+const formatFundReport = (report, days) =>
+  report
+    .map(({ fund, balance, flows }) => {
+      const flowLines = Object.entries(flows).map(
+        ([entryType, amount]) => `  \`${entryType}\`: ${units.formatAmount(amount, GAME_TOKEN, 2)}`
+      );
+      return `*${FUND_LABELS[fund] || fund}:* ${units.formatAmount(balance, GAME_TOKEN, 2)} ${GAME_TOKEN}\n${
+        flowLines.length ? flowLines.join('\n') : `  no activity in the last ${days} day(s)`
+      }`;
+    })
+    .join('\n\n');
+
+bot.command('funds', async (ctx) => {
+  if (!admins.hasRole(ctx.from.id, ROLES.SUPPORT)) {
+    return;
+  }
+  const days = admins.parseReportDays(ctx.message.text.trim().split(/\s+/)[1]);
+  try {
+    const since = sqliteDB.toSqlTime(Date.now() - days * 24 * 60 * 60 * 1000);
+    const report = await sqliteDB.getFundReport(GAME_TOKEN, since);
+    await ctx.reply(`📒 *House Funds* (flows over the last ${days} day(s))\n\n${formatFundReport(report, days)}`, {
+      parse_mode: 'Markdown',
+    });
+    await auditAdminAction(ctx, 'view_funds', null, { days });
+  } catch (error) {
+    await ctx.reply(`❌ Error building the fund report: ${error.message}`);
+    logger.error('Error building the fund report:', error.message);
+  }
+});
+
+// Usage: /fundtransfer <from> <to> <amount>, with `external` as the source for new capital
+bot.command('fundtransfer', async (ctx) => {
+  if (!admins.hasRole(ctx.from.id, ROLES.OWNER)) {
+    return;
+  }
+  const [from, to, input] = getCommandArgs(ctx);
+  if (!from || !to || !input || !isValidAmount(input, GAME_TOKEN)) {
+    await ctx.reply(
+      `Usage: /fundtransfer <from> <to> <amount>\nFunds: ${adminActions
+        .getFunds()
+        .map((fund) => `\`${fund}\``)
+        .join(', ')}. Use \`external\` as the source to add capital sent to the pool wallet.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  try {
+    const amount = units.parseAmount(input, GAME_TOKEN);
+    const { balance, rewardsPaid } = await adminActions.transferFunds(getChatAdmin(ctx), { from, to, amount });
+    await ctx.reply(
+      `✅ Moved ${input} ${GAME_TOKEN} from ${from} to ${to}.${
+        rewardsPaid.length > 0 ? ` Paid ${rewardsPaid.length} owed level bonus(es) from it.` : ''
+      } ${FUND_LABELS[to]} is now ${units.formatAmount(balance, GAME_TOKEN, 2)} ${GAME_TOKEN}.`
+    );
+  } catch (error) {
+    await replyAdminError(ctx, error, `moving ${input} ${GAME_TOKEN} from ${from} to ${to}`);
+  }
+});
+
+// --------------------- Reconciliation (admin) ---------------------
+
+const LIABILITY_LABELS = {
+  players: 'Player balances',
+  pendingWithdrawals: 'Pending withdrawals',
+  fees: 'Unswept fees',
+  houseFunds: 'House funds',
+  unclaimedDeposits: 'Unclaimed deposits',
+  heldDeposits: 'Deposits held by limits',
+};
+
+/**
+ * Formats a reconciliation snapshot for display.
+ * @param {Object} snapshot - A snapshot from services/reconciliation.js.
+ * @returns {string} - Markdown lines: assets, liabilities by kind and the gap.
+ */
+const formatReconciliation = (snapshot) => {
+  const { currency, breakdown } = snapshot;
+  const format = (amount) => `${units.formatAmount(amount, currency)} ${currency}`;
+  const liabilityLines = Object.entries(LIABILITY_LABELS).map(
+    ([kind, label]) => `  ${label}: ${format(breakdown[kind] || '0')}`
+  );
+  return `*${currency}* (${snapshot.created_at} UTC)\nOn-chain: ${format(snapshot.assets)}\nLiabilities: ${format(
+    breakdown.total
+  )}\n${liabilityLines.join('\n')}\n${snapshot.breached ? '🚨' : '✅'} Gap: *${format(snapshot.gap)}* (alert below -${getThreshold(
+    currency
+  )})`;
+};
+
+/**
+ * Tells every admin that a token's shortfall crossed the alert threshold.
+ * @param {Object} snapshot - The snapshot that crossed it.
+ * @returns {Promise<void>}
+ */
+const alertReconciliation = async (snapshot) => {
+  const title = snapshot.breached
+    ? `🚨 *Reconciliation alert: the pool wallet does not cover the ${snapshot.currency} books.*`
+    : `✅ *Reconciliation recovered: the pool wallet covers the ${snapshot.currency} books again.*`;
+  logger.warn(`Reconciliation ${snapshot.breached ? 'alert' : 'recovered'} for ${snapshot.currency}: gap ${snapshot.gap}.`);
+  for (const adminId of admins.getAdminIds(ROLES.OPERATOR)) {
+    await bot.telegram
+      .sendMessage(adminId, `${title}\n\n${formatReconciliation(snapshot)}`, { parse_mode: 'Markdown' })
+      .catch((error) => {
+        logger.error(`Error sending the reconciliation alert to admin ${adminId}:`, error.message);
+      });
+  }
+};
+
+// Runs a reconciliation now and shows its snapshots
+bot.command('reconcile', async (ctx) => {
+  if (!admins.hasRole(ctx.from.id, ROLES.OPERATOR)) {
+    return;
+  }
+  try {
+    const snapshots = await adminActions.runReconciliation(getChatAdmin(ctx));
+    await ctx.reply(
+      snapshots.length > 0
+        ? `⚖️ *Reconciliation*\n\n${snapshots.map(formatReconciliation).join('\n\n')}`
+        : '⚠️ No token could be reconciled. Check the logs.',
+      { parse_mode: 'Markdown' }
+    );
+  } catch (error) {
+    await replyAdminError(ctx, error, 'reconciling');
+  }
+});
+
+// --------------------- Admin Commands ---------------------
+
+// Admin commands by the lowest role allowed to run them (see services/admins.js)
+const ADMIN_COMMANDS = [
+  { role: ROLES.SUPPORT, usage: '/user <id|@username|wallet>', description: 'Look up a user' },
+  { role: ROLES.SUPPORT, usage: '/userhistory <user> [count]', description: "A user's latest ledger entries" },
+  { role: ROLES.SUPPORT, usage: '/housestats [days]', description: 'Bets, revenue and cash flow' },
+  { role: ROLES.SUPPORT, usage: '/funds [days]', description: 'House fund balances and flows' },
+  { role: ROLES.OPERATOR, usage: '/credit <user> <amount> [token] <reason>', description: 'Credit a user from the house bankroll' },
+  { role: ROLES.OPERATOR, usage: '/debit <user> <amount> [token] <reason>', description: 'Debit a user to the house bankroll' },
+  { role: ROLES.OPERATOR, usage: '/freeze <user> <reason>', description: 'Lock a user out of the bot' },
+  { role: ROLES.OPERATOR, usage: '/unfreeze <user>', description: 'Lift a freeze' },
+  { role: ROLES.OPERATOR, usage: '/approveclaim <id>, /rejectclaim <id>', description: 'Review deposit claims' },
+  { role: ROLES.OPERATOR, usage: '/reconcile', description: 'Reconcile the books with the pool wallet' },
+  { role: ROLES.OWNER, usage: '/setjackpot <tier> <amount> <reason>', description: 'Set a jackpot against the house bankroll' },
+  { role: ROLES.OWNER, usage: '/fundtransfer <from> <to> <amount>', description: 'Move money between house funds' },
+  { role: ROLES.OWNER, usage: '/audit [count]', description: 'The latest admin actions' },
+];
+
+// Most entries /userhistory and /audit show at once
+const MAX_ADMIN_LIST = 50;
+
+/**
+ * Splits the arguments off an admin command.
+ * @param {Object} ctx - The Telegraf context.
+ * @returns {string[]} - The words after the command.
+ */
+const getCommandArgs = (ctx) => ctx.message.text.trim().split(/\s+/).slice(1);
+
+/**
+ * Finds the one user an admin command targets, replying if there is none or several.
+ * @param {Object} ctx - The Telegraf context.
+ * @param {string} query - A Telegram ID, @username or wallet address.
+ * @returns {Promise<Object|null>} - The user (with balances), or null.
+ */
+const findTargetUser = async (ctx, query) => {
+  const users = await sqliteDB.findUsers(query);
+  if (users.length === 1) {
+    return users[0];
+  }
+  await ctx.reply(
+    users.length === 0
+      ? `⚠️ No user matches ${escapeMarkdown(query)}.`
+      : `⚠️ ${users.length} users match ${escapeMarkdown(query)}; use a Telegram ID: ${users
+          .map((user) => user.telegram_id)
+          .join(', ')}.`,
+    { parse_mode: 'Markdown' }
+  );
+  return null;
+};
+
+/**
+ * Formats a user for admins.
+ * @param {Object} user - The user, with balances.
+ * @returns {string} - Markdown description.
+ */
+const formatAdminUser = (user) =>
+  `👤 *User ${user.telegram_id}* (${user.username ? `@${escapeMarkdown(user.username)}` : 'no username'})\nWallet: \`${
+    user.wallet_address
+  }\`\nLevel ${user.level}, ${user.xp} XP, last login ${user.last_login}\nBets: ${user.total_bets} (${user.total_wins} won, ${
+    user.total_losses
+  } lost), ${units.formatAmount(user.total_amount_bet, GAME_TOKEN, 2)} ${GAME_TOKEN} staked\n\n*Balances:*\n${formatBalances(
+    user
+  )}\n\n${user.frozen ? `🧊 *Frozen:* ${escapeMarkdown(user.frozen_reason || 'no reason given')}` : '✅ Active'}${
+    user.excluded_until ? `\n⛔ Self-excluded until ${formatUtcTime(user.excluded_until)}` : ''
+  }${user.cool_off_until ? `\n⏸ Break until ${formatUtcTime(user.cool_off_until)}` : ''}`;
+
+bot.command('admin', async (ctx) => {
+  const role = admins.getRole(ctx.from.id);
+  if (!role) {
+    return;
+  }
+  const commands = ADMIN_COMMANDS.filter((command) => admins.hasRole(ctx.from.id, command.role)).map(
+    ({ usage, description }) => `${usage}\n  ${description}`
+  );
+  await ctx.reply(`🛠 Admin commands (${role})\n\n${commands.join('\n')}\n\nEvery admin action is recorded in the audit trail.`);
+});
+
+bot.command('user', async (ctx) => {
+  if (!admins.hasRole(ctx.from.id, ROLES.SUPPORT)) {
+    return;
+  }
+  const [query] = getCommandArgs(ctx);
+  if (!query) {
+    await ctx.reply('Usage: /user <id|@username|wallet>');
+    return;
+  }
+  try {
+    const users = await sqliteDB.findUsers(query);
+    await ctx.reply(
+      users.length > 0 ? users.map(formatAdminUser).join('\n\n') : `⚠️ No user matches ${escapeMarkdown(query)}.`,
+      { parse_mode: 'Markdown' }
+    );
+    await auditAdminAction(ctx, 'lookup_user', query, { found: users.map((user) => user.telegram_id) });
+  } catch (error) {
+    await ctx.reply(`❌ Error looking up the user: ${error.message}`);
+    logger.error(`Error looking up user ${query}:`, error.message);
+  }
+});
+
+bot.command('userhistory', async (ctx) => {
+  if (!admins.hasRole(ctx.from.id, ROLES.SUPPORT)) {
+    return;
+  }
+  const [query, countInput] = getCommandArgs(ctx);
+  if (!query) {
+    await ctx.reply('Usage: /userhistory <user> [count]');
+    return;
+  }
+  const count = Math.min(Number(countInput) || 10, MAX_ADMIN_LIST);
+  try {
+    const user = await findTargetUser(ctx, query);
+    if (!user) {
+      return;
+    }
+    const entries = await sqliteDB.getLedgerEntries(sqliteDB.userAccount(user.telegram_id), count);
+    const lines = entries.map(
+      (entry) =>
+        `${entry.created_at} \`${entry.entry_type}\` ${units.formatAmount(entry.amount, entry.currency)} ${entry.currency}${
+          entry.reference ? ` (${escapeMarkdown(entry.reference)})` : ''
+        }`
+    );
+    await ctx.reply(
+      `📜 *Ledger of user ${user.telegram_id}* (latest ${entries.length})\n\n${lines.length ? lines.join('\n') : 'No entries yet.'}`,
+      { parse_mode: 'Markdown' }
+    );
+    await auditAdminAction(ctx, 'view_history', user.telegram_id, { count });
+  } catch (error) {
+    await ctx.reply(`❌ Error fetching the history: ${error.message}`);
+    logger.error(`Error fetching the ledger of user ${query}:`, error.message);
+  }
+});
+
+/**
+ * Handles /credit and /debit: moves money between a user and the house bankroll.
+ * @param {Object} ctx - The Telegraf context.
+ * @param {'credit'|'debit'} direction - The direction.
+ * @returns {Promise<void>}
+ */
+const adjustUserBalance = async (ctx, direction) => {
+  if (!admins.hasRole(ctx.from.id, ROLES.OPERATOR)) {
+    return;
+  }
+  const [query, input, ...rest] = getCommandArgs(ctx);
+  // The token is optional and defaults to the game token
+  const token = rest.length > 1 ? tokens.getToken(rest[0]) : null;
+  const currency = token ? token.symbol : GAME_TOKEN;
+  const reason = (token ? rest.slice(1) : rest).join(' ');
+  if (!query || !input || !isValidAmount(input, currency) || !reason) {
+    await ctx.reply(`Usage: /${direction} <user> <amount> [token] <reason>\nThe token defaults to ${GAME_TOKEN}; the reason is required.`);
+    return;
+  }
+  try {
+    const user = await findTargetUser(ctx, query);
+    if (!user) {
+      return;
+    }
+    const { balance } = await adminActions.adjustBalance(getChatAdmin(ctx), {
+      telegramId: user.telegram_id,
+      direction,
+      currency,
+      amount: units.parseAmount(input, currency),
+      reason,
+    });
+    await ctx.reply(
+      `✅ ${direction === 'credit' ? 'Credited' : 'Debited'} ${input} ${currency} ${direction === 'credit' ? 'to' : 'from'} user ${
+        user.telegram_id
+      }. Their balance is now ${units.formatAmount(balance, currency)} ${currency}.`
+    );
+  } catch (error) {
+    await replyAdminError(ctx, error, `running /${direction} ${query} ${input} ${currency}`);
+  }
+};
+
+bot.command('credit', (ctx) => adjustUserBalance(ctx, 'credit'));
+bot.command('debit', (ctx) => adjustUserBalance(ctx, 'debit'));
+
+bot.command('freeze', async (ctx) => {
+  if (!admins.hasRole(ctx.from.id, ROLES.OPERATOR)) {
+    return;
+  }
+  const [query, ...rest] = getCommandArgs(ctx);
+  const reason = rest.join(' ');
+  if (!query || !reason) {
+    await ctx.reply('Usage: /freeze <user> <reason>');
+    return;
+  }
+  try {
+    const user = await findTargetUser(ctx, query);
+    if (!user) {
+      return;
+    }
+    await adminActions.freezeUser(getChatAdmin(ctx), { telegramId: user.telegram_id, reason });
+    await ctx.reply(`🧊 User ${user.telegram_id} is frozen.`);
+  } catch (error) {
+    await replyAdminError(ctx, error, `freezing user ${query}`);
+  }
+});
+
+bot.command('unfreeze', async (ctx) => {
+  if (!admins.hasRole(ctx.from.id, ROLES.OPERATOR)) {
+    return;
+  }
+  const [query] = getCommandArgs(ctx);
+  if (!query) {
+    await ctx.reply('Usage: /unfreeze <user>');
+    return;
+  }
+  try {
+    const user = await findTargetUser(ctx, query);
+    if (!user) {
+      return;
+    }
+    await adminActions.unfreezeUser(getChatAdmin(ctx), { telegramId: user.telegram_id });
+    await ctx.reply(`✅ User ${user.telegram_id} is no longer frozen.`);
+  } catch (error) {
+    await replyAdminError(ctx, error, `unfreezing user ${query}`);
+  }
+});
+
+bot.command('setjackpot', async (ctx) => {
+  if (!admins.hasRole(ctx.from.id, ROLES.OWNER)) {
+    return;
+  }
+  const [tierId, input, ...rest] = getCommandArgs(ctx);
+  const tier = jackpotSystem.getTier(tierId);
+  const reason = rest.join(' ');
+  // Zero is allowed: it empties the tier into the bankroll
+  if (!tier || (input !== '0' && !isValidAmount(input || '', GAME_TOKEN)) || !reason) {
+    await ctx.reply(
+      `Usage: /setjackpot <tier> <amount> <reason>\nTiers: ${jackpotSystem.tiers
+        .map((jackpotTier) => jackpotTier.id)
+        .join(', ')}. The difference is moved from or to the house bankroll.`
+    );
+    return;
+  }
+  try {
+    const { before, after } = await adminActions.setJackpot(getChatAdmin(ctx), {
+      tier: tier.id,
+      amount: units.parseAmount(input, GAME_TOKEN),
+      reason,
+    });
+    await ctx.reply(
+      `✅ The ${tier.name} jackpot went from ${units.formatAmount(before, GAME_TOKEN, 2)} to ${units.formatAmount(
+        after,
+        GAME_TOKEN,
+        2
+      )} ${GAME_TOKEN}.`
+    );
+  } catch (error) {
+    await replyAdminError(ctx, error, `setting the ${tier.id} jackpot to ${input} ${GAME_TOKEN}`);
+  }
+});
+
+bot.command('housestats', async (ctx) => {
+  if (!admins.hasRole(ctx.from.id, ROLES.SUPPORT)) {
+    return;
+  }
+  const days = admins.parseReportDays(getCommandArgs(ctx)[0]);
+  const format = (amount) => `${units.formatAmount(amount, GAME_TOKEN, 2)} ${GAME_TOKEN}`;
+  try {
+    const since = sqliteDB.toSqlTime(Date.now() - days * 24 * 60 * 60 * 1000);
+    const stats = await sqliteDB.getHouseStats(GAME_TOKEN, since);
+    const gameLines = Object.entries(stats.games).map(
+      ([game, { bets, players, staked, paid, revenue }]) =>
+        `*${game}:* ${bets} bets by ${players} player(s)\n  Staked ${format(staked)}, paid ${format(paid)}, revenue *${format(revenue)}*`
+    );
+    await ctx.reply(
+      `📈 *House Stats* (last ${days} day(s))\n\n${gameLines.length ? gameLines.join('\n') : 'No bets.'}\n\nActive players: ${
+        stats.players
+      }\nDeposits: ${stats.deposits.count} (${format(stats.deposits.amount)})\nWithdrawals: ${stats.withdrawals.count} (${format(
+        stats.withdrawals.amount
+      )})`,
+      { parse_mode: 'Markdown' }
+    );
+    await auditAdminAction(ctx, 'view_house_stats', null, { days });
+  } catch (error) {
+    await ctx.reply(`❌ Error building the house stats: ${error.message}`);
+    logger.error('Error building the house stats:', error.message);
+  }
+});
+
+bot.command('audit', async (ctx) => {
+  if (!admins.hasRole(ctx.from.id, ROLES.OWNER)) {
+    return;
+  }
+  const count = Math.min(Number(getCommandArgs(ctx)[0]) || 10, MAX_ADMIN_LIST);
+  try {
+    const actions = await sqliteDB.getAdminActions(count);
+    const lines = actions.map(
+      (action) =>
+        `#${action.id} ${action.created_at} ${action.admin_id} (${action.role}) \`${action.action}\`${
+          action.target ? ` ${escapeMarkdown(action.target)}` : ''
+        }\n  ${escapeMarkdown(JSON.stringify(action.details))}`
+    );
+    await ctx.reply(`🗂 *Audit Trail* (latest ${actions.length})\n\n${lines.length ? lines.join('\n') : 'No admin actions yet.'}`, {
+      parse_mode: 'Markdown',
+    });
+    await auditAdminAction(ctx, 'view_audit', null, { count });
+  } catch (error) {
+    await ctx.reply(`❌ Error fetching the audit trail: ${error.message}`);
+    logger.error('Error fetching the audit trail:', error.message);
+  }
+});
+
+// --------------------- Level-Up Rewards ---------------------
+// (Already defined above as 'levels' and 'applyLevelRewards')
+
+// --------------------- Scene Registration ---------------------
+const stage = new Scenes.Stage([
+  registrationScene,
+  playScene,
+  depositScene,
+  leaderboardScene,
+  balanceScene,
+  helpScene,
+  withdrawScene,
+  jackpotScene, // Added Jackpot Scene
+  levelScene,
+  limitsScene,
+]);
+bot.use(stage.middleware());
+
+// --------------------- /start Command ---------------------
+bot.start(async (ctx) => {
   const telegramId = ctx.from.id;
   try {
     const user = await sqliteDB.getUserByTelegramId(telegramId);
@@ -1358,6 +3135,29 @@ bot.start(async (ctx) => {
   }
 });
 
+// --------------------- /changewallet Command ---------------------
+bot.command('changewallet', async (ctx) => {
+  const telegramId = ctx.from.id;
+  try {
+    const user = await sqliteDB.getUserByTelegramId(telegramId);
+    if (!user) {
+      await ctx.reply(
+        '❌ You are not registered. Please use /start to register your wallet address.'
+      );
+      return;
+    }
+    await ctx.scene.enter('registration');
+  } catch (error) {
+    await ctx.reply('❌ An error occurred. Please try again later.');
+    logger.error(`Error starting wallet change for Telegram ID ${telegramId}:`, error.message);
+  }
+});
+
+// --------------------- /limits Command ---------------------
+bot.command('limits', async (ctx) => {
+  await ctx.scene.enter('limits_scene');
+});
+
 // --------------------- Global Callback Query Handler ---------------------
 bot.on('callback_query', async (ctx, next) => {
   // Check if the user is in a scene
@@ -1402,12 +3202,19 @@ bot.on('callback_query', async (ctx, next) => {
         break;
       case 'view_pool': {
         try {
-          const jackpot = await sqliteDB.getJackpot();
+          const jackpots = await sqliteDB.getJackpotTiers(GAME_TOKEN);
           await ctx.reply(
-            `🏆 *Current Jackpot Pool:* ${jackpot.toFixed(2)} USDC`,
-            { parse_mode: 'Markdown' }
+            `🏆 *Current Jackpots*\n\n${formatJackpotTiers(jackpots)}\n\nA Jackpot Bet can win any of them, and a jackpot with a must-drop cap is won by the bet that takes it to a hidden point below the cap.${
+              formatDropCommitments(jackpots)
+                ? `\n\n🔐 *Drop point commitments* (SHA-256 of \`<drop point>:<salt>\`, revealed in the Hall of Fame when the jackpot drops):\n${formatDropCommitments(jackpots)}`
+                : ''
+            }`,
+            {
+              parse_mode: 'Markdown',
+              ...Markup.inlineKeyboard([[Markup.button.callback('🏛 Hall of Fame', 'hall_of_fame')]]),
+            }
           );
-          logger.info(`User ${telegramId} viewed the jackpot pool: ${jackpot} USDC`);
+          logger.info(`User ${telegramId} viewed the jackpots.`);
         } catch (err) {
           logger.error('Error fetching jackpot pool:', err.message);
           await ctx.reply(
@@ -1416,12 +3223,30 @@ bot.on('callback_query', async (ctx, next) => {
         }
         break;
       }
+      case 'hall_of_fame':
+        await sendHallOfFame(ctx);
+        break;
       case 'level':
         await ctx.scene.enter('level_scene');
         break;
-      default:
+      case 'limits':
+        await ctx.scene.enter('limits_scene');
+        break;
+      case 'history':
+        await sendBetHistory(ctx, 0);
+        break;
+      default: {
+        const historyPage = parseHistoryPage(data);
+        if (historyPage !== null) {
+          await sendBetHistory(ctx, historyPage, true);
+          break;
+        }
+        if (await handleQuickBetAction(ctx, data)) {
+          break;
+        }
         logger.warn(`Unknown action received: ${data} from Telegram ID ${telegramId}`);
         await ctx.reply('⚠️ *Unknown action.* Please try again.', { parse_mode: 'Markdown' });
+      }
     }
   } catch (error) {
     logger.error(`Error handling callback query '${data}' for Telegram ID ${telegramId}:`, error.message);
@@ -1431,7 +3256,102 @@ bot.on('callback_query', async (ctx, next) => {
   }
 });
 
-// --------------------- Withdrawal Input Handlers (When user types an amount) ---------------------
+// --------------------- Withdrawal Preview and Confirmation ---------------------
+
+/**
+ * Shows the fee and net amount of a withdrawal and asks the user to confirm it.
+ * @param {Telegraf.Context} ctx - The Telegram context.
+ * @param {Object} user - The user's row.
+ * @param {string} currency - The token symbol.
+ * @param {string} amount - The amount to withdraw, in base units.
+ */
+const sendWithdrawalPreview = async (ctx, user, currency, amount) => {
+  const { fee, net, percent } = fees.calculateWithdrawalFee(currency, amount, user.level);
+  if (BigNumber.from(net).lte(0)) {
+    await ctx.reply(
+      `⚠️ *Amount too small.* The withdrawal fee is ${fees.describeWithdrawalFee(
+        currency,
+        user.level
+      )}. Please enter a larger amount.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+
+  ctx.session.pendingWithdrawal = { currency, amount, fee };
+  ctx.session.state = 'confirming_withdrawal';
+
+  await ctx.reply(
+    `🧾 *Withdrawal Preview*\n\n*Amount:* ${units.formatAmount(amount, currency)} ${currency}\n*Fee (${percent}%):* ${units.formatAmount(
+      fee,
+      currency
+    )} ${currency}\n*You receive:* ${units.formatAmount(net, currency)} ${currency}\n*To:* \`${user.wallet_address}\`\n\nDo you want to proceed?`,
+    {
+      parse_mode: 'Markdown',
+      ...Markup.inlineKeyboard([
+        [
+          Markup.button.callback('✅ Confirm', 'withdraw_confirm'),
+          Markup.button.callback('❌ Cancel', 'withdraw_cancel'),
+        ],
+      ]),
+    }
+  );
+};
+
+/**
+ * Queues the withdrawal the user confirmed in the preview, reserving its funds.
+ * @param {Telegraf.Context} ctx - The Telegram context.
+ */
+const confirmPendingWithdrawal = async (ctx) => {
+  const telegramId = ctx.from.id;
+  const pending = ctx.session.pendingWithdrawal;
+  if (!pending || ctx.session.state !== 'confirming_withdrawal') {
+    await ctx.reply('⚠️ *No withdrawal to confirm.* Please start a new withdrawal.', {
+      parse_mode: 'Markdown',
+    });
+    return;
+  }
+  const { currency, amount, fee } = pending;
+  ctx.session.pendingWithdrawal = null;
+  ctx.session.state = null;
+
+  try {
+    const user = await sqliteDB.getUserByTelegramId(telegramId);
+    // Reserve the funds now; the withdrawal worker sends the transaction
+    const withdrawal = await withUserLock(telegramId, () =>
+      sqliteDB.requestWithdrawal(telegramId, currency, amount, user.wallet_address, fee)
+    );
+    withdrawalWorker?.run();
+
+    const amountDisplay = units.formatAmount(amount, currency);
+    const netDisplay = units.formatAmount(sqliteDB.getWithdrawalNetAmount(withdrawal), currency);
+    await ctx.reply(
+      `🕒 *Withdrawal #${withdrawal.id} queued.*\n\n*${amountDisplay} ${currency}* has been reserved from your balance. *${netDisplay} ${currency}* will be sent to \`${user.wallet_address}\` shortly. You will be notified when it is sent and confirmed.`,
+      { parse_mode: 'Markdown' }
+    );
+
+    logger.info(
+      `User ${telegramId} requested withdrawal ${withdrawal.id} of ${amountDisplay} ${currency} (fee ${units.formatAmount(
+        fee,
+        currency
+      )} ${currency}).`
+    );
+
+    await ctx.scene.leave();
+    await sendMainMenu(ctx);
+  } catch (error) {
+    if (error.code === sqliteDB.ERROR_CODES.INSUFFICIENT_BALANCE) {
+      await ctx.reply(`⚠️ *Insufficient ${currency} balance.* Please start a new withdrawal.`, {
+        parse_mode: 'Markdown',
+      });
+      return;
+    }
+    await ctx.reply(`❌ Failed to process your ${currency} withdrawal. Please try again later.`);
+    logger.error(`Failed ${currency} withdrawal for Telegram ID ${telegramId}:`, error.message);
+  }
+};
+
+// --------------------- Text Input Handlers (When user types an amount) ---------------------
 bot.on('text', async (ctx) => {
   const telegramId = ctx.from.id;
   const user = await sqliteDB.getUserByTelegramId(telegramId);
@@ -1443,110 +3363,63 @@ bot.on('text', async (ctx) => {
     return;
   }
 
-  if (ctx.session.state === 'awaiting_eth_withdrawal') {
+  if (ctx.session.state === 'awaiting_withdrawal') {
+    const currency = ctx.session.withdrawCurrency;
     const input = ctx.message.text.trim();
-    const amount = Number(input);
-    if (!isValidAmount(input)) {
-      await ctx.reply('❌ *Invalid input.* Please enter a valid amount of ETH to withdraw.', {
+    if (!isValidAmount(input, currency)) {
+      await ctx.reply(`❌ *Invalid input.* Please enter a valid amount of ${currency} to withdraw.`, {
         parse_mode: 'Markdown',
       });
       return;
     }
 
-    const MAX_ETH_WITHDRAWAL = 100; // Example limit
-    if (amount > MAX_ETH_WITHDRAWAL) {
-      await ctx.reply(
-        `⚠️ *Maximum ETH withdrawal per transaction is ${MAX_ETH_WITHDRAWAL} ETH.* Please enter a smaller amount.`,
-        { parse_mode: 'Markdown' }
-      );
+    const amount = units.parseAmount(input, currency);
+
+    const limitError = tokens.checkWithdrawalLimits(currency, amount);
+    if (limitError) {
+      await ctx.reply(`⚠️ *${limitError}* Please enter a different amount.`, { parse_mode: 'Markdown' });
       return;
     }
 
-    if (user.eth_balance < amount) {
-      await ctx.reply('⚠️ *Insufficient ETH balance.* Please enter a smaller amount.', {
+    if (BigNumber.from(user.balances[currency] || '0').lt(amount)) {
+      await ctx.reply(`⚠️ *Insufficient ${currency} balance.* Please enter a smaller amount.`, {
         parse_mode: 'Markdown',
       });
       return;
     }
 
-    try {
-      await ctx.reply('🔄 *Processing your ETH withdrawal...*', {
-        parse_mode: 'Markdown',
-      });
-
-      // Implement your withdrawETH function here
-      // Example:
-      const txHash = await withdrawETH(user.wallet_address, amount); // Ensure this function is defined
-
-      const updatedEthBalance = parseFloat((user.eth_balance - amount).toFixed(6));
-      await sqliteDB.updateUserEthBalance(telegramId, updatedEthBalance);
-
-      await ctx.reply(
-        `✅ You have withdrawn *${amount} ETH*.\n\n*Transaction Hash:* [${txHash}](https://sepolia.etherscan.io/tx/${txHash})\n\n*Your new ETH balance:* ${updatedEthBalance} ETH`,
-        { parse_mode: 'Markdown', disable_web_page_preview: true }
-      );
-
-      logger.info(`User ${telegramId} withdrew ${amount} ETH. TX Hash: ${txHash}`);
-
-      ctx.session.state = null;
-      await ctx.scene.leave();
-      await sendMainMenu(ctx);
-    } catch (error) {
-      await ctx.reply('❌ Failed to process your ETH withdrawal. Please try again later.');
-      logger.error(`Failed ETH withdrawal for Telegram ID ${telegramId}:`, error.message);
-    }
-  } else if (ctx.session.state === 'awaiting_usdc_withdrawal') {
+    await sendWithdrawalPreview(ctx, user, currency, amount);
+  } else if (ctx.session.state === 'awaiting_bet_amount') {
     const input = ctx.message.text.trim();
-    const amount = Number(input);
-    if (!isValidAmount(input)) {
-      await ctx.reply('❌ *Invalid input.* Please enter a valid amount of USDC to withdraw.', {
+    if (!isValidAmount(input, GAME_TOKEN)) {
+      await ctx.reply(`❌ *Invalid input.* Please enter a valid amount of ${GAME_TOKEN} to bet.`, {
         parse_mode: 'Markdown',
       });
       return;
     }
 
-    const MAX_USDC_WITHDRAWAL = 10000;
-    if (amount > MAX_USDC_WITHDRAWAL) {
-      await ctx.reply(
-        `⚠️ *Maximum USDC withdrawal per transaction is ${MAX_USDC_WITHDRAWAL} USDC.* Please enter a smaller amount.`,
-        { parse_mode: 'Markdown' }
-      );
+    const amount = units.parseAmount(input, GAME_TOKEN);
+
+    const limitError = checkBetLimits(amount);
+    if (limitError) {
+      await ctx.reply(`⚠️ *${limitError}* Please enter a different amount.`, { parse_mode: 'Markdown' });
       return;
     }
 
-    if (user.usdc_balance < amount) {
-      await ctx.reply('⚠️ *Insufficient USDC balance.* Please enter a smaller amount.', {
+    ctx.session.state = null;
+    await handleBet(ctx, amount.toString());
+  } else if (ctx.session.state === 'awaiting_limit') {
+    const input = ctx.message.text.trim();
+    // A limit of 0 is allowed: it closes deposits, losses or wagers for the window
+    if (input !== '0' && !isValidAmount(input, GAME_TOKEN)) {
+      await ctx.reply(`❌ *Invalid input.* Please enter your new limit in ${GAME_TOKEN}.`, {
         parse_mode: 'Markdown',
       });
       return;
     }
 
-    try {
-      await ctx.reply('🔄 *Processing your USDC withdrawal...*', {
-        parse_mode: 'Markdown',
-      });
-
-      // Implement your withdrawUSDC function here
-      // Example:
-      const txHash = await withdrawUSDC(user.wallet_address, amount); // Ensure this function is defined
-
-      const updatedUsdcBalance = parseFloat((user.usdc_balance - amount).toFixed(6));
-      await sqliteDB.updateUserUsdcBalance(telegramId, updatedUsdcBalance);
-
-      await ctx.reply(
-        `✅ You have withdrawn *${amount} USDC*.\n\n*Transaction Hash:* [${txHash}](https://sepolia.etherscan.io/tx/${txHash})\n\n*Your new USDC balance:* ${updatedUsdcBalance} USDC`,
-        { parse_mode: 'Markdown', disable_web_page_preview: true }
-      );
-
-      logger.info(`User ${telegramId} withdrew ${amount} USDC. TX Hash: ${txHash}`);
-
-      ctx.session.state = null;
-      await ctx.scene.leave();
-      await sendMainMenu(ctx);
-    } catch (error) {
-      await ctx.reply('❌ Failed to process your USDC withdrawal. Please try again later.');
-      logger.error(`Failed USDC withdrawal for Telegram ID ${telegramId}:`, error.message);
-    }
+    ctx.session.state = null;
+    await applyLimitChange(ctx, ctx.session.limitTarget, units.parseAmount(input, GAME_TOKEN));
   } else {
     // Not in a recognized input state
     await ctx.reply(
@@ -1558,243 +3431,290 @@ bot.on('text', async (ctx) => {
 
 // --------------------- Deposit Monitoring ---------------------
 
-const usdcDepositAbi = [
-  'event Transfer(address indexed from, address indexed to, uint256 value)',
-];
-const usdcDepositContract = new ethers.Contract(
-  process.env.USDC_CONTRACT_ADDRESS,
-  usdcDepositAbi,
-  provider
-);
-const poolAddressLower = process.env.POOL_ADDRESS.toLowerCase();
+// Chain settings shared by the deposit indexer and /claim
+const depositSettings = {
+  chain,
+  confirmations: network.confirmations,
+};
 
-usdcDepositContract.on('Transfer', async (from, to, value, event) => {
-  try {
-    if (to.toLowerCase() === poolAddressLower) {
-      const usdcAmount = parseFloat(ethers.utils.formatUnits(value, 6));
-      logger.info(`📥 USDC Deposit Received: ${usdcAmount} USDC from ${from}`);
-
-      const query = `SELECT telegram_id FROM users WHERE wallet_address = ?`;
-      sqliteDB.db.get(query, [from], async (err, row) => {
-        if (err) {
-          logger.error(`Error fetching user for USDC deposit from ${from}:`, err.message);
-        } else if (!row) {
-          logger.warn(`No user found with wallet address ${from} for USDC deposit.`);
-        } else {
-          const telegramId = row.telegram_id;
-          const user = await sqliteDB.getUserByTelegramId(telegramId);
-          if (!user) {
-            logger.warn(`User with Telegram ID ${telegramId} not found.`);
-            return;
-          }
-          const updatedUsdcBalance = parseFloat(
-            (user.usdc_balance + usdcAmount).toFixed(6)
-          );
-          await sqliteDB.updateUserUsdcBalance(telegramId, updatedUsdcBalance);
+// Started once the database is ready
+let depositIndexer = null;
 
-          await bot.telegram.sendMessage(
-            telegramId,
-            `📥 *Deposit Received!*\n\nYou have received *${usdcAmount} USDC*.\n\n*Updated Balances:*\n- ETH: ${user.eth_balance.toFixed(
-              6
-            )} ETH\n- USDC: ${updatedUsdcBalance.toFixed(6)} USDC`,
-            { parse_mode: 'Markdown' }
-          );
-          logger.info(
-            `Updated USDC balance for Telegram ID ${telegramId}: ${updatedUsdcBalance} USDC`
-          );
+/**
+ * Tells a user about a deposit credited to (or reversed from) their balance,
+ * awarding XP for new deposits, held back by their deposit limits, or kept
+ * unmatched (below the minimum, or closed by a reorg while their claim awaited approval).
+ * @param {string} event - 'credited', 'held', 'released' or 'reversed'; 'below_minimum' or 'claim_reversed'
+ *   for an unmatched deposit.
+ * @param {Object} deposit - The deposit row, or the unmatched deposit row with the user's telegram_id.
+ */
+const notifyDeposit = async (event, deposit) => {
+  const telegramId = deposit.telegram_id;
+  const user = await sqliteDB.getUserByTelegramId(telegramId);
+  const amountDisplay = `${units.formatAmount(deposit.amount, deposit.currency)} ${deposit.currency}`;
+  const balances = `*Updated Balances:*\n${formatBalances(user)}`;
 
-          // Award XP for depositing
-          await sqliteDB
-            .addUserXP(telegramId, 15)
-            .then(async ({ newXP, newLevel, levelUp }) => {
-              if (levelUp) {
-                await bot.telegram.sendMessage(
-                  telegramId,
-                  `🎉 *Level Up!* You've reached *Level ${newLevel}*. ${
-                    levels[newLevel]?.reward || 'Congratulations!'
-                  }`,
-                  { parse_mode: 'Markdown' }
-                );
-                await applyLevelRewards(bot.telegram, telegramId, newLevel);
-              } else {
-                await bot.telegram.sendMessage(
-                  telegramId,
-                  `📈 *XP Earned:* 15 XP\n*Total XP:* ${newXP} XP`,
-                  { parse_mode: 'Markdown' }
-                );
-              }
-            });
-        }
-      });
+  if (event === 'below_minimum') {
+    await bot.telegram.sendMessage(
+      telegramId,
+      `⚠️ *Deposit Below Minimum*\n\nYour deposit of *${amountDisplay}* is below the minimum deposit of ${
+        tokens.getToken(deposit.currency).minDeposit
+      } ${deposit.currency}, so it has not been added to your balance. It is kept for you: send /claim ${
+        deposit.tx_hash
+      } to claim it.`,
+      { parse_mode: 'Markdown' }
+    );
+    logger.info(`Stored ${amountDisplay} deposit of Telegram ID ${telegramId} below the minimum deposit.`);
+    return;
+  }
+
+  if (event === 'claim_reversed') {
+    await bot.telegram.sendMessage(
+      telegramId,
+      `⚠️ *Deposit Claim Closed*\n\nThe deposit of *${amountDisplay}* you claimed (\`${deposit.tx_hash}\`) was removed from the blockchain by a chain reorganization, so your claim was closed.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+
+  // Claims credit through the same path, so a claimed deposit can be held too
+  if (event === 'held' || deposit.status === 'held') {
+    if (event === 'reversed') {
+      await bot.telegram.sendMessage(
+        telegramId,
+        `⚠️ *Held Deposit Reversed*\n\nYour held deposit of *${amountDisplay}* was removed from the blockchain by a chain reorganization.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
     }
-  } catch (error) {
-    logger.error('Error processing USDC deposit:', error.message);
+    await bot.telegram.sendMessage(
+      telegramId,
+      `🛡 *Deposit Held*\n\nYour deposit of *${amountDisplay}* would go over your deposit limit, so it has not been added to your balance. It will be credited automatically once your limits have room for it. See /limits.`,
+      { parse_mode: 'Markdown' }
+    );
+    logger.info(`Held ${amountDisplay} deposit of Telegram ID ${telegramId} under their deposit limit.`);
+    return;
   }
-});
 
-provider.on('block', async (blockNumber) => {
-  try {
-    const confirmations = 6;
-    const confirmedBlockNumber = blockNumber - confirmations;
-    if (confirmedBlockNumber < 0) return;
-
-    const block = await provider.getBlockWithTransactions(confirmedBlockNumber);
-    logger.info(`Processing block ${confirmedBlockNumber} for ETH deposits.`);
-
-    for (const tx of block.transactions) {
-      if (tx.to && tx.to.toLowerCase() === poolAddressLower) {
-        const ethAmount = parseFloat(ethers.utils.formatEther(tx.value));
-        if (ethAmount > 0) {
-          logger.info(`📥 ETH Deposit Received: ${ethAmount} ETH from ${tx.from}`);
-
-          const query = `SELECT telegram_id FROM users WHERE wallet_address = ?`;
-          sqliteDB.db.get(query, [tx.from], async (err, row) => {
-            if (err) {
-              logger.error(`Error fetching user for ETH deposit from ${tx.from}:`, err.message);
-            } else if (!row) {
-              logger.warn(`No user found with wallet address ${tx.from} for ETH deposit.`);
-            } else {
-              const telegramId = row.telegram_id;
-              const user = await sqliteDB.getUserByTelegramId(telegramId);
-              if (!user) {
-                logger.warn(`User with Telegram ID ${telegramId} not found.`);
-                return;
-              }
-              const updatedEthBalance = parseFloat(
-                (user.eth_balance + ethAmount).toFixed(6)
-              );
-              await sqliteDB.updateUserEthBalance(telegramId, updatedEthBalance);
+  if (event === 'reversed') {
+    await bot.telegram.sendMessage(
+      telegramId,
+      `⚠️ *Deposit Reversed*\n\nYour deposit of *${amountDisplay}* was removed from the blockchain by a chain reorganization and has been deducted from your balance.\n\n${balances}`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
 
-              await bot.telegram.sendMessage(
-                telegramId,
-                `📥 *Deposit Received!*\n\nYou have received *${ethAmount} ETH*.\n\n*Updated Balances:*\n- ETH: ${updatedEthBalance.toFixed(
-                  6
-                )} ETH\n- USDC: ${user.usdc_balance.toFixed(6)} USDC`,
-                { parse_mode: 'Markdown' }
-              );
-              logger.info(
-                `Updated ETH balance for Telegram ID ${telegramId}: ${updatedEthBalance} ETH`
-              );
+  await bot.telegram.sendMessage(
+    telegramId,
+    event === 'released'
+      ? `📥 *Held Deposit Credited!*\n\nYour deposit limits have room again, so your held deposit of *${amountDisplay}* has been added to your balance.\n\n${balances}`
+      : `📥 *Deposit Received!*\n\nYou have received *${amountDisplay}*.\n\n${balances}`,
+    { parse_mode: 'Markdown' }
+  );
+  logger.info(`Credited ${amountDisplay} to Telegram ID ${telegramId}.`);
 
-              // Award XP for depositing
-              await sqliteDB
-                .addUserXP(telegramId, 15)
-                .then(async ({ newXP, newLevel, levelUp }) => {
-                  if (levelUp) {
-                    await bot.telegram.sendMessage(
-                      telegramId,
-                      `🎉 *Level Up!* You've reached *Level ${newLevel}*. ${
-                        levels[newLevel]?.reward || 'Congratulations!'
-                      }`,
-                      { parse_mode: 'Markdown' }
-                    );
-                    await applyLevelRewards(bot.telegram, telegramId, newLevel);
-                  } else {
-                    await bot.telegram.sendMessage(
-                      telegramId,
-                      `📈 *XP Earned:* 15 XP\n*Total XP:* ${newXP} XP`,
-                      { parse_mode: 'Markdown' }
-                    );
-                  }
-                });
-            }
-          });
-        }
-      }
-    }
-  } catch (error) {
-    logger.error('Error processing ETH deposits:', error.message);
+  // Award XP for depositing
+  const { newXP, newLevel, levelUp } = await sqliteDB.addUserXP(telegramId, REWARDS.xp.deposit);
+  if (levelUp) {
+    await bot.telegram.sendMessage(
+      telegramId,
+      `🎉 *Level Up!* You've reached *Level ${newLevel}*. ${
+        levels[newLevel]?.reward || 'Congratulations!'
+      }`,
+      { parse_mode: 'Markdown' }
+    );
+    await applyLevelRewards(bot.telegram, telegramId, newLevel);
+  } else {
+    await bot.telegram.sendMessage(
+      telegramId,
+      `📈 *XP Earned:* ${REWARDS.xp.deposit} XP\n*Total XP:* ${newXP} XP`,
+      { parse_mode: 'Markdown' }
+    );
   }
-});
+};
+
+// --------------------- Withdrawal Queue ---------------------
+
+const { WITHDRAWAL_STATUS } = sqliteDB;
+
+// Started once the database is ready
+let withdrawalWorker = null;
+let feeSweeper = null;
+let reconciliation = null;
+
+/**
+ * Tells a user about a withdrawal moving to a new state.
+ * @param {Object} withdrawal - The withdrawal row.
+ */
+const notifyWithdrawal = async (withdrawal) => {
+  const amountDisplay = `${units.formatAmount(withdrawal.amount, withdrawal.currency)} ${withdrawal.currency}`;
+  const netDisplay = `${units.formatAmount(
+    sqliteDB.getWithdrawalNetAmount(withdrawal),
+    withdrawal.currency
+  )} ${withdrawal.currency}`;
+  const txLink = withdrawal.tx_hash
+    ? `\n\n*Transaction Hash:* ${formatTxLink(withdrawal.tx_hash)}`
+    : '';
+  const messages = {
+    [WITHDRAWAL_STATUS.BROADCAST]: `📤 *Withdrawal #${withdrawal.id} sent.*\n\n*${netDisplay}* is on its way to your wallet.${txLink}`,
+    [WITHDRAWAL_STATUS.CONFIRMED]: `✅ *Withdrawal #${withdrawal.id} confirmed.*\n\nYou have withdrawn *${amountDisplay}* and received *${netDisplay}* after fees.${txLink}`,
+    [WITHDRAWAL_STATUS.FAILED]: `⚠️ *Withdrawal #${withdrawal.id} failed.*\n\n*${amountDisplay}* will be returned to your balance.`,
+    [WITHDRAWAL_STATUS.REFUNDED]: `↩️ *Withdrawal #${withdrawal.id} refunded.*\n\n*${amountDisplay}* has been returned to your balance.`,
+  };
+  if (messages[withdrawal.status]) {
+    await bot.telegram.sendMessage(withdrawal.telegram_id, messages[withdrawal.status], {
+      parse_mode: 'Markdown',
+      disable_web_page_preview: true,
+    });
+  }
+};
 
 // --------------------- Dual-Mode Webhook or Polling ---------------------
 
 const MODE = process.env.MODE || 'polling'; // 'webhook' for hosting, 'polling' for local
-if (MODE === 'webhook') {
-  const app = express();
-  app.use(express.json());
 
-  const pathWebhook = `/webhook/${bot.token}`;
-  app.use(pathWebhook, (req, res) => {
-    bot.handleUpdate(req.body, res);
-  });
+// Where the admin API (services/adminApi.js) is served: on the webhook server, or in polling
+// mode on its own server at ADMIN_API_PORT (bound to ADMIN_API_HOST, default localhost only)
+const ADMIN_API_PATH = '/admin/api';
 
-  const PORT = process.env.PORT || 3000;
-  app.listen(PORT, '0.0.0.0', () => {
-    logger.info(`🚀 Bot is running in webhook mode on port ${PORT}`);
-  });
+// The admin API's own server in polling mode
+let adminApiServer = null;
 
-  bot.telegram
-    .setWebhook(`${process.env.WEBHOOK_URL}${pathWebhook}`)
-    .then(() => {
-      logger.info(`✅ Webhook set: ${process.env.WEBHOOK_URL}${pathWebhook}`);
-    })
-    .catch((err) => {
-      logger.error('❌ Error setting webhook:', err.message);
-    });
-} else {
-  // Polling mode
-  bot
-    .launch()
-    .then(() => {
-      logger.info('✅ Bot is running in polling mode...');
-      logger.info('✅ Deposit monitoring is active.');
+/**
+ * Creates the admin API router.
+ * @returns {express.Router}
+ */
+const buildAdminApi = () => createAdminApi({ actions: adminActions, jackpotSystem, currency: GAME_TOKEN });
+
+/**
+ * Starts the background workers and receives updates once the database schema is ready.
+ */
+const startBot = () => {
+  chain
+    .getChainId()
+    .then((chainId) => {
+      if (chainId !== network.chainId) {
+        logger.error(
+          `Connected to chain ${chainId}, but the ${network.key} profile expects chain ${network.chainId}. Check NETWORK and RPC_URL.`
+        );
+      }
     })
     .catch((error) => {
-      logger.error('❌ Error launching the bot in polling mode:', error.message);
+      logger.error(`Error connecting to the ${network.name} RPC:`, error.message);
     });
-}
+  logger.info(`⛓️ Using network ${network.name} (chain ${network.chainId}).`);
+
+  withdrawalWorker = startWithdrawalWorker({
+    chain,
+    confirmations: Number(process.env.WITHDRAWAL_CONFIRMATIONS || 1),
+    notify: notifyWithdrawal,
+  });
+  depositIndexer = startDepositIndexer({
+    ...depositSettings,
+    startBlock: process.env.DEPOSIT_START_BLOCK ? Number(process.env.DEPOSIT_START_BLOCK) : undefined,
+    notify: (event, deposit) =>
+      notifyDeposit(event, deposit).catch((error) => {
+        logger.error(`Error sending deposit notification for deposit ${deposit.id}:`, error.message);
+      }),
+  });
+  feeSweeper = startFeeSweeper({
+    teamWallet: TEAM_WALLET_ADDRESS,
+    intervalMs: Number(process.env.FEE_SWEEP_INTERVAL_MS) || undefined,
+  });
+  reconciliation = startReconciliation({
+    chain,
+    alert: alertReconciliation,
+    intervalMs: Number(process.env.RECONCILIATION_INTERVAL_MS) || undefined,
+  });
+
+  if (MODE === 'webhook') {
+    const app = express();
+    // Mounted before the JSON parser below, which would hide the raw body signed requests are checked against
+    if (isAdminApiEnabled()) {
+      app.use(ADMIN_API_PATH, buildAdminApi());
+      logger.info(`🛠 Admin API enabled at ${ADMIN_API_PATH}.`);
+    }
+    app.use(express.json());
+
+    const pathWebhook = `/webhook/${bot.token}`;
+    app.use(pathWebhook, (req, res) => {
+      bot.handleUpdate(req.body, res);
+    });
+
+    const PORT = process.env.PORT || 3000;
+    app.listen(PORT, '0.0.0.0', () => {
+      logger.info(`🚀 Bot is running in webhook mode on port ${PORT}`);
+    });
+
+    bot.telegram
+      .setWebhook(`${process.env.WEBHOOK_URL}${pathWebhook}`)
+      .then(() => {
+        logger.info(`✅ Webhook set: ${process.env.WEBHOOK_URL}${pathWebhook}`);
+      })
+      .catch((err) => {
+        logger.error('❌ Error setting webhook:', err.message);
+      });
+  } else {
+    // Polling mode
+    if (isAdminApiEnabled() && process.env.ADMIN_API_PORT) {
+      const app = express();
+      app.use(ADMIN_API_PATH, buildAdminApi());
+      const host = process.env.ADMIN_API_HOST || '127.0.0.1';
+      adminApiServer = app.listen(Number(process.env.ADMIN_API_PORT), host, () => {
+        logger.info(`🛠 Admin API running on http://${host}:${process.env.ADMIN_API_PORT}${ADMIN_API_PATH}`);
+      });
+    }
+    bot
+      .launch()
+      .then(() => {
+        logger.info('✅ Bot is running in polling mode...');
+        logger.info('✅ Deposit monitoring is active.');
+      })
+      .catch((error) => {
+        logger.error('❌ Error launching the bot in polling mode:', error.message);
+      });
+  }
+};
+
+sqliteDB.ready
+  // Amounts are parsed with each token's on-chain decimals, so read them before anything else
+  .then(() => tokens.loadTokenDecimals(chain))
+  // Opens the jackpot tiers added to config/games/jackpot.json since the last start
+  .then(() =>
+    sqliteDB.setupJackpotTiers(
+      GAME_TOKEN,
+      jackpotSystem.tiers.map((tier) => tier.id),
+      jackpotSystem.getReseed
+    )
+  )
+  .then((added) => {
+    if (added.length > 0) {
+      logger.info(`Opened jackpot tiers: ${added.join(', ')}.`);
+    }
+  })
+  .then(startBot)
+  .catch((error) => {
+    logger.error('❌ Bot not started: database initialization failed.', error.message);
+    process.exit(1);
+  });
 
 // --------------------- Graceful Shutdown ---------------------
 process.once('SIGINT', () => {
+  withdrawalWorker?.stop();
+  feeSweeper?.stop();
+  reconciliation?.stop();
+  depositIndexer?.stop();
+  adminApiServer?.close();
   bot.stop('SIGINT');
   logger.info('🛑 Bot stopped gracefully (SIGINT).');
 });
 process.once('SIGTERM', () => {
+  withdrawalWorker?.stop();
+  feeSweeper?.stop();
+  reconciliation?.stop();
+  depositIndexer?.stop();
+  adminApiServer?.close();
   bot.stop('SIGTERM');
   logger.info('🛑 Bot stopped gracefully (SIGTERM).');
 });
-
-// --------------------- Important: Define withdrawETH and withdrawUSDC Functions ---------------------
-
-/**
- * Handles ETH withdrawal by sending ETH to the user's wallet address.
- * @param {string} walletAddress - The user's Ethereum wallet address.
- * @param {number} amount - The amount of ETH to withdraw.
- * @returns {Promise<string>} - The transaction hash of the withdrawal.
- */
-const withdrawETH = async (walletAddress, amount) => {
-  // Implement the withdrawal logic using ethers.js
-  try {
-    const tx = await poolWallet.sendTransaction({
-      to: walletAddress,
-      value: ethers.utils.parseEther(amount.toString()),
-    });
-    logger.info(`ETH Withdrawal Transaction Hash: ${tx.hash}`);
-    await tx.wait();
-    return tx.hash;
-  } catch (error) {
-    logger.error(`Error withdrawing ETH to ${walletAddress}:`, error.message);
-    throw error;
-  }
-};
-
-/**
- * Handles USDC withdrawal by sending USDC to the user's wallet address.
- * @param {string} walletAddress - The user's Ethereum wallet address.
- * @param {number} amount - The amount of USDC to withdraw.
- * @returns {Promise<string>} - The transaction hash of the withdrawal.
- */
-const withdrawUSDC = async (walletAddress, amount) => {
-  // Implement the withdrawal logic using ethers.js
-  try {
-    const usdcAmount = ethers.utils.parseUnits(amount.toString(), 6);
-    const tx = await usdcContract.transfer(walletAddress, usdcAmount);
-    logger.info(`USDC Withdrawal Transaction Hash: ${tx.hash}`);
-    await tx.wait();
-    return tx.hash;
-  } catch (error) {
-    logger.error(`Error withdrawing USDC to ${walletAddress}:`, error.message);
-    throw error;
-  }
-};
@@ -0,0 +1,315 @@
+// scripts/simulate.js
+
+'use strict';
+
+const fairness = require('../services/fairness');
+const { createSlotMachine } = require('../services/slots');
+const { createJackpotSystem } = require('../services/jackpots');
+const { CONFIG_DIR, loadGameConfig } = require('../services/gameConfig');
+
+/*
+ * Offline game math simulator. Computes the exact return of a slots definition
+ * by enumerating every reel stop, then plays it with the bot's provably fair
+ * RNG and follows the house bankroll wins are paid from and the jackpot tiers
+ * fed by shares of each stake (including must-drop hits, services/jackpots.js):
+ *
+ *   npm run simulate -- --spins 5000000 --slots my-slots.json
+ *
+ * Options:
+ *   --spins <n>          Spins to simulate (default 1000000)
+ *   --stake <amount>     Stake of each spin, in tokens (default 10)
+ *   --bankroll <amount>  House bankroll at the start, in tokens (default 0)
+ *   --jackpot-rate <p>   Share of spins followed by a Jackpot Bet (default 0.05)
+ *   --slots <file>       Slots definition (default <GAME_CONFIG_DIR>/slots.json)
+ *   --jackpot <file>     Jackpot definition (default <GAME_CONFIG_DIR>/jackpot.json)
+ *   --seed <seed>        Server seed, to repeat a run (default random)
+ */
+
+// Enumeration is skipped for definitions with more reel stop combinations than this
+const MAX_ENUMERATED_SPINS = 20000000;
+
+const DEFAULT_OPTIONS = {
+  spins: 1000000,
+  stake: 10,
+  bankroll: 0,
+  'jackpot-rate': 0.05,
+  slots: null,
+  jackpot: null,
+  seed: null,
+};
+
+/**
+ * Parses `--name value` pairs.
+ * @param {string[]} args - The command line arguments.
+ * @returns {Object} - The options.
+ */
+const parseArgs = (args) => {
+  const options = { ...DEFAULT_OPTIONS };
+  for (let i = 0; i < args.length; i += 2) {
+    const name = args[i].replace(/^--/, '');
+    if (!(name in DEFAULT_OPTIONS) || args[i + 1] === undefined) {
+      throw new Error(`Unknown option or missing value: ${args[i]}`);
+    }
+    options[name] = typeof DEFAULT_OPTIONS[name] === 'number' ? Number(args[i + 1]) : args[i + 1];
+    if (Number.isNaN(options[name])) {
+      throw new Error(`--${name} must be a number`);
+    }
+  }
+  return options;
+};
+
+/**
+ * Accumulates spin results into summary statistics.
+ * @returns {{add: Function, summary: Function}}
+ */
+const createTally = () => {
+  let weight = 0;
+  let returned = 0;
+  let squares = 0;
+  let hits = 0;
+  let max = 0;
+  const tiers = {};
+  return {
+    add: (result, probability = 1) => {
+      weight += probability;
+      returned += result.multiplier * probability;
+      squares += result.multiplier * result.multiplier * probability;
+      if (result.multiplier > 0) {
+        hits += probability;
+        tiers[result.tier.name] = (tiers[result.tier.name] || 0) + probability;
+      }
+      max = Math.max(max, result.multiplier);
+    },
+    summary: () => {
+      const rtp = returned / weight;
+      const tierShares = {};
+      for (const [name, tierWeight] of Object.entries(tiers)) {
+        tierShares[name] = tierWeight / weight;
+      }
+      return {
+        rtp,
+        hitFrequency: hits / weight,
+        // Standard deviation of the return of one spin, per unit staked
+        volatility: Math.sqrt(Math.max(squares / weight - rtp * rtp, 0)),
+        maxMultiplier: max,
+        tiers: tierShares,
+      };
+    },
+  };
+};
+
+/**
+ * Computes the exact statistics of a slot machine over every combination of reel stops.
+ * @param {Object} machine - The slot machine.
+ * @returns {Object|null} - The statistics, or null if there are too many combinations.
+ */
+const computeTheoretical = (machine) => {
+  const lengths = machine.config.reelStrips.map((strip) => strip.length);
+  const combinations = lengths.reduce((total, length) => total * length, 1);
+  if (combinations > MAX_ENUMERATED_SPINS) {
+    return null;
+  }
+  const tally = createTally();
+  const stops = lengths.map(() => 0);
+  for (let index = 0; index < combinations; index += 1) {
+    // Floats in the middle of each stop's interval land exactly on that stop
+    tally.add(machine.spin(stops.map((stop, reel) => (stop + 0.5) / lengths[reel])));
+    for (let reel = 0; reel < stops.length; reel += 1) {
+      stops[reel] = (stops[reel] + 1) % lengths[reel];
+      if (stops[reel] !== 0) {
+        break;
+      }
+    }
+  }
+  return { combinations, ...tally.summary() };
+};
+
+/**
+ * Plays the slot machine and Jackpot Bets with the provably fair RNG, tracking the bankroll and each jackpot tier.
+ * @param {Object} machine - The slot machine.
+ * @param {Object} jackpotGame - The jackpot definition.
+ * @param {Object} options - The parsed options.
+ * @returns {Object} - The simulated statistics.
+ */
+const simulate = (machine, jackpotGame, options) => {
+  const serverSeed = options.seed || fairness.generateServerSeed();
+  const clientSeed = 'simulator';
+  const jackpotStake = Number(jackpotGame.stake);
+  const system = createJackpotSystem(jackpotGame, null);
+  const tally = createTally();
+  let bankroll = options.bankroll;
+  let minBankroll = bankroll;
+  let insolventSpins = 0;
+  const jackpot = { bets: 0, staked: 0, paid: 0 };
+  const tiers = {};
+
+  /**
+   * Restarts a tier from its seed, paid by the bankroll if it can, with a drop point drawn from a float.
+   * @param {Object} tier - The tier state.
+   * @param {number} float - A float in [0, 1).
+   */
+  const reseed = (tier, float) => {
+    const { seed, mustDropBy } = tier.definition;
+    if (bankroll >= Number(seed) - tier.pool) {
+      bankroll -= Math.max(Number(seed) - tier.pool, 0);
+      tier.pool = Math.max(tier.pool, Number(seed));
+    }
+    tier.dropAt = mustDropBy ? Number(seed) + (Number(mustDropBy) - Number(seed)) * (1 - float) : null;
+  };
+
+  /**
+   * Pays a tier out and restarts it.
+   * @param {Object} tier - The tier state.
+   * @param {number} float - A float in [0, 1), for the new drop point.
+   * @param {boolean} mustDrop - Whether the tier reached its drop point.
+   */
+  const hit = (tier, float, mustDrop) => {
+    tier.wins += 1;
+    tier.mustDrops += mustDrop ? 1 : 0;
+    tier.paid += tier.pool;
+    tier.largest = Math.max(tier.largest, tier.pool);
+    jackpot.paid += tier.pool;
+    tier.pool = 0;
+    reseed(tier, float);
+  };
+
+  /**
+   * Adds a game's contributions to every tier, never past its drop point (the rest stays in the
+   * bankroll), and pays the tiers that reach their drop point.
+   * @param {string} game - 'slots' or 'jackpot'.
+   * @param {number} stake - The stake.
+   * @param {number} float - A float in [0, 1), for new drop points.
+   */
+  const contribute = (game, stake, float) => {
+    for (const tier of Object.values(tiers)) {
+      let amount = stake * (tier.definition.contributions[game] || 0);
+      if (tier.dropAt !== null) {
+        amount = Math.min(amount, Math.max(tier.dropAt - tier.pool, 0));
+      }
+      bankroll -= amount;
+      tier.pool += amount;
+      if (tier.dropAt !== null && tier.pool >= tier.dropAt) {
+        hit(tier, float, true);
+      }
+    }
+  };
+
+  // The first drop points come from the server seed too, so runs with --seed repeat exactly
+  const startFloats = fairness.getRollFloats(serverSeed, `${clientSeed}-tiers`, 0, system.tiers.length);
+  system.tiers.forEach((definition, index) => {
+    tiers[definition.id] = { definition, pool: 0, dropAt: null, wins: 0, mustDrops: 0, paid: 0, largest: 0 };
+    reseed(tiers[definition.id], startFloats[index]);
+    tiers[definition.id].start = tiers[definition.id].pool;
+  });
+
+  for (let nonce = 0; nonce < options.spins; nonce += 1) {
+    const floats = fairness.getRollFloats(serverSeed, clientSeed, nonce, machine.reelCount + 3);
+    const dropFloat = floats[machine.reelCount + 2];
+    const result = machine.spin(floats);
+    tally.add(result);
+    // Stakes go to the bankroll, which pays wins and the jackpot contributions (sqliteDB.settleBet)
+    bankroll += options.stake - options.stake * result.multiplier;
+    contribute('slots', options.stake, dropFloat);
+
+    if (floats[machine.reelCount] < options['jackpot-rate']) {
+      // A Jackpot Bet wins the tier its roll falls in, including its own contribution
+      bankroll += jackpotStake;
+      contribute('jackpot', jackpotStake, dropFloat);
+      jackpot.bets += 1;
+      jackpot.staked += jackpotStake;
+      const won = system.rollTier(floats[machine.reelCount + 1]);
+      if (won && tiers[won.id].pool > 0) {
+        hit(tiers[won.id], dropFloat, false);
+      }
+    }
+
+    minBankroll = Math.min(minBankroll, bankroll);
+    if (bankroll < 0) {
+      insolventSpins += 1;
+    }
+  }
+
+  return {
+    serverSeed,
+    ...tally.summary(),
+    bankroll: { start: options.bankroll, end: bankroll, min: minBankroll, insolventSpins },
+    jackpot,
+    jackpotTiers: Object.values(tiers),
+  };
+};
+
+const percent = (value) => `${(value * 100).toFixed(3)}%`;
+const tokens = (value) => value.toFixed(2);
+
+/**
+ * Prints the statistics of a game.
+ * @param {string} title - The section title.
+ * @param {Object} stats - Statistics from computeTheoretical or simulate.
+ * @param {Array<{name: string}>} winTiers - The win tiers, in display order.
+ */
+const printStats = (title, stats, winTiers) => {
+  console.log(`\n${title}`);
+  console.log(`  RTP:             ${percent(stats.rtp)} (house edge ${percent(1 - stats.rtp)})`);
+  console.log(`  Hit frequency:   ${percent(stats.hitFrequency)}`);
+  console.log(`  Volatility (SD): ${stats.volatility.toFixed(4)}`);
+  console.log(`  Max multiplier:  ${stats.maxMultiplier}x`);
+  for (const { name } of winTiers) {
+    console.log(`  ${`Tier ${name}:`.padEnd(17)}${percent(stats.tiers[name] || 0)}`);
+  }
+};
+
+/**
+ * Runs the simulator from the command line.
+ */
+const main = () => {
+  const options = parseArgs(process.argv.slice(2));
+  const machine = createSlotMachine(loadGameConfig('slots', options.slots || undefined));
+  const jackpotGame = loadGameConfig('jackpot', options.jackpot || undefined);
+
+  console.log(`Game definitions: ${options.slots || `${CONFIG_DIR}/slots.json`}, ${options.jackpot || `${CONFIG_DIR}/jackpot.json`}`);
+
+  const theoretical = computeTheoretical(machine);
+  if (theoretical) {
+    printStats(`Theoretical (${theoretical.combinations} reel stop combinations)`, theoretical, machine.config.winTiers);
+  } else {
+    console.log(`\nTheoretical: skipped, more than ${MAX_ENUMERATED_SPINS} reel stop combinations.`);
+  }
+
+  const started = Date.now();
+  const simulated = simulate(machine, jackpotGame, options);
+  printStats(`Simulated (${options.spins} spins of ${options.stake}, server seed ${simulated.serverSeed})`, simulated, machine.config.winTiers);
+  const margin = (1.96 * simulated.volatility) / Math.sqrt(options.spins);
+  console.log(`  RTP 95% interval: ${percent(simulated.rtp - margin)} – ${percent(simulated.rtp + margin)}`);
+
+  const { jackpot, jackpotTiers, bankroll } = simulated;
+  console.log(`\nJackpots (Jackpot Bet stake ${jackpotGame.stake}, ${options['jackpot-rate']} bets per spin)`);
+  console.log(`  Jackpot Bets:    ${jackpot.bets}`);
+  console.log(`  Paid out:        ${tokens(jackpot.paid)} (all tiers, spins included)`);
+  console.log(`  Paid per stake:  ${jackpot.staked > 0 ? percent(jackpot.paid / jackpot.staked) : 'n/a'} of Jackpot Bet stakes`);
+  for (const tier of jackpotTiers) {
+    const { name, winChance, contributions, seed, mustDropBy } = tier.definition;
+    console.log(`  ${name}: win chance ${winChance}, ${percent(contributions.slots || 0)} of spins, ${percent(contributions.jackpot || 0)} of Jackpot Bets, seed ${seed}${mustDropBy ? `, must drop by ${mustDropBy}` : ''}`);
+    console.log(`    Wins:          ${tier.wins} (${tier.mustDrops} must-drop)`);
+    console.log(`    Paid out:      ${tokens(tier.paid)} (largest ${tokens(tier.largest)})`);
+    console.log(`    Pool:          ${tokens(tier.start)} → ${tokens(tier.pool)}`);
+  }
+  console.log(`\nHouse bankroll`);
+  console.log(`  Bankroll:        ${tokens(bankroll.start)} → ${tokens(bankroll.end)} (lowest ${tokens(bankroll.min)})`);
+  console.log(`  Drain per spin:  ${tokens((bankroll.start - bankroll.end) / options.spins)} (negative: the bankroll grows)`);
+  console.log(`  Spins insolvent: ${bankroll.insolventSpins}`);
+  console.log(`\nSimulated in ${((Date.now() - started) / 1000).toFixed(1)}s.`);
+};
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  computeTheoretical,
+  simulate,
+};
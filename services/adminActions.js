@@ -0,0 +1,387 @@
+// services/adminActions.js
+
+'use strict';
+
+const logger = require('./logger');
+const admins = require('./admins');
+const sqliteDB = require('../utils/sqliteDB');
+const units = require('../utils/units');
+const { withUserLock } = require('../utils/userLock');
+const { escapeMarkdown } = require('../utils/markdown');
+
+/*
+ * Admin actions that change money or accounts, shared by the admin chat commands
+ * and the admin HTTP API (services/adminApi.js). Each action is recorded in the
+ * audit trail with the admin and the channel it came through; callers check the
+ * admin's role first. Failures callers are expected to report carry a code from
+ * ADMIN_ERROR_CODES or sqliteDB.ERROR_CODES and a message fit to show the admin.
+ */
+
+const ADMIN_ERROR_CODES = {
+  NOT_FOUND: 'NOT_FOUND',
+  INVALID: 'INVALID',
+  CONFLICT: 'CONFLICT',
+};
+
+/**
+ * Creates an error with a code callers report instead of logging.
+ * @param {string} code - One of ADMIN_ERROR_CODES or sqliteDB.ERROR_CODES.
+ * @param {string} message - What went wrong, for the admin.
+ * @returns {Error}
+ */
+const actionError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Creates the admin actions.
+ * @param {Object} options
+ * @param {string} options.currency - The game token: jackpots and house fund transfers are held in it.
+ * @param {Object} options.jackpotSystem - The jackpot tiers (services/jackpots.js).
+ * @param {Function} options.notifyUser - Sends a user a Markdown message: (telegramId, text) => Promise.
+ * @param {Function} options.onDepositCredited - Called with a deposit credited by an approved claim.
+ * @param {Function} options.getTransactionDeposits - Resolves to the confirmed deposits a transaction made to
+ *   the pool (see depositIndexer.getDepositsFromTransaction), to re-check a claim before approving it.
+ * @param {Function} options.reconcile - Runs a reconciliation and resolves to its snapshots.
+ * @returns {Object} - The actions; each takes the acting admin, { id, source }, first.
+ */
+const createAdminActions = ({
+  currency,
+  jackpotSystem,
+  notifyUser,
+  onDepositCredited,
+  getTransactionDeposits,
+  reconcile,
+}) => {
+  const { LEDGER_ACCOUNTS, ENTRY_TYPES } = sqliteDB;
+
+  /**
+   * Records an admin action in the audit trail. A failure to record is logged, not thrown,
+   * so it never hides the outcome of the action itself.
+   * @param {{id: number, source: string}} admin - The admin and the channel used ('telegram' or 'api').
+   * @param {string} action - What was done, e.g. 'credit' or 'freeze'.
+   * @param {string|number} [target] - Who or what it was done to.
+   * @param {Object} [details] - Amounts, the reason, the outcome.
+   * @returns {Promise<void>}
+   */
+  const audit = async (admin, action, target = null, details = {}) => {
+    const role = admins.getRole(admin.id);
+    logger.info(
+      `Admin ${admin.id} (${role}, ${admin.source}) ${action}${target === null ? '' : ` ${target}`}: ${JSON.stringify(details)}`
+    );
+    try {
+      await sqliteDB.recordAdminAction({ adminId: admin.id, role, source: admin.source, action, target, details });
+    } catch (error) {
+      logger.error(`Error recording the ${action} action of admin ${admin.id}:`, error.message);
+    }
+  };
+
+  /**
+   * Sends a user a message, logging rather than throwing if it cannot be delivered.
+   * @param {number} telegramId - The user's Telegram ID.
+   * @param {string} text - The Markdown message.
+   * @returns {Promise<void>}
+   */
+  const tellUser = (telegramId, text) =>
+    Promise.resolve(notifyUser(telegramId, text)).catch((error) => {
+      logger.error(`Error notifying user ${telegramId} of an admin action:`, error.message);
+    });
+
+  /**
+   * Looks up the user an action targets.
+   * @param {number} telegramId - The user's Telegram ID.
+   * @returns {Promise<Object>} - The user, with balances; NOT_FOUND if there is none.
+   */
+  const getTargetUser = async (telegramId) => {
+    const user = await sqliteDB.getUserByTelegramId(telegramId);
+    if (!user) {
+      throw actionError(ADMIN_ERROR_CODES.NOT_FOUND, `User ${telegramId} not found.`);
+    }
+    return user;
+  };
+
+  /**
+   * Lists the house funds: the bankroll, the promo budget and every jackpot tier.
+   * @returns {string[]} - Their ledger accounts.
+   */
+  const getFunds = () => [
+    ...sqliteDB.FUNDS,
+    ...jackpotSystem.tiers.map((tier) => sqliteDB.jackpotAccount(tier.id)),
+  ];
+
+  /**
+   * Credits a user from the house bankroll, or debits a user to it.
+   * @param {Object} admin - The acting admin.
+   * @param {Object} params
+   * @param {number} params.telegramId - The user.
+   * @param {'credit'|'debit'} params.direction - Which way the money moves.
+   * @param {string} params.currency - The token symbol.
+   * @param {string} params.amount - Positive amount, in base units.
+   * @param {string} params.reason - Why; required, shown to the user.
+   * @returns {Promise<{txnId: string, balance: string}>} - The ledger transaction and the user's new balance.
+   */
+  const adjustBalance = async (admin, { telegramId, direction, currency, amount, reason }) => {
+    if (!reason) {
+      throw actionError(ADMIN_ERROR_CODES.INVALID, 'A reason is required.');
+    }
+    if (!['credit', 'debit'].includes(direction)) {
+      throw actionError(ADMIN_ERROR_CODES.INVALID, `Unknown direction: ${direction}`);
+    }
+    const user = await getTargetUser(telegramId);
+    const account = sqliteDB.userAccount(user.telegram_id);
+    const reference = `admin:${admin.id}`;
+    const display = `${units.formatAmount(amount, currency)} ${currency}`;
+    let txnId;
+    try {
+      txnId = await withUserLock(user.telegram_id, () =>
+        direction === 'credit'
+          ? sqliteDB.postFundTransfer(ENTRY_TYPES.ADJUSTMENT, LEDGER_ACCOUNTS.HOUSE, account, currency, amount, reference)
+          : sqliteDB.postTransfer(ENTRY_TYPES.ADJUSTMENT, account, LEDGER_ACCOUNTS.HOUSE, currency, amount, reference)
+      );
+    } catch (error) {
+      if (error.code === sqliteDB.ERROR_CODES.INSUFFICIENT_BALANCE) {
+        throw actionError(
+          error.code,
+          direction === 'credit' ? `The house bankroll does not hold ${display}.` : `The user does not hold ${display}.`
+        );
+      }
+      throw error;
+    }
+    const balance = await sqliteDB.getUserBalance(user.telegram_id, currency);
+    await audit(admin, direction, user.telegram_id, { currency, amount, reason, txnId });
+    await tellUser(
+      user.telegram_id,
+      direction === 'credit'
+        ? `💳 *Balance credited*\n\nAn admin added *${display}* to your balance.\nReason: ${escapeMarkdown(reason)}`
+        : `💳 *Balance debited*\n\nAn admin removed *${display}* from your balance.\nReason: ${escapeMarkdown(reason)}`
+    );
+    return { txnId, balance };
+  };
+
+  /**
+   * Freezes a user: they cannot use the bot until unfrozen. Admins cannot be frozen.
+   * @param {Object} admin - The acting admin.
+   * @param {{telegramId: number, reason: string}} params - The user and why; the reason is required.
+   * @returns {Promise<void>}
+   */
+  const freezeUser = async (admin, { telegramId, reason }) => {
+    if (!reason) {
+      throw actionError(ADMIN_ERROR_CODES.INVALID, 'A reason is required.');
+    }
+    const user = await getTargetUser(telegramId);
+    if (admins.getRole(user.telegram_id)) {
+      throw actionError(ADMIN_ERROR_CODES.INVALID, 'Admins cannot be frozen.');
+    }
+    await sqliteDB.setUserFrozen(user.telegram_id, true, reason);
+    await audit(admin, 'freeze', user.telegram_id, { reason });
+    await tellUser(user.telegram_id, '🧊 *Your account has been frozen.* Please contact support.');
+  };
+
+  /**
+   * Lifts a freeze.
+   * @param {Object} admin - The acting admin.
+   * @param {{telegramId: number}} params - The user.
+   * @returns {Promise<void>}
+   */
+  const unfreezeUser = async (admin, { telegramId }) => {
+    const user = await getTargetUser(telegramId);
+    if (!user.frozen) {
+      throw actionError(ADMIN_ERROR_CODES.CONFLICT, `User ${user.telegram_id} is not frozen.`);
+    }
+    await sqliteDB.setUserFrozen(user.telegram_id, false);
+    await audit(admin, 'unfreeze', user.telegram_id, { frozenFor: user.frozen_reason });
+    await tellUser(user.telegram_id, '✅ *Your account has been unfrozen.* Welcome back!');
+  };
+
+  /**
+   * Sets a jackpot tier, moving the difference from or to the house bankroll.
+   * @param {Object} admin - The acting admin.
+   * @param {{tier: string, amount: string, reason: string}} params - The tier id, the new amount in base
+   *   units (zero empties it) and why; the reason is required.
+   * @returns {Promise<{before: string, after: string}>} - The tier's amount before and after, in base units.
+   */
+  const setJackpot = async (admin, { tier: tierId, amount, reason }) => {
+    const tier = jackpotSystem.getTier(tierId);
+    if (!tier) {
+      throw actionError(ADMIN_ERROR_CODES.NOT_FOUND, `Unknown jackpot tier: ${tierId}`);
+    }
+    if (!reason) {
+      throw actionError(ADMIN_ERROR_CODES.INVALID, 'A reason is required.');
+    }
+    let result;
+    try {
+      result = await sqliteDB.setJackpotAmount(currency, tier.id, amount, `admin:${admin.id}`);
+    } catch (error) {
+      if (error.code === sqliteDB.ERROR_CODES.INSUFFICIENT_BALANCE) {
+        throw actionError(
+          error.code,
+          `The house bankroll cannot cover raising the ${tier.name} jackpot to ${units.formatAmount(amount, currency)} ${currency}.`
+        );
+      }
+      throw error;
+    }
+    await audit(admin, 'set_jackpot', tier.id, { currency, ...result, reason });
+    return result;
+  };
+
+  /**
+   * Pays the level-up bonuses owed since the promo budget ran short, oldest first, for as long
+   * as the budget covers them, and tells each user.
+   * @returns {Promise<Array<Object>>} - The bonuses paid.
+   */
+  const payOwedLevelRewards = async () => {
+    const paid = [];
+    for (const owed of await sqliteDB.getOwedLevelRewards(currency)) {
+      let reward;
+      try {
+        reward = await withUserLock(owed.telegram_id, () => sqliteDB.payOwedLevelReward(owed.id));
+      } catch (error) {
+        if (error.code === sqliteDB.ERROR_CODES.INSUFFICIENT_BALANCE) {
+          break; // The rest stay owed, in order, until the next top-up
+        }
+        throw error;
+      }
+      if (!reward) {
+        continue;
+      }
+      paid.push(reward);
+      await tellUser(
+        reward.telegram_id,
+        `💰 *Level bonus paid*\n\nYour level ${reward.level} bonus of *${units.formatAmount(reward.amount, currency)} ${currency}* has been added to your balance.`
+      );
+    }
+    return paid;
+  };
+
+  /**
+   * Moves money between house funds, or records capital sent to the pool wallet (from `external`).
+   * A transfer into the promo budget pays the level-up bonuses it could not cover before.
+   * @param {Object} admin - The acting admin.
+   * @param {{from: string, to: string, amount: string}} params - The funds (see getFunds) and the amount in base units.
+   * @returns {Promise<{txnId: string, balance: string, rewardsPaid: Array<Object>}>} - The ledger transaction, the
+   *   receiving fund's new balance and the owed bonuses paid from it.
+   */
+  const transferFunds = async (admin, { from, to, amount }) => {
+    const funds = getFunds();
+    if (!(funds.includes(from) || from === LEDGER_ACCOUNTS.EXTERNAL) || !funds.includes(to) || from === to) {
+      throw actionError(
+        ADMIN_ERROR_CODES.INVALID,
+        `Funds: ${funds.join(', ')}. Use ${LEDGER_ACCOUNTS.EXTERNAL} as the source to add capital sent to the pool wallet.`
+      );
+    }
+    const reference = `admin:${admin.id}`;
+    let txnId;
+    try {
+      txnId =
+        from === LEDGER_ACCOUNTS.EXTERNAL
+          ? await sqliteDB.postTransfer(ENTRY_TYPES.CAPITAL, from, to, currency, amount, reference)
+          : await sqliteDB.postFundTransfer(ENTRY_TYPES.FUND_TRANSFER, from, to, currency, amount, reference);
+    } catch (error) {
+      if (error.code === sqliteDB.ERROR_CODES.INSUFFICIENT_BALANCE) {
+        throw actionError(error.code, `The ${from} fund does not hold ${units.formatAmount(amount, currency)} ${currency}.`);
+      }
+      throw error;
+    }
+    const rewardsPaid = to === LEDGER_ACCOUNTS.PROMO ? await payOwedLevelRewards() : [];
+    await audit(admin, 'fund_transfer', to, { from, currency, amount, txnId, rewardsPaid: rewardsPaid.length });
+    return { txnId, balance: await sqliteDB.getFundBalance(to, currency), rewardsPaid };
+  };
+
+  /**
+   * Approves a deposit claim awaiting review, crediting the deposit to the user who claimed it.
+   * The deposit is checked on chain again first, as a reorg may have removed it since the claim.
+   * @param {Object} admin - The acting admin.
+   * @param {number} id - The unmatched deposit ID.
+   * @returns {Promise<Object>} - The credited deposit.
+   */
+  const approveClaim = async (admin, id) => {
+    const unmatched = await sqliteDB.getUnmatchedDeposit(id);
+    if (!unmatched || unmatched.status !== 'awaiting_approval') {
+      throw actionError(ADMIN_ERROR_CODES.CONFLICT, `Claim #${id} is not awaiting approval.`);
+    }
+    const onChain = (await getTransactionDeposits(unmatched.tx_hash)).some(
+      (deposit) =>
+        deposit.logIndex === unmatched.log_index &&
+        deposit.currency === unmatched.currency &&
+        String(deposit.amount) === unmatched.amount
+    );
+    if (!onChain) {
+      throw actionError(
+        ADMIN_ERROR_CODES.CONFLICT,
+        `The deposit of claim #${id} is no longer confirmed on chain, so it cannot be approved.`
+      );
+    }
+    const credited = await withUserLock(unmatched.requested_by, () =>
+      sqliteDB.claimUnmatchedDeposit(id, unmatched.requested_by, 'admin')
+    );
+    if (!credited) {
+      throw actionError(ADMIN_ERROR_CODES.CONFLICT, `Claim #${id} could not be approved; it may already have been claimed.`);
+    }
+    await audit(admin, 'approve_claim', `claim:${id}`, {
+      user: unmatched.requested_by,
+      currency: credited.currency,
+      amount: credited.amount,
+    });
+    await Promise.resolve(onDepositCredited(credited)).catch((error) => {
+      logger.error(`Error sending deposit notification for claim ${id}:`, error.message);
+    });
+    return credited;
+  };
+
+  /**
+   * Rejects a deposit claim awaiting review and tells the user who claimed it.
+   * @param {Object} admin - The acting admin.
+   * @param {number} id - The unmatched deposit ID.
+   * @returns {Promise<Object>} - The rejected claim.
+   */
+  const rejectClaim = async (admin, id) => {
+    const rejected = await sqliteDB.rejectDepositClaim(id);
+    if (!rejected) {
+      throw actionError(ADMIN_ERROR_CODES.CONFLICT, `Claim #${id} is not awaiting approval.`);
+    }
+    await audit(admin, 'reject_claim', `claim:${id}`, { user: rejected.requested_by });
+    await tellUser(
+      rejected.requested_by,
+      `🚫 *Your claim on deposit* \`${rejected.tx_hash}\` *was rejected.* Contact support if you believe this is a mistake.`
+    );
+    return rejected;
+  };
+
+  /**
+   * Runs a reconciliation now.
+   * @param {Object} admin - The acting admin.
+   * @returns {Promise<Array<Object>>} - The snapshots stored (see services/reconciliation.js).
+   */
+  const runReconciliation = async (admin) => {
+    const snapshots = await reconcile();
+    await audit(admin, 'reconcile', null, {
+      snapshots: snapshots.map(({ id, currency: token, gap, breached }) => ({
+        id,
+        currency: token,
+        gap,
+        breached: Boolean(breached),
+      })),
+    });
+    return snapshots;
+  };
+
+  return {
+    audit,
+    getFunds,
+    adjustBalance,
+    freezeUser,
+    unfreezeUser,
+    setJackpot,
+    transferFunds,
+    approveClaim,
+    rejectClaim,
+    runReconciliation,
+  };
+};
+
+module.exports = {
+  ADMIN_ERROR_CODES,
+  createAdminActions,
+};
@@ -0,0 +1,435 @@
+// services/adminApi.js
+
+'use strict';
+
+const crypto = require('crypto');
+const express = require('express');
+const logger = require('./logger');
+const admins = require('./admins');
+const tokens = require('./tokens');
+const { ADMIN_ERROR_CODES } = require('./adminActions');
+const sqliteDB = require('../utils/sqliteDB');
+const units = require('../utils/units');
+require('dotenv').config();
+
+const { ROLES } = admins;
+
+/*
+ * Admin HTTP API. Every request acts as one admin (see services/admins.js), with
+ * that admin's role and in the audit trail, using a key from ADMIN_API_KEYS:
+ * comma-separated `<telegramId>:<secret>` pairs. A request authenticates either with
+ *
+ * - `Authorization: Bearer <secret>`, or
+ * - a signature: `X-Admin-Id: <telegramId>`, `X-Timestamp: <unix ms>`, `X-Nonce: <unique string>`
+ *   and `X-Signature: <hex HMAC-SHA256 of "<timestamp>.<nonce>.<METHOD>.<path with query>.<raw body>"
+ *   keyed with the secret>`, within SIGNATURE_MAX_AGE_MS of the server's clock. Each signature
+ *   is accepted once: a fresh nonce per request keeps a captured request from being replayed.
+ *
+ * Lists take `limit` (at most MAX_PAGE_SIZE) and `offset`, and filter on exact
+ * column values plus `since` / `until` (UTC 'YYYY-MM-DD HH:MM:SS'); see
+ * sqliteDB.listRecords for the columns. Amounts are base-unit strings in responses
+ * and decimal strings (like the chat commands take them) in requests.
+ */
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// How far a signed request's timestamp may be from the server's clock
+const SIGNATURE_MAX_AGE_MS = 5 * 60 * 1000;
+
+const MAX_NONCE_LENGTH = 128;
+
+// Signatures already accepted, with the time their timestamp goes stale (unix ms)
+const seenSignatures = new Map();
+
+// HTTP status of each failure callers are expected to cause
+const ERROR_STATUSES = {
+  [ADMIN_ERROR_CODES.INVALID]: 400,
+  [sqliteDB.ERROR_CODES.INVALID_FILTER]: 400,
+  [ADMIN_ERROR_CODES.NOT_FOUND]: 404,
+  [ADMIN_ERROR_CODES.CONFLICT]: 409,
+  [sqliteDB.ERROR_CODES.INSUFFICIENT_BALANCE]: 409,
+};
+
+/**
+ * Loads the API keys.
+ * @returns {Map<number, string>} - The secret of each admin with a key.
+ */
+const loadApiKeys = () => {
+  const keys = new Map();
+  for (const entry of (process.env.ADMIN_API_KEYS || '').split(',')) {
+    const separator = entry.indexOf(':');
+    const id = Number(entry.slice(0, separator).trim());
+    const secret = entry.slice(separator + 1).trim();
+    if (separator === -1 || !id || !secret) {
+      if (entry.trim()) {
+        logger.error('Ignoring a malformed ADMIN_API_KEYS entry (expected <telegramId>:<secret>).');
+      }
+      continue;
+    }
+    if (!admins.getRole(id)) {
+      logger.error(`Ignoring the admin API key of ${id}, who has no admin role.`);
+      continue;
+    }
+    keys.set(id, secret);
+  }
+  return keys;
+};
+
+const API_KEYS = loadApiKeys();
+
+/**
+ * Checks whether the admin API has any key to accept.
+ * @returns {boolean} - True if ADMIN_API_KEYS names at least one admin.
+ */
+const isAdminApiEnabled = () => API_KEYS.size > 0;
+
+/**
+ * Compares two strings in constant time.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean} - True if they are equal.
+ */
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Records a signature as used, unless it already was.
+ * @param {string} signature - The request's signature.
+ * @param {number} timestamp - The request's timestamp (unix ms).
+ * @returns {boolean} - False if the signature was seen before (a replay).
+ */
+const useSignature = (signature, timestamp) => {
+  const now = Date.now();
+  for (const [seen, staleAt] of seenSignatures) {
+    if (staleAt < now) {
+      seenSignatures.delete(seen);
+    }
+  }
+  if (seenSignatures.has(signature)) {
+    return false;
+  }
+  seenSignatures.set(signature, timestamp + SIGNATURE_MAX_AGE_MS);
+  return true;
+};
+
+/**
+ * Identifies the admin a request comes from.
+ * @param {Object} req - The Express request (with `rawBody`).
+ * @returns {number|null} - The admin's Telegram ID, or null if the request is not authenticated.
+ */
+const authenticate = (req) => {
+  const bearer = /^Bearer (.+)$/.exec(req.get('authorization') || '');
+  if (bearer) {
+    for (const [id, secret] of API_KEYS) {
+      if (safeEqual(bearer[1], secret)) {
+        return id;
+      }
+    }
+    return null;
+  }
+
+  const id = Number(req.get('x-admin-id'));
+  const timestamp = req.get('x-timestamp');
+  const nonce = req.get('x-nonce');
+  const signature = req.get('x-signature');
+  const secret = API_KEYS.get(id);
+  if (
+    !secret ||
+    !timestamp ||
+    !nonce ||
+    nonce.length > MAX_NONCE_LENGTH ||
+    !signature ||
+    !(Math.abs(Date.now() - Number(timestamp)) <= SIGNATURE_MAX_AGE_MS)
+  ) {
+    return null;
+  }
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${nonce}.${req.method}.${req.originalUrl}.${req.rawBody || ''}`)
+    .digest('hex');
+  if (!safeEqual(signature.toLowerCase(), expected)) {
+    return null;
+  }
+  if (!useSignature(expected, Number(timestamp))) {
+    logger.warn(`Rejected a replayed admin API request from ${id}: ${req.method} ${req.originalUrl}`);
+    return null;
+  }
+  return id;
+};
+
+/**
+ * Creates an error answered with a 400.
+ * @param {string} message - What is wrong with the request.
+ * @returns {Error}
+ */
+const invalid = (message) => {
+  const error = new Error(message);
+  error.code = ADMIN_ERROR_CODES.INVALID;
+  return error;
+};
+
+/**
+ * Parses a decimal amount from a request.
+ * @param {*} input - The amount, e.g. "12.5".
+ * @param {string} currency - The token symbol.
+ * @param {boolean} [allowZero=false] - Whether zero is accepted.
+ * @returns {string} - The amount in base units.
+ */
+const parseAmountInput = (input, currency, allowZero = false) => {
+  const text = String(input === undefined ? '' : input);
+  const fraction = text.split('.')[1] || '';
+  if (!/^\d+(\.\d+)?$/.test(text) || fraction.length > units.getDecimals(currency)) {
+    throw invalid(`amount must be a decimal string with at most ${units.getDecimals(currency)} decimals.`);
+  }
+  const amount = units.parseAmount(text, currency);
+  if (!allowZero && amount === '0') {
+    throw invalid('amount must be positive.');
+  }
+  return amount;
+};
+
+/**
+ * Reads the page and the filters of a list request.
+ * @param {Object} query - The request's query string.
+ * @returns {{page: {limit: number, offset: number}, filters: Object<string, string>}}
+ */
+const parseListQuery = (query) => {
+  const { limit, offset, ...filters } = query;
+  return {
+    page: {
+      limit: Math.min(Math.max(Math.floor(Number(limit)) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE),
+      offset: Math.max(Math.floor(Number(offset)) || 0, 0),
+    },
+    filters,
+  };
+};
+
+/**
+ * Reads a Telegram ID from a route parameter.
+ * @param {string} value - The parameter.
+ * @returns {number} - The ID.
+ */
+const parseTelegramId = (value) => {
+  if (!/^\d+$/.test(value)) {
+    throw invalid('The user must be a Telegram ID.');
+  }
+  return Number(value);
+};
+
+/**
+ * Creates the admin API router.
+ * @param {Object} options
+ * @param {Object} options.actions - The admin actions (services/adminActions.js).
+ * @param {Object} options.jackpotSystem - The jackpot tiers (services/jackpots.js).
+ * @param {string} options.currency - The game token.
+ * @returns {express.Router} - The router, to mount under e.g. /admin/api.
+ */
+const createAdminApi = ({ actions, jackpotSystem, currency }) => {
+  const router = express.Router();
+  router.use(
+    express.json({
+      // Signatures cover the body exactly as sent
+      verify: (req, res, buffer) => {
+        req.rawBody = buffer.toString('utf8');
+      },
+    })
+  );
+
+  router.use((req, res, next) => {
+    const adminId = authenticate(req);
+    if (!adminId) {
+      res.status(401).json({ error: 'Unauthorized' });
+      return;
+    }
+    req.admin = { id: adminId, source: 'api' };
+    // Reads are audited like the chat lookups; changes are audited by the action itself
+    if (req.method === 'GET') {
+      actions.audit(req.admin, 'api_view', req.path, req.query);
+    }
+    next();
+  });
+
+  /**
+   * Adds a route allowed to a role and above, answering its failures with a status.
+   * @param {string} method - 'get', 'post' or 'put'.
+   * @param {string} path - The route.
+   * @param {string} role - The lowest role allowed.
+   * @param {Function} handler - (req) => Promise of the response body.
+   */
+  const route = (method, path, role, handler) => {
+    router[method](path, async (req, res) => {
+      if (!admins.hasRole(req.admin.id, role)) {
+        res.status(403).json({ error: `Requires the ${role} role.` });
+        return;
+      }
+      try {
+        res.json(await handler(req));
+      } catch (error) {
+        const status = ERROR_STATUSES[error.code];
+        if (!status) {
+          logger.error(`Error answering admin API ${req.method} ${req.path}:`, error.message);
+        }
+        res.status(status || 500).json({ error: status ? error.message : 'Internal error' });
+      }
+    });
+  };
+
+  /**
+   * Adds a list route over sqliteDB.listRecords.
+   * @param {string} path - The route.
+   * @param {string} kind - The records (see sqliteDB.listRecords).
+   * @param {string} role - The lowest role allowed.
+   * @param {Function} [mapRow] - Prepares a row for the response.
+   * @param {Function} [getFilters] - Adds filters taken from the route: (req) => Object.
+   */
+  const listRoute = (path, kind, role, mapRow = (row) => row, getFilters = () => ({})) => {
+    route('get', path, role, async (req) => {
+      const { page, filters } = parseListQuery(req.query);
+      const { rows, total } = await sqliteDB.listRecords(kind, { ...filters, ...getFilters(req) }, page);
+      return { data: await Promise.all(rows.map(mapRow)), pagination: { ...page, total } };
+    });
+  };
+
+  // --- Reads (support) ---
+
+  listRoute('/users', 'users', ROLES.SUPPORT, async (user) => ({
+    ...user,
+    balances: await sqliteDB.getUserBalances(user.telegram_id),
+  }));
+  route('get', '/users/:telegramId', ROLES.SUPPORT, async (req) => {
+    const user = await sqliteDB.getUserByTelegramId(parseTelegramId(req.params.telegramId));
+    if (!user) {
+      const error = new Error('User not found.');
+      error.code = ADMIN_ERROR_CODES.NOT_FOUND;
+      throw error;
+    }
+    return { data: user };
+  });
+  listRoute('/users/:telegramId/ledger', 'ledger', ROLES.SUPPORT, undefined, (req) => ({
+    account: sqliteDB.userAccount(parseTelegramId(req.params.telegramId)),
+  }));
+  listRoute('/balances', 'balances', ROLES.SUPPORT);
+  listRoute('/ledger', 'ledger', ROLES.SUPPORT);
+  listRoute('/bets', 'bets', ROLES.SUPPORT);
+  listRoute('/limits', 'limits', ROLES.SUPPORT);
+  listRoute('/deposits', 'deposits', ROLES.SUPPORT);
+  listRoute('/claims', 'claims', ROLES.SUPPORT);
+  listRoute('/withdrawals', 'withdrawals', ROLES.SUPPORT);
+  listRoute('/jackpots/hits', 'jackpot_hits', ROLES.SUPPORT);
+  listRoute('/reconciliations', 'reconciliations', ROLES.SUPPORT, (snapshot) => ({
+    ...snapshot,
+    breakdown: JSON.parse(snapshot.breakdown),
+  }));
+
+  route('get', '/jackpots', ROLES.SUPPORT, async (req) => {
+    const jackpots = await sqliteDB.getJackpotTiers(currency);
+    // Drop points are hidden from players, and from everyone but owners
+    const showDropAt = admins.hasRole(req.admin.id, ROLES.OWNER);
+    return {
+      data: jackpotSystem.tiers.map(({ id, name, emoji, winChance, seed, mustDropBy }) => ({
+        id,
+        name,
+        emoji,
+        currency,
+        amount: jackpots[id] ? jackpots[id].amount : '0',
+        // The commitment is public (shown in the Jackpot Pool)
+        dropHash: jackpots[id] ? jackpots[id].dropHash : null,
+        ...(showDropAt && { dropAt: jackpots[id] ? jackpots[id].dropAt : null }),
+        winChance,
+        seed,
+        mustDropBy: mustDropBy || null,
+      })),
+    };
+  });
+  route('get', '/funds', ROLES.SUPPORT, async (req) => {
+    const days = admins.parseReportDays(req.query.days);
+    const since = sqliteDB.toSqlTime(Date.now() - days * 24 * 60 * 60 * 1000);
+    return { data: await sqliteDB.getFundReport(currency, since) };
+  });
+  route('get', '/stats', ROLES.SUPPORT, async (req) => {
+    const days = admins.parseReportDays(req.query.days);
+    const since = sqliteDB.toSqlTime(Date.now() - days * 24 * 60 * 60 * 1000);
+    return { data: { currency, days, ...(await sqliteDB.getHouseStats(currency, since)) } };
+  });
+
+  // --- Account actions (operator) ---
+
+  for (const direction of ['credit', 'debit']) {
+    route('post', `/users/:telegramId/${direction}`, ROLES.OPERATOR, async (req) => {
+      const body = req.body || {};
+      const token = tokens.getToken(body.currency || currency);
+      if (!token) {
+        throw invalid(`Unknown token: ${body.currency}`);
+      }
+      const result = await actions.adjustBalance(req.admin, {
+        telegramId: parseTelegramId(req.params.telegramId),
+        direction,
+        currency: token.symbol,
+        amount: parseAmountInput(body.amount, token.symbol),
+        reason: typeof body.reason === 'string' ? body.reason.trim() : '',
+      });
+      return { data: { currency: token.symbol, ...result } };
+    });
+  }
+  route('post', '/users/:telegramId/freeze', ROLES.OPERATOR, async (req) => {
+    const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    await actions.freezeUser(req.admin, { telegramId: parseTelegramId(req.params.telegramId), reason });
+    return { data: { frozen: true } };
+  });
+  route('post', '/users/:telegramId/unfreeze', ROLES.OPERATOR, async (req) => {
+    await actions.unfreezeUser(req.admin, { telegramId: parseTelegramId(req.params.telegramId) });
+    return { data: { frozen: false } };
+  });
+  route('post', '/claims/:id/approve', ROLES.OPERATOR, async (req) => ({
+    data: await actions.approveClaim(req.admin, Number(req.params.id)),
+  }));
+  route('post', '/claims/:id/reject', ROLES.OPERATOR, async (req) => ({
+    data: await actions.rejectClaim(req.admin, Number(req.params.id)),
+  }));
+  route('post', '/reconciliations', ROLES.OPERATOR, async (req) => ({
+    data: await actions.runReconciliation(req.admin),
+  }));
+
+  // --- House actions (owner) ---
+
+  route('put', '/jackpots/:tier', ROLES.OWNER, async (req) => {
+    const body = req.body || {};
+    return {
+      data: await actions.setJackpot(req.admin, {
+        tier: req.params.tier,
+        amount: parseAmountInput(body.amount, currency, true),
+        reason: typeof body.reason === 'string' ? body.reason.trim() : '',
+      }),
+    };
+  });
+  route('post', '/funds/transfer', ROLES.OWNER, async (req) => {
+    const body = req.body || {};
+    return {
+      data: await actions.transferFunds(req.admin, {
+        from: body.from,
+        to: body.to,
+        amount: parseAmountInput(body.amount, currency),
+      }),
+    };
+  });
+  listRoute('/audit', 'admin_actions', ROLES.OWNER, (action) => ({ ...action, details: JSON.parse(action.details) }));
+
+  router.use((req, res) => {
+    res.status(404).json({ error: 'Not found' });
+  });
+  // Errors raised before a route, e.g. malformed JSON bodies (Express needs all four arguments)
+  router.use((error, req, res, next) => {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Internal error' });
+  });
+
+  return router;
+};
+
+module.exports = {
+  isAdminApiEnabled,
+  createAdminApi,
+};
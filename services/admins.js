@@ -0,0 +1,96 @@
+// services/admins.js
+
+'use strict';
+
+require('dotenv').config();
+
+/*
+ * Admin roles, configured by Telegram ID (comma-separated lists):
+ * - ADMIN_SUPPORT_IDS: look up users, their history and the house stats
+ * - ADMIN_OPERATOR_IDS: support, plus credits and debits, freezes, deposit claims
+ *   and reconciliation alerts
+ * - ADMIN_OWNER_IDS: operator, plus the house funds, the jackpots and the audit trail
+ *
+ * Each role includes the ones below it; an ID listed under several roles gets the
+ * highest. ADMIN_TELEGRAM_IDS, from before roles, still names owners.
+ */
+
+const ROLES = {
+  SUPPORT: 'support',
+  OPERATOR: 'operator',
+  OWNER: 'owner',
+};
+
+// Rank of each role: a role may do everything a lower-ranked one may
+const ROLE_RANKS = {
+  [ROLES.SUPPORT]: 1,
+  [ROLES.OPERATOR]: 2,
+  [ROLES.OWNER]: 3,
+};
+
+/**
+ * Parses a comma-separated list of Telegram IDs.
+ * @param {string} [list] - The list.
+ * @returns {number[]} - The IDs.
+ */
+const parseIds = (list) =>
+  (list || '')
+    .split(',')
+    .map((id) => Number(id.trim()))
+    .filter(Boolean);
+
+// Role of each admin, lowest role first so higher ones win
+const ADMIN_ROLES = new Map();
+for (const [role, list] of [
+  [ROLES.SUPPORT, process.env.ADMIN_SUPPORT_IDS],
+  [ROLES.OPERATOR, process.env.ADMIN_OPERATOR_IDS],
+  [ROLES.OWNER, process.env.ADMIN_OWNER_IDS],
+  [ROLES.OWNER, process.env.ADMIN_TELEGRAM_IDS],
+]) {
+  for (const id of parseIds(list)) {
+    ADMIN_ROLES.set(id, role);
+  }
+}
+
+/**
+ * Returns a Telegram user's admin role.
+ * @param {number} telegramId - The user's Telegram ID.
+ * @returns {string|null} - One of ROLES, or null for players.
+ */
+const getRole = (telegramId) => ADMIN_ROLES.get(telegramId) || null;
+
+/**
+ * Checks whether a Telegram user holds a role or a higher one.
+ * @param {number} telegramId - The user's Telegram ID.
+ * @param {string} [role=ROLES.SUPPORT] - The lowest role allowed.
+ * @returns {boolean} - True if the user may act as that role.
+ */
+const hasRole = (telegramId, role = ROLES.SUPPORT) => {
+  const held = getRole(telegramId);
+  return Boolean(held) && ROLE_RANKS[held] >= ROLE_RANKS[role];
+};
+
+/**
+ * Lists the admins holding a role or a higher one.
+ * @param {string} [role=ROLES.SUPPORT] - The lowest role.
+ * @returns {number[]} - Their Telegram IDs.
+ */
+const getAdminIds = (role = ROLES.SUPPORT) => [...ADMIN_ROLES.keys()].filter((id) => hasRole(id, role));
+
+// Longest window the house reports (/funds, /housestats) cover, in days
+const MAX_REPORT_DAYS = 365;
+
+/**
+ * Reads the number of days a house report covers.
+ * @param {*} input - The requested days, e.g. a command argument.
+ * @returns {number} - A whole number of days from 1 to MAX_REPORT_DAYS (1 if the input is not a number).
+ */
+const parseReportDays = (input) => Math.min(Math.max(Math.floor(Number(input)) || 1, 1), MAX_REPORT_DAYS);
+
+module.exports = {
+  ROLES,
+  getRole,
+  hasRole,
+  getAdminIds,
+  parseReportDays,
+};
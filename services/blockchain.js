@@ -2,110 +2,299 @@
 
 const { ethers } = require('ethers');
 const logger = require('./logger');
+const units = require('../utils/units');
+const { createProvider } = require('../utils/networks');
+const tokens = require('./tokens');
 require('dotenv').config();
 
-// Initialize Provider
-const provider = new ethers.providers.InfuraProvider('sepolia', process.env.INFURA_PROJECT_ID);
+/*
+ * Chain adapter. Every on-chain interaction of the bot goes through an object
+ * with this interface, so the chain can be swapped for the in-memory one in
+ * services/mockChain.js:
+ *
+ * - poolAddress: the address deposits are sent to and withdrawals are paid from
+ * - getChainId(), getBlockNumber(), getBlockHash(blockNumber)
+ * - getTokenDecimals(tokenAddress)
+ * - getPoolBalance(currency)
+ * - getDeposits(fromBlock, toBlock): successful ERC-20 and ETH transfers to the pool
+ * - getTransactionDeposits(txHash): the same, for a single transaction
+ * - getTransactionStatus(txHash): null until mined, then { success, blockNumber, blockHash, confirmations, gasFee },
+ *   gasFee being what the sender paid for gas, in base units of the native token
+ * - isTransactionPending(txHash): true if the transaction is known but not mined
+ * - getPoolNonce(blockTag): the pool's transaction count ('latest' or 'pending')
+ * - signTransfer(currency, to, amount, nonce): { nonce, hash, signedTx }, without sending it
+ * - broadcast(signedTx): sends a signed transaction
+ * - transfer(currency, to, amount): signs and sends a transfer, returning { hash }
+ *
+ * Currencies are token symbols from the token registry (services/tokens.js). Deposits are
+ * { txHash, logIndex, blockNumber, blockHash, currency, fromAddress, amount }, with amounts in base units.
+ */
+
+// Log index recorded for native ETH deposits, which have no log
+const NATIVE_LOG_INDEX = -1;
 
-// USDC Contract Setup
-const usdcAddress = process.env.USDC_CONTRACT_ADDRESS;
-const usdcAbi = [
+const erc20Abi = [
+    "function decimals() view returns (uint8)",
     "function balanceOf(address owner) view returns (uint256)",
     "function transfer(address to, uint256 amount) returns (bool)",
     "function approve(address spender, uint256 amount) returns (bool)",
     "function allowance(address owner, address spender) view returns (uint256)",
     "event Transfer(address indexed from, address indexed to, uint256 value)",
 ];
-const usdcContract = new ethers.Contract(usdcAddress, usdcAbi, provider);
-
-// Pool Address (Where USDC Bets Go)
-const poolAddress = process.env.POOL_ADDRESS;
-
-// Pool Signer (Pool must have a private key to perform transfers)
-const poolPrivateKey = process.env.POOL_PRIVATE_KEY;
-if (!poolPrivateKey) {
-    logger.error('POOL_PRIVATE_KEY is not set in the environment variables.');
-    process.exit(1);
-}
-const poolWallet = new ethers.Wallet(poolPrivateKey, provider);
-const usdcWithPoolSigner = usdcContract.connect(poolWallet);
+const erc20Interface = new ethers.utils.Interface(erc20Abi);
 
 /**
- * Fetch USDC balance for the pool.
- * @returns {Promise<number>} - USDC balance in the pool.
+ * Creates a chain adapter backed by an ethers provider and the pool wallet.
+ * @param {Object} options
+ * @param {ethers.providers.Provider} options.provider - The chain provider.
+ * @param {ethers.Wallet} options.wallet - The pool wallet, connected to the provider.
+ * @param {Array<{symbol: string, address: string}>} options.tokens - The ERC-20 tokens to support.
+ * @param {string} [options.poolAddress] - The pool address (defaults to the wallet's address).
+ * @returns {Object} - The chain adapter.
  */
-const getPoolUsdcBalance = async () => {
-    try {
-        const balance = await usdcContract.balanceOf(poolAddress);
-        const formattedBalance = parseFloat(ethers.utils.formatUnits(balance, 6)); // USDC has 6 decimals
-        logger.info(`Pool USDC Balance: ${formattedBalance} USDC`);
-        return formattedBalance;
-    } catch (error) {
-        logger.error('Error fetching pool USDC balance:', error);
-        throw error;
-    }
-};
+const createChainAdapter = ({ provider, wallet, tokens: erc20Tokens, poolAddress = wallet.address }) => {
+    const contracts = new Map(
+        erc20Tokens.map((token) => [token.symbol, new ethers.Contract(token.address, erc20Abi, wallet)])
+    );
+    const isPool = (address) => Boolean(address) && address.toLowerCase() === poolAddress.toLowerCase();
 
-/**
- * Transfer USDC from the pool to a user's wallet.
- * @param {string} to - Recipient's Ethereum address.
- * @param {number} amount - Amount of USDC to transfer.
- * @returns {Promise<ethers.providers.TransactionResponse>} - Transaction response.
- */
-const transferUsdcToUser = async (to, amount) => {
-    try {
-        const tx = await usdcWithPoolSigner.transfer(to, ethers.utils.parseUnits(amount.toString(), 6));
-        logger.info(`USDC transfer transaction sent: ${tx.hash}`);
-        await tx.wait();
-        logger.info(`USDC transfer transaction confirmed: ${tx.hash}`);
-        return tx;
-    } catch (error) {
-        logger.error(`Error transferring USDC to ${to}:`, error);
-        throw error;
-    }
+    /**
+     * Returns the contract of an ERC-20 token.
+     * @param {string} currency - The token symbol.
+     * @returns {ethers.Contract} - The contract, connected to the pool wallet.
+     */
+    const getContract = (currency) => {
+        const contract = contracts.get(currency);
+        if (!contract) {
+            throw new Error(`Unsupported token: ${currency}`);
+        }
+        return contract;
+    };
+
+    /**
+     * Builds the deposit found in an ERC-20 Transfer log.
+     * @param {string} currency - The token symbol.
+     * @param {Object} log - The log.
+     * @param {Object} args - The parsed Transfer arguments.
+     * @returns {Object} - The deposit.
+     */
+    const tokenDeposit = (currency, log, args) => ({
+        txHash: log.transactionHash,
+        logIndex: log.logIndex,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        currency,
+        fromAddress: args.from,
+        amount: args.value.toString(),
+    });
+
+    /**
+     * Builds the deposit made by a transaction that sends ETH to the pool.
+     * @param {Object} tx - The transaction.
+     * @param {number} blockNumber - The block it was mined in.
+     * @param {string} blockHash - The hash of that block.
+     * @returns {Object} - The deposit.
+     */
+    const ethDeposit = (tx, blockNumber, blockHash) => ({
+        txHash: tx.hash,
+        logIndex: NATIVE_LOG_INDEX,
+        blockNumber,
+        blockHash,
+        currency: 'ETH',
+        fromAddress: tx.from,
+        amount: tx.value.toString(),
+    });
+
+    /**
+     * Finds the ETH deposits to the pool in a block.
+     * @param {number} blockNumber - The block.
+     * @returns {Promise<Array>} - Deposits found.
+     */
+    const getEthDeposits = async (blockNumber) => {
+        const block = await provider.getBlockWithTransactions(blockNumber);
+        const deposits = [];
+        for (const tx of block.transactions) {
+            if (!isPool(tx.to) || !tx.value.gt(0)) {
+                continue;
+            }
+            // A reverted transaction moves no ETH
+            const receipt = await provider.getTransactionReceipt(tx.hash);
+            if (receipt && receipt.status === 1) {
+                deposits.push(ethDeposit(tx, blockNumber, block.hash));
+            }
+        }
+        return deposits;
+    };
+
+    return {
+        poolAddress,
+
+        getChainId: async () => (await provider.getNetwork()).chainId,
+
+        getBlockNumber: () => provider.getBlockNumber(),
+
+        getBlockHash: async (blockNumber) => {
+            const block = await provider.getBlock(blockNumber);
+            return block ? block.hash : null;
+        },
+
+        getTokenDecimals: async (tokenAddress) =>
+            new ethers.Contract(tokenAddress, erc20Abi, provider).decimals(),
+
+        getPoolBalance: async (currency) => {
+            const balance =
+                currency === 'ETH'
+                    ? await provider.getBalance(poolAddress)
+                    : await getContract(currency).balanceOf(poolAddress);
+            return balance.toString();
+        },
+
+        getDeposits: async (fromBlock, toBlock) => {
+            const deposits = [];
+            for (const token of erc20Tokens) {
+                const logs = await provider.getLogs({
+                    address: token.address,
+                    topics: [
+                        erc20Interface.getEventTopic('Transfer'),
+                        null,
+                        ethers.utils.hexZeroPad(poolAddress, 32),
+                    ],
+                    fromBlock,
+                    toBlock,
+                });
+                for (const log of logs.filter((entry) => !entry.removed)) {
+                    deposits.push(tokenDeposit(token.symbol, log, erc20Interface.parseLog(log).args));
+                }
+            }
+            for (let blockNumber = fromBlock; blockNumber <= toBlock; blockNumber += 1) {
+                deposits.push(...(await getEthDeposits(blockNumber)));
+            }
+            return deposits;
+        },
+
+        getTransactionDeposits: async (txHash) => {
+            const receipt = await provider.getTransactionReceipt(txHash);
+            if (!receipt || receipt.status !== 1) {
+                return [];
+            }
+
+            const deposits = [];
+            const tx = await provider.getTransaction(txHash);
+            if (isPool(tx.to) && tx.value.gt(0)) {
+                deposits.push(ethDeposit(tx, receipt.blockNumber, receipt.blockHash));
+            }
+            for (const log of receipt.logs) {
+                const token = erc20Tokens.find(
+                    (candidate) => candidate.address.toLowerCase() === log.address.toLowerCase()
+                );
+                if (!token) {
+                    continue;
+                }
+                let parsed;
+                try {
+                    parsed = erc20Interface.parseLog(log);
+                } catch (error) {
+                    continue; // Not an ERC-20 event we know
+                }
+                if (parsed.name === 'Transfer' && isPool(parsed.args.to)) {
+                    deposits.push(tokenDeposit(token.symbol, log, parsed.args));
+                }
+            }
+            return deposits;
+        },
+
+        getTransactionStatus: async (txHash) => {
+            const receipt = await provider.getTransactionReceipt(txHash);
+            if (!receipt) {
+                return null;
+            }
+            // Nodes predating EIP-1559 leave effectiveGasPrice out; the gas price is then the one signed
+            const gasPrice = receipt.effectiveGasPrice || (await provider.getTransaction(txHash)).gasPrice;
+            return {
+                success: receipt.status === 1,
+                blockNumber: receipt.blockNumber,
+                blockHash: receipt.blockHash,
+                confirmations: receipt.confirmations,
+                gasFee: receipt.gasUsed.mul(gasPrice).toString(),
+            };
+        },
+
+        isTransactionPending: async (txHash) => {
+            const tx = await provider.getTransaction(txHash);
+            return Boolean(tx) && !tx.blockNumber;
+        },
+
+        getPoolNonce: (blockTag) => wallet.getTransactionCount(blockTag),
+
+        signTransfer: async (currency, to, amount, nonce) => {
+            const request =
+                currency === 'ETH'
+                    ? { to, value: amount }
+                    : await getContract(currency).populateTransaction.transfer(to, amount);
+            const populated = await wallet.populateTransaction({ ...request, nonce });
+            const signedTx = await wallet.signTransaction(populated);
+            return { nonce, hash: ethers.utils.keccak256(signedTx), signedTx };
+        },
+
+        broadcast: async (signedTx) => {
+            await provider.sendTransaction(signedTx);
+        },
+
+        transfer: async (currency, to, amount) => {
+            const tx =
+                currency === 'ETH'
+                    ? await wallet.sendTransaction({ to, value: amount })
+                    : await getContract(currency).transfer(to, amount);
+            return { hash: tx.hash };
+        },
+    };
 };
 
+// Adapter for the configured network, created on first use
+let defaultChain = null;
+
 /**
- * Fetch ETH balance for the pool.
- * @returns {Promise<number>} - ETH balance in the pool.
+ * Returns the chain adapter for the configured network (NETWORK) and pool wallet.
+ * @returns {Object} - The chain adapter.
  */
-const getPoolEthBalance = async () => {
-    try {
-        const balance = await provider.getBalance(poolAddress);
-        const formattedBalance = parseFloat(ethers.utils.formatEther(balance));
-        logger.info(`Pool ETH Balance: ${formattedBalance} ETH`);
-        return formattedBalance;
-    } catch (error) {
-        logger.error('Error fetching pool ETH balance:', error);
-        throw error;
+const getChain = () => {
+    if (!defaultChain) {
+        // Pool Signer (Pool must have a private key to perform transfers)
+        const poolPrivateKey = process.env.POOL_PRIVATE_KEY;
+        if (!poolPrivateKey) {
+            logger.error('POOL_PRIVATE_KEY is not set in the environment variables.');
+            process.exit(1);
+        }
+        const provider = createProvider();
+        defaultChain = createChainAdapter({
+            provider,
+            wallet: new ethers.Wallet(poolPrivateKey, provider),
+            tokens: tokens.getErc20Tokens(),
+            poolAddress: process.env.POOL_ADDRESS,
+        });
     }
+    return defaultChain;
 };
 
 /**
- * Transfer ETH from the pool to a user's wallet.
- * @param {string} to - Recipient's Ethereum address.
- * @param {number} amount - Amount of ETH to transfer.
- * @returns {Promise<ethers.providers.TransactionResponse>} - Transaction response.
+ * Fetch the pool's balance of a token.
+ * @param {string} currency - The token symbol.
+ * @returns {Promise<string>} - The pool's balance, in base units.
  */
-const transferEthToUser = async (to, amount) => {
+const getPoolBalance = async (currency) => {
     try {
-        const tx = await poolWallet.sendTransaction({
-            to,
-            value: ethers.utils.parseEther(amount.toString()),
-        });
-        logger.info(`ETH transfer transaction sent: ${tx.hash}`);
-        await tx.wait();
-        logger.info(`ETH transfer transaction confirmed: ${tx.hash}`);
-        return tx;
+        const balance = await getChain().getPoolBalance(currency);
+        logger.info(`Pool ${currency} Balance: ${units.formatAmount(balance, currency)} ${currency}`);
+        return balance;
     } catch (error) {
-        logger.error(`Error transferring ETH to ${to}:`, error);
+        logger.error(`Error fetching pool ${currency} balance:`, error);
         throw error;
     }
 };
 
 module.exports = {
-    getPoolUsdcBalance,
-    transferUsdcToUser,
-    getPoolEthBalance,
-    transferEthToUser,
+    NATIVE_LOG_INDEX,
+    createChainAdapter,
+    getChain,
+    getPoolBalance,
 };
@@ -0,0 +1,273 @@
+// services/depositIndexer.js
+
+'use strict';
+
+const logger = require('./logger');
+const sqliteDB = require('../utils/sqliteDB');
+const units = require('../utils/units');
+const tokens = require('./tokens');
+const { withUserLock } = require('../utils/userLock');
+
+/*
+ * Restart-safe deposit indexer.
+ *
+ * Blocks are scanned in order up to `confirmations` below the chain head, for
+ * Transfer logs of every configured token and ETH transactions sent to the pool. The last processed
+ * block (and its hash) is persisted after every chunk, so blocks that arrive
+ * while the bot is down are backfilled on the next start. Deposits are keyed
+ * by (tx hash, log index) and credited once; ETH deposits use log index -1.
+ *
+ * Deposits from addresses no user has registered, and deposits below the token's
+ * minimum, are stored as unmatched deposits, which their sender can claim with /claim.
+ *
+ * Deposits that would break one of the user's deposit limits are held, not
+ * credited (see sqliteDB.creditDeposit). Each pass releases the held deposits
+ * whose user's limits have room for them again.
+ *
+ * Reorgs: if the checkpointed block hash changes, scanning rewinds by
+ * REORG_WINDOW blocks. Recently credited deposits are re-checked each pass and
+ * reversed if their transaction is no longer on chain; recent unmatched deposits
+ * still open to a claim are closed the same way, so a claim cannot credit them.
+ */
+
+const DEFAULT_INTERVAL_MS = 15000;
+const DEFAULT_CONFIRMATIONS = 6;
+// How far back recent deposits are re-checked, and how far to rewind on a reorg
+const REORG_WINDOW = 64;
+// Blocks scanned per chain query
+const BLOCK_CHUNK = 500;
+
+const LAST_BLOCK_KEY = 'deposits.last_block';
+const LAST_BLOCK_HASH_KEY = 'deposits.last_block_hash';
+
+/**
+ * Credits a deposit found on chain to the user who owns the sending address.
+ * @param {Object} deposit - { txHash, logIndex, blockNumber, blockHash, currency, fromAddress, amount }.
+ * @param {Function} notify - Called with ('credited' | 'held', deposit row) after a new credit or hold, and
+ *   with ('below_minimum', unmatched deposit row with the sender's telegram_id) when a registered user's
+ *   deposit is stored for being below the minimum.
+ * @returns {Promise<void>}
+ */
+const handleDeposit = async (deposit, notify) => {
+  const display = `${units.formatAmount(deposit.amount, deposit.currency)} ${deposit.currency}`;
+  const user = await sqliteDB.getUserByWalletAddress(deposit.fromAddress);
+  if (!tokens.meetsMinimumDeposit(deposit.currency, deposit.amount)) {
+    // Kept, and owed to the sender, until claimed with /claim
+    const seen = await sqliteDB.getUnmatchedDepositByTx(deposit.txHash, deposit.logIndex);
+    if (seen && seen.status !== 'reversed') {
+      return; // Seen before (rescanned after a reorg that kept it)
+    }
+    const unmatched = await sqliteDB.recordUnmatchedDeposit(deposit, sqliteDB.UNMATCHED_REASONS.BELOW_MINIMUM);
+    logger.warn(
+      `${display} deposit ${deposit.txHash} from ${deposit.fromAddress} is below the minimum deposit; stored as unmatched.`
+    );
+    if (user) {
+      await notify('below_minimum', { ...unmatched, telegram_id: user.telegram_id });
+    }
+    return;
+  }
+  if (!user) {
+    // Kept for the sender to claim with /claim
+    await sqliteDB.recordUnmatchedDeposit(deposit);
+    logger.warn(
+      `No user found with wallet address ${deposit.fromAddress} for ${display} deposit ${deposit.txHash}; stored as unmatched.`
+    );
+    return;
+  }
+
+  const credited = await withUserLock(user.telegram_id, () =>
+    sqliteDB.creditDeposit({ ...deposit, telegramId: user.telegram_id })
+  );
+  if (credited && credited.status === 'held') {
+    logger.info(`📥 ${deposit.currency} Deposit held by a deposit limit: ${display} from ${deposit.fromAddress} (${deposit.txHash})`);
+    await notify('held', credited);
+  } else if (credited) {
+    logger.info(`📥 ${deposit.currency} Deposit credited: ${display} from ${deposit.fromAddress} (${deposit.txHash})`);
+    await notify('credited', credited);
+  }
+};
+
+/**
+ * Credits the held deposits whose user's deposit limits have room for them again.
+ * @param {Function} notify - Called with ('released', deposit row) after each release.
+ * @returns {Promise<void>}
+ */
+const releaseHeldDeposits = async (notify) => {
+  for (const held of await sqliteDB.getHeldDeposits()) {
+    const released = await withUserLock(held.telegram_id, () => sqliteDB.releaseHeldDeposit(held.id));
+    if (released) {
+      logger.info(`Released held deposit ${released.id} (${released.tx_hash}) to Telegram ID ${released.telegram_id}.`);
+      await notify('released', released);
+    }
+  }
+};
+
+/**
+ * Re-checks recently credited deposits and unclaimed unmatched deposits, and
+ * reverses (or closes) those a reorg removed.
+ * @param {Object} settings - Indexer settings.
+ * @param {number} head - The current chain head.
+ * @returns {Promise<void>}
+ */
+const verifyRecentDeposits = async ({ chain, notify }, head) => {
+  const blockHashes = new Map();
+  /**
+   * Returns whether a block recorded for a deposit is still on chain.
+   * @param {{block_number: number, block_hash: string}} row - The deposit or unmatched deposit row.
+   * @returns {Promise<boolean>}
+   */
+  const isBlockOnChain = async (row) => {
+    if (!blockHashes.has(row.block_number)) {
+      blockHashes.set(row.block_number, await chain.getBlockHash(row.block_number));
+    }
+    return blockHashes.get(row.block_number) === row.block_hash;
+  };
+
+  for (const deposit of await sqliteDB.getCreditedDepositsSince(head - REORG_WINDOW)) {
+    if (await isBlockOnChain(deposit)) {
+      continue;
+    }
+
+    const status = await chain.getTransactionStatus(deposit.tx_hash);
+    if (status && status.success) {
+      // Re-included in another block
+      await sqliteDB.updateDepositBlock(deposit.id, status.blockNumber, status.blockHash);
+      continue;
+    }
+
+    const reversed = await withUserLock(deposit.telegram_id, () => sqliteDB.reverseDeposit(deposit.id));
+    if (reversed) {
+      logger.warn(
+        `Reversed deposit ${deposit.id} (${deposit.tx_hash}): its transaction was removed by a reorg.`
+      );
+      await notify('reversed', reversed);
+    }
+  }
+
+  for (const unmatched of await sqliteDB.getOpenUnmatchedDepositsSince(head - REORG_WINDOW)) {
+    if (await isBlockOnChain(unmatched)) {
+      continue;
+    }
+
+    const status = await chain.getTransactionStatus(unmatched.tx_hash);
+    if (status && status.success) {
+      await sqliteDB.updateUnmatchedDepositBlock(unmatched.id, status.blockNumber, status.blockHash);
+      continue;
+    }
+
+    const closed = await sqliteDB.reverseUnmatchedDeposit(unmatched.id);
+    if (closed) {
+      logger.warn(
+        `Closed unmatched deposit ${closed.id} (${closed.tx_hash}): its transaction was removed by a reorg.`
+      );
+      if (closed.requested_by) {
+        await notify('claim_reversed', { ...closed, telegram_id: closed.requested_by });
+      }
+    }
+  }
+};
+
+/**
+ * Verifies a single transaction on chain and returns the deposits it made to the pool.
+ * Only successful transactions with the required confirmations count.
+ * @param {Object} options - As for processDeposits.
+ * @param {string} txHash - The transaction hash.
+ * @returns {Promise<Array>} - Deposits found (empty if none or not yet confirmed).
+ */
+const getDepositsFromTransaction = async (options, txHash) => {
+  const { chain, confirmations } = { confirmations: DEFAULT_CONFIRMATIONS, ...options };
+  const status = await chain.getTransactionStatus(txHash);
+  if (!status || !status.success || status.confirmations < confirmations) {
+    return [];
+  }
+  return chain.getTransactionDeposits(txHash);
+};
+
+/**
+ * Runs one indexing pass: reorg checks, then every confirmed block since the checkpoint.
+ * @param {Object} options
+ * @param {Object} options.chain - The chain adapter (services/blockchain.js).
+ * @param {number} [options.confirmations=6] - Confirmations required before a deposit is credited.
+ * @param {number} [options.startBlock] - Block to start from when no checkpoint exists (defaults to the latest confirmed block).
+ * @param {Function} options.notify - Called with ('credited' | 'held' | 'released' | 'reversed', deposit row),
+ *   with ('below_minimum', unmatched deposit row) as for handleDeposit, and with ('claim_reversed', unmatched
+ *   deposit row with the claimant's telegram_id) when a reorg closes a deposit whose claim awaits approval.
+ * @returns {Promise<void>}
+ */
+const processDeposits = async (options) => {
+  const settings = { confirmations: DEFAULT_CONFIRMATIONS, ...options };
+  const { chain } = settings;
+
+  const head = await chain.getBlockNumber();
+  const confirmedHead = head - settings.confirmations;
+  if (confirmedHead < 0) {
+    return;
+  }
+
+  await verifyRecentDeposits(settings, head);
+  await releaseHeldDeposits(settings.notify);
+
+  const checkpoint = await sqliteDB.getIndexerState(LAST_BLOCK_KEY);
+  let lastBlock =
+    checkpoint !== null
+      ? Number(checkpoint)
+      : (settings.startBlock !== undefined ? settings.startBlock : confirmedHead) - 1;
+
+  // A different hash at the checkpoint means the chain reorganized below it
+  const checkpointHash = await sqliteDB.getIndexerState(LAST_BLOCK_HASH_KEY);
+  if (checkpointHash) {
+    if ((await chain.getBlockHash(lastBlock)) !== checkpointHash) {
+      logger.warn(`Reorg detected at block ${lastBlock}; rescanning the last ${REORG_WINDOW} blocks.`);
+      lastBlock = Math.max(lastBlock - REORG_WINDOW, 0);
+    }
+  }
+
+  while (lastBlock < confirmedHead) {
+    const fromBlock = lastBlock + 1;
+    const toBlock = Math.min(fromBlock + BLOCK_CHUNK - 1, confirmedHead);
+
+    for (const deposit of await chain.getDeposits(fromBlock, toBlock)) {
+      await handleDeposit(deposit, settings.notify);
+    }
+
+    await sqliteDB.setIndexerState(LAST_BLOCK_KEY, toBlock);
+    await sqliteDB.setIndexerState(LAST_BLOCK_HASH_KEY, await chain.getBlockHash(toBlock));
+    lastBlock = toBlock;
+    logger.info(`Processed blocks ${fromBlock}-${toBlock} for deposits.`);
+  }
+};
+
+/**
+ * Runs the deposit indexer on an interval, starting with a backfill.
+ * @param {Object} options - See processDeposits, plus `intervalMs`.
+ * @returns {{stop: Function}}
+ */
+const startDepositIndexer = (options) => {
+  let running = false;
+  const run = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      await processDeposits(options);
+    } catch (error) {
+      logger.error('Error indexing deposits:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, options.intervalMs || DEFAULT_INTERVAL_MS);
+  run();
+  logger.info('Deposit indexer started.');
+  return {
+    stop: () => clearInterval(timer),
+  };
+};
+
+module.exports = {
+  getDepositsFromTransaction,
+  processDeposits,
+  startDepositIndexer,
+};
@@ -0,0 +1,104 @@
+// services/fairness.js
+
+'use strict';
+
+const crypto = require('crypto');
+
+/*
+ * Provably fair commit–reveal scheme.
+ *
+ * 1. The bot generates a secret server seed and shows the player only its
+ *    SHA-256 hash (the commitment) before any bet is placed.
+ * 2. The player may choose their own client seed at any time.
+ * 3. Every bet uses the next nonce. The roll for a bet is derived from
+ *    HMAC-SHA256(key = serverSeed, message = `${clientSeed}:${nonce}:${round}`).
+ * 4. When the seed pair is rotated, the old server seed is revealed so the
+ *    player can check it against the commitment and recompute every roll.
+ */
+
+// Each HMAC digest yields 8 floats (4 bytes per float).
+const BYTES_PER_FLOAT = 4;
+const FLOATS_PER_ROUND = 32 / BYTES_PER_FLOAT;
+
+/**
+ * Generates a new secret server seed.
+ * @returns {string} - 32 random bytes as a hex string.
+ */
+const generateServerSeed = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Generates a default client seed for a new player.
+ * @returns {string} - 8 random bytes as a hex string.
+ */
+const generateClientSeed = () => crypto.randomBytes(8).toString('hex');
+
+/**
+ * Computes the public commitment for a server seed.
+ * @param {string} serverSeed - The secret server seed.
+ * @returns {string} - SHA-256 hash of the server seed as a hex string.
+ */
+const hashServerSeed = (serverSeed) =>
+  crypto.createHash('sha256').update(serverSeed).digest('hex');
+
+/**
+ * Derives `count` uniformly distributed floats in [0, 1) for a single bet.
+ * @param {string} serverSeed - The server seed (secret until revealed).
+ * @param {string} clientSeed - The player's client seed.
+ * @param {number} nonce - The bet nonce for this seed pair.
+ * @param {number} [count=1] - How many floats to derive.
+ * @returns {number[]} - The derived floats.
+ */
+const getRollFloats = (serverSeed, clientSeed, nonce, count = 1) => {
+  const floats = [];
+  for (let round = 0; floats.length < count; round += 1) {
+    const digest = crypto
+      .createHmac('sha256', serverSeed)
+      .update(`${clientSeed}:${nonce}:${round}`)
+      .digest();
+
+    for (let i = 0; i < FLOATS_PER_ROUND && floats.length < count; i += 1) {
+      // Normalize a 32-bit unsigned integer to [0,1)
+      floats.push(digest.readUInt32BE(i * BYTES_PER_FLOAT) / 0x100000000);
+    }
+  }
+  return floats;
+};
+
+/**
+ * Derives the primary roll in [0, 1) for a single bet.
+ * @param {string} serverSeed - The server seed.
+ * @param {string} clientSeed - The player's client seed.
+ * @param {number} nonce - The bet nonce.
+ * @returns {number} - The roll.
+ */
+const getRoll = (serverSeed, clientSeed, nonce) =>
+  getRollFloats(serverSeed, clientSeed, nonce, 1)[0];
+
+/**
+ * Standalone verifier. Recomputes a roll from revealed seeds and, when a
+ * commitment is supplied, checks that the server seed matches it.
+ * Has no database or network dependencies so players can run it themselves.
+ * @param {Object} params
+ * @param {string} params.serverSeed - The revealed server seed.
+ * @param {string} params.clientSeed - The client seed used for the bet.
+ * @param {number} params.nonce - The nonce of the bet.
+ * @param {string} [params.serverSeedHash] - The commitment shown before play.
+ * @returns {{serverSeedHash: string, hashMatches: boolean|null, roll: number}}
+ */
+const verifyRoll = ({ serverSeed, clientSeed, nonce, serverSeedHash }) => {
+  const computedHash = hashServerSeed(serverSeed);
+  return {
+    serverSeedHash: computedHash,
+    hashMatches: serverSeedHash ? computedHash === serverSeedHash.toLowerCase() : null,
+    roll: getRoll(serverSeed, clientSeed, Number(nonce)),
+  };
+};
+
+module.exports = {
+  generateServerSeed,
+  generateClientSeed,
+  hashServerSeed,
+  getRollFloats,
+  getRoll,
+  verifyRoll,
+};
@@ -0,0 +1,79 @@
+// services/feeSweeper.js
+
+'use strict';
+
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const sqliteDB = require('../utils/sqliteDB');
+const units = require('../utils/units');
+const tokens = require('./tokens');
+
+// Collected fees are swept once a day by default (FEE_SWEEP_INTERVAL_MS)
+const DEFAULT_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Smallest balance worth a sweep transaction, per currency (FEE_SWEEP_MIN_<SYMBOL>, e.g. FEE_SWEEP_MIN_USDC)
+const DEFAULT_SWEEP_MINIMUMS = {
+  USDC: '10',
+  ETH: '0.005',
+};
+
+/**
+ * Returns the smallest fee balance of a currency worth sweeping.
+ * @param {string} currency - The token symbol.
+ * @returns {string} - The minimum, as a decimal amount.
+ */
+const getSweepMinimum = (currency) =>
+  process.env[`FEE_SWEEP_MIN_${currency}`] || DEFAULT_SWEEP_MINIMUMS[currency] || '0';
+
+/**
+ * Queues a sweep of every currency's collected fees to the team wallet. The withdrawal
+ * worker (services/withdrawalWorker.js) sends and tracks the sweeps, so they take their
+ * nonces in turn with the withdrawals.
+ * @param {Object} options
+ * @param {string} options.teamWallet - The team wallet address.
+ * @returns {Promise<void>}
+ */
+const sweepFees = async ({ teamWallet }) => {
+  for (const { symbol: currency } of tokens.getTokens()) {
+    const collected = await sqliteDB.getLedgerBalance(sqliteDB.LEDGER_ACCOUNTS.FEES, currency);
+    const balance = ethers.BigNumber.from(collected);
+    if (balance.isZero() || balance.lt(units.parseAmount(getSweepMinimum(currency), currency))) {
+      continue;
+    }
+
+    try {
+      const sweepId = await sqliteDB.startFeeSweep(currency, collected, teamWallet);
+      logger.info(
+        `Queued fee sweep ${sweepId}: ${units.formatAmount(collected, currency)} ${currency} to ${teamWallet}.`
+      );
+    } catch (error) {
+      logger.error(`Error queuing the ${currency} fee sweep to ${teamWallet}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Sweeps collected fees to the team wallet on an interval.
+ * @param {Object} options - See sweepFees, plus `intervalMs`.
+ * @returns {{stop: Function}|null} - Null if no team wallet is configured.
+ */
+const startFeeSweeper = (options) => {
+  if (!options.teamWallet) {
+    logger.warn('TEAM_WALLET_ADDRESS is not set; withdrawal fees will not be swept.');
+    return null;
+  }
+  const timer = setInterval(() => {
+    sweepFees(options).catch((error) => {
+      logger.error('Error sweeping fees:', error.message);
+    });
+  }, options.intervalMs || DEFAULT_INTERVAL_MS);
+  logger.info('Fee sweeper started.');
+  return {
+    stop: () => clearInterval(timer),
+  };
+};
+
+module.exports = {
+  sweepFees,
+  startFeeSweeper,
+};
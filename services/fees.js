@@ -0,0 +1,105 @@
+// services/fees.js
+
+'use strict';
+
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const units = require('../utils/units');
+
+/*
+ * Withdrawal fee schedule, per currency (tokens without one use DEFAULT_TOKEN_FEE):
+ * - percent: fee as a percentage of the amount withdrawn (up to 2 decimals)
+ * - minimum: smallest fee charged, as a decimal amount
+ * - levels: optional VIP percentages, keyed by the lowest level they apply to
+ *
+ * Override it with a JSON object of the same shape in WITHDRAWAL_FEE_SCHEDULE.
+ */
+const DEFAULT_FEE_SCHEDULE = {
+  USDC: { percent: 1, minimum: '0.1', levels: { 5: 0.75, 10: 0.5 } },
+  ETH: { percent: 1, minimum: '0.00005', levels: { 5: 0.75, 10: 0.5 } },
+};
+const DEFAULT_TOKEN_FEE = { percent: 1, minimum: '0', levels: { 5: 0.75, 10: 0.5 } };
+
+/**
+ * Loads the fee schedule, falling back to the defaults if the override is invalid.
+ * @returns {Object} - The fee schedule.
+ */
+const loadFeeSchedule = () => {
+  if (!process.env.WITHDRAWAL_FEE_SCHEDULE) {
+    return DEFAULT_FEE_SCHEDULE;
+  }
+  try {
+    return { ...DEFAULT_FEE_SCHEDULE, ...JSON.parse(process.env.WITHDRAWAL_FEE_SCHEDULE) };
+  } catch (error) {
+    logger.error('Invalid WITHDRAWAL_FEE_SCHEDULE, using the default fee schedule:', error.message);
+    return DEFAULT_FEE_SCHEDULE;
+  }
+};
+
+const FEE_SCHEDULE = loadFeeSchedule();
+
+/**
+ * Returns the fee schedule of a currency.
+ * @param {string} currency - The token symbol.
+ * @returns {Object} - { percent, minimum, levels }.
+ */
+const getFeeSchedule = (currency) => FEE_SCHEDULE[currency] || DEFAULT_TOKEN_FEE;
+
+/**
+ * Returns the fee percentage that applies to a user's level.
+ * @param {string} currency - The token symbol.
+ * @param {number} [level=1] - The user's level.
+ * @returns {number} - The fee percentage.
+ */
+const getFeePercent = (currency, level = 1) => {
+  const schedule = getFeeSchedule(currency);
+  let percent = schedule.percent;
+  let bestLevel = 0;
+  for (const [minLevel, levelPercent] of Object.entries(schedule.levels || {})) {
+    if (level >= Number(minLevel) && Number(minLevel) > bestLevel) {
+      bestLevel = Number(minLevel);
+      percent = levelPercent;
+    }
+  }
+  return percent;
+};
+
+/**
+ * Calculates the fee on a withdrawal. The fee is taken out of the amount withdrawn.
+ * @param {string} currency - The token symbol.
+ * @param {ethers.BigNumberish} amount - The amount withdrawn, in base units.
+ * @param {number} [level=1] - The user's level.
+ * @returns {{fee: string, net: string, percent: number}} - Fee and amount sent, in base units.
+ */
+const calculateWithdrawalFee = (currency, amount, level = 1) => {
+  const percent = getFeePercent(currency, level);
+  const minimum = units.parseAmount(getFeeSchedule(currency).minimum, currency);
+  const gross = ethers.BigNumber.from(amount);
+
+  // Percentages are applied in basis points to stay in integer arithmetic
+  let fee = gross.mul(Math.round(percent * 100)).div(10000);
+  if (fee.lt(minimum)) {
+    fee = ethers.BigNumber.from(minimum);
+  }
+  if (fee.gt(gross)) {
+    fee = gross;
+  }
+  return { fee: fee.toString(), net: gross.sub(fee).toString(), percent };
+};
+
+/**
+ * Describes the fee that applies to a user, for display.
+ * @param {string} currency - The token symbol.
+ * @param {number} [level=1] - The user's level.
+ * @returns {string} - e.g. "1% (min 0.1 USDC)".
+ */
+const describeWithdrawalFee = (currency, level = 1) =>
+  `${getFeePercent(currency, level)}% (min ${getFeeSchedule(currency).minimum} ${currency})`;
+
+module.exports = {
+  FEE_SCHEDULE,
+  getFeeSchedule,
+  getFeePercent,
+  calculateWithdrawalFee,
+  describeWithdrawalFee,
+};
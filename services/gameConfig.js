@@ -0,0 +1,231 @@
+// services/gameConfig.js
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+/*
+ * Game math definitions. Each game reads a JSON file from GAME_CONFIG_DIR
+ * (default config/games):
+ * - slots.json: symbols, reel strips, paylines, paytable, scatter pays, win tiers, stake limits
+ *   (in the game token) and XP
+ * - jackpot.json: the Jackpot Bet's stake (in the game token), the jackpot tiers and XP. Each
+ *   tier has a Jackpot Bet win chance, the share of each game's stakes contributed to it, the
+ *   seed it restarts from after a hit and optionally a cap it must drop by
+ * - rewards.json: the level-up bonus (in the game token) and the XP for a deposit
+ *
+ * Files are validated when loaded, so a broken definition stops the bot at
+ * startup instead of paying out wrongly. Run `npm run simulate` to check the
+ * return to player of a definition before deploying it.
+ */
+
+const CONFIG_DIR = process.env.GAME_CONFIG_DIR || path.join(__dirname, '..', 'config', 'games');
+
+/**
+ * Checks a condition of a game definition.
+ * @param {boolean} condition - Must be true.
+ * @param {string} game - The game, for the error message.
+ * @param {string} message - What is wrong.
+ */
+const check = (condition, game, message) => {
+  if (!condition) {
+    throw new Error(`Invalid ${game} config: ${message}`);
+  }
+};
+
+// Decimal amount, e.g. '100' or '0.5'
+const DECIMAL_PATTERN = /^\d+(\.\d+)?$/;
+
+/**
+ * Checks an XP definition: a non-negative integer for every outcome.
+ * @param {Object} xp - XP awarded per outcome.
+ * @param {string[]} outcomes - The outcomes that must be defined.
+ * @param {string} game - The game.
+ */
+const validateXp = (xp, outcomes, game) => {
+  check(xp && typeof xp === 'object', game, 'xp must be an object');
+  for (const outcome of outcomes) {
+    check(Number.isInteger(xp[outcome]) && xp[outcome] >= 0, game, `xp.${outcome} must be a non-negative integer`);
+  }
+};
+
+/**
+ * Checks a payout table: counts mapped to positive multipliers.
+ * @param {Object} pays - { count: multiplier }.
+ * @param {string} label - The table, for error messages.
+ * @param {number} maxCount - The largest count possible.
+ */
+const validatePays = (pays, label, maxCount) => {
+  for (const [count, multiplier] of Object.entries(pays)) {
+    check(Number(count) >= 1 && Number(count) <= maxCount, 'slots', `${label} count ${count} is out of range`);
+    check(typeof multiplier === 'number' && multiplier > 0, 'slots', `${label}[${count}] must be a positive number`);
+  }
+};
+
+/**
+ * Validates a slots definition.
+ * @param {Object} config - The parsed slots.json.
+ * @returns {Object} - The same config.
+ */
+const validateSlotsConfig = (config) => {
+  const { symbols, rows, reelStrips, paylines, paytable, scatterPays, winTiers, limits, xp } = config;
+  check(symbols && Object.keys(symbols).length > 0, 'slots', 'symbols must not be empty');
+  for (const [id, symbol] of Object.entries(symbols)) {
+    check(typeof symbol.emoji === 'string' && symbol.emoji, 'slots', `symbol ${id} needs an emoji`);
+    check([undefined, 'wild', 'scatter'].includes(symbol.type), 'slots', `symbol ${id} has unknown type ${symbol.type}`);
+  }
+  for (const type of ['wild', 'scatter']) {
+    check(Object.values(symbols).filter((symbol) => symbol.type === type).length <= 1, 'slots', `only one ${type} symbol is supported`);
+  }
+
+  check(Number.isInteger(rows) && rows > 0, 'slots', 'rows must be a positive integer');
+  check(Array.isArray(reelStrips) && reelStrips.length > 0, 'slots', 'reelStrips must not be empty');
+  reelStrips.forEach((strip, reel) => {
+    check(Array.isArray(strip) && strip.length >= rows, 'slots', `reel ${reel} must have at least ${rows} symbols`);
+    for (const id of strip) {
+      check(symbols[id], 'slots', `reel ${reel} uses unknown symbol ${id}`);
+    }
+  });
+
+  check(Array.isArray(paylines) && paylines.length > 0, 'slots', 'paylines must not be empty');
+  paylines.forEach((payline, line) => {
+    check(
+      Array.isArray(payline.rows) && payline.rows.length === reelStrips.length,
+      'slots',
+      `payline ${line} must name one row per reel`
+    );
+    check(
+      payline.rows.every((row) => Number.isInteger(row) && row >= 0 && row < rows),
+      'slots',
+      `payline ${line} has a row outside the grid`
+    );
+  });
+
+  for (const [id, pays] of Object.entries(paytable)) {
+    check(symbols[id] && symbols[id].type !== 'scatter', 'slots', `paytable symbol ${id} cannot pay on lines`);
+    validatePays(pays, `paytable.${id}`, reelStrips.length);
+  }
+  validatePays(scatterPays || {}, 'scatterPays', reelStrips.length * rows);
+
+  check(Array.isArray(winTiers) && winTiers.length > 0, 'slots', 'winTiers must not be empty');
+  winTiers.forEach((tier, index) => {
+    check(typeof tier.minMultiplier === 'number', 'slots', `win tier ${index} needs a minMultiplier`);
+    check(index === 0 || tier.minMultiplier < winTiers[index - 1].minMultiplier, 'slots', 'winTiers must be sorted highest first');
+  });
+  check(winTiers[winTiers.length - 1].minMultiplier === 0, 'slots', 'the last win tier must start at 0');
+
+  check(limits && DECIMAL_PATTERN.test(limits.minBet) && DECIMAL_PATTERN.test(limits.maxBet), 'slots', 'limits.minBet and limits.maxBet must be decimal strings');
+  check(Number(limits.minBet) > 0 && Number(limits.minBet) <= Number(limits.maxBet), 'slots', 'limits.minBet must be positive and at most limits.maxBet');
+
+  validateXp(xp, ['win', 'loss'], 'slots');
+  return config;
+};
+
+/**
+ * Checks one jackpot tier.
+ * @param {Object} tier - The tier definition.
+ * @param {number} index - Its position, for error messages.
+ */
+const validateJackpotTier = (tier, index) => {
+  check(typeof tier.id === 'string' && /^[a-z0-9_]+$/.test(tier.id), 'jackpot', `tier ${index} needs a lowercase id`);
+  const label = `tier ${tier.id}`;
+  check(typeof tier.name === 'string' && tier.name, 'jackpot', `${label} needs a name`);
+  check(typeof tier.emoji === 'string' && tier.emoji, 'jackpot', `${label} needs an emoji`);
+  check(
+    typeof tier.winChance === 'number' && tier.winChance >= 0 && tier.winChance < 1,
+    'jackpot',
+    `${label} winChance must be at least 0 and below 1`
+  );
+  check(DECIMAL_PATTERN.test(tier.seed), 'jackpot', `${label} seed must be a decimal string`);
+  if (tier.mustDropBy !== undefined) {
+    check(
+      DECIMAL_PATTERN.test(tier.mustDropBy) && Number(tier.mustDropBy) > Number(tier.seed),
+      'jackpot',
+      `${label} mustDropBy must be a decimal string above its seed`
+    );
+  }
+  check(tier.contributions && typeof tier.contributions === 'object', 'jackpot', `${label} contributions must be an object`);
+  for (const [game, rate] of Object.entries(tier.contributions)) {
+    check(GAMES.includes(game), 'jackpot', `${label} contributions names unknown game ${game}`);
+    check(typeof rate === 'number' && rate >= 0 && rate <= 1, 'jackpot', `${label} contributions.${game} must be between 0 and 1`);
+  }
+};
+
+/**
+ * Validates a jackpot definition.
+ * @param {Object} config - The parsed jackpot.json.
+ * @returns {Object} - The same config.
+ */
+const validateJackpotConfig = (config) => {
+  const { tiers } = config;
+  check(DECIMAL_PATTERN.test(config.stake), 'jackpot', 'stake must be a decimal string');
+  check(Array.isArray(tiers) && tiers.length > 0, 'jackpot', 'tiers must not be empty');
+  tiers.forEach(validateJackpotTier);
+  check(new Set(tiers.map((tier) => tier.id)).size === tiers.length, 'jackpot', 'tier ids must be unique');
+
+  const winChance = tiers.reduce((total, tier) => total + tier.winChance, 0);
+  check(winChance > 0 && winChance < 1, 'jackpot', 'the win chances of all tiers must add up to between 0 and 1');
+  for (const game of GAMES) {
+    const rate = tiers.reduce((total, tier) => total + (tier.contributions[game] || 0), 0);
+    check(rate <= 1, 'jackpot', `the ${game} contributions of all tiers add up to more than 1`);
+  }
+  validateXp(config.xp, ['win', 'loss', 'emptyPool'], 'jackpot');
+  return config;
+};
+
+/**
+ * Validates the rewards outside the games.
+ * @param {Object} config - The parsed rewards.json.
+ * @returns {Object} - The same config.
+ */
+const validateRewardsConfig = (config) => {
+  check(DECIMAL_PATTERN.test(config.levelBonus), 'rewards', 'levelBonus must be a decimal string');
+  validateXp(config.xp, ['deposit'], 'rewards');
+  return config;
+};
+
+// Games that take stakes, and so can contribute to the jackpots
+const GAMES = ['slots', 'jackpot'];
+
+const VALIDATORS = {
+  slots: validateSlotsConfig,
+  jackpot: validateJackpotConfig,
+  rewards: validateRewardsConfig,
+};
+
+/**
+ * Reads and validates a game definition.
+ * @param {string} game - 'slots', 'jackpot' or 'rewards'.
+ * @param {string} [file] - The JSON file (defaults to <GAME_CONFIG_DIR>/<game>.json).
+ * @returns {Object} - The definition.
+ */
+const loadGameConfig = (game, file = path.join(CONFIG_DIR, `${game}.json`)) => {
+  const validate = VALIDATORS[game];
+  if (!validate) {
+    throw new Error(`Unknown game: ${game}`);
+  }
+  return validate(JSON.parse(fs.readFileSync(file, 'utf8')));
+};
+
+// Definitions loaded from GAME_CONFIG_DIR, read on first use
+const loaded = new Map();
+
+/**
+ * Returns the active definition of a game.
+ * @param {string} game - 'slots', 'jackpot' or 'rewards'.
+ * @returns {Object} - The definition.
+ */
+const getGameConfig = (game) => {
+  if (!loaded.has(game)) {
+    loaded.set(game, loadGameConfig(game));
+  }
+  return loaded.get(game);
+};
+
+module.exports = {
+  CONFIG_DIR,
+  loadGameConfig,
+  getGameConfig,
+};
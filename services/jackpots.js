@@ -0,0 +1,163 @@
+// services/jackpots.js
+
+'use strict';
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const units = require('../utils/units');
+
+/*
+ * Tiered progressive jackpots. Tiers come from the jackpot definition
+ * (config/games/jackpot.json, see services/gameConfig.js) and each one is a
+ * house fund of its own (ledger account `jackpot:<id>`, see sqliteDB.jackpotAccount):
+ *
+ * - It receives contributions[game] of every stake placed in that game.
+ * - A Jackpot Bet wins it when the bet's roll falls in the tier's slice of
+ *   [0, 1): tiers take consecutive slices of winChance, in definition order.
+ * - With mustDropBy, it is also won by whichever bet's contribution takes it to
+ *   a hidden drop point. The point is drawn uniformly above the seed and up to
+ *   the cap whenever the tier is seeded, so the tier always drops by the cap.
+ *   Contributions stop at the drop point (the rest stays in the house bankroll),
+ *   so a hit never pays more than the cap.
+ * - The drop point is committed when it is drawn: SHA-256 of `<drop point>:<salt>`
+ *   (base units, hex salt) is published, and each hit reveals the point and salt.
+ * - After a hit it restarts from its seed, paid by the house bankroll.
+ */
+
+/**
+ * Draws a random amount in (low, high].
+ * @param {ethers.BigNumber} low - The exclusive lower bound.
+ * @param {ethers.BigNumber} high - The inclusive upper bound.
+ * @returns {ethers.BigNumber} - The amount.
+ */
+const randomAbove = (low, high) =>
+  low.add(ethers.BigNumber.from(crypto.randomBytes(32)).mod(high.sub(low))).add(1);
+
+/**
+ * Hashes a drop point with its salt: the commitment published while the point is hidden.
+ * @param {ethers.BigNumberish} dropAt - The drop point, in base units.
+ * @param {string} salt - The hex salt.
+ * @returns {string} - The hex SHA-256 hash.
+ */
+const hashDropPoint = (dropAt, salt) =>
+  crypto.createHash('sha256').update(`${ethers.BigNumber.from(dropAt).toString()}:${salt}`).digest('hex');
+
+/**
+ * Commits to a drop point with a fresh salt.
+ * @param {ethers.BigNumberish} dropAt - The drop point, in base units.
+ * @returns {{dropSalt: string, dropHash: string}}
+ */
+const commitDropPoint = (dropAt) => {
+  const dropSalt = crypto.randomBytes(16).toString('hex');
+  return { dropSalt, dropHash: hashDropPoint(dropAt, dropSalt) };
+};
+
+/**
+ * Creates the jackpot tiers of a jackpot definition.
+ * @param {Object} config - A validated jackpot definition.
+ * @param {string} currency - The token the jackpots are held in.
+ * @returns {{tiers: Array<Object>, getTier: Function, getContributions: Function, rollTier: Function,
+ *   getMustDrops: Function, getReseed: Function, describeTier: Function}}
+ */
+const createJackpotSystem = (config, currency) => {
+  const { tiers } = config;
+
+  /**
+   * Looks up a tier.
+   * @param {string} id - The tier id.
+   * @returns {Object|null} - The tier, or null if it is not defined.
+   */
+  const getTier = (id) => tiers.find((tier) => tier.id === id) || null;
+
+  /**
+   * Splits the jackpot contributions off a stake.
+   * @param {string} game - 'slots' or 'jackpot'.
+   * @param {ethers.BigNumberish} stake - The stake, in base units.
+   * @returns {Object<string, string>} - Contribution per tier id, in base units (tiers receiving nothing are left out).
+   */
+  const getContributions = (game, stake) => {
+    const contributions = {};
+    for (const tier of tiers) {
+      const amount = units.multiplyAmount(stake, tier.contributions[game] || 0);
+      if (!ethers.BigNumber.from(amount).isZero()) {
+        contributions[tier.id] = amount;
+      }
+    }
+    return contributions;
+  };
+
+  /**
+   * Finds the tier a Jackpot Bet roll wins.
+   * @param {number} roll - The provably fair roll, in [0, 1).
+   * @returns {Object|null} - The tier won, or null.
+   */
+  const rollTier = (roll) => {
+    let edge = 0;
+    for (const tier of tiers) {
+      edge += tier.winChance;
+      if (roll < edge) {
+        return tier;
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Finds the tiers that have reached their drop point.
+   * @param {Object<string, {amount: string, dropAt: string|null}>} jackpots - The tiers from sqliteDB.getJackpotTiers.
+   * @returns {string[]} - The ids of the tiers that must drop.
+   */
+  const getMustDrops = (jackpots) =>
+    tiers
+      .filter(({ id }) => {
+        const jackpot = jackpots[id];
+        return jackpot && jackpot.dropAt && ethers.BigNumber.from(jackpot.amount).gte(jackpot.dropAt);
+      })
+      .map(({ id }) => id);
+
+  /**
+   * Returns how a tier restarts after a hit: its seed and a fresh, committed drop point.
+   * @param {string} id - The tier id.
+   * @returns {{seed: string, dropAt: string|null, dropSalt: string|null, dropHash: string|null}} - In base
+   *   units; the drop point and its commitment are null for tiers without a cap.
+   */
+  const getReseed = (id) => {
+    const tier = getTier(id);
+    const seed = units.parseAmount(tier.seed, currency);
+    if (!tier.mustDropBy) {
+      return { seed, dropAt: null, dropSalt: null, dropHash: null };
+    }
+    const dropAt = randomAbove(
+      ethers.BigNumber.from(seed),
+      ethers.BigNumber.from(units.parseAmount(tier.mustDropBy, currency))
+    );
+    return { seed, dropAt: dropAt.toString(), ...commitDropPoint(dropAt) };
+  };
+
+  /**
+   * Describes a tier and its current amount for display.
+   * @param {Object} tier - The tier.
+   * @param {ethers.BigNumberish} amount - Its current amount, in base units.
+   * @returns {string} - A Markdown line.
+   */
+  const describeTier = (tier, amount) =>
+    `${tier.emoji} *${tier.name}:* ${units.formatAmount(amount, currency, 2)} ${currency}${
+      tier.mustDropBy ? ` (must drop by ${tier.mustDropBy})` : ''
+    }`;
+
+  return {
+    tiers,
+    getTier,
+    getContributions,
+    rollTier,
+    getMustDrops,
+    getReseed,
+    describeTier,
+  };
+};
+
+module.exports = {
+  createJackpotSystem,
+  hashDropPoint,
+  commitDropPoint,
+};
@@ -0,0 +1,282 @@
+// services/mockChain.js
+
+'use strict';
+
+const { ethers } = require('ethers');
+const { NATIVE_LOG_INDEX } = require('./blockchain');
+
+/*
+ * Deterministic in-memory chain implementing the adapter interface of
+ * services/blockchain.js, for running the bet, deposit and withdrawal flows
+ * offline. Nothing is mined until `mine()` is called, and hashes are derived
+ * from the chain's contents, so the same script always produces the same chain.
+ *
+ * Besides the adapter methods it offers test controls:
+ * - setBalance(currency, address, amount)
+ * - sendDeposit({ from, currency, amount, success }): queues a transfer to the pool, returning its hash
+ * - mine(count): mines pending transactions into the next block, then empty blocks
+ * - reorg(depth): replaces the last `depth` blocks with empty ones, dropping their transactions
+ * - failBroadcasts(count): makes the next `count` broadcasts throw
+ */
+
+const DEFAULT_POOL_ADDRESS = '0x00000000000000000000000000000000000000aa';
+const DEFAULT_CHAIN_ID = 31337;
+
+/**
+ * Derives a deterministic 32-byte hash from a label.
+ * @param {string} label - Any string.
+ * @returns {string} - The hash.
+ */
+const hashOf = (label) => ethers.utils.keccak256(ethers.utils.toUtf8Bytes(label));
+
+/**
+ * Creates an in-memory chain.
+ * @param {Object} [options]
+ * @param {string} [options.poolAddress] - The pool address.
+ * @param {number} [options.chainId=31337] - The chain ID reported.
+ * @param {Object} [options.tokenDecimals] - Decimals reported for each token address (default 18).
+ * @param {string} [options.gasFee='0'] - ETH (in wei) each mined pool transaction pays for gas, reverted or not.
+ * @returns {Object} - The chain adapter, with test controls.
+ */
+const createMockChain = ({
+  poolAddress = DEFAULT_POOL_ADDRESS,
+  chainId = DEFAULT_CHAIN_ID,
+  tokenDecimals = {},
+  gasFee = '0',
+} = {}) => {
+  const pool = poolAddress.toLowerCase();
+  const blocks = [{ number: 0, hash: hashOf('block:0'), transactions: [] }];
+  const transactions = new Map(); // hash -> transaction, mined or pending
+  const balances = new Map(); // 'CURRENCY:address' -> BigNumber
+  let mempool = [];
+  let minedNonce = 0;
+  let failingBroadcasts = 0;
+  let depositCount = 0;
+  // Bumped on every reorg so replacement blocks get new hashes
+  let fork = 0;
+
+  const balanceKey = (currency, address) => `${currency}:${address.toLowerCase()}`;
+  const getBalance = (currency, address) => balances.get(balanceKey(currency, address)) || ethers.BigNumber.from(0);
+  const setBalance = (currency, address, amount) => {
+    balances.set(balanceKey(currency, address), ethers.BigNumber.from(amount));
+  };
+  const head = () => blocks[blocks.length - 1];
+
+  /**
+   * Applies a transaction's transfer, marking it failed if the sender cannot pay.
+   * Pool transactions pay the gas fee first. Deposits come from outside accounts,
+   * which are assumed to hold the funds and pay their own gas.
+   * @param {Object} tx - The transaction.
+   */
+  const execute = (tx) => {
+    if (tx.from.toLowerCase() === pool) {
+      setBalance('ETH', pool, getBalance('ETH', pool).sub(gasFee));
+      const balance = getBalance(tx.currency, pool);
+      if (balance.lt(tx.amount)) {
+        tx.success = false;
+        return;
+      }
+      setBalance(tx.currency, pool, balance.sub(tx.amount));
+    }
+    if (tx.success) {
+      setBalance(tx.currency, tx.to, getBalance(tx.currency, tx.to).add(tx.amount));
+    }
+  };
+
+  /**
+   * Mines one block with every pending transaction that can be included.
+   */
+  const mineBlock = () => {
+    const number = head().number + 1;
+    const hash = hashOf(`block:${number}:${fork}`);
+    const included = [];
+    // Pool transactions are mined in nonce order; later nonces wait for the gap to fill
+    const poolTransactions = mempool.filter((tx) => tx.nonce !== undefined).sort((a, b) => a.nonce - b.nonce);
+    for (const tx of [...mempool.filter((tx) => tx.nonce === undefined), ...poolTransactions]) {
+      if (tx.nonce !== undefined) {
+        if (tx.nonce !== minedNonce) {
+          continue;
+        }
+        minedNonce += 1;
+      }
+      execute(tx);
+      Object.assign(tx, { blockNumber: number, blockHash: hash, logIndex: included.length });
+      included.push(tx);
+    }
+    mempool = mempool.filter((tx) => {
+      if (included.includes(tx)) {
+        return false;
+      }
+      // Replaced by another transaction with the same nonce
+      if (tx.nonce !== undefined && tx.nonce < minedNonce) {
+        transactions.delete(tx.hash);
+        return false;
+      }
+      return true;
+    });
+    blocks.push({ number, hash, transactions: included });
+  };
+
+  /**
+   * Builds the deposit made by a mined transaction, if it paid the pool.
+   * @param {Object} tx - The transaction.
+   * @returns {Object|null} - The deposit.
+   */
+  const toDeposit = (tx) => {
+    if (!tx.success || tx.to.toLowerCase() !== pool) {
+      return null;
+    }
+    return {
+      txHash: tx.hash,
+      logIndex: tx.currency === 'ETH' ? NATIVE_LOG_INDEX : tx.logIndex,
+      blockNumber: tx.blockNumber,
+      blockHash: tx.blockHash,
+      currency: tx.currency,
+      fromAddress: tx.from,
+      amount: tx.amount.toString(),
+    };
+  };
+
+  /**
+   * Queues a transaction in the mempool.
+   * @param {Object} tx - { hash, from, to, currency, amount, nonce?, success }.
+   */
+  const queue = (tx) => {
+    transactions.set(tx.hash, tx);
+    mempool.push(tx);
+  };
+
+  const chain = {
+    poolAddress: ethers.utils.getAddress(pool),
+
+    getChainId: async () => chainId,
+
+    getBlockNumber: async () => head().number,
+
+    getBlockHash: async (blockNumber) => (blocks[blockNumber] ? blocks[blockNumber].hash : null),
+
+    getTokenDecimals: async (tokenAddress) => {
+      const entry = Object.entries(tokenDecimals).find(
+        ([address]) => address.toLowerCase() === tokenAddress.toLowerCase()
+      );
+      return entry ? entry[1] : 18;
+    },
+
+    getPoolBalance: async (currency) => getBalance(currency, pool).toString(),
+
+    getDeposits: async (fromBlock, toBlock) =>
+      blocks
+        .slice(fromBlock, toBlock + 1)
+        .flatMap((block) => block.transactions.map(toDeposit))
+        .filter(Boolean),
+
+    getTransactionDeposits: async (txHash) => {
+      const tx = transactions.get(txHash);
+      const deposit = tx && tx.blockNumber !== undefined ? toDeposit(tx) : null;
+      return deposit ? [deposit] : [];
+    },
+
+    getTransactionStatus: async (txHash) => {
+      const tx = transactions.get(txHash);
+      if (!tx || tx.blockNumber === undefined) {
+        return null;
+      }
+      return {
+        success: tx.success,
+        blockNumber: tx.blockNumber,
+        blockHash: tx.blockHash,
+        confirmations: head().number - tx.blockNumber + 1,
+        gasFee: tx.from.toLowerCase() === pool ? ethers.BigNumber.from(gasFee).toString() : '0',
+      };
+    },
+
+    isTransactionPending: async (txHash) => mempool.some((tx) => tx.hash === txHash),
+
+    getPoolNonce: async (blockTag) => {
+      if (blockTag !== 'pending') {
+        return minedNonce;
+      }
+      const nonces = mempool.filter((tx) => tx.nonce !== undefined).map((tx) => tx.nonce + 1);
+      return Math.max(minedNonce, ...nonces);
+    },
+
+    signTransfer: async (currency, to, amount, nonce) => {
+      const signedTx = JSON.stringify({ currency, to: to.toLowerCase(), amount: amount.toString(), nonce });
+      return { nonce, hash: hashOf(signedTx), signedTx };
+    },
+
+    broadcast: async (signedTx) => {
+      if (failingBroadcasts > 0) {
+        failingBroadcasts -= 1;
+        throw new Error('Broadcast failed (mock)');
+      }
+      const hash = hashOf(signedTx);
+      if (transactions.has(hash)) {
+        return; // Already known
+      }
+      const { currency, to, amount, nonce } = JSON.parse(signedTx);
+      if (nonce < minedNonce) {
+        throw new Error('nonce too low');
+      }
+      queue({ hash, from: pool, to, currency, amount: ethers.BigNumber.from(amount), nonce, success: true });
+    },
+
+    transfer: async (currency, to, amount) => {
+      const { hash, signedTx } = await chain.signTransfer(currency, to, amount, await chain.getPoolNonce('pending'));
+      await chain.broadcast(signedTx);
+      return { hash };
+    },
+
+    // ---- Test controls ----
+
+    setBalance,
+
+    sendDeposit: ({ from, currency, amount, success = true }) => {
+      depositCount += 1;
+      const hash = hashOf(`deposit:${depositCount}`);
+      queue({ hash, from: from.toLowerCase(), to: pool, currency, amount: ethers.BigNumber.from(amount), success });
+      return hash;
+    },
+
+    mine: (count = 1) => {
+      for (let i = 0; i < count; i += 1) {
+        mineBlock();
+      }
+    },
+
+    reorg: (depth) => {
+      fork += 1;
+      const removed = blocks.splice(blocks.length - depth, depth);
+      for (const block of removed) {
+        for (const tx of block.transactions) {
+          // The dropped transaction never happened: undo its transfer and forget it
+          if (tx.success) {
+            setBalance(tx.currency, tx.to, getBalance(tx.currency, tx.to).sub(tx.amount));
+            if (tx.from.toLowerCase() === pool) {
+              setBalance(tx.currency, pool, getBalance(tx.currency, pool).add(tx.amount));
+            }
+          }
+          if (tx.from.toLowerCase() === pool) {
+            setBalance('ETH', pool, getBalance('ETH', pool).add(gasFee));
+          }
+          if (tx.nonce !== undefined) {
+            minedNonce -= 1;
+          }
+          transactions.delete(tx.hash);
+        }
+      }
+      for (let i = 0; i < depth; i += 1) {
+        blocks.push({ number: head().number + 1, hash: hashOf(`block:${head().number + 1}:${fork}`), transactions: [] });
+      }
+    },
+
+    failBroadcasts: (count = 1) => {
+      failingBroadcasts += count;
+    },
+  };
+  return chain;
+};
+
+module.exports = {
+  createMockChain,
+};
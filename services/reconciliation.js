@@ -0,0 +1,170 @@
+// services/reconciliation.js
+
+'use strict';
+
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const sqliteDB = require('../utils/sqliteDB');
+const units = require('../utils/units');
+const tokens = require('./tokens');
+
+/*
+ * Reconciles the books with the pool wallet. For every token, each run compares
+ * what the database says the pool holds for someone (liabilities: player
+ * balances, pending withdrawals, unswept fees, the house funds and unclaimed
+ * deposits, see sqliteDB.getLiabilities) with the pool's on-chain balance
+ * (assets), and stores the snapshot.
+ *
+ * gap = assets - liabilities. A negative gap is a shortfall: the pool could not
+ * pay out everything the books promise. Admins are alerted when the shortfall
+ * grows beyond RECONCILIATION_THRESHOLD_<SYMBOL> (e.g. RECONCILIATION_THRESHOLD_USDC)
+ * and again once it is back within it.
+ *
+ * Withdrawals and fee sweeps stay booked as pending withdrawals until they
+ * confirm, and the gas they pay is booked against the house bankroll only then.
+ * Once mined they have already left the pool, so a snapshot takes them out of
+ * the liabilities as soon as the chain has their receipt. The pool balance is
+ * read before the books: a transfer confirming in between shows up as a
+ * short-lived surplus, never as a shortfall.
+ */
+
+// Reconciled every hour by default (RECONCILIATION_INTERVAL_MS)
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+// Largest shortfall tolerated before alerting, per currency (whole tokens)
+const DEFAULT_THRESHOLDS = {
+  USDC: '1',
+  ETH: '0.01',
+};
+
+/**
+ * Returns the largest shortfall of a currency tolerated before admins are alerted.
+ * @param {string} currency - The token symbol.
+ * @returns {string} - The threshold, as a decimal amount.
+ */
+const getThreshold = (currency) =>
+  process.env[`RECONCILIATION_THRESHOLD_${currency}`] || DEFAULT_THRESHOLDS[currency] || '0';
+
+/**
+ * Takes out of the liabilities of a token what mined but unconfirmed transfers have
+ * already paid from the pool: the amount each successful one sent stops counting as
+ * a pending withdrawal, and the gas each one paid, reverted or not, stops counting as
+ * house funds of the native token.
+ * @param {string} currency - The token symbol.
+ * @param {Object} liabilities - The result of sqliteDB.getLiabilities.
+ * @param {Array<Object>} transfers - The result of sqliteDB.getBroadcastTransfers.
+ * @param {Object} chain - The chain adapter (services/blockchain.js).
+ * @returns {Promise<Object>} - The adjusted liabilities.
+ */
+const deductMinedTransfers = async (currency, liabilities, transfers, chain) => {
+  const native = tokens.getTokens().find((token) => token.native).symbol === currency;
+  let sent = ethers.constants.Zero;
+  let gas = ethers.constants.Zero;
+  for (const transfer of transfers) {
+    if (transfer.currency !== currency && !native) {
+      continue;
+    }
+    const status = await chain.getTransactionStatus(transfer.tx_hash);
+    if (!status) {
+      continue; // Not mined yet
+    }
+    if (status.success && transfer.currency === currency) {
+      sent = sent.add(transfer.amount);
+    }
+    if (native && status.gasFee) {
+      gas = gas.add(status.gasFee);
+    }
+  }
+  return {
+    ...liabilities,
+    pendingWithdrawals: sent.mul(-1).add(liabilities.pendingWithdrawals).toString(),
+    houseFunds: gas.mul(-1).add(liabilities.houseFunds).toString(),
+    total: sent.add(gas).mul(-1).add(liabilities.total).toString(),
+  };
+};
+
+/**
+ * Reconciles one token and stores the snapshot.
+ * @param {string} currency - The token symbol.
+ * @param {Object} options - See reconcile.
+ * @returns {Promise<Object>} - The stored snapshot, with the breakdown parsed and `previous`, the snapshot before it.
+ */
+const reconcileToken = async (currency, { chain, alert }) => {
+  const [previous] = await sqliteDB.getReconciliations(currency);
+  const assets = ethers.BigNumber.from(await chain.getPoolBalance(currency));
+  const { booked, transfers } = await sqliteDB.withTransaction(async () => ({
+    booked: await sqliteDB.getLiabilities(currency),
+    transfers: await sqliteDB.getBroadcastTransfers(),
+  }));
+  const liabilities = await deductMinedTransfers(currency, booked, transfers, chain);
+  const gap = assets.sub(liabilities.total);
+  const breached = gap.lt(ethers.BigNumber.from(units.parseAmount(getThreshold(currency), currency)).mul(-1));
+
+  const row = await sqliteDB.recordReconciliation({
+    currency,
+    assets: assets.toString(),
+    liabilities,
+    gap: gap.toString(),
+    breached,
+  });
+  const snapshot = { ...row, breakdown: liabilities, previous: previous || null };
+  logger.info(
+    `Reconciled ${currency}: assets ${units.formatAmount(assets, currency)}, liabilities ${units.formatAmount(
+      liabilities.total,
+      currency
+    )}, gap ${units.formatAmount(gap, currency)}.`
+  );
+
+  // Alert when the threshold is crossed, in either direction, not on every run
+  if (breached !== Boolean(previous && previous.breached)) {
+    try {
+      await alert(snapshot);
+    } catch (error) {
+      logger.error(`Error sending the ${currency} reconciliation alert:`, error.message);
+    }
+  }
+  return snapshot;
+};
+
+/**
+ * Reconciles every token. A token whose balance cannot be read is skipped until the next run.
+ * @param {Object} options
+ * @param {Object} options.chain - The chain adapter (services/blockchain.js).
+ * @param {Function} options.alert - Called with a snapshot whose shortfall crossed the threshold.
+ * @returns {Promise<Array<Object>>} - The snapshots stored by this run.
+ */
+const reconcile = async (options) => {
+  const snapshots = [];
+  for (const { symbol: currency } of tokens.getTokens()) {
+    try {
+      snapshots.push(await reconcileToken(currency, options));
+    } catch (error) {
+      logger.error(`Error reconciling ${currency}:`, error.message);
+    }
+  }
+  return snapshots;
+};
+
+/**
+ * Reconciles on startup and then on an interval.
+ * @param {Object} options - See reconcile, plus `intervalMs`.
+ * @returns {{stop: Function}}
+ */
+const startReconciliation = (options) => {
+  const run = () =>
+    reconcile(options).catch((error) => {
+      logger.error('Error reconciling the pool wallet:', error.message);
+    });
+  run();
+  const timer = setInterval(run, options.intervalMs || DEFAULT_INTERVAL_MS);
+  logger.info('Reconciliation started.');
+  return {
+    stop: () => clearInterval(timer),
+  };
+};
+
+module.exports = {
+  getThreshold,
+  reconcile,
+  startReconciliation,
+};
@@ -0,0 +1,136 @@
+// services/responsibleGaming.js
+
+'use strict';
+
+require('dotenv').config();
+const { ethers } = require('ethers');
+
+/*
+ * Player protection settings. Each player can:
+ * - limit their deposits, losses (stakes less payouts) and wagers over a rolling
+ *   day, week or month (stored in sqliteDB's user_limits). Lower limits apply at
+ *   once; raising or removing one waits LIMIT_RAISE_DELAY_HOURS (24 by default).
+ * - take a short break (cool-off) or exclude themselves for months. Neither can
+ *   be cut short, and both block betting but not withdrawals.
+ * - get a reality check every few minutes of play, showing how long the session
+ *   has lasted and its net result.
+ */
+
+// Labels of the limit kinds (sqliteDB.LIMIT_KINDS) and windows (sqliteDB.LIMIT_PERIODS)
+const LIMIT_KIND_LABELS = {
+  deposit: '💵 Deposit',
+  loss: '📉 Loss',
+  wager: '🎲 Wager',
+};
+const LIMIT_PERIOD_LABELS = {
+  day: 'Daily',
+  week: 'Weekly',
+  month: 'Monthly',
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Breaks a player can take, by option id
+const COOL_OFF_OPTIONS = {
+  '24h': { label: '24 hours', durationMs: DAY_MS },
+  '72h': { label: '72 hours', durationMs: 3 * DAY_MS },
+  '7d': { label: '7 days', durationMs: 7 * DAY_MS },
+};
+
+// Self-exclusion periods, by option id
+const EXCLUSION_OPTIONS = {
+  '1m': { label: '1 month', durationMs: 30 * DAY_MS },
+  '3m': { label: '3 months', durationMs: 91 * DAY_MS },
+  '6m': { label: '6 months', durationMs: 182 * DAY_MS },
+  '1y': { label: '1 year', durationMs: 365 * DAY_MS },
+};
+
+// Minutes between reality checks a player can choose; 0 turns them off
+const REALITY_CHECK_OPTIONS = [0, 15, 30, 60];
+
+// A session ends after this long without a bet
+const SESSION_IDLE_MS = 30 * 60 * 1000;
+
+/**
+ * Returns how long a raised or removed limit waits before it applies.
+ * @returns {number} - Milliseconds.
+ */
+const getRaiseDelayMs = () => Number(process.env.LIMIT_RAISE_DELAY_HOURS || 24) * HOUR_MS;
+
+// Play sessions by Telegram ID: { startedAt, lastBetAt, lastCheckAt, bets, net }
+const sessions = new Map();
+// When idle sessions were last dropped from `sessions`
+let lastPrunedAt = 0;
+
+/**
+ * Drops the sessions that ended, at most once per SESSION_IDLE_MS.
+ * @param {number} now - The current time, in milliseconds.
+ */
+const pruneSessions = (now) => {
+  if (now - lastPrunedAt < SESSION_IDLE_MS) {
+    return;
+  }
+  lastPrunedAt = now;
+  for (const [telegramId, session] of sessions) {
+    if (now - session.lastBetAt > SESSION_IDLE_MS) {
+      sessions.delete(telegramId);
+    }
+  }
+};
+
+/**
+ * Returns a user's current play session.
+ * @param {number} telegramId - The user's Telegram ID.
+ * @param {number} [now=Date.now()] - The current time, in milliseconds.
+ * @returns {{minutes: number, bets: number, net: string}|null} - Its length, bets and net result
+ *   (base units, negative for a loss), or null if the user is not playing.
+ */
+const getSession = (telegramId, now = Date.now()) => {
+  const session = sessions.get(telegramId);
+  if (!session || now - session.lastBetAt > SESSION_IDLE_MS) {
+    return null;
+  }
+  return {
+    minutes: Math.round((now - session.startedAt) / 60000),
+    bets: session.bets,
+    net: session.net.toString(),
+  };
+};
+
+/**
+ * Adds a settled bet to the user's session and tells whether a reality check is due.
+ * @param {number} telegramId - The user's Telegram ID.
+ * @param {ethers.BigNumberish} net - What the bet changed the user's balance by, in base units.
+ * @param {number} intervalMinutes - The user's minutes between reality checks (0 for none).
+ * @param {number} [now=Date.now()] - The current time, in milliseconds.
+ * @returns {{minutes: number, bets: number, net: string}|null} - The session (see getSession) if a check is due.
+ */
+const recordPlay = (telegramId, net, intervalMinutes, now = Date.now()) => {
+  pruneSessions(now);
+  let session = sessions.get(telegramId);
+  if (!session || now - session.lastBetAt > SESSION_IDLE_MS) {
+    session = { startedAt: now, lastCheckAt: now, bets: 0, net: ethers.constants.Zero };
+    sessions.set(telegramId, session);
+  }
+  session.lastBetAt = now;
+  session.bets += 1;
+  session.net = session.net.add(net);
+
+  if (!intervalMinutes || now - session.lastCheckAt < intervalMinutes * 60000) {
+    return null;
+  }
+  session.lastCheckAt = now;
+  return getSession(telegramId, now);
+};
+
+module.exports = {
+  LIMIT_KIND_LABELS,
+  LIMIT_PERIOD_LABELS,
+  COOL_OFF_OPTIONS,
+  EXCLUSION_OPTIONS,
+  REALITY_CHECK_OPTIONS,
+  getRaiseDelayMs,
+  getSession,
+  recordPlay,
+};
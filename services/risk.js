@@ -0,0 +1,69 @@
+// services/risk.js
+
+'use strict';
+
+const { ethers } = require('ethers');
+const logger = require('./logger');
+require('dotenv').config();
+
+/*
+ * Bankroll limits. Winning bets are paid from the house bankroll (the `house`
+ * fund, see sqliteDB.FUNDS). A bet is only accepted while the most it can cost
+ * the house (its largest possible payout, less the stake itself) stays within
+ * MAX_EXPOSURE_RATIO of the bankroll. Any ratio up to 1 keeps the bankroll from
+ * going negative; the default of 0.1 keeps ten worst-case wins in reserve.
+ */
+const DEFAULT_MAX_EXPOSURE_RATIO = 0.1;
+
+/**
+ * Loads the exposure ratio, falling back to the default if the override is invalid.
+ * @returns {number} - The ratio, in (0, 1].
+ */
+const loadMaxExposureRatio = () => {
+  if (!process.env.MAX_EXPOSURE_RATIO) {
+    return DEFAULT_MAX_EXPOSURE_RATIO;
+  }
+  const ratio = Number(process.env.MAX_EXPOSURE_RATIO);
+  if (!(ratio > 0 && ratio <= 1)) {
+    logger.error(
+      `Invalid MAX_EXPOSURE_RATIO '${process.env.MAX_EXPOSURE_RATIO}' (expected 0 < ratio <= 1), using ${DEFAULT_MAX_EXPOSURE_RATIO}.`
+    );
+    return DEFAULT_MAX_EXPOSURE_RATIO;
+  }
+  return ratio;
+};
+
+const MAX_EXPOSURE_RATIO = loadMaxExposureRatio();
+
+/**
+ * Computes the largest stake the bankroll can cover.
+ * @param {ethers.BigNumberish} bankroll - The bankroll, in base units.
+ * @param {number} maxMultiplier - The largest payout of the game, as a multiple of the stake.
+ * @param {number} [ratio=MAX_EXPOSURE_RATIO] - Share of the bankroll one bet may put at risk.
+ * @returns {ethers.BigNumber|null} - The table limit in base units, or null if the game can never cost the house.
+ */
+const getMaxStake = (bankroll, maxMultiplier, ratio = MAX_EXPOSURE_RATIO) => {
+  if (maxMultiplier <= 1) {
+    return null;
+  }
+  const available = ethers.BigNumber.from(bankroll);
+  if (available.lte(0)) {
+    return ethers.constants.Zero;
+  }
+  // stake * (maxMultiplier - 1) <= bankroll * ratio, in 4-decimal fixed point
+  return available.mul(Math.round(ratio * 10000)).div(Math.round((maxMultiplier - 1) * 10000));
+};
+
+/**
+ * Checks a stake against a table limit.
+ * @param {ethers.BigNumberish} stake - The stake, in base units.
+ * @param {ethers.BigNumber|null} maxStake - The limit from getMaxStake.
+ * @returns {boolean} - True if the stake is within the limit.
+ */
+const isWithinLimit = (stake, maxStake) => maxStake === null || ethers.BigNumber.from(stake).lte(maxStake);
+
+module.exports = {
+  MAX_EXPOSURE_RATIO,
+  getMaxStake,
+  isWithinLimit,
+};
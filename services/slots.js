@@ -0,0 +1,182 @@
+// services/slots.js
+
+'use strict';
+
+const { getGameConfig } = require('./gameConfig');
+
+/*
+ * Slot reel engine. Reels, rows, paylines and pays come from a slots
+ * definition (config/games/slots.json, see services/gameConfig.js). The engine
+ * is pure: a spin is fully determined by one float per reel, which the bot
+ * takes from the provably fair roll of the bet (fairness.getRollFloats), so
+ * every result can be recomputed from its seeds.
+ *
+ * - Line wins pay paytable[symbol][count] times the line bet (stake / number of
+ *   paylines) for `count` matching symbols from the leftmost reel.
+ * - The wild symbol substitutes for every symbol except the scatter; a line of wilds pays as the wild.
+ * - The scatter pays anywhere on the grid, scatterPays[count] times the total stake.
+ *
+ * The shipped definition returns about 90.9% to the player, and 58% of spins
+ * pay something. Recheck both with `npm run simulate` after changing it.
+ */
+
+// Above this many reel stop combinations the largest payout is estimated instead of searched for
+const MAX_SEARCHED_SPINS = 1000000;
+
+/**
+ * Creates a slot machine from a slots definition.
+ * @param {Object} config - A validated slots definition.
+ * @returns {{config: Object, reelCount: number, spin: Function, getMaxMultiplier: Function, renderGrid: Function, describeWins: Function}}
+ */
+const createSlotMachine = (config) => {
+  const { symbols, rows, reelStrips, paylines, paytable, scatterPays = {}, winTiers } = config;
+  const symbolOfType = (type) => Object.keys(symbols).find((id) => symbols[id].type === type) || null;
+  const wild = symbolOfType('wild');
+  const scatter = symbolOfType('scatter');
+
+  /**
+   * Evaluates one payline.
+   * @param {string[]} line - The symbols on the line, left to right.
+   * @returns {{symbol: string, count: number, multiplier: number}|null} - The win, or null.
+   */
+  const evaluateLine = (line) => {
+    // The line pays for its first non-wild symbol, or as the wild if it has none
+    const symbol = line.find((candidate) => candidate !== wild) || wild;
+    if (symbol === scatter) {
+      return null;
+    }
+    let count = 0;
+    while (count < line.length && (line[count] === symbol || line[count] === wild)) {
+      count += 1;
+    }
+    const multiplier = (paytable[symbol] || {})[count];
+    return multiplier ? { symbol, count, multiplier } : null;
+  };
+
+  /**
+   * Finds the tier of a payout.
+   * @param {number} multiplier - The payout as a multiple of the stake.
+   * @returns {Object|null} - The win tier, or null for a losing spin.
+   */
+  const getWinTier = (multiplier) =>
+    multiplier > 0 ? winTiers.find((tier) => multiplier >= tier.minMultiplier) : null;
+
+  /**
+   * Spins the reels.
+   * @param {number[]} floats - One float in [0, 1) per reel (fairness.getRollFloats).
+   * @returns {{stops: number[], grid: string[][], lineWins: Array, scatterWin: Object|null, multiplier: number, tier: Object|null}}
+   *   The reel stops, the symbols shown (grid[row][reel]), the wins and the total payout as a multiple of the stake.
+   */
+  const spin = (floats) => {
+    if (floats.length < reelStrips.length) {
+      throw new Error(`A spin needs ${reelStrips.length} floats, got ${floats.length}.`);
+    }
+    const stops = reelStrips.map((strip, reel) => Math.floor(floats[reel] * strip.length));
+    const grid = [];
+    for (let row = 0; row < rows; row += 1) {
+      grid.push(reelStrips.map((strip, reel) => strip[(stops[reel] + row) % strip.length]));
+    }
+
+    const lineWins = [];
+    paylines.forEach((payline, line) => {
+      const win = evaluateLine(payline.rows.map((row, reel) => grid[row][reel]));
+      if (win) {
+        lineWins.push({ line, ...win });
+      }
+    });
+
+    const scatterCount = grid.flat().filter((symbol) => symbol === scatter).length;
+    const scatterWin = scatterPays[scatterCount]
+      ? { count: scatterCount, multiplier: scatterPays[scatterCount] }
+      : null;
+
+    const lineTotal = lineWins.reduce((total, win) => total + win.multiplier, 0);
+    // Rounded to the 4 decimal places units.multiplyAmount works with
+    const multiplier =
+      Math.round((lineTotal / paylines.length + (scatterWin ? scatterWin.multiplier : 0)) * 10000) / 10000;
+    return { stops, grid, lineWins, scatterWin, multiplier, tier: getWinTier(multiplier) };
+  };
+
+  /**
+   * Finds the largest payout any spin can produce, by trying every combination of
+   * reel stops. For very large machines it falls back to an upper bound: every
+   * payline paying its best pay plus the best scatter pay.
+   * @returns {number} - The largest payout, as a multiple of the stake.
+   */
+  const findMaxMultiplier = () => {
+    const lengths = reelStrips.map((strip) => strip.length);
+    const combinations = lengths.reduce((total, length) => total * length, 1);
+    if (combinations > MAX_SEARCHED_SPINS) {
+      const bestLinePay = Math.max(0, ...Object.values(paytable).flatMap((pays) => Object.values(pays)));
+      return bestLinePay + Math.max(0, ...Object.values(scatterPays));
+    }
+    let max = 0;
+    const stops = lengths.map(() => 0);
+    for (let index = 0; index < combinations; index += 1) {
+      max = Math.max(max, spin(stops.map((stop, reel) => (stop + 0.5) / lengths[reel])).multiplier);
+      for (let reel = 0; reel < stops.length; reel += 1) {
+        stops[reel] = (stops[reel] + 1) % lengths[reel];
+        if (stops[reel] !== 0) {
+          break;
+        }
+      }
+    }
+    return max;
+  };
+
+  let maxMultiplier = null;
+
+  /**
+   * Returns the largest payout a spin can produce (computed on first use).
+   * @returns {number} - The payout, as a multiple of the stake.
+   */
+  const getMaxMultiplier = () => {
+    if (maxMultiplier === null) {
+      maxMultiplier = findMaxMultiplier();
+    }
+    return maxMultiplier;
+  };
+
+  /**
+   * Renders the reel grid as emoji, one row per line.
+   * @param {string[][]} grid - The grid returned by spin.
+   * @returns {string} - The rendered grid.
+   */
+  const renderGrid = (grid) =>
+    grid.map((row) => `┃ ${row.map((symbol) => symbols[symbol].emoji).join(' ┃ ')} ┃`).join('\n');
+
+  /**
+   * Describes the wins of a spin, one line per win.
+   * @param {Object} result - The result returned by spin.
+   * @returns {string} - The description, empty for a losing spin.
+   */
+  const describeWins = (result) => {
+    const lines = result.lineWins.map(
+      ({ line, symbol, count, multiplier }) =>
+        `${paylines[line].name} line: ${count}× ${symbols[symbol].emoji} pays ${multiplier}× line bet`
+    );
+    if (result.scatterWin) {
+      lines.push(
+        `${result.scatterWin.count}× ${symbols[scatter].emoji} scatter pays ${result.scatterWin.multiplier}× stake`
+      );
+    }
+    return lines.join('\n');
+  };
+
+  return {
+    config,
+    reelCount: reelStrips.length,
+    spin,
+    getMaxMultiplier,
+    renderGrid,
+    describeWins,
+  };
+};
+
+// Machine for the active definition
+const machine = createSlotMachine(getGameConfig('slots'));
+
+module.exports = {
+  createSlotMachine,
+  machine,
+};
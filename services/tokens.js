@@ -0,0 +1,145 @@
+// services/tokens.js
+
+'use strict';
+
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const units = require('../utils/units');
+const { network } = require('../utils/networks');
+
+/*
+ * Token registry. ETH is always supported; ERC-20 tokens come from the network
+ * profile (utils/networks.js) and from TOKENS, a JSON array of
+ * { symbol, address, decimals?, minDeposit?, minWithdrawal?, maxWithdrawal? }
+ * with limits as decimal amounts. An entry whose symbol is already known (ETH
+ * or a profile token) overrides that token's fields.
+ *
+ * Decimals are read from each token contract on startup (loadTokenDecimals);
+ * a configured `decimals` is only used until then.
+ *
+ * Bets and the jackpot are played in GAME_TOKEN (default USDC).
+ */
+
+const NATIVE_TOKEN = { symbol: 'ETH', address: null, decimals: 18, native: true, maxWithdrawal: '100' };
+
+// Limits of well-known tokens, unless configured otherwise
+const DEFAULT_LIMITS = {
+  USDC: { maxWithdrawal: '10000' },
+};
+
+/**
+ * Builds the token list from the network profile and the TOKENS override.
+ * @returns {Array<Object>} - The configured tokens.
+ */
+const loadTokens = () => {
+  let overrides = [];
+  if (process.env.TOKENS) {
+    try {
+      overrides = JSON.parse(process.env.TOKENS);
+    } catch (error) {
+      logger.error('Invalid TOKENS, using the network profile tokens only:', error.message);
+    }
+  }
+
+  const tokens = new Map();
+  for (const token of [NATIVE_TOKEN, ...network.tokens, ...overrides]) {
+    const symbol = token.symbol.toUpperCase();
+    tokens.set(symbol, { ...DEFAULT_LIMITS[symbol], ...tokens.get(symbol), ...token, symbol });
+  }
+  for (const token of tokens.values()) {
+    if (!token.native && !token.address) {
+      throw new Error(`No contract address configured for token ${token.symbol}.`);
+    }
+    units.registerCurrency(token.symbol, token.decimals !== undefined ? token.decimals : 18);
+  }
+  return [...tokens.values()];
+};
+
+const TOKENS = loadTokens();
+
+const GAME_TOKEN = (process.env.GAME_TOKEN || 'USDC').toUpperCase();
+if (!TOKENS.some((token) => token.symbol === GAME_TOKEN)) {
+  throw new Error(`GAME_TOKEN ${GAME_TOKEN} is not a configured token.`);
+}
+
+/**
+ * Returns every configured token, ETH first.
+ * @returns {Array<Object>} - The tokens.
+ */
+const getTokens = () => TOKENS;
+
+/**
+ * Returns the configured ERC-20 tokens.
+ * @returns {Array<Object>} - The tokens with a contract address.
+ */
+const getErc20Tokens = () => TOKENS.filter((token) => !token.native);
+
+/**
+ * Looks up a token by symbol.
+ * @param {string} symbol - The token symbol (case-insensitive).
+ * @returns {Object|null} - The token, or null if it is not configured.
+ */
+const getToken = (symbol) => TOKENS.find((token) => token.symbol === String(symbol).toUpperCase()) || null;
+
+/**
+ * Reads the decimals of every ERC-20 token from its contract.
+ * Tokens whose contract cannot be read keep their configured decimals.
+ * @param {Object} chain - The chain adapter (services/blockchain.js).
+ * @returns {Promise<void>}
+ */
+const loadTokenDecimals = async (chain) => {
+  for (const token of getErc20Tokens()) {
+    try {
+      const decimals = await chain.getTokenDecimals(token.address);
+      if (token.decimals !== undefined && token.decimals !== decimals) {
+        logger.warn(`${token.symbol} has ${decimals} decimals on chain, not the configured ${token.decimals}.`);
+      }
+      token.decimals = decimals;
+      units.registerCurrency(token.symbol, decimals);
+    } catch (error) {
+      logger.error(`Could not read the decimals of ${token.symbol} (${token.address}):`, error.message);
+    }
+  }
+};
+
+/**
+ * Checks whether a deposit meets the token's minimum deposit.
+ * @param {string} symbol - The token symbol.
+ * @param {ethers.BigNumberish} amount - The deposit, in base units.
+ * @returns {boolean} - True if the deposit can be credited.
+ */
+const meetsMinimumDeposit = (symbol, amount) => {
+  const token = getToken(symbol);
+  if (!token || !token.minDeposit) {
+    return true;
+  }
+  return ethers.BigNumber.from(amount).gte(units.parseAmount(token.minDeposit, token.symbol));
+};
+
+/**
+ * Checks a withdrawal amount against the token's limits.
+ * @param {string} symbol - The token symbol.
+ * @param {ethers.BigNumberish} amount - The amount, in base units.
+ * @returns {string|null} - Why the amount is not allowed, or null if it is.
+ */
+const checkWithdrawalLimits = (symbol, amount) => {
+  const token = getToken(symbol);
+  const value = ethers.BigNumber.from(amount);
+  if (token.minWithdrawal && value.lt(units.parseAmount(token.minWithdrawal, symbol))) {
+    return `The minimum withdrawal is ${token.minWithdrawal} ${symbol}.`;
+  }
+  if (token.maxWithdrawal && value.gt(units.parseAmount(token.maxWithdrawal, symbol))) {
+    return `The maximum withdrawal is ${token.maxWithdrawal} ${symbol}.`;
+  }
+  return null;
+};
+
+module.exports = {
+  GAME_TOKEN,
+  getTokens,
+  getErc20Tokens,
+  getToken,
+  loadTokenDecimals,
+  meetsMinimumDeposit,
+  checkWithdrawalLimits,
+};
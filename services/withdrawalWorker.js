@@ -0,0 +1,325 @@
+// services/withdrawalWorker.js
+
+'use strict';
+
+const logger = require('./logger');
+const sqliteDB = require('../utils/sqliteDB');
+const { withUserLock } = require('../utils/userLock');
+const tokens = require('./tokens');
+
+const { WITHDRAWAL_STATUS, FEE_SWEEP_STATUS } = sqliteDB;
+
+/*
+ * Background worker for the withdrawal queue, and for the fee sweeps queued by
+ * services/feeSweeper.js. It is the only sender of pool transactions, so it alone
+ * assigns their nonces.
+ *
+ * Funds are reserved when a withdrawal or sweep is queued. Each pass then:
+ * 1. Tracks broadcast transactions: confirms them once mined, fails them if the
+ *    transaction reverted or its nonce was taken, and otherwise rebroadcasts
+ *    the same signed transaction (same hash, so it can never pay twice).
+ * 2. Refunds failed withdrawals (a failed sweep returns its fees at once).
+ * 3. Signs reserved withdrawals and sweeps, records the signed transaction, then sends it.
+ */
+
+const DEFAULT_INTERVAL_MS = 15000;
+// Attempts to sign a reserved withdrawal before giving up on it
+const MAX_SIGN_ATTEMPTS = 5;
+
+/**
+ * Calls the notification callback with the latest state of a withdrawal,
+ * without letting a failed notification interrupt the worker.
+ * @param {Function} notify - Called with the withdrawal row.
+ * @param {number} id - The withdrawal ID.
+ */
+const notifyWithdrawal = async (notify, id) => {
+  try {
+    await notify(await sqliteDB.getWithdrawal(id));
+  } catch (error) {
+    logger.error(`Error sending notification for withdrawal ${id}:`, error.message);
+  }
+};
+
+/**
+ * Checks a recorded transaction on chain, rebroadcasting it if the node does not know it.
+ * @param {{tx_hash: string, tx_nonce: number, signed_tx: string}} record - The withdrawal or sweep row.
+ * @param {string} label - Names the record in logs (e.g. 'withdrawal 3').
+ * @param {Function} recordAttempt - Called with the error of a failed rebroadcast.
+ * @param {Object} options - Worker options.
+ * @returns {Promise<{status: Object}|{error: string, status?: Object}|null>} - The status once the
+ *   transaction has its confirmations, why it failed (with the status if it was mined), or null
+ *   while it is still on its way.
+ */
+const checkBroadcast = async (record, label, recordAttempt, { chain, confirmations }) => {
+  const status = await chain.getTransactionStatus(record.tx_hash);
+
+  if (status) {
+    if (!status.success) {
+      return { error: 'Transaction reverted', status };
+    }
+    return status.confirmations >= confirmations ? { status } : null;
+  }
+
+  if (await chain.isTransactionPending(record.tx_hash)) {
+    return null; // Still pending
+  }
+
+  // Unknown to the node: either it was never sent or its nonce went to another transaction
+  const minedNonce = await chain.getPoolNonce('latest');
+  if (minedNonce > record.tx_nonce) {
+    // Re-check in case it was mined after the first lookup
+    if (!(await chain.getTransactionStatus(record.tx_hash))) {
+      return { error: `Nonce ${record.tx_nonce} was used by another transaction` };
+    }
+    return null;
+  }
+
+  try {
+    await chain.broadcast(record.signed_tx);
+    logger.info(`Rebroadcast ${label}: ${record.tx_hash}`);
+  } catch (error) {
+    await recordAttempt(error.message);
+    logger.warn(`Rebroadcast of ${label} failed: ${error.message}`);
+  }
+  return null;
+};
+
+/**
+ * Returns the gas a mined pool transaction paid, to be booked against the house.
+ * @param {Object} [status] - The transaction status from the chain adapter.
+ * @returns {{currency: string, amount: string}|null} - The gas fee in the native token, if mined.
+ */
+const getGasFee = (status) => {
+  if (!status || !status.gasFee) {
+    return null;
+  }
+  return { currency: tokens.getTokens().find((token) => token.native).symbol, amount: status.gasFee };
+};
+
+/**
+ * Checks a broadcast withdrawal on chain and moves it forward.
+ * @param {Object} withdrawal - The withdrawal row.
+ * @param {Object} options - Worker options.
+ * @returns {Promise<void>}
+ */
+const trackWithdrawal = async (withdrawal, options) => {
+  const result = await checkBroadcast(
+    withdrawal,
+    `withdrawal ${withdrawal.id}`,
+    (error) => sqliteDB.recordWithdrawalAttempt(withdrawal.id, error),
+    options
+  );
+  if (!result) {
+    return;
+  }
+  if (result.error) {
+    await sqliteDB.failWithdrawal(
+      withdrawal.id,
+      WITHDRAWAL_STATUS.BROADCAST,
+      result.error,
+      getGasFee(result.status)
+    );
+  } else {
+    await sqliteDB.confirmWithdrawal(withdrawal.id, getGasFee(result.status));
+  }
+  await notifyWithdrawal(options.notify, withdrawal.id);
+};
+
+/**
+ * Checks a broadcast fee sweep on chain and moves it forward.
+ * @param {Object} sweep - The fee sweep row.
+ * @param {Object} options - Worker options.
+ * @returns {Promise<void>}
+ */
+const trackFeeSweep = async (sweep, options) => {
+  const result = await checkBroadcast(
+    sweep,
+    `fee sweep ${sweep.id}`,
+    (error) => sqliteDB.recordFeeSweepAttempt(sweep.id, error),
+    options
+  );
+  if (!result) {
+    return;
+  }
+  if (result.error) {
+    await sqliteDB.failFeeSweep(sweep.id, FEE_SWEEP_STATUS.BROADCAST, result.error, getGasFee(result.status));
+    logger.error(`Fee sweep ${sweep.id} failed; its fees are back in the fees account: ${result.error}`);
+  } else {
+    await sqliteDB.confirmFeeSweep(sweep.id, getGasFee(result.status));
+  }
+};
+
+/**
+ * Signs, records and sends the transaction of a reserved withdrawal.
+ * @param {Object} withdrawal - The withdrawal row.
+ * @param {number} nonce - The nonce to use for the transaction.
+ * @param {Object} options - Worker options.
+ * @returns {Promise<boolean>} - True if the nonce was used.
+ */
+const sendWithdrawal = async (withdrawal, nonce, { chain, notify }) => {
+  let tx;
+  try {
+    // The fee stays in the pool; only the net amount is sent
+    const net = sqliteDB.getWithdrawalNetAmount(withdrawal);
+    tx = await chain.signTransfer(withdrawal.currency, withdrawal.wallet_address, net, nonce);
+  } catch (error) {
+    // Nothing was signed, so retrying or failing here can never pay twice
+    await sqliteDB.recordWithdrawalAttempt(withdrawal.id, error.message);
+    logger.warn(`Could not sign withdrawal ${withdrawal.id}: ${error.message}`);
+    if (withdrawal.attempts + 1 >= MAX_SIGN_ATTEMPTS) {
+      await sqliteDB.failWithdrawal(withdrawal.id, WITHDRAWAL_STATUS.RESERVED, error.message);
+      await notifyWithdrawal(notify, withdrawal.id);
+    }
+    return false;
+  }
+
+  await sqliteDB.markWithdrawalBroadcast(withdrawal.id, tx);
+  await notifyWithdrawal(notify, withdrawal.id);
+
+  try {
+    await chain.broadcast(tx.signedTx);
+    logger.info(`Broadcast withdrawal ${withdrawal.id}: ${tx.hash}`);
+  } catch (error) {
+    // Left as broadcast; the next pass rebroadcasts or fails it
+    await sqliteDB.recordWithdrawalAttempt(withdrawal.id, error.message);
+    logger.warn(`Broadcast of withdrawal ${withdrawal.id} failed: ${error.message}`);
+  }
+  return true;
+};
+
+/**
+ * Signs, records and sends the transaction of a reserved fee sweep.
+ * @param {Object} sweep - The fee sweep row.
+ * @param {number} nonce - The nonce to use for the transaction.
+ * @param {Object} options - Worker options.
+ * @returns {Promise<boolean>} - True if the nonce was used.
+ */
+const sendFeeSweep = async (sweep, nonce, { chain }) => {
+  let tx;
+  try {
+    tx = await chain.signTransfer(sweep.currency, sweep.to_address, sweep.amount, nonce);
+  } catch (error) {
+    await sqliteDB.recordFeeSweepAttempt(sweep.id, error.message);
+    logger.warn(`Could not sign fee sweep ${sweep.id}: ${error.message}`);
+    if (sweep.attempts + 1 >= MAX_SIGN_ATTEMPTS) {
+      await sqliteDB.failFeeSweep(sweep.id, FEE_SWEEP_STATUS.RESERVED, error.message);
+    }
+    return false;
+  }
+
+  await sqliteDB.markFeeSweepBroadcast(sweep.id, tx);
+
+  try {
+    await chain.broadcast(tx.signedTx);
+    logger.info(`Broadcast fee sweep ${sweep.id} to ${sweep.to_address}: ${tx.hash}`);
+  } catch (error) {
+    // Left as broadcast; the next pass rebroadcasts or fails it
+    await sqliteDB.recordFeeSweepAttempt(sweep.id, error.message);
+    logger.warn(`Broadcast of fee sweep ${sweep.id} failed: ${error.message}`);
+  }
+  return true;
+};
+
+/**
+ * Runs one pass over the withdrawal queue and the fee sweeps.
+ * @param {Object} options
+ * @param {Object} options.chain - The chain adapter (services/blockchain.js).
+ * @param {number} [options.confirmations=1] - Confirmations required before a withdrawal is confirmed.
+ * @param {Function} options.notify - Called with the withdrawal row after every transition.
+ * @returns {Promise<void>}
+ */
+const processWithdrawals = async (options) => {
+  const settings = { confirmations: 1, ...options };
+
+  for (const withdrawal of await sqliteDB.getWithdrawalsByStatus(WITHDRAWAL_STATUS.BROADCAST)) {
+    try {
+      await trackWithdrawal(withdrawal, settings);
+    } catch (error) {
+      logger.error(`Error tracking withdrawal ${withdrawal.id}:`, error.message);
+    }
+  }
+  for (const sweep of await sqliteDB.getFeeSweepsByStatus(FEE_SWEEP_STATUS.BROADCAST)) {
+    try {
+      await trackFeeSweep(sweep, settings);
+    } catch (error) {
+      logger.error(`Error tracking fee sweep ${sweep.id}:`, error.message);
+    }
+  }
+
+  for (const withdrawal of await sqliteDB.getWithdrawalsByStatus(WITHDRAWAL_STATUS.FAILED)) {
+    try {
+      await withUserLock(withdrawal.telegram_id, () => sqliteDB.refundWithdrawal(withdrawal.id));
+      await notifyWithdrawal(settings.notify, withdrawal.id);
+    } catch (error) {
+      logger.error(`Error refunding withdrawal ${withdrawal.id}:`, error.message);
+    }
+  }
+
+  const reserved = await sqliteDB.getWithdrawalsByStatus(WITHDRAWAL_STATUS.RESERVED);
+  const reservedSweeps = await sqliteDB.getFeeSweepsByStatus(FEE_SWEEP_STATUS.RESERVED);
+  if (reserved.length === 0 && reservedSweeps.length === 0) {
+    return;
+  }
+  // Never reuse the nonce of a recorded transaction, even if the node has not seen it yet
+  const pending = [
+    ...(await sqliteDB.getWithdrawalsByStatus(WITHDRAWAL_STATUS.BROADCAST)),
+    ...(await sqliteDB.getFeeSweepsByStatus(FEE_SWEEP_STATUS.BROADCAST)),
+  ];
+  let nonce = Math.max(
+    await settings.chain.getPoolNonce('pending'),
+    ...pending.map((record) => record.tx_nonce + 1)
+  );
+  for (const withdrawal of reserved) {
+    try {
+      if (await sendWithdrawal(withdrawal, nonce, settings)) {
+        nonce += 1;
+      }
+    } catch (error) {
+      logger.error(`Error sending withdrawal ${withdrawal.id}:`, error.message);
+    }
+  }
+  for (const sweep of reservedSweeps) {
+    try {
+      if (await sendFeeSweep(sweep, nonce, settings)) {
+        nonce += 1;
+      }
+    } catch (error) {
+      logger.error(`Error sending fee sweep ${sweep.id}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Starts processing the withdrawal queue on an interval.
+ * @param {Object} options - See processWithdrawals, plus `intervalMs`.
+ * @returns {{run: Function, stop: Function}} - `run` triggers a pass now; `stop` ends the worker.
+ */
+const startWithdrawalWorker = (options) => {
+  let running = false;
+  const run = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      await processWithdrawals(options);
+    } catch (error) {
+      logger.error('Error processing withdrawals:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, options.intervalMs || DEFAULT_INTERVAL_MS);
+  run();
+  logger.info('Withdrawal worker started.');
+  return {
+    run,
+    stop: () => clearInterval(timer),
+  };
+};
+
+module.exports = {
+  processWithdrawals,
+  startWithdrawalWorker,
+};
@@ -0,0 +1,60 @@
+// test/fairness.test.js
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fairness = require('../services/fairness');
+
+const SERVER_SEED = 'a'.repeat(64);
+const CLIENT_SEED = 'player-seed';
+
+test('the commitment is the SHA-256 of the server seed', () => {
+  const expected = crypto.createHash('sha256').update(SERVER_SEED).digest('hex');
+  assert.equal(fairness.hashServerSeed(SERVER_SEED), expected);
+});
+
+test('rolls are read from the HMAC of the client seed, nonce and round', () => {
+  const digest = crypto.createHmac('sha256', SERVER_SEED).update(`${CLIENT_SEED}:7:0`).digest();
+  assert.equal(fairness.getRoll(SERVER_SEED, CLIENT_SEED, 7), digest.readUInt32BE(0) / 0x100000000);
+});
+
+test('floats past the first digest come from the next round', () => {
+  const floats = fairness.getRollFloats(SERVER_SEED, CLIENT_SEED, 3, 10);
+  const secondRound = crypto.createHmac('sha256', SERVER_SEED).update(`${CLIENT_SEED}:3:1`).digest();
+  assert.equal(floats.length, 10);
+  assert.equal(floats[8], secondRound.readUInt32BE(0) / 0x100000000);
+  assert.equal(floats[9], secondRound.readUInt32BE(4) / 0x100000000);
+  for (const float of floats) {
+    assert.ok(float >= 0 && float < 1);
+  }
+});
+
+test('the same seeds and nonce always give the same roll, and another nonce another roll', () => {
+  assert.deepEqual(
+    fairness.getRollFloats(SERVER_SEED, CLIENT_SEED, 1, 5),
+    fairness.getRollFloats(SERVER_SEED, CLIENT_SEED, 1, 5)
+  );
+  assert.notEqual(fairness.getRoll(SERVER_SEED, CLIENT_SEED, 1), fairness.getRoll(SERVER_SEED, CLIENT_SEED, 2));
+});
+
+test('verifyRoll recomputes the roll and checks the commitment', () => {
+  const serverSeedHash = fairness.hashServerSeed(SERVER_SEED);
+  const verified = fairness.verifyRoll({ serverSeed: SERVER_SEED, clientSeed: CLIENT_SEED, nonce: '4', serverSeedHash });
+  assert.equal(verified.hashMatches, true);
+  assert.equal(verified.roll, fairness.getRoll(SERVER_SEED, CLIENT_SEED, 4));
+
+  assert.equal(
+    fairness.verifyRoll({ serverSeed: SERVER_SEED, clientSeed: CLIENT_SEED, nonce: 4, serverSeedHash: 'f'.repeat(64) })
+      .hashMatches,
+    false
+  );
+  assert.equal(fairness.verifyRoll({ serverSeed: SERVER_SEED, clientSeed: CLIENT_SEED, nonce: 4 }).hashMatches, null);
+});
+
+test('generated seeds are random hex of the documented length', () => {
+  assert.match(fairness.generateServerSeed(), /^[0-9a-f]{64}$/);
+  assert.match(fairness.generateClientSeed(), /^[0-9a-f]{16}$/);
+  assert.notEqual(fairness.generateServerSeed(), fairness.generateServerSeed());
+});
@@ -0,0 +1,35 @@
+// test/fees.test.js
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fees = require('../services/fees');
+
+const usdc = (amount) => String(Math.round(amount * 1e6));
+
+test('the percentage fee is taken out of the amount withdrawn', () => {
+  assert.deepEqual(fees.calculateWithdrawalFee('USDC', usdc(100)), { fee: usdc(1), net: usdc(99), percent: 1 });
+});
+
+test('VIP levels lower the percentage from the level they are keyed by', () => {
+  assert.equal(fees.getFeePercent('USDC', 4), 1);
+  assert.equal(fees.getFeePercent('USDC', 5), 0.75);
+  assert.equal(fees.getFeePercent('USDC', 9), 0.75);
+  assert.equal(fees.getFeePercent('USDC', 12), 0.5);
+  assert.deepEqual(fees.calculateWithdrawalFee('USDC', usdc(100), 10), { fee: usdc(0.5), net: usdc(99.5), percent: 0.5 });
+});
+
+test('small withdrawals pay the minimum fee, never more than the amount', () => {
+  assert.deepEqual(fees.calculateWithdrawalFee('USDC', usdc(5)), { fee: usdc(0.1), net: usdc(4.9), percent: 1 });
+  assert.deepEqual(fees.calculateWithdrawalFee('USDC', usdc(0.05)), { fee: usdc(0.05), net: '0', percent: 1 });
+});
+
+test('tokens without a schedule use the default token fee', () => {
+  assert.deepEqual(fees.getFeeSchedule('XYZ'), { percent: 1, minimum: '0', levels: { 5: 0.75, 10: 0.5 } });
+});
+
+test('the fee is described with its percentage and minimum', () => {
+  assert.equal(fees.describeWithdrawalFee('USDC'), '1% (min 0.1 USDC)');
+  assert.equal(fees.describeWithdrawalFee('ETH', 10), '0.5% (min 0.00005 ETH)');
+});
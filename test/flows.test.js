@@ -0,0 +1,322 @@
+// test/flows.test.js
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/*
+ * Runs the deposit, withdrawal and bet flows against the in-memory chain
+ * (services/mockChain.js) and a throwaway database.
+ */
+
+const DATABASE_PATH = path.join(os.tmpdir(), `fumoney-test-${process.pid}.sqlite`);
+const USDC_ADDRESS = '0x0000000000000000000000000000000000000a11';
+process.env.DATABASE_PATH = DATABASE_PATH;
+process.env.USDC_CONTRACT_ADDRESS = USDC_ADDRESS;
+process.env.TOKENS = JSON.stringify([{ symbol: 'USDC', minDeposit: '1' }]);
+process.env.FEE_SWEEP_MIN_USDC = '0';
+
+require('../services/logger').silent = true;
+const sqliteDB = require('../utils/sqliteDB');
+const { createMockChain } = require('../services/mockChain');
+const { processDeposits, getDepositsFromTransaction } = require('../services/depositIndexer');
+const { processWithdrawals } = require('../services/withdrawalWorker');
+const { sweepFees } = require('../services/feeSweeper');
+const { reconcile } = require('../services/reconciliation');
+const { createAdminActions, ADMIN_ERROR_CODES } = require('../services/adminActions');
+
+const { LEDGER_ACCOUNTS, ENTRY_TYPES, WITHDRAWAL_STATUS, FEE_SWEEP_STATUS, ERROR_CODES } = sqliteDB;
+const POOL_ADDRESS = '0x00000000000000000000000000000000000000aa';
+const TEAM_WALLET = '0x00000000000000000000000000000000000000fe';
+const GAS_FEE = '21000000000000';
+
+const usdc = (amount) => String(Math.round(amount * 1e6));
+const walletOf = (telegramId) => `0x${telegramId.toString(16).padStart(40, '0')}`;
+
+/**
+ * Registers a user with a wallet derived from their ID.
+ * @param {number} telegramId - The user's Telegram ID.
+ * @returns {Promise<void>}
+ */
+const addUser = (telegramId) => sqliteDB.addOrUpdateUser(telegramId, `user${telegramId}`, walletOf(telegramId));
+
+/**
+ * Credits a deposit straight to a user, without going through the chain.
+ * @param {number} telegramId - The user's Telegram ID.
+ * @param {string} amount - The amount, in base units.
+ * @returns {Promise<Object>} - The credited deposit.
+ */
+const fundUser = (telegramId, amount) =>
+  sqliteDB.creditDeposit({
+    txHash: `0x${telegramId.toString(16).padStart(64, '0')}`,
+    logIndex: 0,
+    blockNumber: 0,
+    blockHash: '0x0',
+    currency: 'USDC',
+    fromAddress: walletOf(telegramId),
+    amount,
+    telegramId,
+  });
+
+test.before(() => sqliteDB.ready);
+
+test.after(
+  () =>
+    new Promise((resolve) => {
+      sqliteDB.db.close(() => {
+        fs.rmSync(DATABASE_PATH, { force: true });
+        resolve();
+      });
+    })
+);
+
+test('deposits are credited once confirmed, kept as unmatched when not creditable, and reversed by a reorg', async () => {
+  const chain = createMockChain({ tokenDecimals: { [USDC_ADDRESS]: 6 } });
+  const events = [];
+  const options = { chain, confirmations: 2, startBlock: 0, notify: async (event) => events.push(event) };
+  await addUser(1001);
+
+  const credited = chain.sendDeposit({ from: walletOf(1001), currency: 'USDC', amount: usdc(50) });
+  const unregistered = chain.sendDeposit({ from: walletOf(1999), currency: 'USDC', amount: usdc(20) });
+  const belowMinimum = chain.sendDeposit({ from: walletOf(1001), currency: 'USDC', amount: usdc(0.5) });
+  chain.mine(1);
+  await processDeposits(options);
+  assert.equal(await sqliteDB.getUserBalance(1001, 'USDC'), '0', 'not credited before its confirmations');
+
+  chain.mine(2);
+  await processDeposits(options);
+  await processDeposits(options);
+  assert.deepEqual(events, ['credited', 'below_minimum']);
+  assert.equal(await sqliteDB.getUserBalance(1001, 'USDC'), usdc(50));
+  assert.equal(await sqliteDB.isDepositCredited(credited, 0), true);
+  assert.equal((await sqliteDB.getUnmatchedDepositByTx(unregistered, 1)).reason, 'unregistered_sender');
+  assert.equal((await sqliteDB.getUnmatchedDepositByTx(belowMinimum, 2)).reason, 'below_minimum');
+  assert.equal((await sqliteDB.getLiabilities('USDC')).unclaimedDeposits, usdc(20.5));
+
+  chain.reorg(3);
+  await processDeposits(options);
+  assert.deepEqual(events, ['credited', 'below_minimum', 'reversed']);
+  assert.equal(await sqliteDB.getUserBalance(1001, 'USDC'), '0');
+});
+
+test('a reorg closes an unmatched deposit, and its claim cannot be approved', async () => {
+  const chain = createMockChain({ tokenDecimals: { [USDC_ADDRESS]: 6 } });
+  const events = [];
+  const options = { chain, confirmations: 2, startBlock: 0, notify: async (event) => events.push(event) };
+  const adminActions = createAdminActions({
+    currency: 'USDC',
+    notifyUser: async () => {},
+    onDepositCredited: async () => {},
+    getTransactionDeposits: (txHash) => getDepositsFromTransaction(options, txHash),
+  });
+  const admin = { id: 9001, source: 'telegram' };
+  await addUser(1101);
+
+  const txHash = chain.sendDeposit({ from: walletOf(1199), currency: 'USDC', amount: usdc(30) });
+  chain.mine(3);
+  await processDeposits(options);
+  const { id } = await sqliteDB.getUnmatchedDepositByTx(txHash, 0);
+  assert.equal(await sqliteDB.requestDepositClaim(id, 1101), true);
+
+  // Approved after the reorg but before the indexer has seen it
+  chain.reorg(3);
+  await assert.rejects(adminActions.approveClaim(admin, id), { code: ADMIN_ERROR_CODES.CONFLICT });
+  assert.equal((await sqliteDB.getUnmatchedDeposit(id)).status, 'awaiting_approval');
+  assert.equal(await sqliteDB.getUserBalance(1101, 'USDC'), '0');
+
+  await processDeposits(options);
+  assert.deepEqual(events, ['claim_reversed']);
+  assert.equal((await sqliteDB.getUnmatchedDeposit(id)).status, 'reversed');
+  await assert.rejects(adminActions.approveClaim(admin, id), { code: ADMIN_ERROR_CODES.CONFLICT });
+  assert.equal(await sqliteDB.claimUnmatchedDeposit(id, 1101, 'signature'), null);
+  assert.equal(await sqliteDB.getUserBalance(1101, 'USDC'), '0');
+});
+
+test('withdrawals are rebroadcast after a failed send, then confirmed with their gas booked to the house', async () => {
+  const chain = createMockChain({ tokenDecimals: { [USDC_ADDRESS]: 6 }, gasFee: GAS_FEE });
+  chain.setBalance('USDC', POOL_ADDRESS, usdc(1000));
+  const notified = [];
+  const options = { chain, confirmations: 2, notify: async (withdrawal) => notified.push(withdrawal.status) };
+  await addUser(2001);
+  await fundUser(2001, usdc(100));
+  const houseGasBefore = await sqliteDB.getFundBalance(LEDGER_ACCOUNTS.HOUSE, 'ETH');
+
+  const { id } = await sqliteDB.requestWithdrawal(2001, 'USDC', usdc(10), walletOf(2002), usdc(0.1));
+  assert.equal(await sqliteDB.getUserBalance(2001, 'USDC'), usdc(90));
+
+  chain.failBroadcasts(1);
+  await processWithdrawals(options);
+  let withdrawal = await sqliteDB.getWithdrawal(id);
+  assert.equal(withdrawal.status, WITHDRAWAL_STATUS.BROADCAST);
+  assert.equal(withdrawal.last_error, 'Broadcast failed (mock)');
+  assert.equal(await chain.isTransactionPending(withdrawal.tx_hash), false);
+
+  await processWithdrawals(options);
+  assert.equal(await chain.isTransactionPending(withdrawal.tx_hash), true);
+
+  chain.mine(1);
+  await processWithdrawals(options);
+  assert.equal((await sqliteDB.getWithdrawal(id)).status, WITHDRAWAL_STATUS.BROADCAST);
+
+  chain.mine(1);
+  await processWithdrawals(options);
+  withdrawal = await sqliteDB.getWithdrawal(id);
+  assert.equal(withdrawal.status, WITHDRAWAL_STATUS.CONFIRMED);
+  assert.deepEqual(notified, [WITHDRAWAL_STATUS.BROADCAST, WITHDRAWAL_STATUS.CONFIRMED]);
+  assert.equal(await chain.getPoolBalance('USDC'), usdc(1000 - 9.9));
+  assert.equal(await sqliteDB.getLedgerBalance(LEDGER_ACCOUNTS.PENDING_WITHDRAWALS, 'USDC'), '0');
+  assert.equal(await sqliteDB.getLedgerBalance(LEDGER_ACCOUNTS.FEES, 'USDC'), usdc(0.1));
+  assert.equal(
+    await sqliteDB.getFundBalance(LEDGER_ACCOUNTS.HOUSE, 'ETH'),
+    (BigInt(houseGasBefore) - BigInt(GAS_FEE)).toString()
+  );
+});
+
+test('fee sweeps take their nonces in turn with withdrawals', async () => {
+  const chain = createMockChain({ tokenDecimals: { [USDC_ADDRESS]: 6 } });
+  chain.setBalance('USDC', POOL_ADDRESS, usdc(1000));
+  const options = { chain, confirmations: 1, notify: async () => {} };
+  await addUser(3001);
+  await fundUser(3001, usdc(100));
+  const fees = await sqliteDB.getLedgerBalance(LEDGER_ACCOUNTS.FEES, 'USDC');
+
+  const withdrawal = await sqliteDB.requestWithdrawal(3001, 'USDC', usdc(5), walletOf(3002));
+  await sweepFees({ teamWallet: TEAM_WALLET });
+  assert.equal(await sqliteDB.getLedgerBalance(LEDGER_ACCOUNTS.FEES, 'USDC'), '0');
+
+  await processWithdrawals(options);
+  const [sweep] = await sqliteDB.getFeeSweepsByStatus(FEE_SWEEP_STATUS.BROADCAST);
+  assert.equal(sweep.amount, fees);
+  assert.deepEqual([(await sqliteDB.getWithdrawal(withdrawal.id)).tx_nonce, sweep.tx_nonce], [0, 1]);
+
+  chain.mine(1);
+  await processWithdrawals(options);
+  assert.equal((await sqliteDB.getWithdrawal(withdrawal.id)).status, WITHDRAWAL_STATUS.CONFIRMED);
+  assert.equal((await sqliteDB.getFeeSweep(sweep.id)).status, FEE_SWEEP_STATUS.CONFIRMED);
+  assert.equal(await sqliteDB.getLedgerBalance(LEDGER_ACCOUNTS.PENDING_WITHDRAWALS, 'USDC'), '0');
+});
+
+test('a mined withdrawal stops counting as owed before it confirms', async () => {
+  const chain = createMockChain({ tokenDecimals: { [USDC_ADDRESS]: 6 }, gasFee: GAS_FEE });
+  const options = { chain, confirmations: 3, notify: async () => {} };
+  const surplus = { ETH: '1000000000000000000', USDC: '0' };
+  const gaps = async () => {
+    const snapshots = await reconcile({ chain, alert: async () => {} });
+    return Object.fromEntries(snapshots.map(({ currency, gap }) => [currency, gap]));
+  };
+  await addUser(3101);
+  await fundUser(3101, usdc(50));
+  for (const currency of ['ETH', 'USDC']) {
+    const { total } = await sqliteDB.getLiabilities(currency);
+    chain.setBalance(currency, POOL_ADDRESS, (BigInt(total) + BigInt(surplus[currency])).toString());
+  }
+  assert.deepEqual(await gaps(), surplus);
+
+  const { id } = await sqliteDB.requestWithdrawal(3101, 'USDC', usdc(20), walletOf(3102), usdc(0.5));
+  await processWithdrawals(options);
+  chain.mine(1);
+  await processWithdrawals(options);
+  assert.equal((await sqliteDB.getWithdrawal(id)).status, WITHDRAWAL_STATUS.BROADCAST);
+  assert.deepEqual(await gaps(), surplus);
+
+  chain.mine(2);
+  await processWithdrawals(options);
+  assert.equal((await sqliteDB.getWithdrawal(id)).status, WITHDRAWAL_STATUS.CONFIRMED);
+  assert.deepEqual(await gaps(), surplus);
+});
+
+test('a settled bet moves the stake, the jackpot contribution (up to the drop point) and the payout', async () => {
+  await addUser(4001);
+  await fundUser(4001, usdc(100));
+  await sqliteDB.postTransfer(ENTRY_TYPES.CAPITAL, LEDGER_ACCOUNTS.EXTERNAL, LEDGER_ACCOUNTS.HOUSE, 'USDC', usdc(1000));
+  const getReseed = () => ({ seed: '0', dropAt: usdc(1), dropSalt: null, dropHash: null });
+  await sqliteDB.setupJackpotTiers('USDC', ['mini'], getReseed, () => ({}));
+  const bet = (payout) =>
+    sqliteDB.settleBet({
+      telegramId: 4001,
+      game: 'test',
+      stake: usdc(10),
+      contributions: { mini: usdc(0.6) },
+      getReseed,
+      resolveOutcome: async () => ({ payout, xp: 5 }),
+    });
+
+  const win = await bet(usdc(25));
+  assert.equal(win.balanceBefore, usdc(100));
+  assert.equal(win.balanceAfter, usdc(115));
+  assert.equal(win.outcome.payout, usdc(25));
+  assert.equal(win.seed.nonce, 0);
+
+  await bet('0');
+  assert.equal(await sqliteDB.getUserBalance(4001, 'USDC'), usdc(105));
+  const tiers = await sqliteDB.getJackpotTiers('USDC');
+  assert.equal(tiers.mini.amount, usdc(1), 'the second contribution stops at the drop point');
+  assert.equal(await sqliteDB.getFundBalance(LEDGER_ACCOUNTS.HOUSE, 'USDC'), usdc(1000 + 20 - 25 - 1));
+  assert.equal((await sqliteDB.getBetHistory(4001)).total, 2);
+  const user = await sqliteDB.getUserByTelegramId(4001);
+  assert.deepEqual(
+    [user.total_bets, user.total_amount_bet, user.total_usdc_won, user.total_usdc_lost, user.highest_single_bet],
+    [2, usdc(20), usdc(25), usdc(10), usdc(10)]
+  );
+});
+
+test('a bet the balance cannot cover writes nothing', async () => {
+  await addUser(5001);
+  await fundUser(5001, usdc(5));
+  const houseBefore = await sqliteDB.getFundBalance(LEDGER_ACCOUNTS.HOUSE, 'USDC');
+  let resolved = false;
+
+  await assert.rejects(
+    sqliteDB.settleBet({
+      telegramId: 5001,
+      game: 'test',
+      stake: usdc(10),
+      resolveOutcome: async () => {
+        resolved = true;
+        return { payout: '0', xp: 5 };
+      },
+    }),
+    { code: ERROR_CODES.INSUFFICIENT_BALANCE }
+  );
+  assert.equal(resolved, false);
+  assert.equal(await sqliteDB.getUserBalance(5001, 'USDC'), usdc(5));
+  assert.equal(await sqliteDB.getFundBalance(LEDGER_ACCOUNTS.HOUSE, 'USDC'), houseBefore);
+  assert.equal((await sqliteDB.getBetHistory(5001)).total, 0);
+  assert.equal((await sqliteDB.getActiveSeedPair(5001)).nonce, 0);
+});
+
+test('a level bonus the promo budget cannot cover is owed until the budget is topped up', async () => {
+  const notified = [];
+  const adminActions = createAdminActions({
+    currency: 'USDC',
+    jackpotSystem: { tiers: [] },
+    notifyUser: async (telegramId) => notified.push(telegramId),
+  });
+  const admin = { id: 9001, source: 'telegram' };
+  await addUser(6001);
+  const promo = await sqliteDB.getFundBalance(LEDGER_ACCOUNTS.PROMO, 'USDC');
+  if (promo !== '0') {
+    await sqliteDB.postFundTransfer(ENTRY_TYPES.FUND_TRANSFER, LEDGER_ACCOUNTS.PROMO, LEDGER_ACCOUNTS.HOUSE, 'USDC', promo);
+  }
+
+  assert.equal(await sqliteDB.grantLevelReward(6001, 2, 'USDC', usdc(5)), false);
+  assert.equal(await sqliteDB.getUserBalance(6001, 'USDC'), '0');
+  assert.equal((await sqliteDB.getOwedLevelRewards('USDC')).length, 1);
+
+  const transfer = (amount) =>
+    adminActions.transferFunds(admin, { from: LEDGER_ACCOUNTS.EXTERNAL, to: LEDGER_ACCOUNTS.PROMO, amount });
+  assert.deepEqual((await transfer(usdc(3))).rewardsPaid, []);
+  const { balance, rewardsPaid } = await transfer(usdc(4));
+  assert.deepEqual(
+    rewardsPaid.map(({ telegram_id, level, status }) => [telegram_id, level, status]),
+    [[6001, 2, 'paid']]
+  );
+  assert.equal(balance, usdc(2));
+  assert.equal(await sqliteDB.getUserBalance(6001, 'USDC'), usdc(5));
+  assert.deepEqual(await sqliteDB.getOwedLevelRewards('USDC'), []);
+  assert.deepEqual(notified, [6001]);
+});
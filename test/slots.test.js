@@ -0,0 +1,87 @@
+// test/slots.test.js
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSlotMachine, machine } = require('../services/slots');
+
+// A small machine whose reels can be stopped on any row from the floats given to spin
+const config = {
+  symbols: {
+    A: { emoji: 'A', name: 'A' },
+    B: { emoji: 'B', name: 'B' },
+    W: { emoji: 'W', name: 'Wild', type: 'wild' },
+    S: { emoji: 'S', name: 'Scatter', type: 'scatter' },
+  },
+  rows: 1,
+  reelStrips: [
+    ['A', 'B', 'W', 'S'],
+    ['A', 'B', 'W', 'S'],
+    ['A', 'B', 'W', 'S'],
+  ],
+  paylines: [{ name: 'Middle', rows: [0, 0, 0] }],
+  paytable: { A: { 2: 1, 3: 5 }, B: { 3: 10 }, W: { 3: 50 } },
+  scatterPays: { 2: 2, 3: 20 },
+  winTiers: [
+    { name: 'big', minMultiplier: 10, label: 'BIG' },
+    { name: 'win', minMultiplier: 0, label: 'WIN' },
+  ],
+};
+const slots = createSlotMachine(config);
+const A = 0.1;
+const B = 0.3;
+const W = 0.6;
+const S = 0.9;
+
+test('a spin needs one float per reel', () => {
+  assert.equal(slots.reelCount, 3);
+  assert.throws(() => slots.spin([A, A]), /A spin needs 3 floats, got 2/);
+});
+
+test('matching symbols from the leftmost reel pay the paytable', () => {
+  assert.equal(slots.spin([A, A, A]).multiplier, 5);
+  assert.equal(slots.spin([A, A, B]).multiplier, 1);
+  assert.equal(slots.spin([B, A, A]).multiplier, 0);
+  assert.equal(slots.spin([B, B, A]).tier, null);
+});
+
+test('wilds substitute for other symbols and a line of wilds pays as the wild', () => {
+  assert.deepEqual(slots.spin([W, B, W]).lineWins, [{ line: 0, symbol: 'B', count: 3, multiplier: 10 }]);
+  assert.equal(slots.spin([W, W, W]).multiplier, 50);
+});
+
+test('scatters pay anywhere, times the whole stake, and never count as a line', () => {
+  const result = slots.spin([S, A, S]);
+  assert.deepEqual(result.lineWins, []);
+  assert.deepEqual(result.scatterWin, { count: 2, multiplier: 2 });
+  assert.equal(result.multiplier, 2);
+  assert.equal(slots.spin([W, S, S]).multiplier, 2);
+});
+
+test('wins are tiered and described', () => {
+  const result = slots.spin([B, B, B]);
+  assert.equal(result.tier.name, 'big');
+  assert.equal(slots.describeWins(result), 'Middle line: 3× B pays 10× line bet');
+  assert.equal(slots.renderGrid(result.grid), '┃ B ┃ B ┃ B ┃');
+});
+
+test('the largest payout is found by trying every stop', () => {
+  assert.equal(slots.getMaxMultiplier(), 50);
+});
+
+test('the shipped machine returns about 90.9% to the player', () => {
+  const lengths = machine.config.reelStrips.map((strip) => strip.length);
+  let total = 0;
+  let spins = 0;
+  for (let first = 0; first < lengths[0]; first += 1) {
+    for (let second = 0; second < lengths[1]; second += 1) {
+      for (let third = 0; third < lengths[2]; third += 1) {
+        const floats = [first, second, third].map((stop, reel) => (stop + 0.5) / lengths[reel]);
+        total += machine.spin(floats).multiplier;
+        spins += 1;
+      }
+    }
+  }
+  assert.equal(Math.round((total / spins) * 1000) / 10, 90.9);
+});
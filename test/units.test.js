@@ -0,0 +1,45 @@
+// test/units.test.js
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const units = require('../utils/units');
+
+test('parseAmount converts decimal amounts to base units', () => {
+  assert.equal(units.parseAmount('12.5', 'USDC'), '12500000');
+  assert.equal(units.parseAmount(' 1 ', 'ETH'), '1000000000000000000');
+  assert.equal(units.parseAmount('0.000001', 'USDC'), '1');
+});
+
+test('parseAmount rejects more decimals than the currency has, and unknown currencies', () => {
+  assert.throws(() => units.parseAmount('0.0000001', 'USDC'));
+  assert.throws(() => units.parseAmount('1', 'DOGE'), /Unsupported currency: DOGE/);
+});
+
+test('formatAmount drops a trailing .0 and truncates to fixed digits', () => {
+  assert.equal(units.formatAmount('12000000', 'USDC'), '12');
+  assert.equal(units.formatAmount('12345678', 'USDC'), '12.345678');
+  assert.equal(units.formatAmount('12345678', 'USDC', 2), '12.34');
+  assert.equal(units.formatAmount('12345678', 'USDC', 0), '12');
+  assert.equal(units.formatAmount('1500000', 'USDC', 8), '1.50000000');
+  assert.equal(units.formatAmount(null, 'USDC'), '0');
+});
+
+test('multiplyAmount applies a 4-decimal multiplier and rounds down', () => {
+  assert.equal(units.multiplyAmount('10000000', 3.6), '36000000');
+  assert.equal(units.multiplyAmount('3', 0.5), '1');
+  assert.equal(units.multiplyAmount('1000000', 1.23456), '1234600');
+});
+
+test('fromLegacyFloat converts floats stored with 6 decimals', () => {
+  assert.equal(units.fromLegacyFloat(1.1, 'USDC'), '1100000');
+  assert.equal(units.fromLegacyFloat(null, 'USDC'), '0');
+});
+
+test('registerCurrency adds a token with its decimals', () => {
+  assert.equal(units.isSupported('TEST8'), false);
+  units.registerCurrency('TEST8', 8);
+  assert.equal(units.isSupported('TEST8'), true);
+  assert.equal(units.parseAmount('1', 'TEST8'), '100000000');
+});
@@ -0,0 +1,14 @@
+// utils/markdown.js
+
+'use strict';
+
+/**
+ * Escapes user-supplied text (e.g. usernames) for Markdown messages.
+ * @param {string} text - The text.
+ * @returns {string} - The text with Markdown control characters escaped.
+ */
+const escapeMarkdown = (text) => String(text).replace(/([_*`[])/g, '\\$1');
+
+module.exports = {
+  escapeMarkdown,
+};
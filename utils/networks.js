@@ -0,0 +1,122 @@
+// utils/networks.js
+
+'use strict';
+
+const { ethers } = require('ethers');
+require('dotenv').config();
+
+/*
+ * Network profiles. The active profile is chosen with NETWORK (default
+ * 'sepolia') and any field can be overridden from the environment:
+ * - RPC_URL: one or more JSON-RPC endpoints, comma-separated (several are used as fallbacks)
+ * - USDC_CONTRACT_ADDRESS, EXPLORER_URL, DEPOSIT_CONFIRMATIONS
+ * `tokens` lists the ERC-20 tokens accepted on the network (see services/tokens.js for adding more).
+ * Profiles without RPC URLs but with an `infuraNetwork` connect through Infura (INFURA_PROJECT_ID).
+ */
+const NETWORKS = {
+  base: {
+    name: 'Base',
+    chainId: 8453,
+    rpcUrls: ['https://mainnet.base.org'],
+    tokens: [
+      { symbol: 'USDC', address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', decimals: 6 },
+      { symbol: 'FUMONEY', address: '0x8f4E4221ba88D4E9Bb76ECFB91d7C5ce08D7d5b9', decimals: 18 },
+    ],
+    explorerUrl: 'https://basescan.org',
+    confirmations: 6,
+  },
+  'base-sepolia': {
+    name: 'Base Sepolia',
+    chainId: 84532,
+    rpcUrls: ['https://sepolia.base.org'],
+    tokens: [{ symbol: 'USDC', address: '0x036CbD53842c5426634e7929541eC2318f3dCF7e', decimals: 6 }],
+    explorerUrl: 'https://sepolia.basescan.org',
+    confirmations: 3,
+  },
+  sepolia: {
+    name: 'Sepolia Testnet',
+    chainId: 11155111,
+    rpcUrls: [],
+    infuraNetwork: 'sepolia',
+    tokens: [{ symbol: 'USDC', address: null, decimals: 6 }], // Set USDC_CONTRACT_ADDRESS to your (mock) USDC deployment
+    explorerUrl: 'https://sepolia.etherscan.io',
+    confirmations: 6,
+  },
+  local: {
+    name: 'Local Dev Chain',
+    chainId: 31337, // Anvil and Hardhat default
+    rpcUrls: ['http://127.0.0.1:8545'],
+    tokens: [{ symbol: 'USDC', address: null, decimals: 6 }], // Set USDC_CONTRACT_ADDRESS to your local deployment
+    explorerUrl: null,
+    confirmations: 1,
+  },
+};
+
+/**
+ * Resolves the active network profile, applying environment overrides.
+ * @returns {Object} - { key, name, chainId, rpcUrls, infuraNetwork?, tokens, explorerUrl, confirmations }.
+ */
+const loadNetwork = () => {
+  const key = process.env.NETWORK || 'sepolia';
+  const profile = NETWORKS[key];
+  if (!profile) {
+    throw new Error(`Unknown NETWORK '${key}'. Expected one of: ${Object.keys(NETWORKS).join(', ')}`);
+  }
+  return {
+    key,
+    ...profile,
+    rpcUrls: process.env.RPC_URL
+      ? process.env.RPC_URL.split(',').map((url) => url.trim()).filter(Boolean)
+      : profile.rpcUrls,
+    tokens: profile.tokens.map((token) =>
+      token.symbol === 'USDC' && process.env.USDC_CONTRACT_ADDRESS
+        ? { ...token, address: process.env.USDC_CONTRACT_ADDRESS }
+        : token
+    ),
+    explorerUrl: process.env.EXPLORER_URL || profile.explorerUrl,
+    confirmations: process.env.DEPOSIT_CONFIRMATIONS
+      ? Number(process.env.DEPOSIT_CONFIRMATIONS)
+      : profile.confirmations,
+  };
+};
+
+const network = loadNetwork();
+
+/**
+ * Creates a provider for the active network.
+ * @returns {ethers.providers.Provider} - The provider.
+ */
+const createProvider = () => {
+  const chain = { chainId: network.chainId, name: network.key };
+  if (network.rpcUrls.length === 0) {
+    if (!network.infuraNetwork) {
+      throw new Error(`No RPC_URL configured for network '${network.key}'.`);
+    }
+    return new ethers.providers.InfuraProvider(network.infuraNetwork, process.env.INFURA_PROJECT_ID);
+  }
+  if (network.rpcUrls.length === 1) {
+    return new ethers.providers.StaticJsonRpcProvider(network.rpcUrls[0], chain);
+  }
+  return new ethers.providers.FallbackProvider(
+    network.rpcUrls.map((url, index) => ({
+      provider: new ethers.providers.StaticJsonRpcProvider(url, chain),
+      priority: index + 1,
+      stallTimeout: 2000,
+    })),
+    1
+  );
+};
+
+/**
+ * Returns the block explorer URL of a transaction, if the network has an explorer.
+ * @param {string} txHash - The transaction hash.
+ * @returns {string|null} - The URL, or null.
+ */
+const getTxUrl = (txHash) => (network.explorerUrl ? `${network.explorerUrl}/tx/${txHash}` : null);
+
+module.exports = {
+  NETWORKS,
+  network,
+  createProvider,
+  getTxUrl,
+};
@@ -0,0 +1,93 @@
+// utils/rateLimit.js
+
+'use strict';
+
+/**
+ * Creates a sliding-window rate limiter: each key may act at most `limit` times in any `windowMs`.
+ * @param {Object} options
+ * @param {number} options.limit - Actions allowed per window.
+ * @param {number} options.windowMs - The window, in milliseconds.
+ * @returns {{hit: Function}}
+ */
+const createRateLimiter = ({ limit, windowMs }) => {
+  // Times of each key's recent actions, and whether it was rejected since its last allowed one
+  const keys = new Map();
+  let lastSweep = 0;
+
+  /**
+   * Drops the keys that have not acted within the window.
+   * @param {number} now - The current time, in milliseconds.
+   */
+  const sweep = (now) => {
+    lastSweep = now;
+    for (const [key, entry] of keys) {
+      if (now - entry.times[entry.times.length - 1] >= windowMs) {
+        keys.delete(key);
+      }
+    }
+  };
+
+  /**
+   * Counts an action by a key.
+   * @param {*} key - Who is acting (e.g. a Telegram ID).
+   * @param {number} [now=Date.now()] - The current time, in milliseconds.
+   * @returns {{allowed: boolean, firstRejection: boolean, retryAfterMs: number}} - Whether the action may
+   *   go ahead; when it may not, whether this is the first rejection since the key was last allowed and
+   *   how long until it will be.
+   */
+  const hit = (key, now = Date.now()) => {
+    if (now - lastSweep >= windowMs) {
+      sweep(now);
+    }
+    const entry = keys.get(key) || { times: [], rejected: false };
+    keys.set(key, entry);
+    entry.times = entry.times.filter((time) => now - time < windowMs);
+    if (entry.times.length >= limit) {
+      const firstRejection = !entry.rejected;
+      entry.rejected = true;
+      return { allowed: false, firstRejection, retryAfterMs: entry.times[0] + windowMs - now };
+    }
+    entry.times.push(now);
+    entry.rejected = false;
+    return { allowed: true, firstRejection: false, retryAfterMs: 0 };
+  };
+
+  return { hit };
+};
+
+/**
+ * Creates a cache of recently seen IDs, each remembered for `ttlMs`.
+ * @param {number} ttlMs - How long an ID is remembered, in milliseconds.
+ * @returns {{add: Function}}
+ */
+const createRecentIds = (ttlMs) => {
+  // Expiry time of each ID, in insertion (and so expiry) order
+  const ids = new Map();
+
+  /**
+   * Remembers an ID.
+   * @param {string} id - The ID.
+   * @param {number} [now=Date.now()] - The current time, in milliseconds.
+   * @returns {boolean} - False if the ID was already seen within the TTL.
+   */
+  const add = (id, now = Date.now()) => {
+    for (const [seen, expiresAt] of ids) {
+      if (expiresAt > now) {
+        break;
+      }
+      ids.delete(seen);
+    }
+    if (ids.has(id)) {
+      return false;
+    }
+    ids.set(id, now + ttlMs);
+    return true;
+  };
+
+  return { add };
+};
+
+module.exports = {
+  createRateLimiter,
+  createRecentIds,
+};
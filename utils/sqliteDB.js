@@ -4,9 +4,17 @@
 
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 const logger = require('../services/logger'); // Correct path
+const fairness = require('../services/fairness');
+const units = require('./units');
+const { ethers } = require('ethers');
 
-const dbPath = path.resolve(__dirname, '../database.sqlite');
+// DATABASE_PATH points the bot at another database file (the tests use a temporary one)
+const dbPath = process.env.DATABASE_PATH
+  ? path.resolve(process.env.DATABASE_PATH)
+  : path.resolve(__dirname, '../database.sqlite');
 const db = new sqlite3.Database(dbPath, (err) => {
   if (err) {
     logger.error('Could not connect to database:', err.message);
@@ -15,6 +23,124 @@ const db = new sqlite3.Database(dbPath, (err) => {
   }
 });
 
+// Promise wrappers around the callback API
+const execute = (query, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.run(query, params, function (err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+};
+
+const get = (query, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.get(query, params, (err, row) => (err ? reject(err) : resolve(row || null)));
+  });
+};
+
+const all = (query, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.all(query, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+};
+
+// Every statement shares one connection, so a write issued while a transaction is open
+// would join it. Writes and transactions are therefore queued and run one at a time,
+// except for the writes of the transaction that owns the connection.
+let writeQueue = Promise.resolve();
+
+// Set, with { open: true }, for the async flow running inside the current transaction
+const transactionContext = new AsyncLocalStorage();
+
+/**
+ * Checks whether the caller runs inside the open transaction.
+ * @returns {boolean}
+ */
+const inTransaction = () => {
+  const transaction = transactionContext.getStore();
+  return Boolean(transaction && transaction.open);
+};
+
+/**
+ * Runs `task` once every write queued before it has finished.
+ * @param {Function} task - Async function to run.
+ * @returns {Promise<*>} - Whatever `task` resolves to.
+ */
+const enqueueWrite = (task) => {
+  const result = writeQueue.then(task);
+  writeQueue = result.catch(() => {});
+  return result;
+};
+
+/**
+ * Runs a write statement: at once inside the open transaction, otherwise after the queued ones.
+ * @param {string} query - The statement.
+ * @param {Array} [params=[]] - Its parameters.
+ * @returns {Promise<{lastID: number, changes: number}>}
+ */
+const run = (query, params = []) => {
+  if (inTransaction()) {
+    return execute(query, params);
+  }
+  return enqueueWrite(() => execute(query, params));
+};
+
+/**
+ * `run` for the callback-style functions below: `callback` gets the error, with the
+ * result ({ lastID, changes }) as `this`, like sqlite3's own db.run.
+ * @param {string} query - The statement.
+ * @param {Array} params - Its parameters.
+ * @param {Function} callback - Called with the error, if any.
+ */
+const runWithCallback = (query, params, callback) => {
+  run(query, params).then(
+    (result) => callback.call(result, null),
+    (err) => callback(err)
+  );
+};
+
+/**
+ * Adds up a column of base-unit amounts. Summed in JS: SQLite's SUM() overflows on large wei amounts.
+ * @param {Array<Object>} rows - The rows.
+ * @param {string} [key='amount'] - The column to add up.
+ * @returns {ethers.BigNumber} - The total, in base units.
+ */
+const sumAmounts = (rows, key = 'amount') => rows.reduce((total, row) => total.add(row[key]), ethers.constants.Zero);
+
+/**
+ * Runs `work` inside a single SQLite transaction, rolling back if it throws.
+ * Called from inside another transaction, `work` simply joins it.
+ * @param {Function} work - Async function performing the statements.
+ * @returns {Promise<*>} - Whatever `work` resolves to.
+ */
+const withTransaction = (work) => {
+  if (inTransaction()) {
+    return work();
+  }
+  return enqueueWrite(() => {
+    const transaction = { open: true };
+    return transactionContext.run(transaction, async () => {
+      await execute('BEGIN IMMEDIATE');
+      try {
+        const value = await work();
+        await execute('COMMIT');
+        return value;
+      } catch (error) {
+        await execute('ROLLBACK').catch((rollbackErr) => {
+          logger.error('Error rolling back transaction:', rollbackErr.message);
+        });
+        throw error;
+      } finally {
+        // Callbacks scheduled by `work` that outlive it must queue like any other write
+        transaction.open = false;
+      }
+    });
+  });
+};
+
 // Helper function to check if a column exists
 const columnExists = (table, column) => {
   return new Promise((resolve, reject) => {
@@ -37,7 +163,7 @@ const addColumnIfNotExists = async (table, column, type) => {
     if (!exists) {
       const query = `ALTER TABLE ${table} ADD COLUMN ${column} ${type}`;
       return new Promise((resolve, reject) => {
-        db.run(query, [], function (err) {
+        runWithCallback(query, [], function (err) {
           if (err) {
             logger.warn(
               `Could not add column '${column}' to table '${table}':`,
@@ -57,117 +183,647 @@ const addColumnIfNotExists = async (table, column, type) => {
   }
 };
 
-// Initialize the database tables with schema verification
-const initDB = async () => {
-  const usersTable = `
-    CREATE TABLE IF NOT EXISTS users (
-      telegram_id INTEGER PRIMARY KEY,
-      username TEXT,
-      wallet_address TEXT UNIQUE,
-      eth_balance REAL DEFAULT 0,
-      usdc_balance REAL DEFAULT 0,
-      total_bets INTEGER DEFAULT 0,
-      total_amount_bet REAL DEFAULT 0,
-      total_wins INTEGER DEFAULT 0,
-      total_losses INTEGER DEFAULT 0,
-      total_usdc_won REAL DEFAULT 0,
-      total_usdc_lost REAL DEFAULT 0,
-      highest_single_bet REAL DEFAULT 0,
-      xp INTEGER DEFAULT 0,
-      level INTEGER DEFAULT 1,
-      consecutive_login INTEGER DEFAULT 0,
-      last_login TEXT DEFAULT CURRENT_TIMESTAMP
-    );
-  `;
+// Column definitions for the 'users' table. Betting statistics are TEXT base
+// units of the game token (see utils/units.js); balances live in 'user_balances'.
+const USER_COLUMNS = {
+  telegram_id: 'INTEGER PRIMARY KEY',
+  username: 'TEXT',
+  wallet_address: 'TEXT UNIQUE',
+  total_bets: 'INTEGER DEFAULT 0',
+  total_amount_bet: "TEXT NOT NULL DEFAULT '0'",
+  total_wins: 'INTEGER DEFAULT 0',
+  total_losses: 'INTEGER DEFAULT 0',
+  total_usdc_won: "TEXT NOT NULL DEFAULT '0'",
+  total_usdc_lost: "TEXT NOT NULL DEFAULT '0'",
+  highest_single_bet: "TEXT NOT NULL DEFAULT '0'",
+  xp: 'INTEGER DEFAULT 0',
+  level: 'INTEGER DEFAULT 1',
+  consecutive_login: 'INTEGER DEFAULT 0',
+  last_login: 'TEXT DEFAULT CURRENT_TIMESTAMP',
+  frozen: 'INTEGER DEFAULT 0', // Set by admins; a frozen user cannot use the bot
+  frozen_reason: 'TEXT',
+  // Responsible gaming (see services/responsibleGaming.js): no bets until these UTC times
+  cool_off_until: 'TEXT',
+  excluded_until: 'TEXT',
+  reality_check_minutes: 'INTEGER DEFAULT 30', // 0 turns session reminders off
+};
+
+// The 'users' columns of schema version 1, which still held the balances
+const USER_COLUMNS_V1 = {
+  ...USER_COLUMNS,
+  eth_balance: "TEXT NOT NULL DEFAULT '0'",
+  usdc_balance: "TEXT NOT NULL DEFAULT '0'",
+};
+
+const usersTable = (name = 'users', columns = USER_COLUMNS) => `
+  CREATE TABLE IF NOT EXISTS ${name} (
+    ${Object.entries(columns)
+      .map(([column, type]) => `${column} ${type}`)
+      .join(',\n    ')}
+  );
+`;
+
+// Balances as TEXT base units (see utils/units.js), one row per user and token
+const userBalancesTable = `
+  CREATE TABLE IF NOT EXISTS user_balances (
+    telegram_id INTEGER NOT NULL,
+    currency TEXT NOT NULL,
+    balance TEXT NOT NULL DEFAULT '0',
+    PRIMARY KEY (telegram_id, currency)
+  );
+`;
+
+const jackpotTable = (name = 'jackpot') => `
+  CREATE TABLE IF NOT EXISTS ${name} (
+    id INTEGER PRIMARY KEY,
+    currency TEXT NOT NULL DEFAULT 'USDC',
+    amount TEXT NOT NULL DEFAULT '0'
+  );
+`;
+
+// Cached balances of the house bankroll, promo budget, jackpot tiers, collected fees and pending
+// withdrawals (the single jackpot from before tiers is in 'jackpot')
+const fundsTable = `
+  CREATE TABLE IF NOT EXISTS funds (
+    account TEXT NOT NULL,
+    currency TEXT NOT NULL,
+    balance TEXT NOT NULL DEFAULT '0',
+    PRIMARY KEY (account, currency)
+  );
+`;
+
+// Hidden drop point of each must-drop jackpot tier and its public commitment (NULL for tiers without a cap)
+const jackpotTiersTable = `
+  CREATE TABLE IF NOT EXISTS jackpot_tiers (
+    currency TEXT NOT NULL,
+    tier TEXT NOT NULL,
+    drop_at TEXT,
+    drop_salt TEXT,
+    drop_hash TEXT,
+    PRIMARY KEY (currency, tier)
+  );
+`;
+
+const ledgerTable = (name = 'ledger_entries') => `
+  CREATE TABLE IF NOT EXISTS ${name} (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    txn_id TEXT NOT NULL,
+    entry_type TEXT NOT NULL,
+    account TEXT NOT NULL,
+    currency TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    reference TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+`;
+
+const fairnessSeedsTable = `
+  CREATE TABLE IF NOT EXISTS fairness_seeds (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    telegram_id INTEGER NOT NULL,
+    server_seed TEXT NOT NULL,
+    server_seed_hash TEXT NOT NULL,
+    client_seed TEXT NOT NULL,
+    nonce INTEGER NOT NULL DEFAULT 0,
+    status TEXT NOT NULL DEFAULT 'active',
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    revealed_at TEXT
+  );
+`;
+
+const betsTable = `
+  CREATE TABLE IF NOT EXISTS bets (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    telegram_id INTEGER NOT NULL,
+    game TEXT NOT NULL,
+    currency TEXT NOT NULL DEFAULT 'USDC',
+    stake TEXT NOT NULL,
+    outcome TEXT NOT NULL,
+    payout TEXT NOT NULL DEFAULT '0',
+    server_seed_hash TEXT NOT NULL,
+    client_seed TEXT NOT NULL,
+    nonce INTEGER NOT NULL,
+    roll REAL,
+    balance_before TEXT NOT NULL,
+    balance_after TEXT NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+`;
+
+// Every jackpot won, with the provably fair proof of the bet that won it
+const jackpotHitsTable = `
+  CREATE TABLE IF NOT EXISTS jackpot_hits (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    bet_id INTEGER NOT NULL,
+    telegram_id INTEGER NOT NULL,
+    currency TEXT NOT NULL,
+    tier TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    must_drop INTEGER NOT NULL DEFAULT 0,
+    server_seed_hash TEXT NOT NULL,
+    client_seed TEXT NOT NULL,
+    nonce INTEGER NOT NULL,
+    roll REAL,
+    drop_at TEXT,
+    drop_salt TEXT,
+    drop_hash TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+`;
+
+const withdrawalsTable = `
+  CREATE TABLE IF NOT EXISTS withdrawals (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    telegram_id INTEGER NOT NULL,
+    currency TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    fee TEXT NOT NULL DEFAULT '0',
+    wallet_address TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'requested',
+    tx_nonce INTEGER,
+    tx_hash TEXT,
+    signed_tx TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+`;
+
+const feeSweepsTable = `
+  CREATE TABLE IF NOT EXISTS fee_sweeps (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    currency TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    to_address TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'reserved',
+    tx_nonce INTEGER,
+    tx_hash TEXT,
+    signed_tx TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+`;
 
-  const jackpotTable = `
-    CREATE TABLE IF NOT EXISTS jackpot (
-      id INTEGER PRIMARY KEY,
-      amount REAL DEFAULT 0
+// Books against the pool wallet, per token and run (services/reconciliation.js)
+const reconciliationsTable = `
+  CREATE TABLE IF NOT EXISTS reconciliations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    currency TEXT NOT NULL,
+    assets TEXT NOT NULL,
+    liabilities TEXT NOT NULL,
+    gap TEXT NOT NULL,
+    breakdown TEXT NOT NULL,
+    breached INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+`;
+
+// Every action taken through an admin command (see services/admins.js)
+const adminActionsTable = `
+  CREATE TABLE IF NOT EXISTS admin_actions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    admin_id INTEGER NOT NULL,
+    role TEXT NOT NULL,
+    source TEXT NOT NULL DEFAULT 'telegram',
+    action TEXT NOT NULL,
+    target TEXT,
+    details TEXT NOT NULL DEFAULT '{}',
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+`;
+
+const depositsTable = `
+  CREATE TABLE IF NOT EXISTS deposits (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    currency TEXT NOT NULL,
+    from_address TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    telegram_id INTEGER,
+    status TEXT NOT NULL DEFAULT 'credited',
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    credited_at TEXT,
+    UNIQUE (tx_hash, log_index)
+  );
+`;
+
+// Limits players set on themselves, per token and window. A raise or removal waits in
+// pending_amount (NULL to remove) until pending_at; lower limits apply at once.
+const userLimitsTable = `
+  CREATE TABLE IF NOT EXISTS user_limits (
+    telegram_id INTEGER NOT NULL,
+    currency TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    period TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    pending_amount TEXT,
+    pending_at TEXT,
+    PRIMARY KEY (telegram_id, currency, kind, period)
+  );
+`;
+
+// Deposits the indexer could not credit, kept until they are claimed: from addresses no user
+// had registered when they were seen, or below the token's minimum deposit (see
+// UNMATCHED_REASONS). Status: 'pending', 'awaiting_approval' (a claim awaits an admin),
+// 'claimed', 'matched' once the deposit is credited through the indexer instead (its
+// sender registered since), or 'reversed' once a reorg removed its transaction (reopened
+// as 'pending' if the transaction is re-included).
+const unmatchedDepositsTable = `
+  CREATE TABLE IF NOT EXISTS unmatched_deposits (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    currency TEXT NOT NULL,
+    from_address TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    requested_by INTEGER,
+    claimed_by INTEGER,
+    claim_method TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    claimed_at TEXT,
+    reason TEXT NOT NULL DEFAULT 'unregistered_sender',
+    UNIQUE (tx_hash, log_index)
+  );
+`;
+
+const walletChallengesTable = `
+  CREATE TABLE IF NOT EXISTS wallet_challenges (
+    telegram_id INTEGER PRIMARY KEY,
+    wallet_address TEXT NOT NULL,
+    nonce TEXT NOT NULL,
+    expires_at INTEGER NOT NULL
+  );
+`;
+
+const betPresetsTable = `
+  CREATE TABLE IF NOT EXISTS bet_presets (
+    telegram_id INTEGER NOT NULL,
+    currency TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    PRIMARY KEY (telegram_id, currency, amount)
+  );
+`;
+
+// Level-up bonuses the promo budget could not cover when they were earned: 'owed' until
+// an admin tops the budget up, then 'paid'
+const owedLevelRewardsTable = `
+  CREATE TABLE IF NOT EXISTS owed_level_rewards (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    telegram_id INTEGER NOT NULL,
+    level INTEGER NOT NULL,
+    currency TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'owed',
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    paid_at TEXT
+  );
+`;
+
+const indexerStateTable = `
+  CREATE TABLE IF NOT EXISTS indexer_state (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+`;
+
+/**
+ * Rebuilds a table under the canonical schema, converting every row.
+ * @param {string} table - The table to rebuild.
+ * @param {Function} createTable - Returns the CREATE statement for a given table name.
+ * @param {Function} convertRow - Maps an old row to an object of new column values.
+ * @returns {Promise<void>}
+ */
+const rebuildTable = async (table, createTable, convertRow) => {
+  const rows = await all(`SELECT * FROM ${table}`);
+  await run(`DROP TABLE IF EXISTS ${table}_migrated`);
+  await run(createTable(`${table}_migrated`));
+  for (const row of rows) {
+    const values = convertRow(row);
+    const columns = Object.keys(values);
+    await run(
+      `INSERT INTO ${table}_migrated (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      Object.values(values)
     );
-  `;
+  }
+  await run(`DROP TABLE ${table}`);
+  await run(`ALTER TABLE ${table}_migrated RENAME TO ${table}`);
+  logger.info(`Rebuilt table '${table}' (${rows.length} rows).`);
+};
 
-  db.serialize(async () => {
-    // Create 'users' table
-    db.run(usersTable, [], async (err) => {
-      if (err) {
-        logger.error('Could not create users table:', err.message);
-      } else {
-        logger.info('Users table is ready');
-        await logTableSchema('users');
-        // Define columns with correct types
-        const userColumns = {
-          telegram_id: 'INTEGER PRIMARY KEY',
-          username: 'TEXT',
-          wallet_address: 'TEXT UNIQUE',
-          eth_balance: 'REAL DEFAULT 0',
-          usdc_balance: 'REAL DEFAULT 0',
-          total_bets: 'INTEGER DEFAULT 0',
-          total_amount_bet: 'REAL DEFAULT 0',
-          total_wins: 'INTEGER DEFAULT 0',
-          total_losses: 'INTEGER DEFAULT 0',
-          total_usdc_won: 'REAL DEFAULT 0',
-          total_usdc_lost: 'REAL DEFAULT 0',
-          highest_single_bet: 'REAL DEFAULT 0',
-          xp: 'INTEGER DEFAULT 0',
-          level: 'INTEGER DEFAULT 1',
-          consecutive_login: 'INTEGER DEFAULT 0',
-          last_login: 'TEXT DEFAULT CURRENT_TIMESTAMP',
+// Versioned migrations, applied in order and tracked with PRAGMA user_version.
+const migrations = [
+  {
+    version: 1,
+    description: 'Store money as integer base units instead of REAL',
+    up: async () => {
+      await rebuildTable('users', (name) => usersTable(name, USER_COLUMNS_V1), (row) => {
+        const values = {};
+        for (const column of Object.keys(USER_COLUMNS)) {
+          if (row[column] !== undefined) {
+            values[column] = row[column];
+          }
+        }
+        return {
+          ...values,
+          usdc_balance: units.fromLegacyFloat(row.usdc_balance, 'USDC'),
+          eth_balance: units.fromLegacyFloat(row.eth_balance, 'ETH'),
+          total_amount_bet: units.fromLegacyFloat(row.total_amount_bet, 'USDC'),
+          total_usdc_won: units.fromLegacyFloat(row.total_usdc_won, 'USDC'),
+          total_usdc_lost: units.fromLegacyFloat(row.total_usdc_lost, 'USDC'),
+          highest_single_bet: units.fromLegacyFloat(row.highest_single_bet, 'USDC'),
         };
-        // Ensure all columns exist
-        for (const [column, type] of Object.entries(userColumns)) {
-          await addColumnIfNotExists('users', column, type);
+      });
+      await rebuildTable('jackpot', jackpotTable, (row) => ({
+        id: row.id,
+        amount: units.fromLegacyFloat(row.amount, 'USDC'),
+      }));
+      await rebuildTable('ledger_entries', ledgerTable, (row) => ({
+        ...row,
+        amount: units.fromLegacyFloat(row.amount, row.currency),
+      }));
+    },
+  },
+  {
+    version: 2,
+    description: 'Move user balances into the per-token user_balances table',
+    up: async () => {
+      const users = await all('SELECT telegram_id, usdc_balance, eth_balance FROM users');
+      for (const user of users) {
+        for (const [currency, balance] of [
+          ['USDC', user.usdc_balance],
+          ['ETH', user.eth_balance],
+        ]) {
+          if (balance && !ethers.BigNumber.from(balance).isZero()) {
+            await run('INSERT INTO user_balances (telegram_id, currency, balance) VALUES (?, ?, ?)', [
+              user.telegram_id,
+              currency,
+              balance,
+            ]);
+          }
         }
       }
-    });
-
-    // Create 'jackpot' table
-    db.run(jackpotTable, [], async (err) => {
-      if (err) {
-        logger.error('Could not create jackpot table:', err.message);
-      } else {
-        logger.info('Jackpot table is ready');
-        await logTableSchema('jackpot');
-        // Ensure 'amount' column exists
-        await addColumnIfNotExists('jackpot', 'amount', 'REAL DEFAULT 0');
-        // Initialize jackpot with 0 if empty
-        db.get('SELECT COUNT(*) as count FROM jackpot', [], (err, row) => {
-          if (err) {
-            logger.error('Error checking jackpot table:', err.message);
-          } else if (row.count === 0) {
-            db.run('INSERT INTO jackpot (amount) VALUES (0)', [], (err) => {
-              if (err) {
-                logger.error('Error initializing jackpot table:', err.message);
-              } else {
-                logger.info('Jackpot initialized with 0 USDC');
-              }
-            });
+      await rebuildTable('users', usersTable, (row) => {
+        const values = {};
+        for (const column of Object.keys(USER_COLUMNS)) {
+          if (row[column] !== undefined) {
+            values[column] = row[column];
           }
-        });
+        }
+        return values;
+      });
+    },
+  },
+  {
+    version: 3,
+    description: 'Move the jackpot pool, which held the house float, into the house bankroll',
+    up: async () => {
+      for (const { currency, amount } of await all('SELECT currency, amount FROM jackpot')) {
+        if (ethers.BigNumber.from(amount).isZero()) {
+          continue;
+        }
+        const hasLedger = await get('SELECT 1 FROM ledger_entries WHERE account = ? AND currency = ? LIMIT 1', [
+          LEDGER_ACCOUNTS.JACKPOT,
+          currency,
+        ]);
+        if (hasLedger) {
+          await postLedgerEntries(
+            ENTRY_TYPES.FUND_TRANSFER,
+            [
+              { account: LEDGER_ACCOUNTS.JACKPOT, currency, amount: ethers.BigNumber.from(amount).mul(-1) },
+              { account: LEDGER_ACCOUNTS.HOUSE, currency, amount },
+            ],
+            'bankroll_split'
+          );
+        } else {
+          // No ledger yet: move the cached amount, postOpeningBalances posts it afterwards
+          await run(`UPDATE jackpot SET amount = '0' WHERE currency = ?`, [currency]);
+          await run('INSERT INTO funds (account, currency, balance) VALUES (?, ?, ?)', [
+            LEDGER_ACCOUNTS.HOUSE,
+            currency,
+            amount,
+          ]);
+        }
+      }
+    },
+  },
+  {
+    version: 4,
+    description: 'Record past Jackpot Bet wins as jackpot hits',
+    up: async () => {
+      // Wins from before jackpot tiers paid the single jackpot, recorded under its account name
+      await run(
+        `INSERT INTO jackpot_hits (bet_id, telegram_id, currency, tier, amount, server_seed_hash, client_seed, nonce, roll, created_at)
+         SELECT id, telegram_id, currency, ?, payout, server_seed_hash, client_seed, nonce, roll, created_at
+         FROM bets WHERE game = 'jackpot' AND outcome = 'win' AND payout != '0'`,
+        [LEDGER_ACCOUNTS.JACKPOT]
+      );
+    },
+  },
+  {
+    version: 5,
+    description: 'Cache the fees and pending withdrawal balances in funds',
+    up: async () => {
+      for (const account of CLEARING_ACCOUNTS) {
+        const entries = await all('SELECT currency, amount FROM ledger_entries WHERE account = ?', [account]);
+        for (const currency of new Set(entries.map((entry) => entry.currency))) {
+          const total = sumAmounts(entries.filter((entry) => entry.currency === currency));
+          await run(
+            `INSERT INTO funds (account, currency, balance) VALUES (?, ?, ?)
+             ON CONFLICT(account, currency) DO UPDATE SET balance = excluded.balance`,
+            [account, currency, total.toString()]
+          );
+        }
       }
+    },
+  },
+  {
+    version: 6,
+    description: 'Store the betting statistics as TEXT base units instead of INTEGER',
+    up: async () => {
+      // Amounts that outgrew INTEGER were stored as REAL and come back as floats; they are truncated
+      const toBaseUnits = (value) => BigInt(Math.trunc(Number(value || 0))).toString();
+      await rebuildTable('users', usersTable, (row) => {
+        const values = {};
+        for (const column of Object.keys(USER_COLUMNS)) {
+          if (row[column] !== undefined) {
+            values[column] = row[column];
+          }
+        }
+        return {
+          ...values,
+          total_amount_bet: toBaseUnits(row.total_amount_bet),
+          total_usdc_won: toBaseUnits(row.total_usdc_won),
+          total_usdc_lost: toBaseUnits(row.total_usdc_lost),
+          highest_single_bet: toBaseUnits(row.highest_single_bet),
+        };
+      });
+    },
+  },
+];
+const SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+/**
+ * Applies every migration newer than the database's user_version.
+ * @returns {Promise<void>}
+ */
+const runMigrations = async () => {
+  const { user_version: currentVersion } = await get('PRAGMA user_version');
+  for (const migration of migrations) {
+    if (migration.version <= currentVersion) {
+      continue;
+    }
+    logger.info(`Applying migration ${migration.version}: ${migration.description}`);
+    await withTransaction(async () => {
+      await migration.up();
+      await run(`PRAGMA user_version = ${migration.version}`);
     });
-  });
+  }
+};
+
+// Initialize the database tables with schema verification
+const initDB = async () => {
+  const existingUsers = await get(
+    `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'users'`
+  );
+
+  // Create 'users' table
+  await run(usersTable());
+  logger.info('Users table is ready');
+  await logTableSchema('users');
+  // Ensure all columns exist
+  for (const [column, type] of Object.entries(USER_COLUMNS)) {
+    await addColumnIfNotExists('users', column, type);
+  }
+
+  // Create 'user_balances' table
+  await run(userBalancesTable);
+  logger.info('User balances table is ready');
+
+  // Create 'jackpot' table
+  await run(jackpotTable());
+  logger.info('Jackpot table is ready');
+  await logTableSchema('jackpot');
+  // Ensure 'amount' and 'currency' columns exist
+  await addColumnIfNotExists('jackpot', 'amount', "TEXT NOT NULL DEFAULT '0'");
+  await addColumnIfNotExists('jackpot', 'currency', "TEXT NOT NULL DEFAULT 'USDC'");
+
+  // Create 'funds' and 'jackpot_tiers' tables
+  await run(fundsTable);
+  await run(jackpotTiersTable);
+  logger.info('Funds tables are ready');
+
+  // Create 'ledger_entries' table
+  await run(ledgerTable());
+  logger.info('Ledger table is ready');
+
+  // Create 'fairness_seeds' table
+  await run(fairnessSeedsTable);
+  await run(
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_fairness_seeds_active
+       ON fairness_seeds (telegram_id) WHERE status = 'active'`
+  );
+  logger.info('Fairness seeds table is ready');
+
+  // Create 'bets' table
+  await run(betsTable);
+  await addColumnIfNotExists('bets', 'currency', "TEXT NOT NULL DEFAULT 'USDC'");
+  await run('CREATE INDEX IF NOT EXISTS idx_bets_user ON bets (telegram_id, id)');
+  logger.info('Bets table is ready');
+
+  // Create 'jackpot_hits' table
+  await run(jackpotHitsTable);
+  logger.info('Jackpot hits table is ready');
+
+  // Create 'withdrawals' table
+  await run(withdrawalsTable);
+  await addColumnIfNotExists('withdrawals', 'fee', "TEXT NOT NULL DEFAULT '0'");
+  await run('CREATE INDEX IF NOT EXISTS idx_withdrawals_status ON withdrawals (status)');
+  logger.info('Withdrawals table is ready');
+
+  // Create 'fee_sweeps' table
+  await run(feeSweepsTable);
+  logger.info('Fee sweeps table is ready');
+
+  // Create 'reconciliations' table
+  await run(reconciliationsTable);
+  await run('CREATE INDEX IF NOT EXISTS idx_reconciliations_currency ON reconciliations (currency, id)');
+  logger.info('Reconciliations table is ready');
+
+  // Create 'admin_actions' table
+  await run(adminActionsTable);
+  await addColumnIfNotExists('admin_actions', 'source', "TEXT NOT NULL DEFAULT 'telegram'");
+  logger.info('Admin actions table is ready');
+
+  // Create 'deposits' and 'indexer_state' tables
+  await run(depositsTable);
+  await addColumnIfNotExists('deposits', 'credited_at', 'TEXT');
+  await run('CREATE INDEX IF NOT EXISTS idx_deposits_block ON deposits (status, block_number)');
+  await run(unmatchedDepositsTable);
+  await addColumnIfNotExists('unmatched_deposits', 'reason', "TEXT NOT NULL DEFAULT 'unregistered_sender'");
+  await run(indexerStateTable);
+  logger.info('Deposit tables are ready');
+
+  // Create 'wallet_challenges' table
+  await run(walletChallengesTable);
+  logger.info('Wallet challenges table is ready');
+
+  // Create 'bet_presets' table
+  await run(betPresetsTable);
+  logger.info('Bet presets table is ready');
+
+  // Create 'user_limits' table
+  await run(userLimitsTable);
+  logger.info('User limits table is ready');
+
+  // Create 'owed_level_rewards' table
+  await run(owedLevelRewardsTable);
+  logger.info('Owed level rewards table is ready');
+
+  // A new database already has the latest schema; existing ones are migrated.
+  if (!existingUsers) {
+    await run(`PRAGMA user_version = ${SCHEMA_VERSION}`);
+  }
+  await runMigrations();
+
+  // Indexes are (re)created after migrations since rebuilt tables lose them
+  await run('CREATE INDEX IF NOT EXISTS idx_ledger_account ON ledger_entries (account, currency)');
+  await run('CREATE INDEX IF NOT EXISTS idx_ledger_txn ON ledger_entries (txn_id)');
+  await run('CREATE UNIQUE INDEX IF NOT EXISTS idx_jackpot_currency ON jackpot (currency)');
+
+  // Initialize jackpot with 0 if empty
+  const jackpotRow = await get('SELECT COUNT(*) as count FROM jackpot');
+  if (jackpotRow.count === 0) {
+    await run(`INSERT INTO jackpot (id, currency, amount) VALUES (1, 'USDC', '0')`);
+    logger.info('Jackpot initialized with 0 USDC');
+  }
+
+  await postOpeningBalances();
 };
 
 // Function to log the current schema of a table
 const logTableSchema = async (table) => {
   try {
-    const query = `PRAGMA table_info(${table})`;
-    db.all(query, [], (err, rows) => {
-      if (err) {
-        logger.error(`Error fetching table info for '${table}':`, err.message);
-      } else {
-        const columns = rows.map((row) => `${row.name} (${row.type})`);
-        logger.info(`Schema for table '${table}': ${columns.join(', ')}`);
-      }
-    });
+    const rows = await all(`PRAGMA table_info(${table})`);
+    const columns = rows.map((row) => `${row.name} (${row.type})`);
+    logger.info(`Schema for table '${table}': ${columns.join(', ')}`);
   } catch (error) {
     logger.error(`Error logging schema for table '${table}':`, error.message);
   }
 };
 
-// Initialize the database
-initDB();
+// Initialize the database; callers can await `ready` before serving requests
+const ready = initDB().catch((error) => {
+  logger.error('Could not initialize database:', error.message);
+  throw error;
+});
 
 // --------------------- Database Operation Functions ---------------------
 
@@ -187,7 +843,7 @@ const addOrUpdateUser = (telegramId, username, walletAddress) => {
         username=excluded.username,
         wallet_address=excluded.wallet_address
     `;
-    db.run(query, [telegramId, username, walletAddress], function (err) {
+    runWithCallback(query, [telegramId, username, walletAddress], function (err) {
       if (err) {
         logger.error(`Error adding/updating user ${telegramId}:`, err.message);
         return reject(err);
@@ -199,130 +855,138 @@ const addOrUpdateUser = (telegramId, username, walletAddress) => {
 };
 
 /**
- * Retrieves a user by their Telegram ID.
+ * Issues a one-time challenge for proving ownership of a wallet address,
+ * replacing any earlier challenge for the same user.
  * @param {number} telegramId - The user's Telegram ID.
- * @returns {Promise<Object|null>} - The user object or null if not found.
+ * @param {string} walletAddress - The address being claimed.
+ * @param {number} ttlMs - How long the challenge stays valid, in milliseconds.
+ * @returns {Promise<{walletAddress: string, nonce: string, expiresAt: number}>}
  */
-const getUserByTelegramId = (telegramId) => {
-  return new Promise((resolve, reject) => {
-    const query = `SELECT * FROM users WHERE telegram_id = ?`;
-    db.get(query, [telegramId], (err, row) => {
-      if (err) {
-        logger.error(`Error fetching user ${telegramId}:`, err.message);
-        return reject(err);
-      }
-      resolve(row || null);
-    });
-  });
+const createWalletChallenge = async (telegramId, walletAddress, ttlMs) => {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const expiresAt = Date.now() + ttlMs;
+  await run(
+    `INSERT INTO wallet_challenges (telegram_id, wallet_address, nonce, expires_at)
+     VALUES (?, ?, ?, ?)
+     ON CONFLICT(telegram_id) DO UPDATE SET
+       wallet_address = excluded.wallet_address,
+       nonce = excluded.nonce,
+       expires_at = excluded.expires_at`,
+    [telegramId, walletAddress, nonce, expiresAt]
+  );
+  return { walletAddress, nonce, expiresAt };
 };
 
 /**
- * Updates a user's ETH balance.
+ * Takes the user's pending wallet challenge. Each challenge can be used only once.
  * @param {number} telegramId - The user's Telegram ID.
- * @param {number} newBalance - The new ETH balance.
- * @returns {Promise<void>}
+ * @returns {Promise<{walletAddress: string, nonce: string}|null>} - Null if there is none or it expired.
  */
-const updateUserEthBalance = (telegramId, newBalance) => {
-  return new Promise((resolve, reject) => {
-    const query = `UPDATE users SET eth_balance = ? WHERE telegram_id = ?`;
-    db.run(query, [newBalance, telegramId], function (err) {
-      if (err) {
-        logger.error(`Error updating ETH balance for user ${telegramId}:`, err.message);
-        return reject(err);
-      }
-      logger.info(`Updated ETH balance for user ${telegramId} to ${newBalance} ETH.`);
-      resolve();
-    });
-  });
+const consumeWalletChallenge = async (telegramId) => {
+  const row = await get('SELECT * FROM wallet_challenges WHERE telegram_id = ?', [telegramId]);
+  if (!row) {
+    return null;
+  }
+  const { changes } = await run('DELETE FROM wallet_challenges WHERE telegram_id = ? AND nonce = ?', [
+    telegramId,
+    row.nonce,
+  ]);
+  if (changes === 0 || row.expires_at < Date.now()) {
+    return null;
+  }
+  return { walletAddress: row.wallet_address, nonce: row.nonce };
 };
 
 /**
- * Updates a user's USDC balance.
+ * Retrieves a user's balances.
  * @param {number} telegramId - The user's Telegram ID.
- * @param {number} newBalance - The new USDC balance.
- * @returns {Promise<void>}
+ * @returns {Promise<Object>} - Balances in base units, keyed by token symbol (tokens never held are absent).
+ */
+const getUserBalances = async (telegramId) => {
+  const rows = await all('SELECT currency, balance FROM user_balances WHERE telegram_id = ?', [
+    telegramId,
+  ]);
+  return Object.fromEntries(rows.map((row) => [row.currency, row.balance]));
+};
+
+/**
+ * Retrieves a user's balance of one token.
+ * @param {number} telegramId - The user's Telegram ID.
+ * @param {string} currency - The token symbol.
+ * @returns {Promise<string>} - The balance in base units.
+ */
+const getUserBalance = async (telegramId, currency) => {
+  const row = await get('SELECT balance FROM user_balances WHERE telegram_id = ? AND currency = ?', [
+    telegramId,
+    currency,
+  ]);
+  return row ? row.balance : '0';
+};
+
+/**
+ * Retrieves a user by their Telegram ID, with their balances.
+ * @param {number} telegramId - The user's Telegram ID.
+ * @returns {Promise<Object|null>} - The user object (`balances` keyed by token symbol) or null if not found.
  */
-const updateUserUsdcBalance = (telegramId, newBalance) => {
+const getUserByTelegramId = (telegramId) => {
   return new Promise((resolve, reject) => {
-    const query = `UPDATE users SET usdc_balance = ? WHERE telegram_id = ?`;
-    db.run(query, [newBalance, telegramId], function (err) {
+    const query = `SELECT * FROM users WHERE telegram_id = ?`;
+    db.get(query, [telegramId], (err, row) => {
       if (err) {
-        logger.error(`Error updating USDC balance for user ${telegramId}:`, err.message);
+        logger.error(`Error fetching user ${telegramId}:`, err.message);
         return reject(err);
       }
-      logger.info(`Updated USDC balance for user ${telegramId} to ${newBalance} USDC.`);
-      resolve();
+      if (!row) {
+        return resolve(null);
+      }
+      getUserBalances(telegramId)
+        .then((balances) => resolve({ ...row, balances }))
+        .catch(reject);
     });
   });
 };
 
 /**
- * Updates user statistics after a bet.
+ * Updates user statistics after a bet. The amounts are added up as base units in JS,
+ * since SQLite arithmetic on them would overflow (see sumAmounts).
  * @param {number} telegramId - The user's Telegram ID.
- * @param {number} betAmount - The amount bet.
+ * @param {string} betAmount - The amount bet in base units of the game token.
  * @param {boolean} isWin - Whether the bet was a win.
- * @param {number} payout - The payout amount (0 if loss).
+ * @param {string} payout - The payout in base units ('0' if loss).
  * @returns {Promise<void>}
  */
-const updateUserStatsAfterBet = (telegramId, betAmount, isWin, payout) => {
-  return new Promise((resolve, reject) => {
-    logger.info(
-      `updateUserStatsAfterBet called for user ${telegramId}: Bet Amount=${betAmount}, IsWin=${isWin}, Payout=${payout}`
+const updateUserStatsAfterBet = (telegramId, betAmount, isWin, payout) =>
+  withTransaction(async () => {
+    const stats = await get(
+      `SELECT total_bets, total_wins, total_amount_bet, total_usdc_won, total_usdc_lost, highest_single_bet
+       FROM users WHERE telegram_id = ?`,
+      [telegramId]
     );
-    const query = `
-      UPDATE users
-      SET
-        total_bets = total_bets + 1,
-        total_amount_bet = total_amount_bet + ?,
-        total_wins = total_wins + ?,
-        total_losses = total_losses + ?,
-        total_usdc_won = total_usdc_won + ?,
-        total_usdc_lost = total_usdc_lost + ?,
-        highest_single_bet = CASE
-          WHEN ? > highest_single_bet THEN ?
-          ELSE highest_single_bet
-        END
-      WHERE telegram_id = ?
-    `;
-    db.run(
-      query,
+    if (!stats) {
+      return;
+    }
+    const stake = ethers.BigNumber.from(betAmount);
+    const won = ethers.BigNumber.from(stats.total_usdc_won).add(isWin ? payout : 0);
+    const lost = ethers.BigNumber.from(stats.total_usdc_lost).add(isWin ? 0 : stake);
+    await run(
+      `UPDATE users
+       SET total_bets = total_bets + 1, total_amount_bet = ?, total_wins = total_wins + ?, total_losses = total_losses + ?,
+           total_usdc_won = ?, total_usdc_lost = ?, highest_single_bet = ?
+       WHERE telegram_id = ?`,
       [
-        betAmount, // total_amount_bet increment
-        isWin ? 1 : 0, // total_wins increment
-        isWin ? 0 : 1, // total_losses increment
-        isWin ? payout : 0, // total_usdc_won increment
-        isWin ? 0 : betAmount, // total_usdc_lost increment
-        betAmount, // for highest_single_bet comparison
-        betAmount, // for highest_single_bet update
-        telegramId, // WHERE clause
-      ],
-      function (err) {
-        if (err) {
-          logger.error(`Error updating stats for user ${telegramId}:`, err.message);
-          return reject(err);
-        }
-        logger.info(`Successfully updated stats for user ${telegramId}.`);
-
-        // Fetch and log updated stats
-        const selectQuery = `
-          SELECT total_bets, total_wins, total_usdc_won
-          FROM users
-          WHERE telegram_id = ?
-        `;
-        db.get(selectQuery, [telegramId], (err, row) => {
-          if (err) {
-            logger.error(`Error fetching updated stats for user ${telegramId}:`, err.message);
-            return reject(err);
-          }
-          logger.info(
-            `Updated stats for user ${telegramId}: Bets=${row.total_bets}, Wins=${row.total_wins}, USDC Won=${row.total_usdc_won}`
-          );
-          resolve();
-        });
-      }
+        stake.add(stats.total_amount_bet).toString(),
+        isWin ? 1 : 0,
+        isWin ? 0 : 1,
+        won.toString(),
+        lost.toString(),
+        (stake.gt(stats.highest_single_bet) ? stake : ethers.BigNumber.from(stats.highest_single_bet)).toString(),
+        telegramId,
+      ]
+    );
+    logger.info(
+      `Updated stats for user ${telegramId}: Bets=${stats.total_bets + 1}, Wins=${stats.total_wins + (isWin ? 1 : 0)}, USDC Won=${won}`
     );
   });
-};
 
 /**
  * Adds XP to a user and handles level-ups if necessary.
@@ -350,7 +1014,7 @@ const addUserXP = (telegramId, xp) => {
       }
 
       const updateQuery = `UPDATE users SET xp = ?, level = ? WHERE telegram_id = ?`;
-      db.run(updateQuery, [newXP, newLevel, telegramId], function (err) {
+      runWithCallback(updateQuery, [newXP, newLevel, telegramId], function (err) {
         if (err) {
           logger.error(`Error updating XP and level for user ${telegramId}:`, err.message);
           return reject(err);
@@ -376,29 +1040,39 @@ const getXPForNextLevel = (currentLevel) => {
   return Math.floor(100 * Math.pow(1.5, currentLevel - 1));
 };
 
+// Joins each user's game token balance ('balance') and ETH balance ('eth_balance') for the balance leaderboard
+const BALANCE_JOINS = `
+  LEFT JOIN user_balances game ON game.telegram_id = users.telegram_id AND game.currency = ?
+  LEFT JOIN user_balances eth ON eth.telegram_id = users.telegram_id AND eth.currency = 'ETH'
+`;
+
 /**
  * Retrieves the top users based on the specified criteria.
  * @param {string} criteria - The leaderboard criteria ('balances', 'winners', 'bettors', 'winrates').
  * @param {number} limit - The number of top users to retrieve.
+ * @param {string} [currency='USDC'] - The token balances are ranked by.
  * @returns {Promise<Array>} - An array of top users.
  */
-const getTopUsers = (criteria, limit = 10) => {
+const getTopUsers = (criteria, limit = 10, currency = 'USDC') => {
   return new Promise((resolve, reject) => {
     let query = '';
+    let params = [limit];
     switch (criteria) {
       case 'balances':
         query = `
-          SELECT username, usdc_balance, eth_balance, level
+          SELECT username, COALESCE(game.balance, '0') AS balance, COALESCE(eth.balance, '0') AS eth_balance, level
           FROM users
-          ORDER BY usdc_balance DESC, eth_balance DESC
+          ${BALANCE_JOINS}
+          ORDER BY CAST(COALESCE(game.balance, '0') AS REAL) DESC, CAST(COALESCE(eth.balance, '0') AS REAL) DESC
           LIMIT ?
         `;
+        params = [currency, limit];
         break;
       case 'winners':
         query = `
           SELECT username, total_usdc_won, level
           FROM users
-          ORDER BY total_usdc_won DESC
+          ORDER BY CAST(total_usdc_won AS REAL) DESC
           LIMIT ?
         `;
         break;
@@ -427,7 +1101,7 @@ const getTopUsers = (criteria, limit = 10) => {
 
     logger.info(`Fetching top ${limit} users for criteria: ${criteria}`);
 
-    db.all(query, [limit], (err, rows) => {
+    db.all(query, params, (err, rows) => {
       if (err) {
         logger.error(`Error fetching top users for criteria '${criteria}':`, err.message);
         return reject(err);
@@ -441,32 +1115,35 @@ const getTopUsers = (criteria, limit = 10) => {
  * Retrieves a user's rank based on the specified leaderboard criteria.
  * @param {string} criteria - The leaderboard criteria ('balances', 'winners', 'bettors', 'winrates').
  * @param {number} telegramId - The user's Telegram ID.
+ * @param {string} [currency='USDC'] - The token balances are ranked by.
  * @returns {Promise<number|null>} - The user's rank or null if not ranked.
  */
-const getUserRank = (criteria, telegramId) => {
+const getUserRank = (criteria, telegramId, currency = 'USDC') => {
   return new Promise((resolve, reject) => {
     let query = '';
     switch (criteria) {
       case 'balances':
         query = `
+          WITH ranked AS (
+            SELECT users.telegram_id,
+                   CAST(COALESCE(game.balance, '0') AS REAL) AS balance,
+                   CAST(COALESCE(eth.balance, '0') AS REAL) AS eth_balance
+            FROM users
+            ${BALANCE_JOINS}
+          ),
+          me AS (SELECT * FROM ranked WHERE telegram_id = ?)
           SELECT COUNT(*) + 1 AS rank
-          FROM users
-          WHERE usdc_balance > (
-            SELECT usdc_balance FROM users WHERE telegram_id = ?
-          )
-          OR (usdc_balance = (
-            SELECT usdc_balance FROM users WHERE telegram_id = ?
-          ) AND eth_balance > (
-            SELECT eth_balance FROM users WHERE telegram_id = ?
-          ))
+          FROM ranked, me
+          WHERE ranked.balance > me.balance
+             OR (ranked.balance = me.balance AND ranked.eth_balance > me.eth_balance)
         `;
         break;
       case 'winners':
         query = `
           SELECT COUNT(*) + 1 AS rank
           FROM users
-          WHERE total_usdc_won > (
-            SELECT total_usdc_won FROM users WHERE telegram_id = ?
+          WHERE CAST(total_usdc_won AS REAL) > (
+            SELECT CAST(total_usdc_won AS REAL) FROM users WHERE telegram_id = ?
           )
         `;
         break;
@@ -495,11 +1172,10 @@ const getUserRank = (criteria, telegramId) => {
 
     logger.info(`Fetching rank for user ${telegramId} in criteria: ${criteria}`);
 
-    // For 'balances', pass telegramId three times
-    // For others, pass it once
+    // For 'balances', pass the ranked token too
     let params = [];
     if (criteria === 'balances') {
-      params = [telegramId, telegramId, telegramId];
+      params = [currency, telegramId];
     } else {
       params = [telegramId];
     }
@@ -518,52 +1194,2461 @@ const getUserRank = (criteria, telegramId) => {
 };
 
 /**
- * Retrieves the current jackpot amount.
- * @returns {Promise<number>} - The current jackpot amount in USDC.
+ * Retrieves the single jackpot from before jackpot tiers (see setupJackpotTiers).
+ * @param {string} [currency='USDC'] - The token the jackpot is held in.
+ * @returns {Promise<string>} - The jackpot amount in base units.
  */
-const getJackpot = () => {
+const getJackpot = (currency = 'USDC') => {
   return new Promise((resolve, reject) => {
-    const query = `SELECT amount FROM jackpot WHERE id = 1`;
-    db.get(query, [], (err, row) => {
+    const query = `SELECT amount FROM jackpot WHERE currency = ?`;
+    db.get(query, [currency], (err, row) => {
       if (err) {
         logger.error('Error fetching jackpot:', err.message);
         return reject(err);
       }
-      resolve(row ? row.amount : 0);
+      resolve(row ? row.amount : '0');
     });
   });
 };
 
+// --------------------- Ledger Functions ---------------------
+
+// Ledger accounts other than users (user accounts are `user:<telegramId>`)
+const LEDGER_ACCOUNTS = {
+  HOUSE: 'house', // The bankroll regular wins are paid from
+  JACKPOT: 'jackpot', // The single jackpot from before tiers, moved into the first tier on startup
+  PROMO: 'promo', // The budget level-up bonuses are paid from
+  FEES: 'fees',
+  PENDING_WITHDRAWALS: 'pending_withdrawals', // Funds reserved for queued withdrawals and fee sweeps
+  EXTERNAL: 'external', // Funds entering or leaving through the chain
+};
+
+// Entry types recorded in the ledger
+const ENTRY_TYPES = {
+  OPENING_BALANCE: 'opening_balance',
+  DEPOSIT: 'deposit',
+  DEPOSIT_REVERSAL: 'deposit_reversal',
+  WITHDRAWAL_RESERVE: 'withdrawal_reserve',
+  WITHDRAWAL: 'withdrawal',
+  WITHDRAWAL_REFUND: 'withdrawal_refund',
+  FEE: 'fee',
+  FEE_SWEEP: 'fee_sweep',
+  GAS: 'gas', // Gas the pool paid for a withdrawal or sweep, a house expense
+  BET: 'bet',
+  JACKPOT_CONTRIBUTION: 'jackpot_contribution',
+  PAYOUT: 'payout',
+  JACKPOT_PAYOUT: 'jackpot_payout',
+  JACKPOT_SEED: 'jackpot_seed',
+  LEVEL_REWARD: 'level_reward',
+  FUND_TRANSFER: 'fund_transfer',
+  CAPITAL: 'capital', // Operator funds added to a house fund
+  ADJUSTMENT: 'adjustment', // Manual credit or debit of a user by an admin
+  JACKPOT_ADJUSTMENT: 'jackpot_adjustment', // A jackpot tier set by an admin, against the house bankroll
+};
+
+// House funds with a fixed account: the bankroll and the promo budget. Every jackpot
+// tier is a fund as well, with the account jackpotAccount(tier).
+const FUNDS = [LEDGER_ACCOUNTS.HOUSE, LEDGER_ACCOUNTS.PROMO];
+
+// Accounts holding funds on their way out, cached in the 'funds' table beside the house funds
+const CLEARING_ACCOUNTS = [LEDGER_ACCOUNTS.FEES, LEDGER_ACCOUNTS.PENDING_WITHDRAWALS];
+
+const JACKPOT_ACCOUNT_PREFIX = 'jackpot:';
+
+// Error codes attached to errors callers are expected to handle
+const ERROR_CODES = {
+  INSUFFICIENT_BALANCE: 'INSUFFICIENT_BALANCE',
+  STAKE_LIMIT_EXCEEDED: 'STAKE_LIMIT_EXCEEDED',
+  INVALID_FILTER: 'INVALID_FILTER',
+  PLAY_RESTRICTED: 'PLAY_RESTRICTED', // The player is on a cool-off or self-excluded
+  LIMIT_REACHED: 'LIMIT_REACHED', // The bet would break one of the player's limits
+};
+
+/**
+ * Returns the ledger account name for a user.
+ * @param {number} telegramId - The user's Telegram ID.
+ * @returns {string} - The account name.
+ */
+const userAccount = (telegramId) => `user:${telegramId}`;
+
+/**
+ * Returns the ledger account name for a jackpot tier.
+ * @param {string} tier - The tier id.
+ * @returns {string} - The account name.
+ */
+const jackpotAccount = (tier) => `${JACKPOT_ACCOUNT_PREFIX}${tier}`;
+
+/**
+ * Checks whether a ledger account is a house fund (FUNDS or a jackpot tier).
+ * @param {string} account - The ledger account.
+ * @returns {boolean} - True for house funds.
+ */
+const isFundAccount = (account) => FUNDS.includes(account) || account.startsWith(JACKPOT_ACCOUNT_PREFIX);
+
 /**
- * Updates the jackpot amount.
- * @param {number} newAmount - The new jackpot amount in USDC.
+ * Applies a posting to the cached balance it affects (user_balances, jackpot or funds table).
+ * External postings have no cache.
+ * @param {Object} posting - The posting { account, currency, amount, allowNegative? }.
  * @returns {Promise<void>}
  */
-const updateJackpot = (newAmount) => {
-  return new Promise((resolve, reject) => {
-    const query = `UPDATE jackpot SET amount = ? WHERE id = 1`;
-    db.run(query, [newAmount], function (err) {
-      if (err) {
-        logger.error('Error updating jackpot:', err.message);
-        return reject(err);
-      }
-      logger.info(`Updated jackpot amount to ${newAmount} USDC.`);
-      resolve();
-    });
-  });
+const applyPostingToCache = async ({ account, currency, amount, allowNegative = false }) => {
+  if (account.startsWith('user:')) {
+    const telegramId = Number(account.slice('user:'.length));
+    if (!(await get('SELECT 1 FROM users WHERE telegram_id = ?', [telegramId]))) {
+      throw new Error(`User ${telegramId} not found for ledger posting.`);
+    }
+    await run(
+      `INSERT INTO user_balances (telegram_id, currency, balance) VALUES (?, ?, '0')
+       ON CONFLICT(telegram_id, currency) DO NOTHING`,
+      [telegramId, currency]
+    );
+    const row = await get('SELECT balance FROM user_balances WHERE telegram_id = ? AND currency = ?', [
+      telegramId,
+      currency,
+    ]);
+    const newBalance = ethers.BigNumber.from(row.balance).add(amount);
+    if (newBalance.lt(0) && !allowNegative) {
+      const error = new Error(`Insufficient ${currency} balance for user ${telegramId}.`);
+      error.code = ERROR_CODES.INSUFFICIENT_BALANCE;
+      throw error;
+    }
+    // Conditional update: only applies if the balance is still the one checked above
+    const { changes } = await run(
+      'UPDATE user_balances SET balance = ? WHERE telegram_id = ? AND currency = ? AND balance = ?',
+      [newBalance.toString(), telegramId, currency, row.balance]
+    );
+    if (changes === 0) {
+      throw new Error(`${currency} balance of user ${telegramId} changed during ledger posting.`);
+    }
+  } else if (account === LEDGER_ACCOUNTS.JACKPOT) {
+    await run(
+      `INSERT INTO jackpot (currency, amount) VALUES (?, '0') ON CONFLICT(currency) DO NOTHING`,
+      [currency]
+    );
+    const row = await get('SELECT amount FROM jackpot WHERE currency = ?', [currency]);
+    const newAmount = ethers.BigNumber.from(row.amount).add(amount);
+    await run('UPDATE jackpot SET amount = ? WHERE currency = ?', [newAmount.toString(), currency]);
+  } else if (isFundAccount(account) || CLEARING_ACCOUNTS.includes(account)) {
+    await run(
+      `INSERT INTO funds (account, currency, balance) VALUES (?, ?, '0') ON CONFLICT(account, currency) DO NOTHING`,
+      [account, currency]
+    );
+    const row = await get('SELECT balance FROM funds WHERE account = ? AND currency = ?', [account, currency]);
+    const newBalance = ethers.BigNumber.from(row.balance).add(amount);
+    await run('UPDATE funds SET balance = ? WHERE account = ? AND currency = ?', [
+      newBalance.toString(),
+      account,
+      currency,
+    ]);
+  }
+};
+
+/**
+ * Writes a balanced set of postings without opening a transaction.
+ * Use postLedgerTransaction unless already inside withTransaction.
+ * @param {string} entryType - One of ENTRY_TYPES.
+ * @param {Array<{account: string, currency: string, amount: ethers.BigNumberish, allowNegative?: boolean}>} postings - Signed amounts; positive
+ *   credits the account. `allowNegative` lets a user balance go below zero (e.g. reversing a spent deposit).
+ * @param {string} [reference] - External reference (tx hash, bet id, ...).
+ * @returns {Promise<string>} - The ledger transaction ID.
+ */
+const postLedgerEntries = async (entryType, postings, reference = null) => {
+  const totals = {};
+  for (const { currency, amount } of postings) {
+    if (!units.isSupported(currency)) {
+      throw new Error(`Unsupported ledger currency: ${currency}`);
+    }
+    totals[currency] = (totals[currency] || ethers.constants.Zero).add(amount);
+  }
+  for (const [currency, total] of Object.entries(totals)) {
+    if (!total.isZero()) {
+      throw new Error(`Unbalanced ${entryType} ledger transaction: ${currency} off by ${total}`);
+    }
+  }
+
+  const txnId = crypto.randomUUID();
+  for (const posting of postings) {
+    await run(
+      `INSERT INTO ledger_entries (txn_id, entry_type, account, currency, amount, reference)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        txnId,
+        entryType,
+        posting.account,
+        posting.currency,
+        ethers.BigNumber.from(posting.amount).toString(),
+        reference,
+      ]
+    );
+    await applyPostingToCache(posting);
+  }
+  logger.info(
+    `Posted ${entryType} ledger transaction ${txnId}: ${postings
+      .map((p) => `${p.account} ${units.formatAmount(p.amount, p.currency)} ${p.currency}`)
+      .join(', ')}`
+  );
+  return txnId;
 };
 
+/**
+ * Atomically posts a balanced set of ledger entries and updates cached balances.
+ * @param {string} entryType - One of ENTRY_TYPES.
+ * @param {Array<{account: string, currency: string, amount: ethers.BigNumberish}>} postings - Signed amounts summing to zero per currency.
+ * @param {string} [reference] - External reference (tx hash, bet id, ...).
+ * @returns {Promise<string>} - The ledger transaction ID.
+ */
+const postLedgerTransaction = (entryType, postings, reference = null) =>
+  withTransaction(() => postLedgerEntries(entryType, postings, reference));
+
+/**
+ * Posts a transfer of `amount` from one account to another.
+ * @param {string} entryType - One of ENTRY_TYPES.
+ * @param {string} fromAccount - The account being debited.
+ * @param {string} toAccount - The account being credited.
+ * @param {string} currency - The token symbol.
+ * @param {ethers.BigNumberish} amount - Positive amount to move, in base units.
+ * @param {string} [reference] - External reference (tx hash, bet id, ...).
+ * @returns {Promise<string>} - The ledger transaction ID.
+ */
+const postTransfer = (entryType, fromAccount, toAccount, currency, amount, reference = null) =>
+  postLedgerTransaction(
+    entryType,
+    [
+      { account: fromAccount, currency, amount: ethers.BigNumber.from(amount).mul(-1) },
+      { account: toAccount, currency, amount },
+    ],
+    reference
+  );
+
+/**
+ * Computes an account's balance from the ledger.
+ * @param {string} account - The ledger account.
+ * @param {string} currency - The token symbol.
+ * @returns {Promise<string>} - The balance derived from all postings, in base units.
+ */
+const getLedgerBalance = async (account, currency) => {
+  const rows = await all(`SELECT amount FROM ledger_entries WHERE account = ? AND currency = ?`, [
+    account,
+    currency,
+  ]);
+  return sumAmounts(rows).toString();
+};
+
+/**
+ * Retrieves the most recent ledger entries for an account (support and audits).
+ * @param {string} account - The ledger account.
+ * @param {number} limit - The number of entries to retrieve.
+ * @returns {Promise<Array>} - Ledger entries, newest first.
+ */
+const getLedgerEntries = (account, limit = 20) =>
+  all(`SELECT * FROM ledger_entries WHERE account = ? ORDER BY id DESC LIMIT ?`, [account, limit]);
+
+/**
+ * Compares a user's cached balances with the balances derived from the ledger.
+ * @param {number} telegramId - The user's Telegram ID.
+ * @returns {Promise<Array<{currency: string, cached: string, ledger: string, matches: boolean}>>}
+ */
+const checkUserBalances = async (telegramId) => {
+  const user = await getUserByTelegramId(telegramId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+  const ledgerCurrencies = await all('SELECT DISTINCT currency FROM ledger_entries WHERE account = ?', [
+    userAccount(telegramId),
+  ]);
+  const currencies = new Set([
+    ...Object.keys(user.balances),
+    ...ledgerCurrencies.map((row) => row.currency),
+  ]);
+  const results = [];
+  for (const currency of currencies) {
+    const cached = user.balances[currency] || '0';
+    const ledger = await getLedgerBalance(userAccount(telegramId), currency);
+    const matches = ethers.BigNumber.from(cached).eq(ledger);
+    if (!matches) {
+      logger.warn(
+        `Ledger mismatch for user ${telegramId}: cached ${cached} ${currency}, ledger ${ledger} ${currency}`
+      );
+    }
+    results.push({ currency, cached, ledger, matches });
+  }
+  return results;
+};
+
+// --------------------- House Fund Functions ---------------------
+
+/**
+ * Retrieves the balance of a house fund.
+ * @param {string} fund - One of FUNDS or a jackpot tier account.
+ * @param {string} [currency='USDC'] - The token symbol.
+ * @returns {Promise<string>} - The balance in base units.
+ */
+const getFundBalance = async (fund, currency = 'USDC') => {
+  if (fund === LEDGER_ACCOUNTS.JACKPOT) {
+    return getJackpot(currency);
+  }
+  if (!isFundAccount(fund)) {
+    throw new Error(`Unknown fund: ${fund}`);
+  }
+  const row = await get('SELECT balance FROM funds WHERE account = ? AND currency = ?', [fund, currency]);
+  return row ? row.balance : '0';
+};
+
+/**
+ * Pays from a house fund to another account, failing with INSUFFICIENT_BALANCE
+ * (and writing nothing) if the fund cannot cover the amount.
+ * @param {string} entryType - One of ENTRY_TYPES.
+ * @param {string} fund - The fund paying, one of FUNDS or a jackpot tier account.
+ * @param {string} toAccount - The account credited (a user or another fund).
+ * @param {string} currency - The token symbol.
+ * @param {ethers.BigNumberish} amount - Positive amount to move, in base units.
+ * @param {string} [reference] - External reference.
+ * @returns {Promise<string>} - The ledger transaction ID.
+ */
+const postFundTransfer = (entryType, fund, toAccount, currency, amount, reference = null) =>
+  withTransaction(async () => {
+    const balance = await getFundBalance(fund, currency);
+    if (ethers.BigNumber.from(balance).lt(amount)) {
+      const error = new Error(`Insufficient ${currency} in the ${fund} fund.`);
+      error.code = ERROR_CODES.INSUFFICIENT_BALANCE;
+      throw error;
+    }
+    return postLedgerEntries(
+      entryType,
+      [
+        { account: fund, currency, amount: ethers.BigNumber.from(amount).mul(-1) },
+        { account: toAccount, currency, amount },
+      ],
+      reference
+    );
+  });
+
+/**
+ * Pays a level-up bonus from the promo budget, or records it as owed if the budget cannot
+ * cover it. Owed bonuses are paid with payOwedLevelReward once the budget is topped up.
+ * @param {number} telegramId - The user's Telegram ID.
+ * @param {number} level - The level reached.
+ * @param {string} currency - The token symbol.
+ * @param {string} amount - The bonus, in base units.
+ * @returns {Promise<boolean>} - True if the bonus was paid, false if it is owed.
+ */
+const grantLevelReward = (telegramId, level, currency, amount) =>
+  withTransaction(async () => {
+    try {
+      await postFundTransfer(
+        ENTRY_TYPES.LEVEL_REWARD,
+        LEDGER_ACCOUNTS.PROMO,
+        userAccount(telegramId),
+        currency,
+        amount,
+        `level:${level}`
+      );
+      return true;
+    } catch (error) {
+      if (error.code !== ERROR_CODES.INSUFFICIENT_BALANCE) {
+        throw error;
+      }
+    }
+    await run('INSERT INTO owed_level_rewards (telegram_id, level, currency, amount) VALUES (?, ?, ?, ?)', [
+      telegramId,
+      level,
+      currency,
+      amount,
+    ]);
+    return false;
+  });
+
+/**
+ * Retrieves the level-up bonuses still owed in a currency, oldest first.
+ * @param {string} currency - The token symbol.
+ * @returns {Promise<Array>} - The owed_level_rewards rows.
+ */
+const getOwedLevelRewards = (currency) =>
+  all(`SELECT * FROM owed_level_rewards WHERE currency = ? AND status = 'owed' ORDER BY id ASC`, [currency]);
+
+/**
+ * Pays an owed level-up bonus from the promo budget, failing with INSUFFICIENT_BALANCE
+ * (and writing nothing) if the budget still cannot cover it.
+ * @param {number} id - The owed reward ID.
+ * @returns {Promise<Object|null>} - The paid reward, or null if it was not owed.
+ */
+const payOwedLevelReward = (id) =>
+  withTransaction(async () => {
+    const reward = await get(`SELECT * FROM owed_level_rewards WHERE id = ? AND status = 'owed'`, [id]);
+    if (!reward) {
+      return null;
+    }
+    await postFundTransfer(
+      ENTRY_TYPES.LEVEL_REWARD,
+      LEDGER_ACCOUNTS.PROMO,
+      userAccount(reward.telegram_id),
+      reward.currency,
+      reward.amount,
+      `level:${reward.level}`
+    );
+    await run(`UPDATE owed_level_rewards SET status = 'paid', paid_at = CURRENT_TIMESTAMP WHERE id = ?`, [id]);
+    return get('SELECT * FROM owed_level_rewards WHERE id = ?', [id]);
+  });
+
+/**
+ * Retrieves the jackpot tiers set up for a currency.
+ * @param {string} currency - The token symbol.
+ * @returns {Promise<Object<string, {amount: string, dropAt: string|null, dropSalt: string|null, dropHash: string|null}>>} -
+ *   Amount and drop point (base units) per tier id, with the salt and hash committing to the drop point.
+ */
+const getJackpotTiers = async (currency) => {
+  const rows = await all(
+    `SELECT t.tier, t.drop_at, t.drop_salt, t.drop_hash, f.balance FROM jackpot_tiers t
+     LEFT JOIN funds f ON f.account = '${JACKPOT_ACCOUNT_PREFIX}' || t.tier AND f.currency = t.currency
+     WHERE t.currency = ?`,
+    [currency]
+  );
+  const tiers = {};
+  for (const row of rows) {
+    tiers[row.tier] = {
+      amount: row.balance || '0',
+      dropAt: row.drop_at,
+      dropSalt: row.drop_salt,
+      dropHash: row.drop_hash,
+    };
+  }
+  return tiers;
+};
+
+/**
+ * Moves a jackpot tier back to its seed, paid by the house bankroll, and stores its next drop point.
+ * Without a transaction; the seed is skipped (with a warning) if the bankroll cannot cover it.
+ * @param {string} currency - The token symbol.
+ * @param {string} tier - The tier id.
+ * @param {{seed: ethers.BigNumberish, dropAt: string|null, dropSalt: string|null, dropHash: string|null}} reseed -
+ *   The seed and the new drop point, in base units, with its commitment.
+ * @param {string} [reference] - Ledger reference.
+ * @returns {Promise<void>}
+ */
+const seedJackpotTier = async (currency, tier, { seed, dropAt, dropSalt, dropHash }, reference = null) => {
+  const account = jackpotAccount(tier);
+  const missing = ethers.BigNumber.from(seed).sub(await getFundBalance(account, currency));
+  if (missing.gt(0)) {
+    const bankroll = await getFundBalance(LEDGER_ACCOUNTS.HOUSE, currency);
+    if (missing.lte(bankroll)) {
+      await postLedgerEntries(
+        ENTRY_TYPES.JACKPOT_SEED,
+        [
+          { account: LEDGER_ACCOUNTS.HOUSE, currency, amount: missing.mul(-1) },
+          { account, currency, amount: missing },
+        ],
+        reference
+      );
+    } else {
+      logger.warn(`The ${currency} bankroll cannot cover the seed of the ${tier} jackpot; it restarts below its seed.`);
+    }
+  }
+  await run(
+    `INSERT INTO jackpot_tiers (currency, tier, drop_at, drop_salt, drop_hash) VALUES (?, ?, ?, ?, ?)
+     ON CONFLICT(currency, tier) DO UPDATE SET
+       drop_at = excluded.drop_at, drop_salt = excluded.drop_salt, drop_hash = excluded.drop_hash`,
+    [currency, tier, dropAt, dropSalt || null, dropHash || null]
+  );
+};
+
+/**
+ * Sets up jackpot tiers that are not set up yet: the single jackpot from before
+ * tiers moves into the first new tier, then each new tier is seeded and gets a drop point.
+ * @param {string} currency - The token symbol.
+ * @param {string[]} tiers - The tier ids, in definition order.
+ * @param {Function} getReseed - Returns { seed, dropAt, dropSalt, dropHash } for a tier id (see services/jackpots.js).
+ * @returns {Promise<string[]>} - The tiers set up by this call.
+ */
+const setupJackpotTiers = (currency, tiers, getReseed) =>
+  withTransaction(async () => {
+    const existing = await getJackpotTiers(currency);
+    const added = tiers.filter((tier) => !existing[tier]);
+    for (const tier of added) {
+      const legacy = ethers.BigNumber.from(await getJackpot(currency));
+      if (legacy.gt(0)) {
+        await postLedgerEntries(
+          ENTRY_TYPES.FUND_TRANSFER,
+          [
+            { account: LEDGER_ACCOUNTS.JACKPOT, currency, amount: legacy.mul(-1) },
+            { account: jackpotAccount(tier), currency, amount: legacy },
+          ],
+          'jackpot_tiers'
+        );
+      }
+      await seedJackpotTier(currency, tier, getReseed(tier), 'jackpot_tiers');
+    }
+    return added;
+  });
+
+/**
+ * Sets a jackpot tier to an amount, moving the difference between the tier and the
+ * house bankroll. Fails with INSUFFICIENT_BALANCE (writing nothing) if the bankroll
+ * cannot cover a raise. The tier's drop point is kept.
+ * @param {string} currency - The token symbol.
+ * @param {string} tier - The tier id.
+ * @param {ethers.BigNumberish} amount - The new amount, in base units.
+ * @param {string} [reference] - Ledger reference.
+ * @returns {Promise<{before: string, after: string}>} - The tier's amount before and after, in base units.
+ */
+const setJackpotAmount = (currency, tier, amount, reference = null) =>
+  withTransaction(async () => {
+    const account = jackpotAccount(tier);
+    const before = await getFundBalance(account, currency);
+    const difference = ethers.BigNumber.from(amount).sub(before);
+    if (difference.gt(await getFundBalance(LEDGER_ACCOUNTS.HOUSE, currency))) {
+      const error = new Error(`Insufficient ${currency} in the ${LEDGER_ACCOUNTS.HOUSE} fund.`);
+      error.code = ERROR_CODES.INSUFFICIENT_BALANCE;
+      throw error;
+    }
+    if (!difference.isZero()) {
+      await postLedgerEntries(
+        ENTRY_TYPES.JACKPOT_ADJUSTMENT,
+        [
+          { account: LEDGER_ACCOUNTS.HOUSE, currency, amount: difference.mul(-1) },
+          { account, currency, amount: difference },
+        ],
+        reference
+      );
+    }
+    return { before, after: ethers.BigNumber.from(amount).toString() };
+  });
+
+/**
+ * Reports every house fund: its balance and its net flows by entry type.
+ * @param {string} currency - The token symbol.
+ * @param {string} [since] - Only count flows posted at or after this UTC time ('YYYY-MM-DD HH:MM:SS').
+ * @returns {Promise<Array<{fund: string, balance: string, flows: Object<string, string>}>>} - One entry per fund
+ *   (FUNDS, then the jackpot tiers); flows map entry types to signed amounts in base units (positive flowed into the fund).
+ */
+const getFundReport = async (currency, since = '1970-01-01 00:00:00') => {
+  const funds = [...FUNDS, ...Object.keys(await getJackpotTiers(currency)).map(jackpotAccount)];
+  const rows = await all(
+    `SELECT account, entry_type, amount FROM ledger_entries
+     WHERE account IN (${funds.map(() => '?').join(', ')}) AND currency = ? AND created_at >= ?`,
+    [...funds, currency, since]
+  );
+  const report = [];
+  for (const fund of funds) {
+    const flows = {};
+    for (const row of rows.filter((entry) => entry.account === fund)) {
+      flows[row.entry_type] = (flows[row.entry_type] || ethers.constants.Zero).add(row.amount);
+    }
+    for (const entryType of Object.keys(flows)) {
+      flows[entryType] = flows[entryType].toString();
+    }
+    report.push({ fund, balance: await getFundBalance(fund, currency), flows });
+  }
+  return report;
+};
+
+/**
+ * Settles a bet atomically: debits the stake, contributes shares of it to the jackpot tiers,
+ * draws the provably fair seed for the bet, pays out (wins from the house bankroll and
+ * jackpot hits from their tier, which is then reseeded) and records stats and XP, and
+ * writes the bet to the history, all inside a single transaction.
+ * Nothing is written if any step fails. A bet the player's cool-off, self-exclusion or
+ * limits forbid fails with PLAY_RESTRICTED or LIMIT_REACHED (see assertCanBet).
+ * @param {Object} params
+ * @param {number} params.telegramId - The user's Telegram ID.
+ * @param {string} params.game - The game being played (ledger reference).
+ * @param {string} [params.currency='USDC'] - The token the bet is played in.
+ * @param {string} params.stake - The stake in base units.
+ * @param {Object<string, ethers.BigNumberish>} [params.contributions={}] - Part of the stake moved from the
+ *   house bankroll to each jackpot tier, by tier id (capped at the tier's drop point).
+ * @param {Function} [params.getReseed] - Returns { seed, dropAt, dropSalt, dropHash } for a tier id; needed if the bet can hit a jackpot.
+ * @param {Function} [params.getMaxStake] - Called with the house bankroll before the bet; returns the
+ *   largest stake allowed (base units) or null for no limit. A larger stake fails with STAKE_LIMIT_EXCEEDED.
+ * @param {Function} params.resolveOutcome - Called with { seed, jackpots } (getJackpotTiers after the
+ *   contributions) and returns { payout, xp, jackpotHits?, isWin?, roll?, ...details } for the bet, where
+ *   jackpotHits lists the tier ids the bet wins in full.
+ * @returns {Promise<Object>} - { betId, outcome, seed, jackpotHits: [{ id, tier, amount, mustDrop, dropAt, dropSalt, dropHash }], balanceBefore, balanceAfter, xp }
+ */
+const settleBet = ({
+  telegramId,
+  game,
+  currency = 'USDC',
+  stake,
+  contributions = {},
+  getReseed,
+  getMaxStake,
+  resolveOutcome,
+}) =>
+  withTransaction(async () => {
+    const user = await getUserByTelegramId(telegramId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    const balanceBefore = user.balances[currency] || '0';
+    const account = userAccount(telegramId);
+
+    // Checked inside the transaction, so concurrent bets cannot overrun the player's limits
+    await assertCanBet(telegramId, currency, stake);
+
+    // Checked against the bankroll inside the transaction, so concurrent payouts cannot exceed it
+    const maxStake = getMaxStake ? getMaxStake(await getFundBalance(LEDGER_ACCOUNTS.HOUSE, currency)) : null;
+    if (maxStake !== null && ethers.BigNumber.from(stake).gt(maxStake)) {
+      const error = new Error(`Stake ${stake} ${currency} exceeds the table limit of ${maxStake}.`);
+      error.code = ERROR_CODES.STAKE_LIMIT_EXCEEDED;
+      error.maxStake = maxStake.toString();
+      throw error;
+    }
+
+    // Debit the stake; fails with INSUFFICIENT_BALANCE if the balance cannot cover it
+    await postLedgerEntries(
+      ENTRY_TYPES.BET,
+      [
+        { account, currency, amount: ethers.BigNumber.from(stake).mul(-1) },
+        { account: LEDGER_ACCOUNTS.HOUSE, currency, amount: stake },
+      ],
+      game
+    );
+    // Contributions stop at a tier's drop point (the rest stays with the house), so a hit never pays more than the cap
+    const jackpotsBefore = await getJackpotTiers(currency);
+    const contributionPostings = [];
+    for (const [tier, share] of Object.entries(contributions)) {
+      let amount = ethers.BigNumber.from(share);
+      const { amount: balance, dropAt } = jackpotsBefore[tier] || {};
+      if (dropAt) {
+        const room = ethers.BigNumber.from(dropAt).sub(balance);
+        amount = room.lt(amount) ? room : amount;
+      }
+      if (amount.lte(0)) {
+        continue;
+      }
+      contributionPostings.push(
+        { account: LEDGER_ACCOUNTS.HOUSE, currency, amount: ethers.BigNumber.from(amount).mul(-1) },
+        { account: jackpotAccount(tier), currency, amount }
+      );
+    }
+    if (contributionPostings.length > 0) {
+      await postLedgerEntries(ENTRY_TYPES.JACKPOT_CONTRIBUTION, contributionPostings, game);
+    }
+
+    const seed = await useNextNonce(telegramId);
+    const jackpots = await getJackpotTiers(currency);
+    const outcome = await resolveOutcome({ seed, jackpots });
+    let payout = ethers.BigNumber.from(outcome.payout || 0);
+
+    if (payout.gt(0)) {
+      await postLedgerEntries(
+        ENTRY_TYPES.PAYOUT,
+        [
+          { account: LEDGER_ACCOUNTS.HOUSE, currency, amount: payout.mul(-1) },
+          { account, currency, amount: payout },
+        ],
+        game
+      );
+    }
+
+    // Each jackpot hit pays the whole tier, which restarts from its seed
+    const jackpotHits = [];
+    for (const tier of new Set(outcome.jackpotHits || [])) {
+      const amount = ethers.BigNumber.from(await getFundBalance(jackpotAccount(tier), currency));
+      if (amount.lte(0)) {
+        continue;
+      }
+      await postLedgerEntries(
+        ENTRY_TYPES.JACKPOT_PAYOUT,
+        [
+          { account: jackpotAccount(tier), currency, amount: amount.mul(-1) },
+          { account, currency, amount },
+        ],
+        game
+      );
+      // The hit reveals the tier's drop point, so players can check it against its commitment
+      const { dropAt = null, dropSalt = null, dropHash = null } = jackpots[tier] || {};
+      await seedJackpotTier(currency, tier, getReseed(tier), game);
+      jackpotHits.push({
+        tier,
+        amount: amount.toString(),
+        mustDrop: Boolean(dropAt) && amount.gte(dropAt),
+        dropAt,
+        dropSalt,
+        dropHash,
+      });
+      payout = payout.add(amount);
+    }
+
+    await updateUserStatsAfterBet(telegramId, stake, payout.gt(0), payout.toString());
+    const xp = await addUserXP(telegramId, outcome.xp || 0);
+    const balanceAfter = await getUserBalance(telegramId, currency);
+
+    // A jackpot hit makes the bet a win even when the game itself lost
+    const isWin = (outcome.isWin !== undefined ? outcome.isWin : payout.gt(0)) || jackpotHits.length > 0;
+    const { lastID: betId } = await run(
+      `INSERT INTO bets (
+         telegram_id, game, currency, stake, outcome, payout, server_seed_hash, client_seed, nonce,
+         roll, balance_before, balance_after
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        telegramId,
+        game,
+        currency,
+        ethers.BigNumber.from(stake).toString(),
+        isWin ? 'win' : 'loss',
+        payout.toString(),
+        seed.serverSeedHash,
+        seed.clientSeed,
+        seed.nonce,
+        outcome.roll === undefined ? null : outcome.roll,
+        balanceBefore,
+        balanceAfter,
+      ]
+    );
+    for (const hit of jackpotHits) {
+      const { lastID } = await run(
+        `INSERT INTO jackpot_hits (
+           bet_id, telegram_id, currency, tier, amount, must_drop, server_seed_hash, client_seed, nonce, roll,
+           drop_at, drop_salt, drop_hash
+         ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          betId,
+          telegramId,
+          currency,
+          hit.tier,
+          hit.amount,
+          hit.mustDrop ? 1 : 0,
+          seed.serverSeedHash,
+          seed.clientSeed,
+          seed.nonce,
+          outcome.roll === undefined ? null : outcome.roll,
+          hit.dropAt,
+          hit.dropSalt,
+          hit.dropHash,
+        ]
+      );
+      hit.id = lastID;
+    }
+
+    return { betId, outcome, seed, jackpotHits, balanceBefore, balanceAfter, xp };
+  });
+
+/**
+ * Retrieves the jackpot Hall of Fame: the latest and the biggest hits, with the winners' usernames.
+ * @param {string} currency - The token symbol.
+ * @param {number} [limit=5] - Hits per list.
+ * @returns {Promise<{latest: Array, biggest: Array, count: number, paid: string}>} - The hits (rows of
+ *   jackpot_hits plus username), the number of hits and the total paid in base units.
+ */
+const getJackpotHallOfFame = async (currency, limit = 5) => {
+  const select = `SELECT jackpot_hits.*, users.username FROM jackpot_hits
+     LEFT JOIN users ON users.telegram_id = jackpot_hits.telegram_id
+     WHERE jackpot_hits.currency = ?`;
+  const latest = await all(`${select} ORDER BY jackpot_hits.id DESC LIMIT ?`, [currency, limit]);
+  const biggest = await all(`${select} ORDER BY CAST(jackpot_hits.amount AS REAL) DESC, jackpot_hits.id LIMIT ?`, [
+    currency,
+    limit,
+  ]);
+  const amounts = await all('SELECT amount FROM jackpot_hits WHERE currency = ?', [currency]);
+  return { latest, biggest, count: amounts.length, paid: sumAmounts(amounts).toString() };
+};
+
+/**
+ * Retrieves one page of a user's bet history.
+ * @param {number} telegramId - The user's Telegram ID.
+ * @param {number} page - Zero-based page number.
+ * @param {number} pageSize - The number of bets per page.
+ * @returns {Promise<{bets: Array, total: number}>} - Bets on the page (newest first) and the user's total bet count.
+ */
+const getBetHistory = async (telegramId, page = 0, pageSize = 5) => {
+  const { total } = await get('SELECT COUNT(*) AS total FROM bets WHERE telegram_id = ?', [
+    telegramId,
+  ]);
+  const bets = await all(
+    `SELECT * FROM bets WHERE telegram_id = ? ORDER BY id DESC LIMIT ? OFFSET ?`,
+    [telegramId, pageSize, page * pageSize]
+  );
+  return { bets, total };
+};
+
+// Most quick-bet presets a user can save per currency
+const MAX_BET_PRESETS = 6;
+
+/**
+ * Retrieves a user's saved quick-bet presets.
+ * @param {number} telegramId - The user's Telegram ID.
+ * @param {string} currency - The token symbol.
+ * @returns {Promise<string[]>} - Preset stakes in base units, smallest first.
+ */
+const getBetPresets = async (telegramId, currency) => {
+  const rows = await all('SELECT amount FROM bet_presets WHERE telegram_id = ? AND currency = ?', [
+    telegramId,
+    currency,
+  ]);
+  return rows
+    .map((row) => row.amount)
+    .sort((a, b) => (ethers.BigNumber.from(a).lt(b) ? -1 : 1));
+};
+
+/**
+ * Saves a quick-bet preset, unless the user already has MAX_BET_PRESETS.
+ * @param {number} telegramId - The user's Telegram ID.
+ * @param {string} currency - The token symbol.
+ * @param {ethers.BigNumberish} amount - The stake, in base units.
+ * @returns {Promise<boolean>} - False if the user has no room for another preset.
+ */
+const addBetPreset = (telegramId, currency, amount) =>
+  withTransaction(async () => {
+    const { count } = await get(
+      'SELECT COUNT(*) AS count FROM bet_presets WHERE telegram_id = ? AND currency = ?',
+      [telegramId, currency]
+    );
+    const value = ethers.BigNumber.from(amount).toString();
+    const exists = await get(
+      'SELECT 1 FROM bet_presets WHERE telegram_id = ? AND currency = ? AND amount = ?',
+      [telegramId, currency, value]
+    );
+    if (exists) {
+      return true;
+    }
+    if (count >= MAX_BET_PRESETS) {
+      return false;
+    }
+    await run('INSERT INTO bet_presets (telegram_id, currency, amount) VALUES (?, ?, ?)', [
+      telegramId,
+      currency,
+      value,
+    ]);
+    return true;
+  });
+
+/**
+ * Removes a quick-bet preset.
+ * @param {number} telegramId - The user's Telegram ID.
+ * @param {string} currency - The token symbol.
+ * @param {ethers.BigNumberish} amount - The stake, in base units.
+ * @returns {Promise<void>}
+ */
+const removeBetPreset = async (telegramId, currency, amount) => {
+  await run('DELETE FROM bet_presets WHERE telegram_id = ? AND currency = ? AND amount = ?', [
+    telegramId,
+    currency,
+    ethers.BigNumber.from(amount).toString(),
+  ]);
+};
+
+/**
+ * Seeds the ledger with the balances that existed before it was introduced,
+ * so that every cached balance is backed by entries. Runs once per account.
+ * @returns {Promise<void>}
+ */
+const postOpeningBalances = async () => {
+  const openings = [];
+  for (const row of await all('SELECT telegram_id, currency, balance FROM user_balances')) {
+    if (!ethers.BigNumber.from(row.balance).isZero()) {
+      openings.push({ account: userAccount(row.telegram_id), currency: row.currency, amount: row.balance });
+    }
+  }
+  for (const row of await all('SELECT currency, amount FROM jackpot')) {
+    if (!ethers.BigNumber.from(row.amount).isZero()) {
+      openings.push({ account: LEDGER_ACCOUNTS.JACKPOT, currency: row.currency, amount: row.amount });
+    }
+  }
+  for (const row of await all('SELECT account, currency, balance FROM funds')) {
+    if (!ethers.BigNumber.from(row.balance).isZero()) {
+      openings.push({ account: row.account, currency: row.currency, amount: row.balance });
+    }
+  }
+
+  for (const opening of openings) {
+    const existing = await get(
+      'SELECT 1 FROM ledger_entries WHERE account = ? AND currency = ? LIMIT 1',
+      [opening.account, opening.currency]
+    );
+    if (existing) {
+      continue;
+    }
+    // Ledger rows only: the cached balance already holds this amount.
+    await withTransaction(async () => {
+      const txnId = crypto.randomUUID();
+      const insert = `INSERT INTO ledger_entries (txn_id, entry_type, account, currency, amount)
+                      VALUES (?, ?, ?, ?, ?)`;
+      await run(insert, [txnId, ENTRY_TYPES.OPENING_BALANCE, opening.account, opening.currency, opening.amount]);
+      await run(insert, [
+        txnId,
+        ENTRY_TYPES.OPENING_BALANCE,
+        LEDGER_ACCOUNTS.EXTERNAL,
+        opening.currency,
+        ethers.BigNumber.from(opening.amount).mul(-1).toString(),
+      ]);
+    });
+    logger.info(
+      `Posted opening balance of ${units.formatAmount(opening.amount, opening.currency)} ${
+        opening.currency
+      } for ${opening.account}.`
+    );
+  }
+};
+
+// --------------------- Provably Fair Seed Functions ---------------------
+
+/**
+ * Creates a new active seed pair for a user.
+ * @param {number} telegramId - The user's Telegram ID.
+ * @param {string} clientSeed - The client seed to use.
+ * @returns {Promise<Object>} - The new seed pair row.
+ */
+const createSeedPair = (telegramId, clientSeed) => {
+  return new Promise((resolve, reject) => {
+    const serverSeed = fairness.generateServerSeed();
+    const serverSeedHash = fairness.hashServerSeed(serverSeed);
+    const query = `
+      INSERT INTO fairness_seeds (telegram_id, server_seed, server_seed_hash, client_seed)
+      VALUES (?, ?, ?, ?)
+    `;
+    runWithCallback(query, [telegramId, serverSeed, serverSeedHash, clientSeed], function (err) {
+      if (err) {
+        logger.error(`Error creating seed pair for user ${telegramId}:`, err.message);
+        return reject(err);
+      }
+      logger.info(`Committed new server seed ${serverSeedHash} for user ${telegramId}.`);
+      resolve({
+        id: this.lastID,
+        telegram_id: telegramId,
+        server_seed: serverSeed,
+        server_seed_hash: serverSeedHash,
+        client_seed: clientSeed,
+        nonce: 0,
+        status: 'active',
+      });
+    });
+  });
+};
+
+/**
+ * Retrieves the user's active seed pair, committing a new one if none exists.
+ * @param {number} telegramId - The user's Telegram ID.
+ * @returns {Promise<Object>} - The active seed pair row (includes the secret server seed).
+ */
+const getActiveSeedPair = async (telegramId) => {
+  const query = `SELECT * FROM fairness_seeds WHERE telegram_id = ? AND status = 'active'`;
+  const row = await get(query, [telegramId]);
+  if (row) {
+    return row;
+  }
+  // Checked again inside the transaction so concurrent calls commit a single pair
+  return withTransaction(async () => {
+    const created = await get(query, [telegramId]);
+    return created || createSeedPair(telegramId, fairness.generateClientSeed());
+  });
+};
+
+/**
+ * Reserves the next nonce of the user's active seed pair for a bet.
+ * @param {number} telegramId - The user's Telegram ID.
+ * @returns {Promise<{serverSeed: string, serverSeedHash: string, clientSeed: string, nonce: number}>}
+ */
+const useNextNonce = async (telegramId) => {
+  const seedPair = await getActiveSeedPair(telegramId);
+  return new Promise((resolve, reject) => {
+    const query = `UPDATE fairness_seeds SET nonce = nonce + 1 WHERE id = ? AND nonce = ?`;
+    runWithCallback(query, [seedPair.id, seedPair.nonce], function (err) {
+      if (err) {
+        logger.error(`Error incrementing nonce for user ${telegramId}:`, err.message);
+        return reject(err);
+      }
+      if (this.changes === 0) {
+        // Another bet consumed this nonce first; try again with fresh state.
+        return useNextNonce(telegramId).then(resolve, reject);
+      }
+      resolve({
+        serverSeed: seedPair.server_seed,
+        serverSeedHash: seedPair.server_seed_hash,
+        clientSeed: seedPair.client_seed,
+        nonce: seedPair.nonce,
+      });
+    });
+  });
+};
+
+/**
+ * Reveals the user's active server seed and commits a fresh one, in one transaction.
+ * @param {number} telegramId - The user's Telegram ID.
+ * @param {string} [clientSeed] - New client seed; keeps the current one if omitted.
+ * @returns {Promise<{revealed: Object, active: Object}>} - The revealed and the new seed pair.
+ */
+const rotateSeedPair = (telegramId, clientSeed) =>
+  withTransaction(async () => {
+    const current = await getActiveSeedPair(telegramId);
+    await new Promise((resolve, reject) => {
+      const query = `
+        UPDATE fairness_seeds
+        SET status = 'revealed', revealed_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `;
+      runWithCallback(query, [current.id], function (err) {
+        if (err) {
+          logger.error(`Error revealing seed pair for user ${telegramId}:`, err.message);
+          return reject(err);
+        }
+        resolve();
+      });
+    });
+    logger.info(`Revealed server seed ${current.server_seed_hash} for user ${telegramId}.`);
+
+    const active = await createSeedPair(telegramId, clientSeed || current.client_seed);
+    return { revealed: { ...current, status: 'revealed' }, active };
+  });
+
+/**
+ * Retrieves the user's most recently revealed seed pairs.
+ * @param {number} telegramId - The user's Telegram ID.
+ * @param {number} limit - The number of seed pairs to retrieve.
+ * @returns {Promise<Array>} - Revealed seed pairs, newest first.
+ */
+const getRevealedSeedPairs = (telegramId, limit = 5) => {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT * FROM fairness_seeds
+      WHERE telegram_id = ? AND status = 'revealed'
+      ORDER BY id DESC
+      LIMIT ?
+    `;
+    db.all(query, [telegramId, limit], (err, rows) => {
+      if (err) {
+        logger.error(`Error fetching revealed seeds for user ${telegramId}:`, err.message);
+        return reject(err);
+      }
+      resolve(rows);
+    });
+  });
+};
+
+// --------------------- Withdrawal Queue Functions ---------------------
+
+// Withdrawal states:
+// requested → reserved → broadcast → confirmed
+//                  ↘         ↘
+//                    failed → refunded
+const WITHDRAWAL_STATUS = {
+  REQUESTED: 'requested',
+  RESERVED: 'reserved',
+  BROADCAST: 'broadcast',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+  REFUNDED: 'refunded',
+};
+
+// Allowed transitions from each state
+const WITHDRAWAL_TRANSITIONS = {
+  requested: ['reserved'],
+  reserved: ['broadcast', 'failed'],
+  broadcast: ['confirmed', 'failed'],
+  confirmed: [],
+  failed: ['refunded'],
+  refunded: [],
+};
+
+/**
+ * Moves a withdrawal from one state to another, updating any extra columns.
+ * The update only applies if the withdrawal is still in the expected state.
+ * @param {number} id - The withdrawal ID.
+ * @param {string} from - The expected current state.
+ * @param {string} to - The new state.
+ * @param {Object} [fields] - Extra columns to set.
+ * @returns {Promise<void>}
+ */
+const transitionWithdrawal = async (id, from, to, fields = {}) => {
+  if (!WITHDRAWAL_TRANSITIONS[from] || !WITHDRAWAL_TRANSITIONS[from].includes(to)) {
+    throw new Error(`Invalid withdrawal transition ${from} → ${to}`);
+  }
+  const columns = Object.keys(fields);
+  const { changes } = await run(
+    `UPDATE withdrawals
+     SET status = ?, ${columns.map((column) => `${column} = ?, `).join('')}updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = ?`,
+    [to, ...Object.values(fields), id, from]
+  );
+  if (changes === 0) {
+    throw new Error(`Withdrawal ${id} is no longer ${from}`);
+  }
+  logger.info(`Withdrawal ${id}: ${from} → ${to}`);
+};
+
+/**
+ * Retrieves a withdrawal by ID.
+ * @param {number} id - The withdrawal ID.
+ * @returns {Promise<Object|null>} - The withdrawal row.
+ */
+const getWithdrawal = (id) => get('SELECT * FROM withdrawals WHERE id = ?', [id]);
+
+/**
+ * Retrieves withdrawals in a given state, oldest first.
+ * @param {string} status - One of WITHDRAWAL_STATUS.
+ * @returns {Promise<Array>} - The withdrawal rows.
+ */
+const getWithdrawalsByStatus = (status) =>
+  all('SELECT * FROM withdrawals WHERE status = ? ORDER BY id ASC', [status]);
+
+/**
+ * Queues a withdrawal and reserves its funds from the user's balance.
+ * Fails with INSUFFICIENT_BALANCE (and records nothing) if the balance cannot cover it.
+ * @param {number} telegramId - The user's Telegram ID.
+ * @param {string} currency - The token symbol.
+ * @param {string} amount - The amount debited from the user, in base units.
+ * @param {string} walletAddress - The destination address.
+ * @param {string} [fee='0'] - The part of `amount` kept as a fee, in base units.
+ * @returns {Promise<Object>} - The reserved withdrawal.
+ */
+const requestWithdrawal = (telegramId, currency, amount, walletAddress, fee = '0') =>
+  withTransaction(async () => {
+    const { lastID: id } = await run(
+      `INSERT INTO withdrawals (telegram_id, currency, amount, fee, wallet_address, status)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [telegramId, currency, amount, fee, walletAddress, WITHDRAWAL_STATUS.REQUESTED]
+    );
+    await postLedgerEntries(
+      ENTRY_TYPES.WITHDRAWAL_RESERVE,
+      [
+        { account: userAccount(telegramId), currency, amount: ethers.BigNumber.from(amount).mul(-1) },
+        { account: LEDGER_ACCOUNTS.PENDING_WITHDRAWALS, currency, amount },
+      ],
+      `withdrawal:${id}`
+    );
+    await transitionWithdrawal(id, WITHDRAWAL_STATUS.REQUESTED, WITHDRAWAL_STATUS.RESERVED);
+    return getWithdrawal(id);
+  });
+
+/**
+ * Records the signed transaction of a reserved withdrawal before it is sent,
+ * so a crash after sending can never lead to a second, different transaction.
+ * @param {number} id - The withdrawal ID.
+ * @param {Object} tx - { nonce, hash, signedTx } of the signed transaction.
+ * @returns {Promise<void>}
+ */
+const markWithdrawalBroadcast = (id, { nonce, hash, signedTx }) =>
+  transitionWithdrawal(id, WITHDRAWAL_STATUS.RESERVED, WITHDRAWAL_STATUS.BROADCAST, {
+    tx_nonce: nonce,
+    tx_hash: hash,
+    signed_tx: signedTx,
+  });
+
+/**
+ * Records a failed attempt to send a withdrawal's transaction.
+ * @param {number} id - The withdrawal ID.
+ * @param {string} error - The error message.
+ * @returns {Promise<void>}
+ */
+const recordWithdrawalAttempt = async (id, error) => {
+  await run(
+    `UPDATE withdrawals
+     SET attempts = attempts + 1, last_error = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [error, id]
+  );
+};
+
+/**
+ * Returns the amount actually sent on chain for a withdrawal (amount minus fee).
+ * @param {Object} withdrawal - The withdrawal row.
+ * @returns {string} - The net amount in base units.
+ */
+const getWithdrawalNetAmount = (withdrawal) =>
+  ethers.BigNumber.from(withdrawal.amount).sub(withdrawal.fee || 0).toString();
+
+/**
+ * Books the gas the pool paid for a mined transaction as a house expense, without
+ * opening a transaction.
+ * @param {{currency: string, amount: string}|null} gasFee - The gas paid, in base units of the native token.
+ * @param {string} reference - The transaction hash.
+ * @returns {Promise<void>}
+ */
+const postGasFee = async (gasFee, reference) => {
+  if (!gasFee || ethers.BigNumber.from(gasFee.amount).isZero()) {
+    return;
+  }
+  await postLedgerEntries(
+    ENTRY_TYPES.GAS,
+    [
+      {
+        account: LEDGER_ACCOUNTS.HOUSE,
+        currency: gasFee.currency,
+        amount: ethers.BigNumber.from(gasFee.amount).mul(-1),
+      },
+      { account: LEDGER_ACCOUNTS.EXTERNAL, currency: gasFee.currency, amount: gasFee.amount },
+    ],
+    reference
+  );
+};
+
+/**
+ * Confirms a broadcast withdrawal: the amount sent leaves the books, the
+ * fee is moved to the fees account and the house pays the gas.
+ * @param {number} id - The withdrawal ID.
+ * @param {{currency: string, amount: string}|null} [gasFee] - The gas the transaction paid.
+ * @returns {Promise<void>}
+ */
+const confirmWithdrawal = (id, gasFee = null) =>
+  withTransaction(async () => {
+    const withdrawal = await getWithdrawal(id);
+    const net = getWithdrawalNetAmount(withdrawal);
+    await transitionWithdrawal(id, WITHDRAWAL_STATUS.BROADCAST, WITHDRAWAL_STATUS.CONFIRMED);
+    await postGasFee(gasFee, withdrawal.tx_hash);
+    await postLedgerEntries(
+      ENTRY_TYPES.WITHDRAWAL,
+      [
+        {
+          account: LEDGER_ACCOUNTS.PENDING_WITHDRAWALS,
+          currency: withdrawal.currency,
+          amount: ethers.BigNumber.from(net).mul(-1),
+        },
+        { account: LEDGER_ACCOUNTS.EXTERNAL, currency: withdrawal.currency, amount: net },
+      ],
+      withdrawal.tx_hash
+    );
+    if (!ethers.BigNumber.from(withdrawal.fee || 0).isZero()) {
+      await postLedgerEntries(
+        ENTRY_TYPES.FEE,
+        [
+          {
+            account: LEDGER_ACCOUNTS.PENDING_WITHDRAWALS,
+            currency: withdrawal.currency,
+            amount: ethers.BigNumber.from(withdrawal.fee).mul(-1),
+          },
+          { account: LEDGER_ACCOUNTS.FEES, currency: withdrawal.currency, amount: withdrawal.fee },
+        ],
+        `withdrawal:${id}`
+      );
+    }
+  });
+
+/**
+ * Marks a reserved or broadcast withdrawal as failed. Its funds stay reserved until refunded.
+ * @param {number} id - The withdrawal ID.
+ * @param {string} from - The current state.
+ * @param {string} error - Why the withdrawal failed.
+ * @param {{currency: string, amount: string}|null} [gasFee] - The gas paid if the transaction was mined and reverted.
+ * @returns {Promise<void>}
+ */
+const failWithdrawal = (id, from, error, gasFee = null) =>
+  withTransaction(async () => {
+    await transitionWithdrawal(id, from, WITHDRAWAL_STATUS.FAILED, { last_error: error });
+    await postGasFee(gasFee, (await getWithdrawal(id)).tx_hash);
+  });
+
+/**
+ * Returns the reserved funds of a failed withdrawal to the user's balance.
+ * @param {number} id - The withdrawal ID.
+ * @returns {Promise<void>}
+ */
+const refundWithdrawal = (id) =>
+  withTransaction(async () => {
+    const withdrawal = await getWithdrawal(id);
+    await transitionWithdrawal(id, WITHDRAWAL_STATUS.FAILED, WITHDRAWAL_STATUS.REFUNDED);
+    await postLedgerEntries(
+      ENTRY_TYPES.WITHDRAWAL_REFUND,
+      [
+        {
+          account: LEDGER_ACCOUNTS.PENDING_WITHDRAWALS,
+          currency: withdrawal.currency,
+          amount: ethers.BigNumber.from(withdrawal.amount).mul(-1),
+        },
+        { account: userAccount(withdrawal.telegram_id), currency: withdrawal.currency, amount: withdrawal.amount },
+      ],
+      `withdrawal:${id}`
+    );
+  });
+
+// --------------------- Fee Sweep Functions ---------------------
+
+// Fee sweep states, as for withdrawals (sent by the withdrawal worker, which assigns
+// every pool nonce): reserved → broadcast → confirmed, or failed from either.
+const FEE_SWEEP_STATUS = {
+  RESERVED: 'reserved',
+  BROADCAST: 'broadcast',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+};
+
+/**
+ * Moves a fee sweep from one state to another, updating any extra columns.
+ * The update only applies if the sweep is still in the expected state.
+ * @param {number} id - The sweep ID.
+ * @param {string} from - The expected current state.
+ * @param {string} to - The new state.
+ * @param {Object} [fields] - Extra columns to set.
+ * @returns {Promise<void>}
+ */
+const transitionFeeSweep = async (id, from, to, fields = {}) => {
+  const columns = Object.keys(fields);
+  const { changes } = await run(
+    `UPDATE fee_sweeps SET status = ?${columns.map((column) => `, ${column} = ?`).join('')}
+     WHERE id = ? AND status = ?`,
+    [to, ...Object.values(fields), id, from]
+  );
+  if (changes === 0) {
+    throw new Error(`Fee sweep ${id} is no longer ${from}`);
+  }
+  logger.info(`Fee sweep ${id}: ${from} → ${to}`);
+};
+
+/**
+ * Retrieves a fee sweep by ID.
+ * @param {number} id - The sweep ID.
+ * @returns {Promise<Object|null>} - The sweep row.
+ */
+const getFeeSweep = (id) => get('SELECT * FROM fee_sweeps WHERE id = ?', [id]);
+
+/**
+ * Retrieves fee sweeps in a given state, oldest first.
+ * @param {string} status - One of FEE_SWEEP_STATUS.
+ * @returns {Promise<Array>} - The sweep rows.
+ */
+const getFeeSweepsByStatus = (status) =>
+  all('SELECT * FROM fee_sweeps WHERE status = ? ORDER BY id ASC', [status]);
+
+/**
+ * Queues a sweep of collected fees to the team wallet. The fees move from the fees
+ * account to the pending withdrawals until the sweep confirms, so a crash can never
+ * sweep them twice and a sweep that never lands never drops them from the books.
+ * @param {string} currency - The token symbol.
+ * @param {string} amount - The amount to sweep, in base units.
+ * @param {string} toAddress - The team wallet address.
+ * @returns {Promise<number>} - The sweep ID.
+ */
+const startFeeSweep = (currency, amount, toAddress) =>
+  withTransaction(async () => {
+    const { lastID: id } = await run(
+      `INSERT INTO fee_sweeps (currency, amount, to_address, status) VALUES (?, ?, ?, ?)`,
+      [currency, amount, toAddress, FEE_SWEEP_STATUS.RESERVED]
+    );
+    await postLedgerEntries(
+      ENTRY_TYPES.FEE_SWEEP,
+      [
+        { account: LEDGER_ACCOUNTS.FEES, currency, amount: ethers.BigNumber.from(amount).mul(-1) },
+        { account: LEDGER_ACCOUNTS.PENDING_WITHDRAWALS, currency, amount },
+      ],
+      `fee_sweep:${id}`
+    );
+    return id;
+  });
+
+/**
+ * Records the signed transaction of a reserved sweep before it is sent (see markWithdrawalBroadcast).
+ * @param {number} id - The sweep ID.
+ * @param {Object} tx - { nonce, hash, signedTx } of the signed transaction.
+ * @returns {Promise<void>}
+ */
+const markFeeSweepBroadcast = (id, { nonce, hash, signedTx }) =>
+  transitionFeeSweep(id, FEE_SWEEP_STATUS.RESERVED, FEE_SWEEP_STATUS.BROADCAST, {
+    tx_nonce: nonce,
+    tx_hash: hash,
+    signed_tx: signedTx,
+  });
+
+/**
+ * Records a failed attempt to sign or send a sweep's transaction.
+ * @param {number} id - The sweep ID.
+ * @param {string} error - The error message.
+ * @returns {Promise<void>}
+ */
+const recordFeeSweepAttempt = async (id, error) => {
+  await run('UPDATE fee_sweeps SET attempts = attempts + 1, last_error = ? WHERE id = ?', [error, id]);
+};
+
+/**
+ * Confirms a broadcast sweep: the fees leave the books and the house pays the gas.
+ * @param {number} id - The sweep ID.
+ * @param {{currency: string, amount: string}|null} [gasFee] - The gas the transaction paid.
+ * @returns {Promise<void>}
+ */
+const confirmFeeSweep = (id, gasFee = null) =>
+  withTransaction(async () => {
+    const sweep = await getFeeSweep(id);
+    await transitionFeeSweep(id, FEE_SWEEP_STATUS.BROADCAST, FEE_SWEEP_STATUS.CONFIRMED);
+    await postGasFee(gasFee, sweep.tx_hash);
+    await postLedgerEntries(
+      ENTRY_TYPES.FEE_SWEEP,
+      [
+        {
+          account: LEDGER_ACCOUNTS.PENDING_WITHDRAWALS,
+          currency: sweep.currency,
+          amount: ethers.BigNumber.from(sweep.amount).mul(-1),
+        },
+        { account: LEDGER_ACCOUNTS.EXTERNAL, currency: sweep.currency, amount: sweep.amount },
+      ],
+      sweep.tx_hash
+    );
+  });
+
+/**
+ * Marks a reserved or broadcast sweep as failed and returns its amount to the fees account.
+ * @param {number} id - The sweep ID.
+ * @param {string} from - The current state.
+ * @param {string} error - Why the sweep failed.
+ * @param {{currency: string, amount: string}|null} [gasFee] - The gas paid if the transaction was mined and reverted.
+ * @returns {Promise<void>}
+ */
+const failFeeSweep = (id, from, error, gasFee = null) =>
+  withTransaction(async () => {
+    const sweep = await getFeeSweep(id);
+    await transitionFeeSweep(id, from, FEE_SWEEP_STATUS.FAILED, { last_error: error });
+    await postGasFee(gasFee, sweep.tx_hash);
+    await postLedgerEntries(
+      ENTRY_TYPES.FEE_SWEEP,
+      [
+        {
+          account: LEDGER_ACCOUNTS.PENDING_WITHDRAWALS,
+          currency: sweep.currency,
+          amount: ethers.BigNumber.from(sweep.amount).mul(-1),
+        },
+        { account: LEDGER_ACCOUNTS.FEES, currency: sweep.currency, amount: sweep.amount },
+      ],
+      `fee_sweep:${id}`
+    );
+  });
+
+// --------------------- Reconciliation Functions ---------------------
+
+/**
+ * Adds up everything the books say the pool wallet holds for someone, by kind. The cached
+ * balances of the ledger accounts other than `external` cover all booked money; unclaimed
+ * deposits and deposits held by deposit limits are not booked until credited but are owed
+ * to their sender. Everything is read in one transaction, so money moving between two kinds
+ * meanwhile is counted exactly once.
+ * @param {string} currency - The token symbol.
+ * @returns {Promise<{players: string, pendingWithdrawals: string, fees: string, houseFunds: string,
+ *   unclaimedDeposits: string, heldDeposits: string, total: string}>} - Amounts in base units.
+ */
+const getLiabilities = (currency) =>
+  withTransaction(async () => {
+    // From the cached balances
+    const players = await all('SELECT balance FROM user_balances WHERE currency = ?', [currency]);
+    const funds = await all('SELECT account, balance FROM funds WHERE currency = ?', [currency]);
+    const sumFunds = (matches) => sumAmounts(funds.filter(({ account }) => matches(account)), 'balance');
+    const unclaimed = await all(
+      `SELECT amount FROM unmatched_deposits WHERE currency = ? AND status IN ('pending', 'awaiting_approval')`,
+      [currency]
+    );
+    const held = await all(`SELECT amount FROM deposits WHERE currency = ? AND status = 'held'`, [currency]);
+    const totals = {
+      players: sumAmounts(players, 'balance'),
+      pendingWithdrawals: sumFunds((account) => account === LEDGER_ACCOUNTS.PENDING_WITHDRAWALS),
+      fees: sumFunds((account) => account === LEDGER_ACCOUNTS.FEES),
+      // The bankroll, promo budget and jackpots: promised by table limits, bonuses and jackpot displays
+      houseFunds: sumFunds((account) => !CLEARING_ACCOUNTS.includes(account)).add(await getJackpot(currency)),
+      unclaimedDeposits: sumAmounts(unclaimed),
+      heldDeposits: sumAmounts(held),
+    };
+
+    const liabilities = {};
+    let total = ethers.constants.Zero;
+    for (const [kind, amount] of Object.entries(totals)) {
+      liabilities[kind] = amount.toString();
+      total = total.add(amount);
+    }
+    liabilities.total = total.toString();
+    return liabilities;
+  });
+
+/**
+ * Retrieves the withdrawals and fee sweeps of every token sent on chain but not yet confirmed.
+ * Until they confirm, what they move is still booked as pending withdrawals and their gas is
+ * not booked at all.
+ * @returns {Promise<Array<{currency: string, amount: string, tx_hash: string}>>} - The transfers,
+ *   `amount` being what the transaction moves out of the pool, in base units.
+ */
+const getBroadcastTransfers = async () => {
+  const withdrawals = await getWithdrawalsByStatus(WITHDRAWAL_STATUS.BROADCAST);
+  const sweeps = await getFeeSweepsByStatus(FEE_SWEEP_STATUS.BROADCAST);
+  return [
+    ...withdrawals.map((withdrawal) => ({
+      currency: withdrawal.currency,
+      amount: getWithdrawalNetAmount(withdrawal),
+      tx_hash: withdrawal.tx_hash,
+    })),
+    ...sweeps.map(({ currency, amount, tx_hash }) => ({ currency, amount, tx_hash })),
+  ];
+};
+
+/**
+ * Stores a reconciliation snapshot.
+ * @param {Object} snapshot
+ * @param {string} snapshot.currency - The token symbol.
+ * @param {string} snapshot.assets - The pool's on-chain balance, in base units.
+ * @param {Object} snapshot.liabilities - The result of getLiabilities.
+ * @param {string} snapshot.gap - Assets less total liabilities, in base units.
+ * @param {boolean} snapshot.breached - Whether the shortfall is beyond the alert threshold.
+ * @returns {Promise<Object>} - The stored row.
+ */
+const recordReconciliation = async ({ currency, assets, liabilities, gap, breached }) => {
+  const { lastID } = await run(
+    `INSERT INTO reconciliations (currency, assets, liabilities, gap, breakdown, breached)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [currency, assets, liabilities.total, gap, JSON.stringify(liabilities), breached ? 1 : 0]
+  );
+  return get('SELECT * FROM reconciliations WHERE id = ?', [lastID]);
+};
+
+/**
+ * Retrieves the latest reconciliation snapshots of a token.
+ * @param {string} currency - The token symbol.
+ * @param {number} [limit=1] - The number of snapshots.
+ * @returns {Promise<Array>} - Snapshot rows, newest first, with the breakdown parsed.
+ */
+const getReconciliations = async (currency, limit = 1) => {
+  const rows = await all('SELECT * FROM reconciliations WHERE currency = ? ORDER BY id DESC LIMIT ?', [
+    currency,
+    limit,
+  ]);
+  return rows.map((row) => ({ ...row, breakdown: JSON.parse(row.breakdown) }));
+};
+
+// --------------------- Admin Functions ---------------------
+
+/**
+ * Finds users by Telegram ID, wallet address or username (with or without the @).
+ * @param {string} query - What to search for.
+ * @returns {Promise<Array>} - Matching user rows, with their balances.
+ */
+const findUsers = async (query) => {
+  let rows;
+  if (/^\d+$/.test(query)) {
+    rows = await all('SELECT * FROM users WHERE telegram_id = ?', [Number(query)]);
+  } else if (/^0x[0-9a-fA-F]{40}$/.test(query)) {
+    rows = await all('SELECT * FROM users WHERE lower(wallet_address) = lower(?)', [query]);
+  } else {
+    rows = await all('SELECT * FROM users WHERE lower(username) = lower(?)', [query.replace(/^@/, '')]);
+  }
+  return Promise.all(rows.map(async (row) => ({ ...row, balances: await getUserBalances(row.telegram_id) })));
+};
+
+/**
+ * Freezes or unfreezes a user.
+ * @param {number} telegramId - The user's Telegram ID.
+ * @param {boolean} frozen - True to freeze.
+ * @param {string} [reason] - Why the account is frozen (cleared on unfreeze).
+ * @returns {Promise<boolean>} - False if the user does not exist.
+ */
+const setUserFrozen = async (telegramId, frozen, reason = null) => {
+  const { changes } = await run('UPDATE users SET frozen = ?, frozen_reason = ? WHERE telegram_id = ?', [
+    frozen ? 1 : 0,
+    frozen ? reason : null,
+    telegramId,
+  ]);
+  return changes > 0;
+};
+
+/**
+ * Checks whether a user is frozen.
+ * @param {number} telegramId - The user's Telegram ID.
+ * @returns {Promise<boolean>} - True if an admin froze the account.
+ */
+const isUserFrozen = async (telegramId) => {
+  const row = await get('SELECT frozen FROM users WHERE telegram_id = ?', [telegramId]);
+  return Boolean(row && row.frozen);
+};
+
+/**
+ * Summarizes the house's business over a period: per game the bets, players, amount
+ * staked, paid out and the house's gross gaming revenue (staked less paid), plus the
+ * deposits credited and withdrawals confirmed.
+ * @param {string} currency - The token symbol.
+ * @param {string} [since] - Only count activity at or after this UTC time ('YYYY-MM-DD HH:MM:SS').
+ * @returns {Promise<{games: Object<string, {bets: number, players: number, staked: string, paid: string, revenue: string}>,
+ *   players: number, deposits: {count: number, amount: string}, withdrawals: {count: number, amount: string}}>} - Amounts in base units.
+ */
+const getHouseStats = async (currency, since = '1970-01-01 00:00:00') => {
+  const bets = await all('SELECT telegram_id, game, stake, payout FROM bets WHERE currency = ? AND created_at >= ?', [
+    currency,
+    since,
+  ]);
+  const games = {};
+  for (const name of new Set(bets.map((bet) => bet.game))) {
+    const gameBets = bets.filter((bet) => bet.game === name);
+    const staked = sumAmounts(gameBets, 'stake');
+    const paid = sumAmounts(gameBets, 'payout');
+    games[name] = {
+      bets: gameBets.length,
+      players: new Set(gameBets.map((bet) => bet.telegram_id)).size,
+      staked: staked.toString(),
+      paid: paid.toString(),
+      revenue: staked.sub(paid).toString(),
+    };
+  }
+  const players = new Set(bets.map((bet) => bet.telegram_id));
+
+  const sumRows = (rows) => ({ count: rows.length, amount: sumAmounts(rows).toString() });
+  const deposits = await all(
+    `SELECT amount FROM deposits WHERE currency = ? AND status = 'credited' AND created_at >= ?`,
+    [currency, since]
+  );
+  const withdrawals = await all('SELECT amount FROM withdrawals WHERE currency = ? AND status = ? AND updated_at >= ?', [
+    currency,
+    WITHDRAWAL_STATUS.CONFIRMED,
+    since,
+  ]);
+  return { games, players: players.size, deposits: sumRows(deposits), withdrawals: sumRows(withdrawals) };
+};
+
+/**
+ * Adds an admin action to the audit trail.
+ * @param {Object} action
+ * @param {number} action.adminId - The admin's Telegram ID.
+ * @param {string} action.role - The admin's role (see services/admins.js).
+ * @param {string} [action.source='telegram'] - The channel the action came through: 'telegram' or 'api'.
+ * @param {string} action.action - What was done, e.g. 'credit' or 'freeze'.
+ * @param {string|number} [action.target] - Who or what it was done to (a user, claim, fund, ...).
+ * @param {Object} [action.details] - Anything else worth keeping: amounts, the reason, the outcome.
+ * @returns {Promise<number>} - The audit entry ID.
+ */
+const recordAdminAction = async ({ adminId, role, source = 'telegram', action, target = null, details = {} }) => {
+  const { lastID } = await run(
+    'INSERT INTO admin_actions (admin_id, role, source, action, target, details) VALUES (?, ?, ?, ?, ?, ?)',
+    [adminId, role, source, action, target === null ? null : String(target), JSON.stringify(details)]
+  );
+  return lastID;
+};
+
+/**
+ * Retrieves the latest admin actions.
+ * @param {number} [limit=20] - The number of actions.
+ * @returns {Promise<Array>} - Audit entries, newest first, with the details parsed.
+ */
+const getAdminActions = async (limit = 20) => {
+  const rows = await all('SELECT * FROM admin_actions ORDER BY id DESC LIMIT ?', [limit]);
+  return rows.map((row) => ({ ...row, details: JSON.parse(row.details) }));
+};
+
+// Records the admin API lists (see listRecords): the table, its order and the columns it can be filtered
+// on. `nocase` columns match regardless of case; `time` is the column the since/until filters apply to.
+const LISTABLE_RECORDS = {
+  users: {
+    table: 'users',
+    order: 'telegram_id',
+    filters: ['telegram_id', 'username', 'wallet_address', 'level', 'frozen'],
+    nocase: ['username', 'wallet_address'],
+  },
+  balances: { table: 'user_balances', order: 'telegram_id, currency', filters: ['telegram_id', 'currency'] },
+  ledger: {
+    table: 'ledger_entries',
+    order: 'id DESC',
+    filters: ['txn_id', 'entry_type', 'account', 'currency', 'reference'],
+    time: 'created_at',
+  },
+  bets: { table: 'bets', order: 'id DESC', filters: ['telegram_id', 'game', 'currency', 'outcome'], time: 'created_at' },
+  limits: {
+    table: 'user_limits',
+    order: 'telegram_id, currency, kind, period',
+    filters: ['telegram_id', 'currency', 'kind', 'period'],
+  },
+  deposits: {
+    table: 'deposits',
+    order: 'id DESC',
+    filters: ['telegram_id', 'currency', 'status', 'tx_hash', 'from_address'],
+    nocase: ['tx_hash', 'from_address'],
+    time: 'created_at',
+  },
+  claims: {
+    table: 'unmatched_deposits',
+    order: 'id DESC',
+    filters: ['currency', 'status', 'reason', 'tx_hash', 'from_address', 'requested_by'],
+    nocase: ['tx_hash', 'from_address'],
+    time: 'created_at',
+  },
+  withdrawals: {
+    table: 'withdrawals',
+    order: 'id DESC',
+    filters: ['telegram_id', 'currency', 'status', 'tx_hash'],
+    nocase: ['tx_hash'],
+    time: 'created_at',
+  },
+  jackpot_hits: {
+    table: 'jackpot_hits',
+    order: 'id DESC',
+    filters: ['telegram_id', 'currency', 'tier', 'must_drop'],
+    time: 'created_at',
+  },
+  reconciliations: { table: 'reconciliations', order: 'id DESC', filters: ['currency', 'breached'], time: 'created_at' },
+  admin_actions: {
+    table: 'admin_actions',
+    order: 'id DESC',
+    filters: ['admin_id', 'role', 'source', 'action', 'target'],
+    time: 'created_at',
+  },
+};
+
+/**
+ * Lists one page of records, filtered by exact column values and optionally by time.
+ * An unknown filter fails with INVALID_FILTER.
+ * @param {string} kind - One of the keys of LISTABLE_RECORDS.
+ * @param {Object<string, string>} [filters={}] - Column values to match, plus `since` / `until`
+ *   (UTC 'YYYY-MM-DD HH:MM:SS', inclusive / exclusive) for records with a time.
+ * @param {{limit: number, offset: number}} [page] - The page, 50 records from the start by default.
+ * @returns {Promise<{rows: Array, total: number}>} - The rows of the page and the number of matching records.
+ */
+const listRecords = async (kind, filters = {}, { limit = 50, offset = 0 } = {}) => {
+  const spec = LISTABLE_RECORDS[kind];
+  if (!spec) {
+    throw new Error(`Unknown records: ${kind}`);
+  }
+  const conditions = [];
+  const params = [];
+  for (const [column, value] of Object.entries(filters)) {
+    if (value === undefined) {
+      continue;
+    }
+    if ((column === 'since' || column === 'until') && spec.time) {
+      conditions.push(`${spec.time} ${column === 'since' ? '>=' : '<'} ?`);
+    } else if (spec.filters.includes(column)) {
+      conditions.push((spec.nocase || []).includes(column) ? `lower(${column}) = lower(?)` : `${column} = ?`);
+    } else {
+      const error = new Error(`${kind} cannot be filtered by ${column}.`);
+      error.code = ERROR_CODES.INVALID_FILTER;
+      throw error;
+    }
+    params.push(value);
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const { total } = await get(`SELECT COUNT(*) AS total FROM ${spec.table} ${where}`, params);
+  const rows = await all(`SELECT * FROM ${spec.table} ${where} ORDER BY ${spec.order} LIMIT ? OFFSET ?`, [
+    ...params,
+    limit,
+    offset,
+  ]);
+  return { rows, total };
+};
+
+// --------------------- Responsible Gaming Functions ---------------------
+
+// What a player can limit, over each window (see user_limits)
+const LIMIT_KINDS = {
+  DEPOSIT: 'deposit', // Deposits credited
+  LOSS: 'loss', // Stakes less payouts
+  WAGER: 'wager', // Stakes placed
+};
+
+// Limit windows and their length in days; each one is rolling, ending now
+const LIMIT_PERIODS = {
+  day: 1,
+  week: 7,
+  month: 30,
+};
+
+// The play restrictions a player can put themselves under, by their users column
+const RESTRICTION_COLUMNS = {
+  cool_off: 'cool_off_until',
+  exclusion: 'excluded_until',
+};
+
+/**
+ * Formats a time as SQLite stores CURRENT_TIMESTAMP.
+ * @param {number} ms - Milliseconds since the epoch.
+ * @returns {string} - The UTC time as 'YYYY-MM-DD HH:MM:SS'.
+ */
+const toSqlTime = (ms) => new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+
+/**
+ * Applies a user's limit raises and removals whose cooling-off period is over. Only run
+ * when changing limits; reads see the same result through getEffectiveLimit.
+ * @param {number} telegramId - The user's Telegram ID.
+ * @returns {Promise<void>}
+ */
+const applyDueLimitChanges = async (telegramId) => {
+  const now = toSqlTime(Date.now());
+  await run('DELETE FROM user_limits WHERE telegram_id = ? AND pending_at <= ? AND pending_amount IS NULL', [
+    telegramId,
+    now,
+  ]);
+  await run(
+    `UPDATE user_limits SET amount = pending_amount, pending_amount = NULL, pending_at = NULL
+     WHERE telegram_id = ? AND pending_at <= ?`,
+    [telegramId, now]
+  );
+};
+
+/**
+ * Returns a limit as it stands once a raise or removal whose cooling-off period is over applies.
+ * @param {Object} limit - The user_limits row.
+ * @param {string} now - The current UTC time ('YYYY-MM-DD HH:MM:SS').
+ * @returns {Object|null} - The limit in force, or null if it was removed.
+ */
+const getEffectiveLimit = (limit, now) => {
+  if (!limit.pending_at || limit.pending_at > now) {
+    return limit;
+  }
+  if (limit.pending_amount === null) {
+    return null;
+  }
+  return { ...limit, amount: limit.pending_amount, pending_amount: null, pending_at: null };
+};
+
+/**
+ * Retrieves a user's limits of one token.
+ * @param {number} telegramId - The user's Telegram ID.
+ * @param {string} currency - The token symbol.
+ * @returns {Promise<Array>} - user_limits rows (amounts in base units) as in force now; kinds and periods
+ *   without a limit are absent.
+ */
+const getUserLimits = async (telegramId, currency) => {
+  const now = toSqlTime(Date.now());
+  const limits = await all('SELECT * FROM user_limits WHERE telegram_id = ? AND currency = ?', [telegramId, currency]);
+  return limits.map((limit) => getEffectiveLimit(limit, now)).filter(Boolean);
+};
+
+/**
+ * Sets, raises or removes one of a user's limits. Setting a new limit or lowering one
+ * applies at once (and cancels a pending raise); raising or removing one only applies
+ * once `raiseDelayMs` has passed.
+ * @param {Object} params
+ * @param {number} params.telegramId - The user's Telegram ID.
+ * @param {string} params.currency - The token symbol.
+ * @param {string} params.kind - One of LIMIT_KINDS.
+ * @param {string} params.period - One of the LIMIT_PERIODS keys.
+ * @param {string|null} params.amount - The new limit in base units, or null to remove it.
+ * @param {number} params.raiseDelayMs - The cooling-off period before a raise or removal applies.
+ * @returns {Promise<{pending: boolean, effectiveAt: string|null}>} - Whether the change waits, and until when (UTC).
+ */
+const setUserLimit = ({ telegramId, currency, kind, period, amount, raiseDelayMs }) =>
+  withTransaction(async () => {
+    await applyDueLimitChanges(telegramId);
+    const key = [telegramId, currency, kind, period];
+    const current = await get(
+      'SELECT * FROM user_limits WHERE telegram_id = ? AND currency = ? AND kind = ? AND period = ?',
+      key
+    );
+    if (amount !== null && (!current || ethers.BigNumber.from(amount).lte(current.amount))) {
+      await run(
+        `INSERT INTO user_limits (telegram_id, currency, kind, period, amount) VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT (telegram_id, currency, kind, period) DO UPDATE SET
+           amount = excluded.amount, pending_amount = NULL, pending_at = NULL`,
+        [...key, amount]
+      );
+      return { pending: false, effectiveAt: null };
+    }
+    if (!current) {
+      // Removing a limit that was never set
+      return { pending: false, effectiveAt: null };
+    }
+    const effectiveAt = toSqlTime(Date.now() + raiseDelayMs);
+    await run(
+      `UPDATE user_limits SET pending_amount = ?, pending_at = ?
+       WHERE telegram_id = ? AND currency = ? AND kind = ? AND period = ?`,
+      [amount, effectiveAt, ...key]
+    );
+    return { pending: true, effectiveAt };
+  });
+
+/**
+ * Adds up a user's play and deposits of one token over each limit period. The longest
+ * period is read once and split, rather than scanned again for every period.
+ * @param {number} telegramId - The user's Telegram ID.
+ * @param {string} currency - The token symbol.
+ * @param {string[]} [periods] - LIMIT_PERIODS keys (default all).
+ * @returns {Promise<Object<string, {deposit: string, wager: string, loss: string}>>} - Totals in base units
+ *   by period, keyed by LIMIT_KINDS; the loss is negative when the user is ahead.
+ */
+const getLimitUsage = async (telegramId, currency, periods = Object.keys(LIMIT_PERIODS)) => {
+  const now = Date.now();
+  const starts = periods.map((period) => [period, toSqlTime(now - LIMIT_PERIODS[period] * 24 * 60 * 60 * 1000)]);
+  if (starts.length === 0) {
+    return {};
+  }
+  const since = starts.map(([, start]) => start).sort()[0];
+  const bets = await all(
+    'SELECT stake, payout, created_at FROM bets WHERE telegram_id = ? AND currency = ? AND created_at >= ?',
+    [telegramId, currency, since]
+  );
+  const deposits = await all(
+    `SELECT amount, COALESCE(credited_at, created_at) AS credited_at FROM deposits
+     WHERE telegram_id = ? AND currency = ? AND status = 'credited' AND COALESCE(credited_at, created_at) >= ?`,
+    [telegramId, currency, since]
+  );
+
+  const usage = {};
+  for (const [period, start] of starts) {
+    const periodBets = bets.filter((bet) => bet.created_at >= start);
+    const wagered = sumAmounts(periodBets, 'stake');
+    const paid = sumAmounts(periodBets, 'payout');
+    const deposited = sumAmounts(deposits.filter((deposit) => deposit.credited_at >= start));
+    usage[period] = {
+      [LIMIT_KINDS.DEPOSIT]: deposited.toString(),
+      [LIMIT_KINDS.WAGER]: wagered.toString(),
+      [LIMIT_KINDS.LOSS]: wagered.sub(paid).toString(),
+    };
+  }
+  return usage;
+};
+
+/**
+ * Finds the first of a user's limits of one kind that an amount would break.
+ * For loss limits the amount is a stake, counted as if it were lost.
+ * @param {number} telegramId - The user's Telegram ID.
+ * @param {string} currency - The token symbol.
+ * @param {string} kind - One of LIMIT_KINDS.
+ * @param {ethers.BigNumberish} amount - The deposit or stake, in base units.
+ * @returns {Promise<{kind: string, period: string, limit: string, used: string}|null>} - The limit, or null if none is broken.
+ */
+const findLimitBreach = async (telegramId, currency, kind, amount) => {
+  const limits = (await getUserLimits(telegramId, currency)).filter((limit) => limit.kind === kind);
+  if (limits.length === 0) {
+    return null;
+  }
+  const usage = await getLimitUsage(telegramId, currency, limits.map((limit) => limit.period));
+  for (const limit of limits) {
+    const used = usage[limit.period][kind];
+    if (ethers.BigNumber.from(used).add(amount).gt(limit.amount)) {
+      return { kind, period: limit.period, limit: limit.amount, used };
+    }
+  }
+  return null;
+};
+
+/**
+ * Returns the cool-off or self-exclusion a user is under, if any.
+ * @param {number} telegramId - The user's Telegram ID.
+ * @returns {Promise<{type: string, until: string}|null>} - The type ('exclusion' wins over 'cool_off')
+ *   and its end (UTC), or null if the user may play.
+ */
+const getPlayRestriction = async (telegramId) => {
+  const user = await get('SELECT cool_off_until, excluded_until FROM users WHERE telegram_id = ?', [telegramId]);
+  const now = toSqlTime(Date.now());
+  for (const type of ['exclusion', 'cool_off']) {
+    const until = user && user[RESTRICTION_COLUMNS[type]];
+    if (until && until > now) {
+      return { type, until };
+    }
+  }
+  return null;
+};
+
+/**
+ * Puts a user on a cool-off or self-exclusion. Neither can be shortened: a
+ * restriction already running longer is kept.
+ * @param {number} telegramId - The user's Telegram ID.
+ * @param {string} type - 'cool_off' or 'exclusion'.
+ * @param {number} durationMs - How long it lasts from now.
+ * @returns {Promise<string>} - When the restriction ends (UTC).
+ */
+const setPlayRestriction = async (telegramId, type, durationMs) => {
+  const column = RESTRICTION_COLUMNS[type];
+  await run(`UPDATE users SET ${column} = MAX(COALESCE(${column}, ''), ?) WHERE telegram_id = ?`, [
+    toSqlTime(Date.now() + durationMs),
+    telegramId,
+  ]);
+  const user = await get(`SELECT ${column} AS until FROM users WHERE telegram_id = ?`, [telegramId]);
+  return user.until;
+};
+
+/**
+ * Checks that a user may place a bet: no cool-off or self-exclusion and no wager or
+ * loss limit broken. Run inside the bet's transaction.
+ * @param {number} telegramId - The user's Telegram ID.
+ * @param {string} currency - The token symbol.
+ * @param {ethers.BigNumberish} stake - The stake, in base units.
+ * @returns {Promise<void>} - Rejects with PLAY_RESTRICTED (`restriction` set) or LIMIT_REACHED (`limit` set).
+ */
+const assertCanBet = async (telegramId, currency, stake) => {
+  const restriction = await getPlayRestriction(telegramId);
+  if (restriction) {
+    const error = new Error(`User ${telegramId} is on a ${restriction.type} until ${restriction.until}.`);
+    error.code = ERROR_CODES.PLAY_RESTRICTED;
+    error.restriction = restriction;
+    throw error;
+  }
+  for (const kind of [LIMIT_KINDS.WAGER, LIMIT_KINDS.LOSS]) {
+    const limit = await findLimitBreach(telegramId, currency, kind, stake);
+    if (limit) {
+      const error = new Error(`Stake ${stake} ${currency} would break the ${limit.period} ${kind} limit of ${limit.limit}.`);
+      error.code = ERROR_CODES.LIMIT_REACHED;
+      error.limit = limit;
+      throw error;
+    }
+  }
+};
+
+/**
+ * Sets how often a user is reminded of their session while playing.
+ * @param {number} telegramId - The user's Telegram ID.
+ * @param {number} minutes - Minutes between reminders; 0 turns them off.
+ * @returns {Promise<void>}
+ */
+const setRealityCheckInterval = async (telegramId, minutes) => {
+  await run('UPDATE users SET reality_check_minutes = ? WHERE telegram_id = ?', [minutes, telegramId]);
+};
+
+// --------------------- Deposit Indexer Functions ---------------------
+
+/**
+ * Reads a value persisted by a background indexer.
+ * @param {string} key - The state key.
+ * @returns {Promise<string|null>} - The value, or null if never set.
+ */
+const getIndexerState = async (key) => {
+  const row = await get('SELECT value FROM indexer_state WHERE key = ?', [key]);
+  return row ? row.value : null;
+};
+
+/**
+ * Persists a value for a background indexer.
+ * @param {string} key - The state key.
+ * @param {string} value - The value.
+ * @returns {Promise<void>}
+ */
+const setIndexerState = async (key, value) => {
+  await run(
+    `INSERT INTO indexer_state (key, value) VALUES (?, ?)
+     ON CONFLICT(key) DO UPDATE SET value = excluded.value`,
+    [key, String(value)]
+  );
+};
+
+/**
+ * Retrieves a user by wallet address, ignoring checksum case.
+ * @param {string} walletAddress - The wallet address.
+ * @returns {Promise<Object|null>} - The user row.
+ */
+const getUserByWalletAddress = (walletAddress) =>
+  get('SELECT * FROM users WHERE lower(wallet_address) = lower(?)', [walletAddress]);
+
+/**
+ * Records a deposit and credits it to the user, once per (tx hash, log index).
+ * A deposit reversed by a reorg is credited again if its transaction is re-included.
+ * A deposit that would break one of the user's deposit limits is recorded as 'held'
+ * instead, without crediting it, until releaseHeldDeposit finds room for it.
+ * @param {Object} deposit - { txHash, logIndex, blockNumber, blockHash, currency, fromAddress, amount, telegramId }.
+ * @returns {Promise<Object|null>} - The credited or held deposit, or null if it was already recorded.
+ */
+const creditDeposit = (deposit) => withTransaction(() => insertDepositCredit(deposit));
+
+/**
+ * Records and credits a deposit without opening a transaction (see creditDeposit).
+ * @param {Object} deposit - As for creditDeposit.
+ * @returns {Promise<Object|null>} - The credited or held deposit, or null if it was already recorded.
+ */
+const insertDepositCredit = async (deposit) => {
+  const held = Boolean(
+    await findLimitBreach(deposit.telegramId, deposit.currency, LIMIT_KINDS.DEPOSIT, deposit.amount)
+  );
+  const { changes } = await run(
+    `INSERT INTO deposits (
+       tx_hash, log_index, block_number, block_hash, currency, from_address, amount, telegram_id, status, credited_at
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CASE WHEN ? THEN NULL ELSE CURRENT_TIMESTAMP END)
+     ON CONFLICT (tx_hash, log_index) DO UPDATE SET
+       status = excluded.status, credited_at = excluded.credited_at,
+       block_number = excluded.block_number, block_hash = excluded.block_hash
+     WHERE deposits.status = 'reversed'`,
+    [
+      deposit.txHash,
+      deposit.logIndex,
+      deposit.blockNumber,
+      deposit.blockHash,
+      deposit.currency,
+      deposit.fromAddress,
+      deposit.amount,
+      deposit.telegramId,
+      held ? 'held' : 'credited',
+      held ? 1 : 0,
+    ]
+  );
+  if (changes === 0) {
+    return null;
+  }
+  // A claim can no longer be made for a deposit its owner now has (nor counted as owed)
+  await run(
+    `UPDATE unmatched_deposits SET status = 'matched'
+     WHERE tx_hash = ? AND log_index = ? AND status IN ('pending', 'awaiting_approval')`,
+    [deposit.txHash, deposit.logIndex]
+  );
+  if (!held) {
+    await postDepositEntries(deposit);
+  }
+  return get('SELECT * FROM deposits WHERE tx_hash = ? AND log_index = ?', [
+    deposit.txHash,
+    deposit.logIndex,
+  ]);
+};
+
+/**
+ * Posts the ledger entries crediting a deposit to its user.
+ * @param {Object} deposit - { txHash, logIndex, currency, amount, telegramId }.
+ * @returns {Promise<void>}
+ */
+const postDepositEntries = async (deposit) => {
+  await postLedgerEntries(
+    ENTRY_TYPES.DEPOSIT,
+    [
+      {
+        account: LEDGER_ACCOUNTS.EXTERNAL,
+        currency: deposit.currency,
+        amount: ethers.BigNumber.from(deposit.amount).mul(-1),
+      },
+      { account: userAccount(deposit.telegramId), currency: deposit.currency, amount: deposit.amount },
+    ],
+    `${deposit.txHash}:${deposit.logIndex}`
+  );
+};
+
+/**
+ * Retrieves credited and held deposits at or after a block, to re-check them for reorgs.
+ * @param {number} fromBlock - The first block to include.
+ * @returns {Promise<Array>} - The deposit rows.
+ */
+const getCreditedDepositsSince = (fromBlock) =>
+  all(`SELECT * FROM deposits WHERE status IN ('credited', 'held') AND block_number >= ? ORDER BY id ASC`, [
+    fromBlock,
+  ]);
+
+/**
+ * Retrieves the deposits held back by deposit limits, oldest first.
+ * @returns {Promise<Array>} - The deposit rows.
+ */
+const getHeldDeposits = () => all(`SELECT * FROM deposits WHERE status = 'held' ORDER BY id ASC`);
+
+/**
+ * Credits a held deposit once the user's deposit limits have room for it.
+ * @param {number} id - The deposit ID.
+ * @returns {Promise<Object|null>} - The credited deposit, or null if it is still held (or no longer held).
+ */
+const releaseHeldDeposit = (id) =>
+  withTransaction(async () => {
+    const deposit = await get(`SELECT * FROM deposits WHERE id = ? AND status = 'held'`, [id]);
+    if (
+      !deposit ||
+      (await findLimitBreach(deposit.telegram_id, deposit.currency, LIMIT_KINDS.DEPOSIT, deposit.amount))
+    ) {
+      return null;
+    }
+    await run(`UPDATE deposits SET status = 'credited', credited_at = CURRENT_TIMESTAMP WHERE id = ?`, [id]);
+    await postDepositEntries({
+      txHash: deposit.tx_hash,
+      logIndex: deposit.log_index,
+      currency: deposit.currency,
+      amount: deposit.amount,
+      telegramId: deposit.telegram_id,
+    });
+    return get('SELECT * FROM deposits WHERE id = ?', [id]);
+  });
+
+/**
+ * Updates the block of a deposit whose transaction was re-included after a reorg.
+ * @param {number} id - The deposit ID.
+ * @param {number} blockNumber - The new block number.
+ * @param {string} blockHash - The new block hash.
+ * @returns {Promise<void>}
+ */
+const updateDepositBlock = async (id, blockNumber, blockHash) => {
+  await run('UPDATE deposits SET block_number = ?, block_hash = ? WHERE id = ?', [
+    blockNumber,
+    blockHash,
+    id,
+  ]);
+};
+
+/**
+ * Reverses a deposit whose transaction was removed by a reorg. The user's
+ * balance may go negative if the deposit was already spent; a held deposit
+ * was never credited, so only its record changes.
+ * @param {number} id - The deposit ID.
+ * @returns {Promise<Object|null>} - The deposit as it was before the reversal, or null if it was neither credited nor held.
+ */
+const reverseDeposit = (id) =>
+  withTransaction(async () => {
+    const deposit = await get(`SELECT * FROM deposits WHERE id = ? AND status IN ('credited', 'held')`, [id]);
+    if (!deposit) {
+      return null;
+    }
+    await run(`UPDATE deposits SET status = 'reversed' WHERE id = ?`, [id]);
+    if (deposit.status === 'held') {
+      return deposit;
+    }
+    await postLedgerEntries(
+      ENTRY_TYPES.DEPOSIT_REVERSAL,
+      [
+        {
+          account: userAccount(deposit.telegram_id),
+          currency: deposit.currency,
+          amount: ethers.BigNumber.from(deposit.amount).mul(-1),
+          allowNegative: true,
+        },
+        { account: LEDGER_ACCOUNTS.EXTERNAL, currency: deposit.currency, amount: deposit.amount },
+      ],
+      `${deposit.tx_hash}:${deposit.log_index}`
+    );
+    return deposit;
+  });
+
+// --------------------- Unmatched Deposit Functions ---------------------
+
+// Why the indexer stored a deposit as unmatched instead of crediting it
+const UNMATCHED_REASONS = {
+  UNREGISTERED_SENDER: 'unregistered_sender',
+  BELOW_MINIMUM: 'below_minimum',
+};
+
+/**
+ * Returns whether a deposit has already been credited to a user, or is held for one by their deposit limits.
+ * @param {string} txHash - The transaction hash.
+ * @param {number} logIndex - The log index (-1 for ETH).
+ * @returns {Promise<boolean>}
+ */
+const isDepositCredited = async (txHash, logIndex) =>
+  Boolean(
+    await get(`SELECT id FROM deposits WHERE tx_hash = ? AND log_index = ? AND status IN ('credited', 'held')`, [
+      txHash,
+      logIndex,
+    ])
+  );
+
+/**
+ * Stores a deposit the indexer could not credit, so it can be claimed. A deposit closed
+ * by a reorg is reopened if its transaction is re-included.
+ * @param {Object} deposit - { txHash, logIndex, blockNumber, blockHash, currency, fromAddress, amount }.
+ * @param {string} [reason] - One of UNMATCHED_REASONS.
+ * @returns {Promise<Object>} - The unmatched deposit row.
+ */
+const recordUnmatchedDeposit = async (deposit, reason = UNMATCHED_REASONS.UNREGISTERED_SENDER) => {
+  await run(
+    `INSERT INTO unmatched_deposits (
+       tx_hash, log_index, block_number, block_hash, currency, from_address, amount, reason
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT (tx_hash, log_index) DO UPDATE SET
+       status = 'pending', requested_by = NULL,
+       block_number = excluded.block_number, block_hash = excluded.block_hash
+     WHERE unmatched_deposits.status = 'reversed'`,
+    [
+      deposit.txHash,
+      deposit.logIndex,
+      deposit.blockNumber,
+      deposit.blockHash,
+      deposit.currency,
+      deposit.fromAddress,
+      deposit.amount,
+      reason,
+    ]
+  );
+  return getUnmatchedDepositByTx(deposit.txHash, deposit.logIndex);
+};
+
+/**
+ * Retrieves the unmatched deposit of a transfer, if one was stored.
+ * @param {string} txHash - The transaction hash.
+ * @param {number} logIndex - The log index (-1 for ETH).
+ * @returns {Promise<Object|null>} - The unmatched deposit row.
+ */
+const getUnmatchedDepositByTx = (txHash, logIndex) =>
+  get('SELECT * FROM unmatched_deposits WHERE tx_hash = ? AND log_index = ?', [txHash, logIndex]);
+
+/**
+ * Retrieves an unmatched deposit by ID.
+ * @param {number} id - The unmatched deposit ID.
+ * @returns {Promise<Object|null>} - The unmatched deposit row.
+ */
+const getUnmatchedDeposit = (id) => get('SELECT * FROM unmatched_deposits WHERE id = ?', [id]);
+
+/**
+ * Retrieves the unmatched deposits still open to a claim at or after a block, to re-check them for reorgs.
+ * @param {number} fromBlock - The first block to include.
+ * @returns {Promise<Array>} - The unmatched deposit rows ('pending' or 'awaiting_approval').
+ */
+const getOpenUnmatchedDepositsSince = (fromBlock) =>
+  all(
+    `SELECT * FROM unmatched_deposits
+     WHERE status IN ('pending', 'awaiting_approval') AND block_number >= ? ORDER BY id ASC`,
+    [fromBlock]
+  );
+
+/**
+ * Updates the block of an unmatched deposit whose transaction was re-included after a reorg.
+ * @param {number} id - The unmatched deposit ID.
+ * @param {number} blockNumber - The new block number.
+ * @param {string} blockHash - The new block hash.
+ * @returns {Promise<void>}
+ */
+const updateUnmatchedDepositBlock = async (id, blockNumber, blockHash) => {
+  await run('UPDATE unmatched_deposits SET block_number = ?, block_hash = ? WHERE id = ?', [
+    blockNumber,
+    blockHash,
+    id,
+  ]);
+};
+
+/**
+ * Closes an unmatched deposit whose transaction was removed by a reorg, so it can no
+ * longer be claimed (nor counted as owed).
+ * @param {number} id - The unmatched deposit ID.
+ * @returns {Promise<Object|null>} - The unmatched deposit as it was, or null if it was no longer open to a claim.
+ */
+const reverseUnmatchedDeposit = async (id) => {
+  const unmatched = await getUnmatchedDeposit(id);
+  const { changes } = await run(
+    `UPDATE unmatched_deposits SET status = 'reversed'
+     WHERE id = ? AND status IN ('pending', 'awaiting_approval')`,
+    [id]
+  );
+  return changes > 0 ? unmatched : null;
+};
+
+/**
+ * Records that a user asked an admin to approve their claim on an unmatched deposit.
+ * @param {number} id - The unmatched deposit ID.
+ * @param {number} telegramId - The claiming user's Telegram ID.
+ * @returns {Promise<boolean>} - False if the deposit is no longer claimable.
+ */
+const requestDepositClaim = async (id, telegramId) => {
+  const { changes } = await run(
+    `UPDATE unmatched_deposits SET status = 'awaiting_approval', requested_by = ?
+     WHERE id = ? AND status = 'pending'`,
+    [telegramId, id]
+  );
+  return changes > 0;
+};
+
+/**
+ * Returns a claim awaiting approval to the pending state.
+ * @param {number} id - The unmatched deposit ID.
+ * @returns {Promise<Object|null>} - The unmatched deposit as it was, or null if no claim was awaiting approval.
+ */
+const rejectDepositClaim = async (id) => {
+  const unmatched = await getUnmatchedDeposit(id);
+  const { changes } = await run(
+    `UPDATE unmatched_deposits SET status = 'pending', requested_by = NULL
+     WHERE id = ? AND status = 'awaiting_approval'`,
+    [id]
+  );
+  return changes > 0 ? unmatched : null;
+};
+
+/**
+ * Credits an unmatched deposit to the user who proved ownership or was approved.
+ * @param {number} id - The unmatched deposit ID.
+ * @param {number} telegramId - The user to credit.
+ * @param {string} method - How the claim was verified ('signature' or 'admin').
+ * @returns {Promise<Object|null>} - The credited deposit, or null if it was already claimed or credited.
+ */
+const claimUnmatchedDeposit = (id, telegramId, method) =>
+  withTransaction(async () => {
+    const { changes } = await run(
+      `UPDATE unmatched_deposits
+       SET status = 'claimed', claimed_by = ?, claim_method = ?, claimed_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status IN ('pending', 'awaiting_approval')`,
+      [telegramId, method, id]
+    );
+    if (changes === 0) {
+      return null;
+    }
+    const unmatched = await getUnmatchedDeposit(id);
+    const credited = await insertDepositCredit({
+      txHash: unmatched.tx_hash,
+      logIndex: unmatched.log_index,
+      blockNumber: unmatched.block_number,
+      blockHash: unmatched.block_hash,
+      currency: unmatched.currency,
+      fromAddress: unmatched.from_address,
+      amount: unmatched.amount,
+      telegramId,
+    });
+    if (!credited) {
+      throw new Error(`Deposit ${unmatched.tx_hash}:${unmatched.log_index} was already credited.`);
+    }
+    return credited;
+  });
+
 module.exports = {
   addOrUpdateUser,
+  createWalletChallenge,
+  consumeWalletChallenge,
   getUserByTelegramId,
-  updateUserEthBalance,
-  updateUserUsdcBalance,
+  getUserBalances,
+  getUserBalance,
   updateUserStatsAfterBet,
   getTopUsers,
   getUserRank,
   addUserXP,
   getXPForNextLevel,
   getJackpot,
-  updateJackpot,
+  LEDGER_ACCOUNTS,
+  ENTRY_TYPES,
+  FUNDS,
+  userAccount,
+  jackpotAccount,
+  isFundAccount,
+  ERROR_CODES,
+  withTransaction,
+  getFundBalance,
+  postFundTransfer,
+  grantLevelReward,
+  getOwedLevelRewards,
+  payOwedLevelReward,
+  getJackpotTiers,
+  setupJackpotTiers,
+  setJackpotAmount,
+  getFundReport,
+  settleBet,
+  getJackpotHallOfFame,
+  getLiabilities,
+  getBroadcastTransfers,
+  recordReconciliation,
+  getReconciliations,
+  findUsers,
+  setUserFrozen,
+  isUserFrozen,
+  getHouseStats,
+  recordAdminAction,
+  getAdminActions,
+  listRecords,
+  LIMIT_KINDS,
+  LIMIT_PERIODS,
+  toSqlTime,
+  getUserLimits,
+  setUserLimit,
+  getLimitUsage,
+  getPlayRestriction,
+  setPlayRestriction,
+  setRealityCheckInterval,
+  getBetHistory,
+  MAX_BET_PRESETS,
+  getBetPresets,
+  addBetPreset,
+  removeBetPreset,
+  postLedgerEntries,
+  postLedgerTransaction,
+  postTransfer,
+  getLedgerBalance,
+  getLedgerEntries,
+  checkUserBalances,
+  getActiveSeedPair,
+  useNextNonce,
+  rotateSeedPair,
+  getRevealedSeedPairs,
+  WITHDRAWAL_STATUS,
+  getWithdrawal,
+  getWithdrawalsByStatus,
+  requestWithdrawal,
+  getWithdrawalNetAmount,
+  markWithdrawalBroadcast,
+  recordWithdrawalAttempt,
+  confirmWithdrawal,
+  failWithdrawal,
+  refundWithdrawal,
+  FEE_SWEEP_STATUS,
+  getFeeSweep,
+  getFeeSweepsByStatus,
+  startFeeSweep,
+  markFeeSweepBroadcast,
+  recordFeeSweepAttempt,
+  confirmFeeSweep,
+  failFeeSweep,
+  getIndexerState,
+  setIndexerState,
+  getUserByWalletAddress,
+  creditDeposit,
+  getCreditedDepositsSince,
+  getHeldDeposits,
+  releaseHeldDeposit,
+  updateDepositBlock,
+  reverseDeposit,
+  isDepositCredited,
+  UNMATCHED_REASONS,
+  recordUnmatchedDeposit,
+  getUnmatchedDepositByTx,
+  getUnmatchedDeposit,
+  getOpenUnmatchedDepositsSince,
+  updateUnmatchedDepositBlock,
+  reverseUnmatchedDeposit,
+  requestDepositClaim,
+  rejectDepositClaim,
+  claimUnmatchedDeposit,
+  ready,
   db, // Exporting db for deposit monitoring
 };
@@ -0,0 +1,109 @@
+// utils/units.js
+
+'use strict';
+
+const { ethers } = require('ethers');
+
+/*
+ * All money is handled as integer base units (micro-USDC, wei) and only
+ * converted to decimal strings for display. Amounts are passed around as
+ * decimal strings or ethers BigNumbers and stored as TEXT, because wei values
+ * exceed the range that SQLite integers can hand back to JavaScript safely.
+ */
+
+// Decimals of each supported currency. ERC-20 tokens are added (with the
+// decimals read from their contract) by the token registry, services/tokens.js.
+const DECIMALS = {
+  USDC: 6,
+  ETH: 18,
+};
+
+/**
+ * Registers a currency, or updates its decimals.
+ * @param {string} currency - The token symbol.
+ * @param {number} decimals - The token's decimals.
+ */
+const registerCurrency = (currency, decimals) => {
+  DECIMALS[currency] = decimals;
+};
+
+/**
+ * Checks whether a currency is supported.
+ * @param {string} currency - The token symbol.
+ * @returns {boolean} - True if its decimals are known.
+ */
+const isSupported = (currency) => DECIMALS[currency] !== undefined;
+
+/**
+ * Returns the decimals of a currency.
+ * @param {string} currency - The token symbol.
+ * @returns {number} - The number of decimals.
+ */
+const getDecimals = (currency) => {
+  const decimals = DECIMALS[currency];
+  if (decimals === undefined) {
+    throw new Error(`Unsupported currency: ${currency}`);
+  }
+  return decimals;
+};
+
+/**
+ * Parses a human-readable decimal amount (e.g. "12.5") into base units.
+ * Throws if the amount has more fractional digits than the currency supports.
+ * @param {string} input - The decimal amount.
+ * @param {string} currency - The token symbol.
+ * @returns {string} - The amount in base units.
+ */
+const parseAmount = (input, currency) =>
+  ethers.utils.parseUnits(String(input).trim(), getDecimals(currency)).toString();
+
+/**
+ * Formats base units for display.
+ * @param {ethers.BigNumberish} baseUnits - The amount in base units.
+ * @param {string} currency - The token symbol.
+ * @param {number} [fractionDigits] - Fixed number of fractional digits (truncated); all significant digits if omitted.
+ * @returns {string} - The formatted amount.
+ */
+const formatAmount = (baseUnits, currency, fractionDigits) => {
+  const formatted = ethers.utils.formatUnits(baseUnits || 0, getDecimals(currency));
+  if (fractionDigits === undefined) {
+    return formatted.endsWith('.0') ? formatted.slice(0, -2) : formatted;
+  }
+  const [whole, fraction = ''] = formatted.split('.');
+  if (fractionDigits === 0) {
+    return whole;
+  }
+  return `${whole}.${fraction.padEnd(fractionDigits, '0').slice(0, fractionDigits)}`;
+};
+
+/**
+ * Multiplies base units by a decimal multiplier (e.g. a 3.6x payout), rounding down.
+ * @param {ethers.BigNumberish} baseUnits - The amount in base units.
+ * @param {number} multiplier - The multiplier, precise to 4 decimal places.
+ * @returns {string} - The product in base units.
+ */
+const multiplyAmount = (baseUnits, multiplier) =>
+  ethers.BigNumber.from(baseUnits)
+    .mul(Math.round(multiplier * 10000))
+    .div(10000)
+    .toString();
+
+/**
+ * Converts a legacy floating-point amount (stored with 6 decimals) into base units.
+ * @param {number} value - The legacy REAL value.
+ * @param {string} currency - The token symbol.
+ * @returns {string} - The amount in base units.
+ */
+const fromLegacyFloat = (value, currency) =>
+  parseAmount(Number(value || 0).toFixed(6), currency);
+
+module.exports = {
+  DECIMALS,
+  registerCurrency,
+  isSupported,
+  getDecimals,
+  parseAmount,
+  formatAmount,
+  multiplyAmount,
+  fromLegacyFloat,
+};
@@ -0,0 +1,32 @@
+// utils/userLock.js
+
+'use strict';
+
+// Tail of the queue of pending work for each Telegram ID
+const queues = new Map();
+
+/**
+ * Runs `work` after every earlier call for the same Telegram ID has settled,
+ * so balance updates for one user can never interleave.
+ * Calls for the same user must not be nested or they will wait on themselves.
+ * @param {number} telegramId - The user's Telegram ID.
+ * @param {Function} work - Async function to run while holding the lock.
+ * @returns {Promise<*>} - Whatever `work` resolves to.
+ */
+const withUserLock = (telegramId, work) => {
+  const previous = queues.get(telegramId) || Promise.resolve();
+  const result = previous.then(() => work());
+  const tail = result.catch(() => {});
+  queues.set(telegramId, tail);
+  tail.then(() => {
+    // Drop the entry once nothing else is queued behind this call
+    if (queues.get(telegramId) === tail) {
+      queues.delete(telegramId);
+    }
+  });
+  return result;
+};
+
+module.exports = {
+  withUserLock,
+};